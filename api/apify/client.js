@@ -0,0 +1,247 @@
+/**
+ * Apify Actor Client
+ * Shared base for the Apify-backed scraper clients (Zillow, Redfin, Realtor)
+ * Handles retries with exponential backoff, run timeout/memory settings,
+ * run status classification and fixture record/replay
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import Apify client
+const { ApifyClient } = require('apify-client');
+const { ApifyRunError } = require('./errors');
+const { getApifyRunConfig } = require('../../utils/config');
+const { getFixtureMode, runActorWithFixtures } = require('../../utils/apify-fixtures');
+
+// Run statuses after which an actor run will not change again
+const TERMINAL_STATUSES = ['SUCCEEDED', 'FAILED', 'TIMED-OUT', 'ABORTED'];
+
+// Options accepted per call that control the run rather than the actor input
+const RUN_OPTION_KEYS = ['maxRetries', 'retryBaseDelayMs', 'retryMaxDelayMs', 'timeoutSecs', 'memoryMbytes'];
+
+class ApifyActorClient {
+  /**
+   * @param {Object} settings - Client settings
+   * @param {string} settings.actorId - Apify actor ID
+   * @param {string} settings.source - Source name (zillow, redfin, realtor)
+   * @param {string} settings.apiToken - Apify API token
+   * @param {Object} settings.runConfig - Overrides for retries, timeout and memory
+   */
+  constructor({ actorId, source, apiToken = process.env.APIFY_API_TOKEN, runConfig = {} }) {
+    // Replay mode serves recorded fixtures, so no token is needed
+    if (!apiToken && getFixtureMode() !== 'replay') {
+      throw new Error('Apify API token is required');
+    }
+    
+    this.apiToken = apiToken;
+    this.actorId = actorId;
+    this.source = source;
+    this.label = source.charAt(0).toUpperCase() + source.slice(1);
+    this.runConfig = { ...getApifyRunConfig(), ...runConfig };
+    
+    // Create Apify client instance
+    this.client = new ApifyClient({
+      token: this.apiToken
+    });
+  }
+  
+  /**
+   * Build the actor input for a zip code search
+   * Implemented by each source client
+   * @param {string} zipCode - Zip code to search
+   * @param {Object} options - Search options
+   * @returns {Object} Actor input
+   */
+  buildSearchInput(zipCode, options = {}) {
+    throw new Error(`${this.label} client must implement buildSearchInput`);
+  }
+  
+  /**
+   * Search for listings by zip code
+   * @param {string} zipCode - Zip code to search
+   * @param {Object} options - Search options; run options (maxRetries, timeoutSecs, memoryMbytes, ...) are not sent to the actor
+   * @returns {Promise<Object>} Scraper results
+   */
+  async searchByZipCode(zipCode, options = {}) {
+    const { runOptions, actorOptions } = splitRunOptions(options);
+    const input = this.buildSearchInput(zipCode, actorOptions);
+    
+    console.log(`Starting ${this.label} scraper for zip code: ${zipCode}`);
+    console.log(`Scraper input:`, JSON.stringify(input, null, 2));
+    
+    try {
+      const result = await this.runActor(zipCode, input, runOptions);
+      
+      console.log(`Retrieved ${result.itemCount} listings from ${this.label} scraper`);
+      
+      // Log the response size
+      const responseSize = JSON.stringify(result.items).length;
+      console.log(`${this.label} API response size: ${(responseSize / 1024).toFixed(2)} KB`);
+      
+      return result;
+    
+    } catch (error) {
+      console.error(`Error in ${this.label} scraper for zip code ${zipCode}:`, error.message);
+      throw error;
+    }
+  }
+  
+  /**
+   * Run the actor with retries and exponential backoff
+   * @param {string} key - Search key used in logs, errors and fixture names
+   * @param {Object} input - Actor input
+   * @param {Object} runOptions - Overrides for this run (maxRetries, timeoutSecs, memoryMbytes, ...)
+   * @returns {Promise<Object>} Run result with runId, status, itemCount, items and attempts
+   * @throws {ApifyRunError} When the run fails and cannot be retried
+   */
+  async runActor(key, input, runOptions = {}) {
+    const config = { ...this.runConfig, ...runOptions };
+    const maxAttempts = Math.max(1, Math.floor(config.maxRetries) + 1);
+    const callOptions = buildCallOptions(config);
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await runActorWithFixtures({
+          client: this.client,
+          actorId: this.actorId,
+          source: this.source,
+          key,
+          input,
+          callOptions
+        });
+        
+        return { ...result, attempts: attempt };
+      
+      } catch (rawError) {
+        const error = ApifyRunError.from(rawError, {
+          source: this.source,
+          key,
+          actorId: this.actorId,
+          attempts: attempt
+        });
+        
+        if (error.cause?.response) {
+          console.error(`Response status: ${error.cause.response.status}`);
+          console.error('Response data:', JSON.stringify(error.cause.response.data));
+        }
+        
+        if (!error.retryable || attempt >= maxAttempts) {
+          console.error(`${this.label} scraper failed for ${key} after ${attempt} attempt(s): [${error.code}] ${error.message}`);
+          throw error;
+        }
+        
+        const delayMs = getBackoffDelay(attempt, config);
+        console.warn(`${this.label} scraper attempt ${attempt}/${maxAttempts} for ${key} failed: [${error.code}] ${error.message}. Retrying in ${Math.round(delayMs / 1000)}s...`);
+        await sleep(delayMs);
+      }
+    }
+  }
+  
+  /**
+   * Get run details and status
+   * @param {string} runId - The run ID to check
+   * @returns {Promise<Object>} Run details
+   */
+  async getRunStatus(runId) {
+    try {
+      const run = await this.client.run(runId).get();
+      return {
+        id: run.id,
+        status: run.status,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        stats: run.stats
+      };
+    } catch (error) {
+      console.error(`Error getting run status for ${runId}:`, error.message);
+      throw ApifyRunError.from(error, { source: this.source, actorId: this.actorId, runId });
+    }
+  }
+  
+  /**
+   * Wait for a run to reach a terminal status
+   * @param {string} runId - The run ID to wait for
+   * @param {number} timeoutMs - Timeout in milliseconds (default: 5 minutes)
+   * @returns {Promise<Object>} Final run status
+   */
+  async waitForRun(runId, timeoutMs = 300000) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeoutMs) {
+      const status = await this.getRunStatus(runId);
+      
+      if (TERMINAL_STATUSES.includes(status.status)) {
+        return status;
+      }
+      
+      console.log(`Run ${runId} status: ${status.status}, waiting...`);
+      await sleep(10000); // Wait 10 seconds
+    }
+    
+    throw new Error(`Run ${runId} timed out after ${timeoutMs}ms`);
+  }
+}
+
+/**
+ * Separate run options from the options passed through to the actor input
+ * @param {Object} options - Combined options
+ * @returns {Object} Object with runOptions and actorOptions
+ */
+function splitRunOptions(options = {}) {
+  const runOptions = {};
+  const actorOptions = {};
+  
+  for (const [key, value] of Object.entries(options)) {
+    if (RUN_OPTION_KEYS.includes(key)) {
+      runOptions[key] = value;
+    } else {
+      actorOptions[key] = value;
+    }
+  }
+  
+  return { runOptions, actorOptions };
+}
+
+/**
+ * Build the options passed to actor.call
+ * @param {Object} config - Run configuration
+ * @returns {Object} Apify call options
+ */
+function buildCallOptions(config) {
+  const callOptions = {};
+  
+  if (config.timeoutSecs) {
+    callOptions.timeout = config.timeoutSecs;
+  }
+  
+  if (config.memoryMbytes) {
+    callOptions.memory = config.memoryMbytes;
+  }
+  
+  return callOptions;
+}
+
+/**
+ * Exponential backoff delay for a failed attempt, capped at retryMaxDelayMs
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} config - Run configuration
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, config) {
+  const delay = config.retryBaseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(delay, config.retryMaxDelayMs);
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+ApifyActorClient.splitRunOptions = splitRunOptions;
+
+module.exports = ApifyActorClient;
@@ -0,0 +1,179 @@
+/**
+ * Apify Run Errors
+ * Structured errors raised by the shared Apify actor client
+ */
+
+// Error codes the daily tasks can act on
+const ERROR_CODES = {
+  RUN_FAILED: 'RUN_FAILED',
+  RUN_TIMED_OUT: 'RUN_TIMED_OUT',
+  RUN_ABORTED: 'RUN_ABORTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  INVALID_INPUT: 'INVALID_INPUT',
+  API_ERROR: 'API_ERROR',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  FIXTURE_MISSING: 'FIXTURE_MISSING',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Map of terminal run statuses to error codes
+const RUN_STATUS_CODES = {
+  'FAILED': ERROR_CODES.RUN_FAILED,
+  'TIMED-OUT': ERROR_CODES.RUN_TIMED_OUT,
+  'ABORTED': ERROR_CODES.RUN_ABORTED
+};
+
+// Codes worth retrying with backoff
+const RETRYABLE_CODES = [
+  ERROR_CODES.RUN_FAILED,
+  ERROR_CODES.RUN_TIMED_OUT,
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.API_ERROR,
+  ERROR_CODES.NETWORK_ERROR
+];
+
+// Codes that will fail for every zip code, so the daily tasks should stop
+const FATAL_CODES = [
+  ERROR_CODES.AUTH_FAILED
+];
+
+class ApifyRunError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of ERROR_CODES
+   * @param {string} details.source - Source name (zillow, redfin, realtor)
+   * @param {string} details.key - Search key, usually the zip code
+   * @param {string} details.actorId - Actor ID
+   * @param {string} details.runId - Apify run ID, when a run was started
+   * @param {string} details.runStatus - Final run status, when known
+   * @param {number} details.statusCode - HTTP status code from the Apify API, when known
+   * @param {number} details.attempts - Number of attempts made
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    
+    this.name = 'ApifyRunError';
+    this.code = details.code || ERROR_CODES.UNKNOWN;
+    this.source = details.source || null;
+    this.key = details.key || null;
+    this.actorId = details.actorId || null;
+    this.runId = details.runId || null;
+    this.runStatus = details.runStatus || null;
+    this.statusCode = details.statusCode || null;
+    this.attempts = details.attempts || 0;
+    this.cause = details.cause;
+  }
+  
+  /**
+   * Whether retrying the run may succeed
+   * @returns {boolean} True if retryable
+   */
+  get retryable() {
+    return RETRYABLE_CODES.includes(this.code);
+  }
+  
+  /**
+   * Whether the error will affect every run, so remaining work should stop
+   * @returns {boolean} True if fatal
+   */
+  get fatal() {
+    return FATAL_CODES.includes(this.code);
+  }
+  
+  /**
+   * Plain object representation for logging and result summaries
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      retryable: this.retryable,
+      fatal: this.fatal,
+      source: this.source,
+      key: this.key,
+      actorId: this.actorId,
+      runId: this.runId,
+      runStatus: this.runStatus,
+      statusCode: this.statusCode,
+      attempts: this.attempts
+    };
+  }
+  
+  /**
+   * Create an error from an actor run that did not succeed
+   * @param {Object} run - Apify run object
+   * @param {Object} details - Additional error details
+   * @returns {ApifyRunError} Run error
+   */
+  static fromRun(run, details = {}) {
+    return new ApifyRunError(`Scraper run failed with status: ${run.status}`, {
+      ...details,
+      code: RUN_STATUS_CODES[run.status] || ERROR_CODES.RUN_FAILED,
+      runId: run.id,
+      runStatus: run.status
+    });
+  }
+  
+  /**
+   * Wrap any error thrown while calling Apify in an ApifyRunError
+   * @param {Error} error - Original error
+   * @param {Object} details - Additional error details
+   * @returns {ApifyRunError} Classified error
+   */
+  static from(error, details = {}) {
+    if (error instanceof ApifyRunError) {
+      Object.assign(error, details);
+      return error;
+    }
+    
+    const statusCode = error.statusCode || error.response?.status || null;
+    
+    return new ApifyRunError(error.message, {
+      ...details,
+      code: classifyError(error, statusCode),
+      statusCode,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Classify a raw error thrown by apify-client or the network layer
+ * @param {Error} error - Original error
+ * @param {number|null} statusCode - HTTP status code, if any
+ * @returns {string} Error code
+ */
+function classifyError(error, statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return ERROR_CODES.AUTH_FAILED;
+  }
+  
+  if (statusCode === 429) {
+    return ERROR_CODES.RATE_LIMITED;
+  }
+  
+  if (statusCode >= 500) {
+    return ERROR_CODES.API_ERROR;
+  }
+  
+  if (statusCode >= 400) {
+    return ERROR_CODES.INVALID_INPUT;
+  }
+  
+  const networkCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+  if (networkCodes.includes(error.code) || /socket hang up|network|timeout/i.test(error.message || '')) {
+    return ERROR_CODES.NETWORK_ERROR;
+  }
+  
+  return ERROR_CODES.UNKNOWN;
+}
+
+module.exports = {
+  ApifyRunError,
+  ERROR_CODES
+};
@@ -0,0 +1,13 @@
+/**
+ * Apify API Module
+ * Shared base client and errors for the Apify-backed scrapers
+ */
+
+const ApifyActorClient = require('./client');
+const { ApifyRunError, ERROR_CODES } = require('./errors');
+
+module.exports = {
+  ApifyActorClient,
+  ApifyRunError,
+  ERROR_CODES
+};
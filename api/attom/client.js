@@ -6,18 +6,39 @@
 // Load environment variables
 require('dotenv').config();
 
+const { getNumberFromEnv } = require('../../utils/config');
+
+// Statuses that are safe to retry after a delay
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
 class AttomApiClient {
-  constructor(apiKey = process.env.ATTOM_API_KEY) {
+  /**
+   * @param {string} apiKey - ATTOM API key
+   * @param {Object} options - Client options
+   * @param {number} options.maxRetries - Retries for 429/5xx responses (default: ATTOM_MAX_RETRIES or 3)
+   * @param {number} options.retryBaseDelayMs - Backoff base when no Retry-After header is sent (default: ATTOM_RETRY_BASE_DELAY_MS or 2000)
+   * @param {number} options.minRequestIntervalMs - Minimum gap between requests (default: ATTOM_MIN_REQUEST_INTERVAL_MS or 500)
+   */
+  constructor(apiKey = process.env.ATTOM_API_KEY, options = {}) {
     if (!apiKey) {
       throw new Error('ATTOM API key is required');
     }
     
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.gateway.attomdata.com/propertyapi/v1.0.0';
+    
+    this.maxRetries = options.maxRetries ?? getNumberFromEnv('ATTOM_MAX_RETRIES', 3);
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? getNumberFromEnv('ATTOM_RETRY_BASE_DELAY_MS', 2000);
+    this.minRequestIntervalMs = options.minRequestIntervalMs ?? getNumberFromEnv('ATTOM_MIN_REQUEST_INTERVAL_MS', 500);
+    
+    // One entry per HTTP request, including retries
+    this.requestLog = [];
+    this.lastRequestAt = 0;
   }
   
   /**
    * Make a request to the ATTOM API
+   * Retries 429 and 5xx responses, honouring the Retry-After header when present
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
    * @returns {Promise<Object>} API response
@@ -29,32 +50,128 @@ class AttomApiClient {
       url.searchParams.append(key, value);
     });
     
-    console.log(`Making ATTOM API request to: ${url.toString()}`);
-    
-    // Make the request
-    const response = await fetch(url.toString(), {
-      headers: {
-        'accept': 'application/json',
-        'apikey': this.apiKey
+    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+      await this.throttle();
+      
+      console.log(`Making ATTOM API request to: ${url.toString()}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+      
+      const startedAt = Date.now();
+      const logEntry = {
+        endpoint,
+        params,
+        attempt,
+        requestedAt: new Date(startedAt).toISOString(),
+        status: null,
+        durationMs: null,
+        itemCount: null,
+        sizeKb: null,
+        retryAfterMs: null,
+        error: null
+      };
+      this.requestLog.push(logEntry);
+      
+      let response;
+      try {
+        // Make the request
+        response = await fetch(url.toString(), {
+          headers: {
+            'accept': 'application/json',
+            'apikey': this.apiKey
+          }
+        });
+      } catch (error) {
+        logEntry.durationMs = Date.now() - startedAt;
+        logEntry.error = error.message;
+        
+        if (attempt > this.maxRetries) {
+          throw new Error(`ATTOM API request failed: ${error.message}`);
+        }
+        
+        const delayMs = this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+        console.warn(`ATTOM API request error: ${error.message}. Retrying in ${delayMs}ms...`);
+        await sleep(delayMs);
+        continue;
       }
-    });
+      
+      logEntry.status = response.status;
+      logEntry.durationMs = Date.now() - startedAt;
+      
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt <= this.maxRetries) {
+        const delayMs = parseRetryAfter(response.headers.get('retry-after'))
+          ?? this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+        logEntry.retryAfterMs = delayMs;
+        
+        console.warn(`ATTOM API returned ${response.status} for ${endpoint}. Retrying in ${delayMs}ms...`);
+        await sleep(delayMs);
+        continue;
+      }
+      
+      const data = await response.json().catch(() => null);
+      
+      if (!response.ok) {
+        // ATTOM answers "no results" with a 400 and a SuccessWithoutResult status message
+        if (data?.status?.msg === 'SuccessWithoutResult') {
+          console.log(`ATTOM API returned no results for ${endpoint}`);
+          logEntry.itemCount = 0;
+          return data;
+        }
+        
+        logEntry.error = data?.status?.msg || `HTTP ${response.status}`;
+        const error = new Error(`ATTOM API request failed with status: ${response.status}${data?.status?.msg ? ` (${data.status.msg})` : ''}`);
+        error.status = response.status;
+        throw error;
+      }
+      
+      // Log the count of items found in the response
+      const { count, size } = this.logResponseCount(endpoint, data);
+      logEntry.itemCount = count;
+      logEntry.sizeKb = Number((size / 1024).toFixed(2));
+      
+      return data;
+    }
+  }
+  
+  /**
+   * Wait until at least minRequestIntervalMs has passed since the previous request
+   */
+  async throttle() {
+    const elapsed = Date.now() - this.lastRequestAt;
     
-    if (!response.ok) {
-      throw new Error(`ATTOM API request failed with status: ${response.status}`);
+    if (this.lastRequestAt && elapsed < this.minRequestIntervalMs) {
+      await sleep(this.minRequestIntervalMs - elapsed);
     }
     
-    const data = await response.json();
+    this.lastRequestAt = Date.now();
+  }
+  
+  /**
+   * Get the log of requests made by this client
+   * @returns {Array<Object>} Request log entries
+   */
+  getRequestLog() {
+    return this.requestLog;
+  }
+  
+  /**
+   * Log a summary of the requests made by this client
+   */
+  logRequestSummary() {
+    const retried = this.requestLog.filter(entry => entry.attempt > 1).length;
+    const rateLimited = this.requestLog.filter(entry => entry.status === 429).length;
+    const totalMs = this.requestLog.reduce((sum, entry) => sum + (entry.durationMs || 0), 0);
     
-    // Log the count of items found in the response
-    this.logResponseCount(endpoint, data);
+    console.log(`ATTOM API requests: ${this.requestLog.length} total, ${retried} retries, ${rateLimited} rate limited, ${(totalMs / 1000).toFixed(1)}s total`);
     
-    return data;
+    for (const entry of this.requestLog) {
+      console.log(`  ${entry.requestedAt} ${entry.endpoint} page=${entry.params.page ?? '-'} attempt=${entry.attempt} status=${entry.status ?? 'ERR'} items=${entry.itemCount ?? '-'} ${entry.durationMs}ms${entry.error ? ` error=${entry.error}` : ''}`);
+    }
   }
   
   /**
    * Log the count of items found in the API response
    * @param {string} endpoint - API endpoint
    * @param {Object} data - API response data
+   * @returns {Object} Item count and response size in bytes
    */
   logResponseCount(endpoint, data) {
     let count = 0;
@@ -83,7 +200,41 @@ class AttomApiClient {
     // Log the total size of the response
     const responseSize = JSON.stringify(data).length;
     console.log(`ATTOM API response size: ${(responseSize / 1024).toFixed(2)} KB`);
+    
+    return { count, size: responseSize };
   }
 }
 
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  
+  return null;
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = AttomApiClient;
@@ -5,8 +5,10 @@
 
 const AttomApiClient = require('./client');
 const saleApi = require('./sale');
+const propertyApi = require('./property');
 
 module.exports = {
   AttomApiClient,
-  ...saleApi
+  ...saleApi,
+  ...propertyApi
 };
@@ -0,0 +1,53 @@
+/**
+ * ATTOM Property API Functions
+ * Handles per-property detail calls keyed by attom_id
+ */
+
+const AttomApiClient = require('./client');
+
+/**
+ * Fetch building characteristics, lot and location details for a property
+ * @param {number|string} attomId - ATTOM property ID
+ * @param {AttomApiClient} client - Client to use (shares rate limiting and request log)
+ * @returns {Promise<Object>} Property detail data
+ */
+async function getPropertyDetail(attomId, client = new AttomApiClient()) {
+  return client.request('property/detail', { attomid: attomId });
+}
+
+/**
+ * Fetch assessed, appraised and market values plus tax amounts for a property
+ * @param {number|string} attomId - ATTOM property ID
+ * @param {AttomApiClient} client - Client to use
+ * @returns {Promise<Object>} Assessment detail data
+ */
+async function getAssessmentDetail(attomId, client = new AttomApiClient()) {
+  return client.request('assessment/detail', { attomid: attomId });
+}
+
+/**
+ * Fetch ATTOM's automated valuation (AVM) for a property
+ * @param {number|string} attomId - ATTOM property ID
+ * @param {AttomApiClient} client - Client to use
+ * @returns {Promise<Object>} AVM detail data
+ */
+async function getAvmDetail(attomId, client = new AttomApiClient()) {
+  return client.request('attomavm/detail', { attomid: attomId });
+}
+
+/**
+ * Fetch the full recorded transfer history for a property
+ * @param {number|string} attomId - ATTOM property ID
+ * @param {AttomApiClient} client - Client to use
+ * @returns {Promise<Object>} Sales history detail data
+ */
+async function getSalesHistoryDetail(attomId, client = new AttomApiClient()) {
+  return client.request('saleshistory/detail', { attomid: attomId });
+}
+
+module.exports = {
+  getPropertyDetail,
+  getAssessmentDetail,
+  getAvmDetail,
+  getSalesHistoryDetail
+};
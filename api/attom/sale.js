@@ -12,11 +12,10 @@ const AttomApiClient = require('./client');
  * @param {string} endDate - End date in format YYYY/MM/DD
  * @param {number} page - Page number
  * @param {number} pageSize - Page size
+ * @param {AttomApiClient} client - Client to use (shares rate limiting and request log across pages)
  * @returns {Promise<Object>} Sale data
  */
-async function getSaleSnapshot(geoIdV4, startDate, endDate, page = 1, pageSize = 100) {
-  const client = new AttomApiClient();
-  
+async function getSaleSnapshot(geoIdV4, startDate, endDate, page = 1, pageSize = 100, client = new AttomApiClient()) {
   return client.request('sale/snapshot', {
     geoIdV4,
     startSaleSearchDate: startDate,
@@ -27,6 +26,100 @@ async function getSaleSnapshot(geoIdV4, startDate, endDate, page = 1, pageSize =
   });
 }
 
+/**
+ * Iterate over every page of sale snapshot data until status.total is exhausted
+ * @param {string} geoIdV4 - Geographic ID
+ * @param {string} startDate - Start date in format YYYY/MM/DD
+ * @param {string} endDate - End date in format YYYY/MM/DD
+ * @param {Object} options - Pagination options
+ * @param {number} options.pageSize - Page size (default: 100)
+ * @param {number} options.maxPages - Safety limit on the number of pages (default: 100)
+ * @param {AttomApiClient} options.client - Client to use
+ * @yields {Object} Page result with page, pageSize, total, properties and the raw response
+ */
+async function* iterateSaleSnapshotPages(geoIdV4, startDate, endDate, options = {}) {
+  const pageSize = options.pageSize || 100;
+  const maxPages = options.maxPages || 100;
+  const client = options.client || new AttomApiClient();
+  
+  let fetched = 0;
+  
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await getSaleSnapshot(geoIdV4, startDate, endDate, page, pageSize, client);
+    const properties = data?.property || [];
+    const total = data?.status?.total ?? properties.length;
+    
+    fetched += properties.length;
+    console.log(`ATTOM sale snapshot page ${page}: ${properties.length} properties (${fetched}/${total})`);
+    
+    yield { page, pageSize, total, properties, data };
+    
+    // Stop once we have everything, or the API has nothing more to give
+    if (fetched >= total || properties.length < pageSize) {
+      return;
+    }
+    
+    if (page === maxPages) {
+      console.warn(`Stopped ATTOM sale snapshot pagination at maxPages=${maxPages} with ${fetched}/${total} properties fetched`);
+    }
+  }
+}
+
+/**
+ * Fetch every page of sale snapshot data and combine them into a single response
+ * The result keeps the sale/snapshot shape ({ status, property }) so existing processing works unchanged
+ * @param {string} geoIdV4 - Geographic ID
+ * @param {string} startDate - Start date in format YYYY/MM/DD
+ * @param {string} endDate - End date in format YYYY/MM/DD
+ * @param {Object} options - Pagination options (see iterateSaleSnapshotPages)
+ * @returns {Promise<Object>} Combined sale data with pages and requestLog
+ */
+async function getAllSaleSnapshot(geoIdV4, startDate, endDate, options = {}) {
+  const client = options.client || new AttomApiClient();
+  
+  const property = [];
+  const seen = new Set();
+  let status = null;
+  let pages = 0;
+  let duplicates = 0;
+  
+  for await (const page of iterateSaleSnapshotPages(geoIdV4, startDate, endDate, { ...options, client })) {
+    pages++;
+    status = status || page.data?.status || null;
+    
+    for (const item of page.properties) {
+      // New sales recorded mid-run can shift rows between pages, so skip repeats
+      const key = `${item.identifier?.attomId}-${item.sale?.saleTransDate}-${item.sale?.saleAmt}`;
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      property.push(item);
+    }
+  }
+  
+  if (duplicates > 0) {
+    console.log(`Skipped ${duplicates} duplicate sale records across pages`);
+  }
+  
+  console.log(`Fetched ${property.length} sale records across ${pages} page(s)`);
+  client.logRequestSummary();
+  
+  return {
+    status: {
+      ...status,
+      page: 1,
+      pagesize: property.length,
+      pages
+    },
+    property,
+    requestLog: client.getRequestLog()
+  };
+}
+
 module.exports = {
-  getSaleSnapshot
+  getSaleSnapshot,
+  iterateSaleSnapshotPages,
+  getAllSaleSnapshot
 };
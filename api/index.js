@@ -8,11 +8,13 @@ const rentCastApi = require('./rentCast');
 const zillowApi = require('./zillow');
 const redfinApi = require('./redfin');
 const realtorApi = require('./realtor');
+const resoApi = require('./reso');
 
 module.exports = {
   attom: attomApi,
   rentCast: rentCastApi,
   zillow: zillowApi,
   redfin: redfinApi,
-  realtor: realtorApi
+  realtor: realtorApi,
+  reso: resoApi
 };
@@ -3,184 +3,124 @@
  * Handles communication with the Apify Realtor scraper actor
  */
 
-// Load environment variables
-require('dotenv').config();
+const ApifyActorClient = require('../apify/client');
+const { getNumberFromEnv } = require('../../utils/config');
 
-// Import Apify client
-const { ApifyClient } = require('apify-client');
+// Listing types the scraper can search
+const SEARCH_MODES = ['BUY', 'RENT', 'SOLD'];
 
-class RealtorApiClient {
-  constructor(apiToken = process.env.APIFY_API_TOKEN) {
-    if (!apiToken) {
-      throw new Error('Apify API token is required');
-    }
-    
-    this.apiToken = apiToken;
-    this.actorId = 'epctex/realtor-scraper'; // The Realtor scraper actor ID
-    
-    // Create Apify client instance
-    this.client = new ApifyClient({
-      token: this.apiToken
+const REALTOR_BASE_URL = 'https://www.realtor.com';
+
+// Realtor.com search page per mode, for searches started from a URL
+const SEARCH_PAGES = {
+  BUY: location => `realestateandhomes-search/${location}`,
+  RENT: location => `apartments/${location}`,
+  SOLD: location => `realestateandhomes-search/${location}/show-recently-sold`
+};
+
+/**
+ * Get the default number of items per search
+ * @returns {number} REALTOR_MAX_ITEMS (default: 100)
+ */
+function getDefaultMaxItems() {
+  return getNumberFromEnv('REALTOR_MAX_ITEMS', 100);
+}
+
+/**
+ * Check a search mode and normalise its case
+ * @param {string} mode - BUY, RENT or SOLD
+ * @returns {string} Upper-case mode
+ */
+function normalizeMode(mode = 'BUY') {
+  const normalized = String(mode).toUpperCase();
+  if (!SEARCH_MODES.includes(normalized)) {
+    throw new Error(`Unknown Realtor search mode "${mode}". Use ${SEARCH_MODES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Build a Realtor.com search URL covering a radius around a location
+ * @param {string} location - Zip code (or Realtor.com location slug, e.g. Sharon_PA)
+ * @param {Object} options - URL options
+ * @param {string} options.mode - BUY (default), RENT or SOLD
+ * @param {number} options.radiusMiles - Radius in whole miles around the location
+ * @returns {string} Search URL
+ */
+function buildSearchUrl(location, options = {}) {
+  const page = SEARCH_PAGES[normalizeMode(options.mode)](encodeURIComponent(location));
+  return `${REALTOR_BASE_URL}/${page}${options.radiusMiles ? `/radius-${options.radiusMiles}` : ''}`;
+}
+
+class RealtorApiClient extends ApifyActorClient {
+  constructor(apiToken = process.env.APIFY_API_TOKEN, runConfig = {}) {
+    super({
+      actorId: 'epctex/realtor-scraper', // The Realtor scraper actor ID
+      source: 'realtor',
+      apiToken,
+      runConfig
     });
   }
   
   /**
-   * Search for Realtor listings by zip code
+   * Build the Realtor scraper input for a zip code
    * @param {string} zipCode - Zip code to search
    * @param {Object} options - Search options
-   * @returns {Promise<Object>} Scraper results
+   * @param {string} options.mode - BUY (default), RENT or SOLD
+   * @param {number} options.maxItems - Maximum items (default: REALTOR_MAX_ITEMS or 100)
+   * @returns {Object} Actor input
    */
-  async searchByZipCode(zipCode, options = {}) {
-    const input = {
+  buildSearchInput(zipCode, options = {}) {
+    return {
       search: zipCode,
-      mode: "BUY",
       proxy: {
         useApifyProxy: true
       },
-      maxItems: options.maxItems || 100,
-      includeFloorplans: false, // Not needed for BUY mode
-      ...options
+      includeFloorplans: false, // Floorplans are only useful for whole buildings
+      ...options,
+      mode: normalizeMode(options.mode),
+      maxItems: options.maxItems || getDefaultMaxItems()
     };
-    
-    console.log(`Starting Realtor scraper for zip code: ${zipCode}`);
-    console.log(`Scraper input:`, JSON.stringify(input, null, 2));
-    
-    try {
-      // Start the actor run
-      const run = await this.client.actor(this.actorId).call(input);
-      
-      console.log(`Realtor scraper run completed with status: ${run.status}`);
-      console.log(`Run ID: ${run.id}`);
-      
-      if (run.status !== 'SUCCEEDED') {
-        throw new Error(`Scraper run failed with status: ${run.status}`);
-      }
-      
-      // Get the results from the default dataset
-      const { items } = await this.client.dataset(run.defaultDatasetId).listItems();
-      
-      console.log(`Retrieved ${items.length} listings from Realtor scraper`);
-      
-      // Log the response size
-      const responseSize = JSON.stringify(items).length;
-      console.log(`Realtor API response size: ${(responseSize / 1024).toFixed(2)} KB`);
-      
-      return {
-        runId: run.id,
-        status: run.status,
-        itemCount: items.length,
-        items: items
-      };
-      
-    } catch (error) {
-      console.error(`Error in Realtor scraper for zip code ${zipCode}:`, error.message);
-      
-      if (error.response) {
-        console.error(`Response status: ${error.response.status}`);
-        console.error('Response data:', JSON.stringify(error.response.data));
-      }
-      
-      throw new Error(`Realtor scraper failed: ${error.message}`);
-    }
   }
   
   /**
    * Search for Realtor listings with custom parameters
-   * @param {Object} searchParams - Custom search parameters
+   * @param {Object} searchParams - Custom search parameters; run options (maxRetries, timeoutSecs, memoryMbytes, ...) are not sent to the actor
    * @returns {Promise<Object>} Scraper results
    */
   async searchWithParams(searchParams) {
+    const { runOptions, actorOptions } = ApifyActorClient.splitRunOptions(searchParams);
+    
     const input = {
-      mode: "BUY",
       proxy: {
         useApifyProxy: true
       },
-      maxItems: 100,
       includeFloorplans: false,
-      ...searchParams
+      ...actorOptions,
+      mode: normalizeMode(actorOptions.mode),
+      maxItems: actorOptions.maxItems || getDefaultMaxItems()
     };
     
     console.log(`Starting Realtor scraper with custom params`);
     console.log(`Scraper input:`, JSON.stringify(input, null, 2));
     
     try {
-      // Start the actor run
-      const run = await this.client.actor(this.actorId).call(input);
-      
-      console.log(`Realtor scraper run completed with status: ${run.status}`);
-      console.log(`Run ID: ${run.id}`);
+      const result = await this.runActor(input.search || (input.startUrls ? input.startUrls[0].url : 'custom'), input, runOptions);
       
-      if (run.status !== 'SUCCEEDED') {
-        throw new Error(`Scraper run failed with status: ${run.status}`);
-      }
+      console.log(`Retrieved ${result.itemCount} listings from Realtor scraper`);
       
-      // Get the results from the default dataset
-      const { items } = await this.client.dataset(run.defaultDatasetId).listItems();
-      
-      console.log(`Retrieved ${items.length} listings from Realtor scraper`);
-      
-      return {
-        runId: run.id,
-        status: run.status,
-        itemCount: items.length,
-        items: items
-      };
+      return result;
       
     } catch (error) {
       console.error(`Error in Realtor scraper:`, error.message);
-      
-      if (error.response) {
-        console.error(`Response status: ${error.response.status}`);
-        console.error('Response data:', JSON.stringify(error.response.data));
-      }
-      
-      throw new Error(`Realtor scraper failed: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Get run details and status
-   * @param {string} runId - The run ID to check
-   * @returns {Promise<Object>} Run details
-   */
-  async getRunStatus(runId) {
-    try {
-      const run = await this.client.run(runId).get();
-      return {
-        id: run.id,
-        status: run.status,
-        startedAt: run.startedAt,
-        finishedAt: run.finishedAt,
-        stats: run.stats
-      };
-    } catch (error) {
-      console.error(`Error getting run status for ${runId}:`, error.message);
       throw error;
     }
   }
-  
-  /**
-   * Wait for a run to complete
-   * @param {string} runId - The run ID to wait for
-   * @param {number} timeoutMs - Timeout in milliseconds (default: 5 minutes)
-   * @returns {Promise<Object>} Final run status
-   */
-  async waitForRun(runId, timeoutMs = 300000) {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeoutMs) {
-      const status = await this.getRunStatus(runId);
-      
-      if (status.status === 'SUCCEEDED' || status.status === 'FAILED') {
-        return status;
-      }
-      
-      console.log(`Run ${runId} status: ${status.status}, waiting...`);
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-    }
-    
-    throw new Error(`Run ${runId} timed out after ${timeoutMs}ms`);
-  }
 }
 
+RealtorApiClient.SEARCH_MODES = SEARCH_MODES;
+RealtorApiClient.normalizeMode = normalizeMode;
+RealtorApiClient.getDefaultMaxItems = getDefaultMaxItems;
+RealtorApiClient.buildSearchUrl = buildSearchUrl;
+
 module.exports = RealtorApiClient;
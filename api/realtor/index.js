@@ -5,6 +5,7 @@
 
 const RealtorApiClient = require('./client');
 const RealtorListingsApi = require('./listings');
+const { EXPECTED_SHAPES, getExpectedShape } = require('./raw-shape');
 
 // Create instances
 const client = new RealtorApiClient();
@@ -20,6 +21,18 @@ async function searchListingsByZipCode(zipCode, options = {}) {
   return await listings.searchListingsByZipCode(zipCode, options);
 }
 
+/**
+ * Search for listings within a radius of a point
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radiusMiles - Radius in miles
+ * @param {Object} options - Search options (mode, maxItems)
+ * @returns {Promise<Object>} Search results
+ */
+async function searchListingsByRadius(lat, lon, radiusMiles, options = {}) {
+  return await listings.searchListingsByRadius(lat, lon, radiusMiles, options);
+}
+
 /**
  * Get run status
  * @param {string} runId - Run ID to check
@@ -43,6 +56,9 @@ module.exports = {
   client,
   listings,
   searchListingsByZipCode,
+  searchListingsByRadius,
   getRunStatus,
-  waitForRun
+  waitForRun,
+  EXPECTED_SHAPES,
+  getExpectedShape
 };
@@ -4,6 +4,10 @@
  */
 
 const RealtorApiClient = require('./client');
+const { calculateDistance } = require('../../models/address-matcher');
+const { findNearestZip } = require('../../utils/zip-centroids');
+
+const METERS_PER_MILE = 1609.344;
 
 class RealtorListingsApi {
   constructor() {
@@ -14,17 +18,21 @@ class RealtorListingsApi {
    * Search for listings by zip code
    * @param {string} zipCode - Zip code to search
    * @param {Object} options - Search options
+   * @param {string} options.mode - BUY (default), RENT or SOLD
+   * @param {number} options.maxItems - Maximum items (default: REALTOR_MAX_ITEMS or 100)
    * @returns {Promise<Object>} Processed search results
    */
   async searchListingsByZipCode(zipCode, options = {}) {
+    const mode = RealtorApiClient.normalizeMode(options.mode);
+    
     try {
-      console.log(`Searching Realtor listings for zip code: ${zipCode}`);
+      console.log(`Searching Realtor ${mode} listings for zip code: ${zipCode}`);
       
       // Call the Apify scraper
-      const rawResults = await this.client.searchByZipCode(zipCode, options);
+      const rawResults = await this.client.searchByZipCode(zipCode, { ...options, mode });
       
       // Process and validate the results
-      const processedResults = this.processSearchResults(rawResults, zipCode);
+      const processedResults = this.processSearchResults(rawResults, zipCode, mode);
       
       console.log(`Processed ${processedResults.validListings} valid listings out of ${processedResults.totalItems} total items`);
       
@@ -35,14 +43,93 @@ class RealtorListingsApi {
     }
   }
   
+  /**
+   * Search for listings within a radius of a point
+   * The scraper starts from a Realtor.com radius search around the zip code nearest
+   * the point, widened by that zip's distance from the point so it covers the whole
+   * circle; results farther than radiusMiles from the point are then dropped
+   * @param {number} lat - Center latitude
+   * @param {number} lon - Center longitude
+   * @param {number} radiusMiles - Radius in miles
+   * @param {Object} options - Search options, as for searchListingsByZipCode
+   * @returns {Promise<Object>} Processed search results; each listing keeps its own postal code as zip5,
+   *   and truncated is set when the search hit maxItems and may have missed listings in the radius
+   */
+  async searchListingsByRadius(lat, lon, radiusMiles, options = {}) {
+    const centerLat = parseFloat(lat);
+    const centerLon = parseFloat(lon);
+    const radius = parseFloat(radiusMiles);
+    
+    if (isNaN(centerLat) || isNaN(centerLon) || isNaN(radius) || radius <= 0) {
+      throw new Error(`Invalid radius search: lat=${lat}, lon=${lon}, radius=${radiusMiles}`);
+    }
+    
+    const mode = RealtorApiClient.normalizeMode(options.mode);
+    const maxItems = options.maxItems || RealtorApiClient.getDefaultMaxItems();
+    const label = `${radius} miles of ${centerLat}, ${centerLon}`;
+    
+    const anchor = findNearestZip(centerLat, centerLon);
+    if (!anchor) {
+      throw new Error(`No zip centroid near ${centerLat}, ${centerLon} to anchor the radius search`);
+    }
+    const searchRadius = Math.ceil(radius + anchor.distanceMiles);
+    const searchUrl = RealtorApiClient.buildSearchUrl(anchor.zipCode, { mode, radiusMiles: searchRadius });
+    
+    try {
+      console.log(`Searching Realtor ${mode} listings within ${label} (${searchRadius} miles of zip ${anchor.zipCode})`);
+      
+      const rawResults = await this.client.searchWithParams({
+        ...options,
+        mode,
+        maxItems,
+        startUrls: [{ url: searchUrl }]
+      });
+      
+      const processedResults = this.processSearchResults(rawResults, null, mode);
+      
+      // Listings without coordinates can't be placed, so they are dropped too
+      const inRadius = processedResults.listings.filter(listing => {
+        const distance = calculateDistance(centerLat, centerLon, parseFloat(listing.latitude), parseFloat(listing.longitude));
+        return distance / METERS_PER_MILE <= radius;
+      });
+      
+      const truncated = rawResults.items.length >= maxItems;
+      console.log(`Kept ${inRadius.length} of ${processedResults.listings.length} listings within ${label}`);
+      if (truncated) {
+        console.warn(`Radius search hit its ${maxItems} item cap, so listings within ${label} may be missing; raise maxItems or narrow the radius`);
+      }
+      
+      return {
+        ...processedResults,
+        center: { lat: centerLat, lon: centerLon },
+        radiusMiles: radius,
+        searchUrl,
+        truncated,
+        outsideRadius: processedResults.listings.length - inRadius.length,
+        validListings: inRadius.length,
+        listings: inRadius
+      };
+    } catch (error) {
+      console.error(`Error searching Realtor listings within ${label}:`, error.message);
+      throw error;
+    }
+  }
+  
   /**
    * Process raw search results from Apify
    * @param {Object} rawResults - Raw results from Apify scraper
-   * @param {string} zipCode - Zip code being processed
+   * @param {string|null} zipCode - Zip code being processed (null for radius searches)
+   * @param {string} mode - BUY, RENT or SOLD; picks the transform
    * @returns {Object} Processed results
    */
-  processSearchResults(rawResults, zipCode) {
+  processSearchResults(rawResults, zipCode, mode = 'BUY') {
     const { items, runId, status, itemCount } = rawResults;
+    const transforms = {
+      BUY: listing => this.processListingData(listing, zipCode),
+      RENT: listing => this.processRentalListingData(listing, zipCode),
+      SOLD: listing => this.processSoldListingData(listing, zipCode)
+    };
+    const transform = transforms[mode];
     
     const processedListings = [];
     let validListings = 0;
@@ -58,7 +145,7 @@ class RealtorListingsApi {
         }
         
         // Process the listing data
-        const processedListing = this.processListingData(item, zipCode);
+        const processedListing = transform(item);
         processedListings.push(processedListing);
         validListings++;
         
@@ -70,12 +157,15 @@ class RealtorListingsApi {
     }
     
     return {
+      mode,
       runId,
       status,
       totalItems: itemCount,
       validListings,
       skippedListings,
-      listings: processedListings
+      listings: processedListings,
+      // Untransformed items, for schema drift checks and the raw payload archive
+      rawItems: items
     };
   }
   
@@ -110,7 +200,7 @@ class RealtorListingsApi {
       realtor_id: listing.id,
       url: listing.url,
       status: listing.status,
-      zip5: zipCode,
+      zip5: zipCode || listing.address?.postalCode || null,
       
       // Pricing information
       list_price: listing.listPrice,
@@ -265,6 +355,89 @@ class RealtorListingsApi {
     
     return processedListing;
   }
+  
+  /**
+   * Process a RENT search result for the realtor_rental_listing table
+   * Buildings list a rent range across units, so the low end stands in for the rent
+   * @param {Object} listing - Raw listing data
+   * @param {string|null} zipCode - Zip code being processed
+   * @returns {Object} Processed rental listing data
+   */
+  processRentalListingData(listing, zipCode) {
+    return {
+      realtor_id: listing.id,
+      status: listing.status,
+      zip5: zipCode || listing.address?.postalCode || null,
+      
+      // Rent
+      rent: listing.listPrice ?? listing.list_price_min ?? listing.listPriceMin ?? null,
+      rent_min: listing.list_price_min ?? listing.listPriceMin ?? null,
+      rent_max: listing.list_price_max ?? listing.listPriceMax ?? null,
+      
+      // Property details
+      beds: listing.beds ?? listing.beds_min ?? null,
+      baths: listing.baths ?? listing.baths_min ?? null,
+      sqft: listing.sqft ?? listing.sqft_min ?? null,
+      property_type: listing.type,
+      sub_type: listing.sub_type,
+      name: listing.name,
+      
+      // Location
+      latitude: listing.coordinates?.latitude,
+      longitude: listing.coordinates?.longitude,
+      street: listing.address?.street,
+      locality: listing.address?.locality,
+      region: listing.address?.region,
+      postal_code: listing.address?.postalCode,
+      
+      realtor_url: listing.url,
+      floorplans: listing.floorplans,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  }
+  
+  /**
+   * Process a SOLD search result for the realtor_sold_listing table
+   * @param {Object} listing - Raw listing data
+   * @param {string|null} zipCode - Zip code being processed
+   * @returns {Object} Processed sold listing data
+   */
+  processSoldListingData(listing, zipCode) {
+    const soldPrice = listing.lastSoldPrice ?? null;
+    
+    return {
+      realtor_id: listing.id,
+      status: listing.status,
+      zip5: zipCode || listing.address?.postalCode || null,
+      
+      // Sale
+      sold_price: soldPrice,
+      sold_date: listing.soldOn ? new Date(listing.soldOn).toISOString().split('T')[0] : null,
+      list_price: listing.listPrice ?? null,
+      price_per_sqft: soldPrice && listing.sqft > 0 ? Math.round((soldPrice / listing.sqft) * 100) / 100 : null,
+      
+      // Property details
+      beds: listing.beds,
+      baths: listing.baths,
+      sqft: listing.sqft,
+      lot_sqft: listing.lot_sqft,
+      year_built: listing.year_built,
+      property_type: listing.type,
+      sub_type: listing.sub_type,
+      
+      // Location
+      latitude: listing.coordinates?.latitude,
+      longitude: listing.coordinates?.longitude,
+      street: listing.address?.street,
+      locality: listing.address?.locality,
+      region: listing.address?.region,
+      postal_code: listing.address?.postalCode,
+      
+      realtor_url: listing.url,
+      price_history: listing.history,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  }
 }
 
 module.exports = RealtorListingsApi;
@@ -0,0 +1,95 @@
+/**
+ * Realtor Raw Item Shape
+ * Fields the Realtor transforms read from the scraper's raw items, used to detect
+ * schema drift when the actor renames or retypes fields
+ */
+
+// Fields shared by every search mode
+const BASE_SHAPE = {
+  id: { type: 'string|number' },
+  url: { type: 'string' },
+  status: { type: 'string' },
+  type: { type: 'string' },
+  sub_type: { type: 'string', optional: true },
+  beds: { type: 'number' },
+  baths: { type: 'number' },
+  sqft: { type: 'number' },
+  'coordinates.latitude': { type: 'number' },
+  'coordinates.longitude': { type: 'number' },
+  'address.street': { type: 'string' },
+  'address.locality': { type: 'string' },
+  'address.region': { type: 'string' },
+  'address.postalCode': { type: 'string' }
+};
+
+// Fields read by processListingData
+const BUY_SHAPE = {
+  ...BASE_SHAPE,
+  listPrice: { type: 'number' },
+  lastSoldPrice: { type: 'number', optional: true },
+  soldOn: { type: 'string', optional: true },
+  baths_full: { type: 'number', optional: true },
+  baths_half: { type: 'number', optional: true },
+  lot_sqft: { type: 'number', optional: true },
+  year_built: { type: 'number', optional: true },
+  stories: { type: 'number', optional: true },
+  garage: { type: 'number|string', optional: true },
+  heating: { type: 'string', optional: true },
+  cooling: { type: 'string', optional: true },
+  text: { type: 'string', optional: true },
+  neighborhood: { type: 'string|object', optional: true },
+  photos: { type: 'array', optional: true },
+  history: { type: 'array', optional: true },
+  taxHistory: { type: 'array', optional: true },
+  nearbySchools: { type: 'object', optional: true },
+  'nearbySchools.schools': { type: 'array', optional: true },
+  local: { type: 'object', optional: true },
+  'local.flood.flood_factor_score': { type: 'number', optional: true },
+  'local.flood.flood_factor_severity': { type: 'string', optional: true },
+  'local.wildfire.fire_factor_score': { type: 'number', optional: true },
+  'local.noise.score': { type: 'number', optional: true }
+};
+
+// Expected shape for each search mode
+const EXPECTED_SHAPES = {
+  BUY: BUY_SHAPE,
+  RENT: {
+    ...BASE_SHAPE,
+    // Buildings list ranges instead of a single price, beds, baths and sqft
+    listPrice: { type: 'number', optional: true },
+    list_price_min: { type: 'number', optional: true },
+    list_price_max: { type: 'number', optional: true },
+    beds: { type: 'number', optional: true },
+    baths: { type: 'number', optional: true },
+    sqft: { type: 'number', optional: true },
+    name: { type: 'string', optional: true },
+    floorplans: { type: 'array|object', optional: true }
+  },
+  SOLD: {
+    ...BASE_SHAPE,
+    lastSoldPrice: { type: 'number' },
+    soldOn: { type: 'string' },
+    listPrice: { type: 'number', optional: true },
+    lot_sqft: { type: 'number', optional: true },
+    year_built: { type: 'number', optional: true },
+    history: { type: 'array', optional: true }
+  }
+};
+
+/**
+ * Get the expected raw item shape for a search mode
+ * @param {string} mode - Search mode (BUY, RENT or SOLD)
+ * @returns {Object} Map of field path -> { type, optional }
+ */
+function getExpectedShape(mode = 'BUY') {
+  const shape = EXPECTED_SHAPES[String(mode).toUpperCase()];
+  if (!shape) {
+    throw new Error(`No expected Realtor shape for search mode "${mode}"`);
+  }
+  return shape;
+}
+
+module.exports = {
+  EXPECTED_SHAPES,
+  getExpectedShape
+};
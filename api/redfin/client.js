@@ -3,38 +3,32 @@
  * Handles communication with the Apify Redfin scraper actor
  */
 
-// Load environment variables
-require('dotenv').config();
+const ApifyActorClient = require('../apify/client');
+const { buildSearchUrl } = require('./search-url');
 
-// Import Apify client
-const { ApifyClient } = require('apify-client');
-
-class RedfinApiClient {
-  constructor(apiToken = process.env.APIFY_API_TOKEN) {
-    if (!apiToken) {
-      throw new Error('Apify API token is required');
-    }
-    
-    this.apiToken = apiToken;
-    this.actorId = 'tri_angle/redfin-search'; // The Redfin scraper actor ID
-    
-    // Create Apify client instance
-    this.client = new ApifyClient({
-      token: this.apiToken
+class RedfinApiClient extends ApifyActorClient {
+  constructor(apiToken = process.env.APIFY_API_TOKEN, runConfig = {}) {
+    super({
+      actorId: 'tri_angle/redfin-search', // The Redfin scraper actor ID
+      source: 'redfin',
+      apiToken,
+      runConfig
     });
   }
   
   /**
-   * Search for Redfin listings by zip code
+   * Build the Redfin scraper input for a zip code
    * @param {string} zipCode - Zip code to search
-   * @param {Object} options - Search options
-   * @returns {Promise<Object>} Scraper results
+   * @param {Object} options - Search options; mode and filters are used for the search URL, the rest is passed to the actor
+   * @returns {Object} Actor input
    */
-  async searchByZipCode(zipCode, options = {}) {
+  buildSearchInput(zipCode, options = {}) {
+    const { mode, filters, ...actorOptions } = options;
+    
     // Build Redfin search URL for the zip code
-    const searchUrl = this.buildRedfinSearchUrl(zipCode, options);
+    const searchUrl = this.buildRedfinSearchUrl(zipCode, { mode, filters });
     
-    const input = {
+    return {
       debugLog: false,
       searchUrls: [
         {
@@ -43,108 +37,24 @@ class RedfinApiClient {
         }
       ],
       zoomIn: true,
-      ...options
+      ...actorOptions
     };
-    
-    console.log(`Starting Redfin scraper for zip code: ${zipCode}`);
-    console.log(`Search URL: ${searchUrl}`);
-    console.log(`Scraper input:`, JSON.stringify(input, null, 2));
-    
-    try {
-      // Start the actor run
-      const run = await this.client.actor(this.actorId).call(input);
-      
-      console.log(`Redfin scraper run completed with status: ${run.status}`);
-      console.log(`Run ID: ${run.id}`);
-      
-      if (run.status !== 'SUCCEEDED') {
-        throw new Error(`Scraper run failed with status: ${run.status}`);
-      }
-      
-      // Get the results from the default dataset
-      const { items } = await this.client.dataset(run.defaultDatasetId).listItems();
-      
-      console.log(`Retrieved ${items.length} listings from Redfin scraper`);
-      
-      // Log the response size
-      const responseSize = JSON.stringify(items).length;
-      console.log(`Redfin API response size: ${(responseSize / 1024).toFixed(2)} KB`);
-      
-      return {
-        runId: run.id,
-        status: run.status,
-        itemCount: items.length,
-        items: items
-      };
-      
-    } catch (error) {
-      console.error(`Error in Redfin scraper for zip code ${zipCode}:`, error.message);
-      
-      if (error.response) {
-        console.error(`Response status: ${error.response.status}`);
-        console.error('Response data:', JSON.stringify(error.response.data));
-      }
-      
-      throw new Error(`Redfin scraper failed: ${error.message}`);
-    }
   }
   
   /**
    * Build Redfin search URL for a specific zip code
    * @param {string} zipCode - Zip code to search
    * @param {Object} options - Search options
+   * @param {string} options.mode - Search mode: sale (default), sold or rent
+   * @param {Object} options.filters - Filter segments (property types, price and beds ranges, sold within days)
    * @returns {string} Formatted Redfin search URL
    */
   buildRedfinSearchUrl(zipCode, options = {}) {
-    // Use the standard Redfin zipcode URL format
-    const searchUrl = `https://www.redfin.com/zipcode/${zipCode}`;
-    console.log(`Built Redfin URL for ${zipCode}: ${searchUrl}`);
+    const mode = options.mode || 'sale';
+    const searchUrl = buildSearchUrl(zipCode, options.filters, mode);
+    console.log(`Built Redfin ${mode} URL for ${zipCode}: ${searchUrl}`);
     return searchUrl;
   }
-  
-  /**
-   * Get run details and status
-   * @param {string} runId - The run ID to check
-   * @returns {Promise<Object>} Run details
-   */
-  async getRunStatus(runId) {
-    try {
-      const run = await this.client.run(runId).get();
-      return {
-        id: run.id,
-        status: run.status,
-        startedAt: run.startedAt,
-        finishedAt: run.finishedAt,
-        stats: run.stats
-      };
-    } catch (error) {
-      console.error(`Error getting run status for ${runId}:`, error.message);
-      throw error;
-    }
-  }
-  
-  /**
-   * Wait for a run to complete
-   * @param {string} runId - The run ID to wait for
-   * @param {number} timeoutMs - Timeout in milliseconds (default: 5 minutes)
-   * @returns {Promise<Object>} Final run status
-   */
-  async waitForRun(runId, timeoutMs = 300000) {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeoutMs) {
-      const status = await this.getRunStatus(runId);
-      
-      if (status.status === 'SUCCEEDED' || status.status === 'FAILED') {
-        return status;
-      }
-      
-      console.log(`Run ${runId} status: ${status.status}, waiting...`);
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds
-    }
-    
-    throw new Error(`Run ${runId} timed out after ${timeoutMs}ms`);
-  }
 }
 
 module.exports = RedfinApiClient;
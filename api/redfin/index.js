@@ -5,8 +5,12 @@
 
 const RedfinApiClient = require('./client');
 const listingsApi = require('./listings');
+const searchUrl = require('./search-url');
+const rawShape = require('./raw-shape');
 
 module.exports = {
   RedfinApiClient,
-  ...listingsApi
+  ...listingsApi,
+  ...searchUrl,
+  ...rawShape
 };
@@ -5,17 +5,32 @@
 
 const RedfinApiClient = require('./client');
 
+// Transform used for each search mode
+const TRANSFORMS_BY_MODE = {
+  sale: transformRedfinListingData,
+  sold: transformRedfinSoldListingData,
+  rent: transformRedfinRentalListingData
+};
+
 /**
  * Search for Redfin listings by zip code
  * @param {string} zipCode - Zip code to search
  * @param {Object} options - Search options
+ * @param {string} options.mode - Search mode: sale (default), sold or rent
+ * @param {Object} options.filters - URL filter segments (see search-url.js)
  * @returns {Promise<Object>} Processed listings data
  */
 async function searchListingsByZipCode(zipCode, options = {}) {
   const client = new RedfinApiClient();
+  const mode = options.mode || 'sale';
+  const transform = TRANSFORMS_BY_MODE[mode];
+  
+  if (!transform) {
+    throw new Error(`Unknown Redfin search mode "${mode}". Use ${Object.keys(TRANSFORMS_BY_MODE).join(', ')}`);
+  }
   
   try {
-    console.log(`Searching Redfin listings for zip code: ${zipCode}`);
+    console.log(`Searching Redfin ${mode} listings for zip code: ${zipCode}`);
     
     // Search using the Apify scraper
     const results = await client.searchByZipCode(zipCode, options);
@@ -26,20 +41,19 @@ async function searchListingsByZipCode(zipCode, options = {}) {
       console.log('First raw item structure:', JSON.stringify(results.items[0], null, 2));
     }
     
-    const processedListings = results.items.map((listing, index) => {
-      const transformed = transformRedfinListingData(listing, zipCode);
-      console.log(`Item ${index}: redfin_id = ${transformed?.redfin_id}, propertyId = ${listing.propertyId}, listingId = ${listing.listingId}`);
-      return transformed;
-    }).filter(listing => listing && listing.redfin_id); // Filter out invalid listings
+    const processedListings = transformListings(results.items, zipCode, mode);
     
     console.log(`Processed ${processedListings.length} valid listings for zip ${zipCode}`);
     
     return {
       zipCode,
+      mode,
       runId: results.runId,
       totalItems: results.itemCount,
       validListings: processedListings.length,
-      listings: processedListings
+      listings: processedListings,
+      // Untransformed items, for schema drift checks and the raw payload archive
+      rawItems: results.items
     };
     
   } catch (error) {
@@ -48,8 +62,52 @@ async function searchListingsByZipCode(zipCode, options = {}) {
   }
 }
 
+/**
+ * Search for recently sold homes by zip code
+ * @param {string} zipCode - Zip code to search
+ * @param {Object} options - Search options; filters.soldWithinDays sets the sold window (default: 180)
+ * @returns {Promise<Object>} Processed sold listings data
+ */
+async function searchSoldListingsByZipCode(zipCode, options = {}) {
+  return searchListingsByZipCode(zipCode, { ...options, mode: 'sold' });
+}
+
+/**
+ * Search for rentals by zip code
+ * @param {string} zipCode - Zip code to search
+ * @param {Object} options - Search options; price filters apply to the monthly rent
+ * @returns {Promise<Object>} Processed rental listings data
+ */
+async function searchRentalListingsByZipCode(zipCode, options = {}) {
+  return searchListingsByZipCode(zipCode, { ...options, mode: 'rent' });
+}
+
+/**
+ * Transform raw scraper items for a search mode, dropping invalid listings
+ * Used for live searches and for reprocessing archived payloads
+ * @param {Array<Object>} items - Raw Redfin items
+ * @param {string} zipCode - Zip code being processed
+ * @param {string} mode - Search mode: sale (default), sold or rent
+ * @returns {Array<Object>} Transformed listings
+ */
+function transformListings(items, zipCode, mode = 'sale') {
+  const transform = TRANSFORMS_BY_MODE[mode];
+  
+  if (!transform) {
+    throw new Error(`Unknown Redfin search mode "${mode}". Use ${Object.keys(TRANSFORMS_BY_MODE).join(', ')}`);
+  }
+  
+  return items.map((listing, index) => {
+    const transformed = transform(listing, zipCode);
+    console.log(`Item ${index}: redfin_id = ${transformed?.redfin_id}, propertyId = ${listing.propertyId}, listingId = ${listing.listingId}`);
+    return transformed;
+  }).filter(listing => listing && listing.redfin_id); // Filter out invalid listings
+}
+
 /**
  * Transform Redfin listing data to our database schema
+ * For sold records Redfin's price is the sale price, so it goes to sold_price and
+ * price only carries the list price when the record includes one
  * @param {Object} listing - Raw Redfin listing data
  * @param {string} zipCode - Zip code being processed
  * @returns {Object} Transformed listing data
@@ -63,6 +121,8 @@ function transformRedfinListingData(listing, zipCode) {
       console.log('=== END RAW DATA ===\n');
     }
     
+    const isSold = extractNumericValue(listing.soldDate) !== null;
+    
     const transformed = {
       // IDs and References
       redfin_id: listing.propertyId?.toString(),
@@ -76,7 +136,8 @@ function transformRedfinListingData(listing, zipCode) {
       state: listing.state,
       
       // Pricing Information
-      price: extractNumericValue(listing.price),
+      price: isSold ? extractNumericValue(listing.listPrice) : extractNumericValue(listing.price),
+      sold_price: isSold ? extractNumericValue(listing.price) : null,
       price_per_sqft: extractNumericValue(listing.pricePerSqFt),
       hoa_fee: extractNumericValue(listing.hoa),
       
@@ -94,7 +155,7 @@ function transformRedfinListingData(listing, zipCode) {
       search_status: listing.searchStatus,
       dom: extractNumericValue(listing.dom), // days on market
       time_on_redfin: extractNumericValue(listing.timeOnRedfin),
-      sold_date: listing.soldDate, // timestamp in milliseconds
+      sold_date: parseEpochDate(extractNumericValue(listing.soldDate)), // Redfin sends milliseconds
       last_updated: new Date().toISOString().split('T')[0],
       
       // Location Coordinates
@@ -160,6 +221,115 @@ function transformRedfinListingData(listing, zipCode) {
   }
 }
 
+/**
+ * Transform a recently sold Redfin result to the redfin_sold_listing schema
+ * @param {Object} listing - Raw Redfin listing data
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Object} Transformed sold listing data
+ */
+function transformRedfinSoldListingData(listing, zipCode) {
+  try {
+    return {
+      // IDs and References
+      redfin_id: listing.propertyId?.toString(),
+      listing_id: listing.listingId?.toString(),
+      mls_id: extractValue(listing.mlsId),
+      
+      // Location Information
+      zip5: listing.zip || extractValue(listing.postalCode) || zipCode,
+      address: extractValue(listing.streetLine),
+      city: listing.city,
+      state: listing.state,
+      
+      // Sale
+      sold_price: extractNumericValue(listing.price),
+      sold_date: parseEpochDate(extractNumericValue(listing.soldDate)),
+      list_price: extractNumericValue(listing.listPrice),
+      price_per_sqft: extractNumericValue(listing.pricePerSqFt),
+      
+      // Property Details
+      bedrooms: listing.beds,
+      bathrooms: listing.baths,
+      sqft: extractNumericValue(listing.sqFt),
+      lot_size: extractNumericValue(listing.lotSize),
+      year_built: extractNumericValue(listing.yearBuilt),
+      property_type: listing.propertyType,
+      mls_status: listing.mlsStatus,
+      dom: extractNumericValue(listing.dom),
+      
+      // Location Coordinates
+      lat: extractLatLong(listing.latLong, 'latitude'),
+      lon: extractLatLong(listing.latLong, 'longitude'),
+      
+      // Additional Information
+      redfin_url: listing.url,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  } catch (error) {
+    console.error(`Error transforming sold listing data for propertyId ${listing.propertyId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Transform a Redfin rental result to the redfin_rental_listing schema
+ * Redfin's price on a rental is the asking monthly rent
+ * @param {Object} listing - Raw Redfin listing data
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Object} Transformed rental listing data
+ */
+function transformRedfinRentalListingData(listing, zipCode) {
+  try {
+    return {
+      // IDs and References
+      redfin_id: listing.propertyId?.toString(),
+      listing_id: listing.listingId?.toString(),
+      
+      // Location Information
+      zip5: listing.zip || extractValue(listing.postalCode) || zipCode,
+      address: extractValue(listing.streetLine),
+      city: listing.city,
+      state: listing.state,
+      
+      // Rent
+      rent: extractNumericValue(listing.price),
+      
+      // Property Details
+      bedrooms: listing.beds,
+      bathrooms: listing.baths,
+      sqft: extractNumericValue(listing.sqFt),
+      property_type: listing.propertyType,
+      mls_status: listing.mlsStatus,
+      dom: extractNumericValue(listing.dom),
+      
+      // Location Coordinates
+      lat: extractLatLong(listing.latLong, 'latitude'),
+      lon: extractLatLong(listing.latLong, 'longitude'),
+      
+      // Additional Information
+      redfin_url: listing.url,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  } catch (error) {
+    console.error(`Error transforming rental listing data for propertyId ${listing.propertyId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Helper function to convert an epoch milliseconds timestamp to a YYYY-MM-DD date
+ * @param {number|null} value - Epoch milliseconds
+ * @returns {string|null} Date string or null
+ */
+function parseEpochDate(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
 /**
  * Helper function to safely extract values from Redfin's nested value objects
  * @param {any} valueObj - Value object that may have a 'value' or 'level' property
@@ -298,5 +468,10 @@ function parseFloatValue(value) {
 
 module.exports = {
   searchListingsByZipCode,
-  transformRedfinListingData
+  transformListings,
+  searchSoldListingsByZipCode,
+  searchRentalListingsByZipCode,
+  transformRedfinListingData,
+  transformRedfinSoldListingData,
+  transformRedfinRentalListingData
 };
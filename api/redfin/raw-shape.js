@@ -0,0 +1,126 @@
+/**
+ * Redfin Raw Item Shape
+ * Fields the Redfin transforms read from the scraper's raw items, used to detect
+ * schema drift when the actor renames or retypes fields
+ * Many Redfin values arrive wrapped as { value: x }, so those fields accept objects
+ */
+
+// Fields read by transformRedfinListingData
+const SALE_SHAPE = {
+  propertyId: { type: 'number|string' },
+  listingId: { type: 'number|string' },
+  mlsId: { type: 'object|string' },
+  zip: { type: 'string' },
+  postalCode: { type: 'object|string', optional: true },
+  streetLine: { type: 'object|string' },
+  city: { type: 'string' },
+  state: { type: 'string' },
+  price: { type: 'object|number' },
+  pricePerSqFt: { type: 'object|number' },
+  hoa: { type: 'object|number', optional: true },
+  beds: { type: 'number' },
+  baths: { type: 'number' },
+  sqFt: { type: 'object|number' },
+  lotSize: { type: 'object|number', optional: true },
+  yearBuilt: { type: 'object|number' },
+  propertyType: { type: 'number|string' },
+  listingType: { type: 'number|string' },
+  mlsStatus: { type: 'string' },
+  searchStatus: { type: 'number|string' },
+  dom: { type: 'object|number' },
+  timeOnRedfin: { type: 'object|number' },
+  latLong: { type: 'object' },
+  url: { type: 'string' },
+  listingRemarks: { type: 'string', optional: true },
+  'listingAgent.name': { type: 'string', optional: true },
+  'listingAgent.redfinAgentId': { type: 'number|string', optional: true },
+  hasVirtualTour: { type: 'boolean', optional: true },
+  hasVideoTour: { type: 'boolean', optional: true },
+  has3DTour: { type: 'boolean', optional: true },
+  isHot: { type: 'boolean', optional: true },
+  isNewConstruction: { type: 'boolean', optional: true },
+  marketId: { type: 'number|string' },
+  dataSourceId: { type: 'object|number' },
+  businessMarketId: { type: 'number|string' },
+  timeZone: { type: 'string' },
+  primaryPhotoDisplayLevel: { type: 'number' },
+  'photos.level': { type: 'number', optional: true },
+  showAddressOnMap: { type: 'boolean' },
+  uiPropertyType: { type: 'number' },
+  countryCode: { type: 'string' },
+  servicePolicyId: { type: 'number', optional: true },
+  isRedfin: { type: 'boolean' },
+  isShortlisted: { type: 'boolean' },
+  isViewedListing: { type: 'boolean' }
+};
+
+// Fields read by transformRedfinSoldListingData
+const SOLD_SHAPE = {
+  propertyId: SALE_SHAPE.propertyId,
+  listingId: SALE_SHAPE.listingId,
+  mlsId: SALE_SHAPE.mlsId,
+  zip: SALE_SHAPE.zip,
+  postalCode: SALE_SHAPE.postalCode,
+  streetLine: SALE_SHAPE.streetLine,
+  city: SALE_SHAPE.city,
+  state: SALE_SHAPE.state,
+  price: SALE_SHAPE.price,
+  soldDate: { type: 'number|string' },
+  listPrice: { type: 'object|number', optional: true },
+  pricePerSqFt: SALE_SHAPE.pricePerSqFt,
+  beds: SALE_SHAPE.beds,
+  baths: SALE_SHAPE.baths,
+  sqFt: SALE_SHAPE.sqFt,
+  lotSize: SALE_SHAPE.lotSize,
+  yearBuilt: SALE_SHAPE.yearBuilt,
+  propertyType: SALE_SHAPE.propertyType,
+  mlsStatus: SALE_SHAPE.mlsStatus,
+  dom: { type: 'object|number', optional: true },
+  latLong: SALE_SHAPE.latLong,
+  url: SALE_SHAPE.url
+};
+
+// Fields read by transformRedfinRentalListingData
+const RENT_SHAPE = {
+  propertyId: SALE_SHAPE.propertyId,
+  listingId: { type: 'number|string', optional: true },
+  zip: SALE_SHAPE.zip,
+  postalCode: SALE_SHAPE.postalCode,
+  streetLine: SALE_SHAPE.streetLine,
+  city: SALE_SHAPE.city,
+  state: SALE_SHAPE.state,
+  price: SALE_SHAPE.price,
+  beds: SALE_SHAPE.beds,
+  baths: SALE_SHAPE.baths,
+  sqFt: SALE_SHAPE.sqFt,
+  propertyType: SALE_SHAPE.propertyType,
+  mlsStatus: { type: 'string', optional: true },
+  dom: { type: 'object|number', optional: true },
+  latLong: SALE_SHAPE.latLong,
+  url: SALE_SHAPE.url
+};
+
+// Expected shape for each search mode
+const EXPECTED_SHAPES = {
+  sale: SALE_SHAPE,
+  sold: SOLD_SHAPE,
+  rent: RENT_SHAPE
+};
+
+/**
+ * Get the expected raw item shape for a search mode
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Object} Map of field path -> { type, optional }
+ */
+function getExpectedShape(mode = 'sale') {
+  const shape = EXPECTED_SHAPES[mode];
+  if (!shape) {
+    throw new Error(`No expected Redfin shape for search mode "${mode}"`);
+  }
+  return shape;
+}
+
+module.exports = {
+  EXPECTED_SHAPES,
+  getExpectedShape
+};
@@ -0,0 +1,136 @@
+/**
+ * Redfin Search URL Builder
+ * Builds Redfin zip code search URLs with filter segments
+ * (e.g. /zipcode/16146/filter/property-type=house,max-price=250k,include=sold-6mo)
+ */
+
+const REDFIN_BASE_URL = 'https://www.redfin.com';
+
+// Property types accepted by the property-type filter
+const PROPERTY_TYPES = ['house', 'condo', 'townhouse', 'multifamily', 'land', 'manufactured', 'co-op', 'other'];
+
+// Sold windows Redfin offers, in days, and their include= values
+const SOLD_WITHIN_OPTIONS = [
+  { days: 7, value: 'sold-1wk' },
+  { days: 30, value: 'sold-1mo' },
+  { days: 90, value: 'sold-3mo' },
+  { days: 180, value: 'sold-6mo' },
+  { days: 365, value: 'sold-1yr' },
+  { days: 730, value: 'sold-2yr' },
+  { days: 1095, value: 'sold-3yr' },
+  { days: 1825, value: 'sold-5yr' }
+];
+
+// Path segment and default filters for each search mode
+const SEARCH_MODES = {
+  sale: { pathSegment: '', defaultFilters: {} },
+  sold: { pathSegment: '', defaultFilters: { soldWithinDays: 180 } },
+  rent: { pathSegment: '/apartments-for-rent', defaultFilters: {} }
+};
+
+/**
+ * Get the settings for a search mode
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Object} Mode settings
+ */
+function getSearchMode(mode = 'sale') {
+  const settings = SEARCH_MODES[mode];
+  if (!settings) {
+    throw new Error(`Unknown Redfin search mode "${mode}". Use ${Object.keys(SEARCH_MODES).join(', ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Format a price the way Redfin writes it in filter URLs (250000 -> 250k, 1500000 -> 1.5M)
+ * @param {number} price - Price in USD
+ * @returns {string} Formatted price
+ */
+function formatPrice(price) {
+  const value = Number(price);
+  if (value >= 1000000 && value % 100000 === 0) {
+    return `${value / 1000000}M`;
+  }
+  if (value >= 1000 && value % 1000 === 0) {
+    return `${value / 1000}k`;
+  }
+  return String(value);
+}
+
+/**
+ * Get the smallest Redfin sold window that covers the requested number of days
+ * @param {number} days - Sold within this many days
+ * @returns {string} include= value (e.g. sold-3mo)
+ */
+function getSoldWithinValue(days) {
+  const windowDays = Number(days) || SEARCH_MODES.sold.defaultFilters.soldWithinDays;
+  const option = SOLD_WITHIN_OPTIONS.find(o => o.days >= windowDays);
+  return (option || SOLD_WITHIN_OPTIONS[SOLD_WITHIN_OPTIONS.length - 1]).value;
+}
+
+/**
+ * Build the comma-separated filter segments for a search
+ * @param {Object} filters - Search filters
+ * @param {Array<string>} filters.propertyTypes - Property types to include (see PROPERTY_TYPES)
+ * @param {number} filters.minPrice - Minimum price (monthly rent for rent searches)
+ * @param {number} filters.maxPrice - Maximum price (monthly rent for rent searches)
+ * @param {number} filters.minBeds - Minimum bedrooms
+ * @param {number} filters.maxBeds - Maximum bedrooms
+ * @param {number} filters.minBaths - Minimum bathrooms
+ * @param {number} filters.soldWithinDays - Sold searches only: sold within this many days
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Array<string>} Filter segments
+ */
+function buildFilterSegments(filters = {}, mode = 'sale') {
+  const segments = [];
+  
+  if (Array.isArray(filters.propertyTypes) && filters.propertyTypes.length > 0) {
+    const unknownTypes = filters.propertyTypes.filter(type => !PROPERTY_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      console.warn(`Ignoring unknown Redfin property types: ${unknownTypes.join(', ')}`);
+    }
+    
+    const types = filters.propertyTypes.filter(type => PROPERTY_TYPES.includes(type));
+    if (types.length > 0) {
+      segments.push(`property-type=${types.join('+')}`);
+    }
+  }
+  
+  if (filters.minPrice != null) segments.push(`min-price=${formatPrice(filters.minPrice)}`);
+  if (filters.maxPrice != null) segments.push(`max-price=${formatPrice(filters.maxPrice)}`);
+  if (filters.minBeds != null) segments.push(`min-beds=${Number(filters.minBeds)}`);
+  if (filters.maxBeds != null) segments.push(`max-beds=${Number(filters.maxBeds)}`);
+  if (filters.minBaths != null) segments.push(`min-baths=${Number(filters.minBaths)}`);
+  
+  if (mode === 'sold') {
+    segments.push(`include=${getSoldWithinValue(filters.soldWithinDays)}`);
+  }
+  
+  return segments;
+}
+
+/**
+ * Build a Redfin search URL for a zip code
+ * @param {string} zipCode - Zip code
+ * @param {Object} filters - Search filters (see buildFilterSegments)
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {string} Redfin search URL
+ */
+function buildSearchUrl(zipCode, filters = {}, mode = 'sale') {
+  const modeSettings = getSearchMode(mode);
+  const segments = buildFilterSegments({ ...modeSettings.defaultFilters, ...filters }, mode);
+  
+  const filterPath = segments.length > 0 ? `/filter/${segments.join(',')}` : '';
+  return `${REDFIN_BASE_URL}/zipcode/${zipCode}${modeSettings.pathSegment}${filterPath}`;
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  SOLD_WITHIN_OPTIONS,
+  SEARCH_MODES,
+  getSearchMode,
+  formatPrice,
+  getSoldWithinValue,
+  buildFilterSegments,
+  buildSearchUrl
+};
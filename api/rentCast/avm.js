@@ -0,0 +1,62 @@
+/**
+ * RentCast AVM API Functions
+ * Handles rent estimate (AVM) API calls
+ */
+
+const RentCastApiClient = require('./client');
+
+// Number of comparables RentCast should use for each estimate (5-25)
+const DEFAULT_COMP_COUNT = 10;
+
+/**
+ * Get a long-term rent estimate for a single property
+ * Either address or latitude/longitude must be provided; the remaining
+ * attributes improve the estimate when RentCast has no public record for the property
+ * @param {Object} property - Property attributes
+ * @param {string} property.address - Full property address
+ * @param {number} property.latitude - Latitude
+ * @param {number} property.longitude - Longitude
+ * @param {string} property.propertyType - RentCast property type (Single Family, Condo, ...)
+ * @param {number} property.bedrooms - Number of bedrooms
+ * @param {number} property.bathrooms - Number of bathrooms
+ * @param {number} property.squareFootage - Living area in sqft
+ * @param {Object} options - Estimate options
+ * @param {number} options.compCount - Number of comparables to use (default: DEFAULT_COMP_COUNT)
+ * @param {number} options.maxRadius - Maximum comparable distance in miles
+ * @param {number} options.daysOld - Maximum comparable age in days
+ * @param {RentCastApiClient} options.client - Client to use, so a shared quota counts the request
+ * @returns {Promise<Object>} Rent estimate with rent, rentRangeLow, rentRangeHigh and comparables
+ */
+async function getRentEstimate(property, options = {}) {
+  const client = options.client || new RentCastApiClient();
+  
+  const params = {
+    address: property.address,
+    latitude: property.latitude,
+    longitude: property.longitude,
+    propertyType: property.propertyType,
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms,
+    squareFootage: property.squareFootage,
+    compCount: options.compCount || DEFAULT_COMP_COUNT,
+    maxRadius: options.maxRadius,
+    daysOld: options.daysOld
+  };
+  
+  // Drop unset parameters so RentCast doesn't receive empty values
+  Object.keys(params).forEach(key => {
+    if (params[key] === undefined || params[key] === null || params[key] === '') {
+      delete params[key];
+    }
+  });
+  
+  if (!params.address && (params.latitude === undefined || params.longitude === undefined)) {
+    throw new Error('RentCast rent estimate requires an address or latitude/longitude');
+  }
+  
+  return client.request('avm/rent/long-term', params);
+}
+
+module.exports = {
+  getRentEstimate
+};
@@ -10,13 +10,19 @@ require('dotenv').config();
 const axios = require('axios');
 
 class RentCastApiClient {
-  constructor(apiKey = process.env.RENTCAST_API_KEY) {
+  /**
+   * @param {string} apiKey - RentCast API key
+   * @param {Object} options - Client options
+   * @param {RentCastQuota} options.quota - Quota every request is counted against (optional)
+   */
+  constructor(apiKey = process.env.RENTCAST_API_KEY, options = {}) {
     if (!apiKey) {
       throw new Error('RentCast API key is required');
     }
     
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.rentcast.io/v1';
+    this.quota = options.quota || null;
     
     // Create axios instance with default config
     this.axios = axios.create({
@@ -33,11 +39,17 @@ class RentCastApiClient {
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
    * @returns {Promise<Object>} API response
+   * @throws {RentCastQuotaExceededError} When the quota has no requests left
    */
   async request(endpoint, params = {}) {
     // Build URL with query parameters
     const url = endpoint;
     
+    // Count the request before sending it so failed requests are billed too
+    if (this.quota) {
+      await this.quota.consume(endpoint);
+    }
+    
     console.log(`Making RentCast API request to: ${this.baseUrl}/${url}`);
     console.log(`API Key: ${this.apiKey.substring(0, 4)}...${this.apiKey.substring(this.apiKey.length - 4)}`);
     console.log('Query parameters:', params);
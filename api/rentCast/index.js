@@ -5,8 +5,12 @@
 
 const RentCastApiClient = require('./client');
 const listingsApi = require('./listings');
+const avmApi = require('./avm');
+const quotaApi = require('./quota');
 
 module.exports = {
   RentCastApiClient,
-  ...listingsApi
+  ...listingsApi,
+  ...avmApi,
+  ...quotaApi
 };
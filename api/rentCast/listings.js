@@ -4,22 +4,19 @@
  */
 
 const RentCastApiClient = require('./client');
-
-// Configuration constants - easy to change in one place
-const DEFAULT_BATCH_SIZE = 50; // Number of listings to fetch per request
-const MAX_TOTAL_LISTINGS = 50; // Maximum total number of listings to fetch across all requests
+const { RentCastQuotaExceededError } = require('./quota');
+const { getRentCastConfig } = require('../../utils/config');
 
 /**
  * Get listings by zip code (using the listings/sale endpoint)
  * @param {string} zipCode - Zip code to search for
- * @param {number} limit - Maximum number of listings to return per request (default: DEFAULT_BATCH_SIZE)
+ * @param {number} limit - Maximum number of listings to return per request (default: RENTCAST_BATCH_SIZE)
  * @param {number} offset - Offset for pagination (default: 0)
  * @param {number} daysOld - Number of days old the listings should be (default: 1)
+ * @param {RentCastApiClient} client - Client to use, so a shared quota counts the request
  * @returns {Promise<Object>} Listings data
  */
-async function getListingsByZipCode(zipCode, limit = DEFAULT_BATCH_SIZE, offset = 0, daysOld = 1) {
-  const client = new RentCastApiClient();
-  
+async function getListingsByZipCode(zipCode, limit = getRentCastConfig().batchSize, offset = 0, daysOld = 1, client = new RentCastApiClient()) {
   const params = {
     zipCode,
     limit,
@@ -35,68 +32,140 @@ async function getListingsByZipCode(zipCode, limit = DEFAULT_BATCH_SIZE, offset
 
 /**
  * Get all listings in a zip code (handles pagination)
+ * Stops early, returning what was fetched, when the client's quota runs out
  * @param {string} zipCode - Zip code to search for
- * @param {number} batchSize - Number of listings to fetch per request (default: DEFAULT_BATCH_SIZE)
- * @param {number} maxTotal - Maximum total number of listings to fetch (default: MAX_TOTAL_LISTINGS)
- * @param {number} daysOld - Number of days old the listings should be (default: 1)
+ * @param {Object} options - Fetch options
+ * @param {number} options.batchSize - Number of listings to fetch per request (default: RENTCAST_BATCH_SIZE)
+ * @param {number|null} options.maxTotal - Maximum total number of listings to fetch (default: RENTCAST_MAX_LISTINGS_PER_ZIP or 50, null for no limit)
+ * @param {number} options.daysOld - Number of days old the listings should be (default: 1)
+ * @param {RentCastApiClient} options.client - Client to use (default: a new client without a quota)
  * @returns {Promise<Array>} All listings in the zip code (up to maxTotal)
  */
-async function getAllListingsInZipCode(zipCode, batchSize = DEFAULT_BATCH_SIZE, maxTotal = MAX_TOTAL_LISTINGS, daysOld = 1) {
-  const client = new RentCastApiClient();
-  let allListings = [];
-  let offset = 0;
-  let hasMore = true;
+async function getAllListingsInZipCode(zipCode, options = {}) {
+  const { daysOld = 1 } = options;
   
   console.log(`Fetching all listings in zip code ${zipCode}...`);
   
-  while (hasMore) {
+  return fetchAllPages(
+    (limit, offset, client) => getListingsByZipCode(zipCode, limit, offset, daysOld, client),
+    { ...options, label: 'listings', zipCode }
+  );
+}
+
+/**
+ * Get long-term rental listings by zip code (using the listings/rental/long-term endpoint)
+ * @param {string} zipCode - Zip code to search for
+ * @param {number} limit - Maximum number of listings to return per request (default: RENTCAST_BATCH_SIZE)
+ * @param {number} offset - Offset for pagination (default: 0)
+ * @param {number} daysOld - Number of days old the listings should be (optional)
+ * @param {RentCastApiClient} client - Client to use, so a shared quota counts the request
+ * @returns {Promise<Array>} Rental listings data
+ */
+async function getRentalListingsByZipCode(zipCode, limit = getRentCastConfig().batchSize, offset = 0, daysOld = null, client = new RentCastApiClient()) {
+  const params = {
+    zipCode,
+    limit,
+    offset,
+    status: 'Active'
+  };
+  
+  if (daysOld) {
+    params.daysOld = daysOld;
+  }
+  
+  return client.request('listings/rental/long-term', params);
+}
+
+/**
+ * Get all long-term rental listings in a zip code (handles pagination)
+ * Stops early, returning what was fetched, when the client's quota runs out
+ * @param {string} zipCode - Zip code to search for
+ * @param {Object} options - Fetch options, as for getAllListingsInZipCode (daysOld defaults to no limit)
+ * @returns {Promise<Array>} All rental listings in the zip code (up to maxTotal)
+ */
+async function getAllRentalListingsInZipCode(zipCode, options = {}) {
+  const { daysOld = null } = options;
+  
+  console.log(`Fetching all rental listings in zip code ${zipCode}...`);
+  
+  return fetchAllPages(
+    (limit, offset, client) => getRentalListingsByZipCode(zipCode, limit, offset, daysOld, client),
+    { ...options, label: 'rental listings', zipCode }
+  );
+}
+
+/**
+ * Page through a listings endpoint until it runs dry, maxTotal is reached or the quota runs out
+ * @param {Function} fetchPage - (limit, offset, client) => Promise<Array>
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Array>} Fetched listings
+ */
+async function fetchAllPages(fetchPage, options = {}) {
+  const config = getRentCastConfig();
+  const {
+    batchSize = config.batchSize,
+    maxTotal = config.maxListingsPerZip,
+    client = new RentCastApiClient(),
+    label,
+    zipCode
+  } = options;
+  
+  let allListings = [];
+  let offset = 0;
+  
+  while (maxTotal === null || allListings.length < maxTotal) {
+    if (client.quota && client.quota.isExhausted()) {
+      console.log(`RentCast request budget exhausted. Stopping ${label} for zip code ${zipCode} at ${allListings.length}.`);
+      break;
+    }
+    
+    // Don't ask for more than maxTotal needs
+    const limit = maxTotal === null ? batchSize : Math.min(batchSize, maxTotal - allListings.length);
+    
     try {
-      console.log(`Fetching batch of ${batchSize} listings with offset ${offset} and daysOld=${daysOld}...`);
-      const response = await getListingsByZipCode(zipCode, batchSize, offset, daysOld);
+      console.log(`Fetching batch of ${limit} ${label} with offset ${offset}...`);
+      const response = await fetchPage(limit, offset, client);
       
-      // The listings/sale endpoint returns an array directly
+      // The listings endpoints return an array directly
       const listings = Array.isArray(response) ? response : [];
       
       if (listings.length === 0) {
-        hasMore = false;
         break;
       }
       
-      // Add listings to our collection
       allListings = allListings.concat(listings);
-      console.log(`Fetched ${listings.length} listings. Total so far: ${allListings.length}`);
-      
-      // Check if we've reached the maximum total limit
-      if (allListings.length >= maxTotal) {
-        console.log(`Reached maximum total limit of ${maxTotal} listings. Stopping.`);
-        allListings = allListings.slice(0, maxTotal); // Trim to exact limit
-        hasMore = false;
-        break;
-      }
+      console.log(`Fetched ${listings.length} ${label}. Total so far: ${allListings.length}`);
       
-      // If we got fewer listings than the batch size, we've reached the end
-      if (listings.length < batchSize) {
-        hasMore = false;
+      // If we got fewer listings than requested, we've reached the end
+      if (listings.length < limit) {
         break;
       }
       
-      // Increment offset for next batch
-      offset += batchSize;
+      offset += limit;
       
       // Add a small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 1000));
     } catch (error) {
-      console.error(`Error fetching listings for zip code ${zipCode} at offset ${offset}:`, error.message);
-      hasMore = false;
+      if (error instanceof RentCastQuotaExceededError) {
+        console.log(`${error.message}. Stopping ${label} for zip code ${zipCode} at ${allListings.length}.`);
+      } else {
+        console.error(`Error fetching ${label} for zip code ${zipCode} at offset ${offset}:`, error.message);
+      }
       break;
     }
   }
   
-  console.log(`Finished fetching listings for zip code ${zipCode}. Total: ${allListings.length}`);
+  if (maxTotal !== null && allListings.length >= maxTotal) {
+    console.log(`Reached maximum total limit of ${maxTotal} ${label}.`);
+  }
+  
+  console.log(`Finished fetching ${label} for zip code ${zipCode}. Total: ${allListings.length}`);
   return allListings;
 }
 
 module.exports = {
   getListingsByZipCode,
-  getAllListingsInZipCode
+  getAllListingsInZipCode,
+  getRentalListingsByZipCode,
+  getAllRentalListingsInZipCode
 };
@@ -0,0 +1,198 @@
+/**
+ * RentCast Request Quota
+ * Tracks RentCast requests against the monthly plan and a per-run budget
+ */
+
+const { getRentCastConfig } = require('../../utils/config');
+
+class RentCastQuotaExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.scope - Budget that ran out ('monthly' or 'run')
+   * @param {string} details.endpoint - Endpoint that was about to be requested
+   * @param {number} details.used - Requests already counted against the budget
+   * @param {number} details.budget - Budget size
+   */
+  constructor(message, details = {}) {
+    super(message);
+    
+    this.name = 'RentCastQuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.scope = details.scope || null;
+    this.endpoint = details.endpoint || null;
+    this.used = details.used ?? null;
+    this.budget = details.budget ?? null;
+  }
+}
+
+class RentCastQuota {
+  /**
+   * @param {Object} options - Quota options
+   * @param {number|null} options.monthlyBudget - Requests allowed per calendar month (null for no limit)
+   * @param {number|null} options.runBudget - Requests allowed in this run (null for no limit)
+   * @param {Object} options.ledger - Persistent ledger with getUsage(startDate, endDate) and recordRequest(endpoint, date)
+   */
+  constructor({ monthlyBudget = null, runBudget = null, ledger = null } = {}) {
+    this.monthlyBudget = monthlyBudget;
+    this.runBudget = runBudget;
+    this.ledger = ledger;
+    
+    // Requests made this month before the run started, from the ledger
+    this.monthlyUsedBefore = 0;
+    this.runUsed = 0;
+    this.runByEndpoint = {};
+    this.loaded = false;
+  }
+  
+  /**
+   * Create a quota using RENTCAST_MONTHLY_REQUEST_BUDGET and RENTCAST_RUN_REQUEST_BUDGET
+   * @param {Object} options - Overrides for the constructor options (e.g. ledger)
+   * @returns {RentCastQuota} Quota, not yet loaded
+   */
+  static fromConfig(options = {}) {
+    const config = getRentCastConfig();
+    
+    return new RentCastQuota({
+      monthlyBudget: config.monthlyBudget,
+      runBudget: config.runBudget,
+      ...options
+    });
+  }
+  
+  /**
+   * Load this month's usage from the ledger
+   * Without a ledger (or if it can't be read) only the current run is counted against the monthly budget
+   * @param {Date} date - Date within the month to load (default: now)
+   * @returns {Promise<RentCastQuota>} This quota
+   */
+  async load(date = new Date()) {
+    if (this.ledger) {
+      const { startDate, endDate } = getMonthRange(date);
+      
+      try {
+        this.monthlyUsedBefore = await this.ledger.getUsage(startDate, endDate);
+      } catch (error) {
+        console.warn('Could not load RentCast usage from the quota ledger, counting this run only:', error.message);
+      }
+    }
+    
+    this.loaded = true;
+    console.log(`RentCast quota: ${this.formatBudget()}`);
+    return this;
+  }
+  
+  /**
+   * Requests made this month, including this run
+   * @returns {number} Monthly usage
+   */
+  getMonthlyUsed() {
+    return this.monthlyUsedBefore + this.runUsed;
+  }
+  
+  /**
+   * Requests that can still be made, the smaller of the monthly and run allowances
+   * @returns {number} Remaining requests (Infinity when neither budget is set)
+   */
+  getRemaining() {
+    const monthlyRemaining = this.monthlyBudget === null ? Infinity : this.monthlyBudget - this.getMonthlyUsed();
+    const runRemaining = this.runBudget === null ? Infinity : this.runBudget - this.runUsed;
+    
+    return Math.max(0, Math.min(monthlyRemaining, runRemaining));
+  }
+  
+  /**
+   * @returns {boolean} True when no more requests can be made
+   */
+  isExhausted() {
+    return this.getRemaining() <= 0;
+  }
+  
+  /**
+   * Count a request before it is sent, throwing when the budget has run out
+   * A ledger write failure is logged but doesn't block the request
+   * @param {string} endpoint - RentCast endpoint (e.g. listings/sale)
+   * @returns {Promise<void>}
+   */
+  async consume(endpoint) {
+    if (this.monthlyBudget !== null && this.getMonthlyUsed() >= this.monthlyBudget) {
+      throw new RentCastQuotaExceededError(
+        `RentCast monthly request budget exhausted (${this.getMonthlyUsed()}/${this.monthlyBudget})`,
+        { scope: 'monthly', endpoint, used: this.getMonthlyUsed(), budget: this.monthlyBudget }
+      );
+    }
+    
+    if (this.runBudget !== null && this.runUsed >= this.runBudget) {
+      throw new RentCastQuotaExceededError(
+        `RentCast per-run request budget exhausted (${this.runUsed}/${this.runBudget})`,
+        { scope: 'run', endpoint, used: this.runUsed, budget: this.runBudget }
+      );
+    }
+    
+    this.runUsed++;
+    this.runByEndpoint[endpoint] = (this.runByEndpoint[endpoint] || 0) + 1;
+    
+    if (this.ledger) {
+      try {
+        await this.ledger.recordRequest(endpoint);
+      } catch (error) {
+        console.warn(`Could not record RentCast request to ${endpoint} in the quota ledger:`, error.message);
+      }
+    }
+  }
+  
+  /**
+   * @returns {Object} Usage summary for logging and task results
+   */
+  getSummary() {
+    return {
+      runUsed: this.runUsed,
+      runBudget: this.runBudget,
+      monthlyUsed: this.getMonthlyUsed(),
+      monthlyBudget: this.monthlyBudget,
+      remaining: this.getRemaining(),
+      byEndpoint: { ...this.runByEndpoint }
+    };
+  }
+  
+  /**
+   * Log how many requests this run made per endpoint and what is left
+   */
+  logSummary() {
+    console.log('\n--- RentCast Quota Summary ---');
+    console.log(`Requests this run: ${this.runUsed}`);
+    for (const [endpoint, count] of Object.entries(this.runByEndpoint)) {
+      console.log(`  ${endpoint}: ${count}`);
+    }
+    console.log(this.formatBudget());
+  }
+  
+  formatBudget() {
+    const monthly = this.monthlyBudget === null ? 'no limit' : `${this.getMonthlyUsed()}/${this.monthlyBudget}`;
+    const run = this.runBudget === null ? 'no limit' : `${this.runUsed}/${this.runBudget}`;
+    const remaining = this.getRemaining() === Infinity ? 'unlimited' : this.getRemaining();
+    
+    return `monthly ${monthly}, run ${run}, remaining ${remaining}`;
+  }
+}
+
+/**
+ * Get the first and last day of the calendar month containing a date (UTC)
+ * @param {Date} date - Date within the month
+ * @returns {Object} startDate and endDate in YYYY-MM-DD format
+ */
+function getMonthRange(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+  
+  return {
+    startDate: start.toISOString().split('T')[0],
+    endDate: end.toISOString().split('T')[0]
+  };
+}
+
+module.exports = {
+  RentCastQuota,
+  RentCastQuotaExceededError,
+  getMonthRange
+};
@@ -0,0 +1,205 @@
+/**
+ * RESO Web API Client
+ * Handles OAuth client-credentials authentication and OData queries against an
+ * MLS feed that follows the RESO Web API standard
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import axios
+const axios = require('axios');
+const { getResoConfig } = require('../../utils/config');
+
+// Refresh tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+class ResoApiClient {
+  /**
+   * @param {Object} options - Client options (default: RESO_* environment variables)
+   * @param {string} options.baseUrl - OData service root (e.g. https://api.example.com/reso/odata)
+   * @param {string} options.tokenUrl - OAuth token endpoint
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} options.clientSecret - OAuth client secret
+   * @param {string} options.scope - OAuth scope (optional)
+   * @param {number} options.pageSize - Records per page ($top)
+   * @param {number} options.maxPages - Pages to fetch before stopping
+   */
+  constructor(options = {}) {
+    const config = { ...getResoConfig(), ...options };
+    
+    if (!config.baseUrl) {
+      throw new Error('RESO base URL is required (RESO_BASE_URL)');
+    }
+    
+    if (!config.tokenUrl || !config.clientId || !config.clientSecret) {
+      throw new Error('RESO OAuth settings are required (RESO_TOKEN_URL, RESO_CLIENT_ID, RESO_CLIENT_SECRET)');
+    }
+    
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.tokenUrl = config.tokenUrl;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.scope = config.scope;
+    this.pageSize = config.pageSize;
+    this.maxPages = config.maxPages;
+    
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    
+    // Create axios instance with default config
+    this.axios = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+  }
+  
+  /**
+   * Get an access token, requesting a new one when the cached token is about to expire
+   * @param {boolean} forceRefresh - Ignore the cached token
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(forceRefresh = false) {
+    if (!forceRefresh && this.accessToken && Date.now() < this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+      return this.accessToken;
+    }
+    
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    });
+    if (this.scope) {
+      body.set('scope', this.scope);
+    }
+    
+    try {
+      const response = await axios.post(this.tokenUrl, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' }
+      });
+      
+      const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+      if (!accessToken) {
+        throw new Error('Token response has no access_token');
+      }
+      
+      this.accessToken = accessToken;
+      this.tokenExpiresAt = Date.now() + (Number(expiresIn) || 3600) * 1000;
+      return accessToken;
+    } catch (error) {
+      const details = error.response ? ` with status: ${error.response.status}. Details: ${JSON.stringify(error.response.data)}` : `: ${error.message}`;
+      throw new Error(`RESO token request failed${details}`);
+    }
+  }
+  
+  /**
+   * Make an authenticated GET request, refreshing the token once on a 401
+   * @param {string} url - Resource path relative to the service root, or an absolute next link
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async request(url, params = {}) {
+    console.log(`Making RESO API request to: ${url.startsWith('http') ? url : `${this.baseUrl}/${url}`}`);
+    console.log('Query parameters:', params);
+    
+    const send = async token => this.axios.get(url, {
+      params,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    
+    try {
+      let response;
+      try {
+        response = await send(await this.getAccessToken());
+      } catch (error) {
+        if (error.response?.status !== 401) throw error;
+        
+        console.log('RESO access token rejected, requesting a new one');
+        response = await send(await this.getAccessToken(true));
+      }
+      
+      console.log(`RESO API response status: ${response.status}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error in RESO API request to ${url}:`, error.message);
+      
+      if (error.response) {
+        throw new Error(`RESO API request failed with status: ${error.response.status}. Details: ${JSON.stringify(error.response.data)}`);
+      } else if (error.request) {
+        throw new Error('RESO API request failed: No response received');
+      } else {
+        throw new Error(`RESO API request failed: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Query one page of a resource
+   * @param {string} resource - Resource name (e.g. Property)
+   * @param {Object} query - OData query options
+   * @param {string} query.filter - $filter expression
+   * @param {Array<string>} query.select - Fields for $select
+   * @param {string} query.orderBy - $orderby expression
+   * @param {number} query.top - Page size ($top)
+   * @param {number} query.skip - Records to skip ($skip)
+   * @returns {Promise<Object>} { value, nextLink }
+   */
+  async query(resource, { filter, select, orderBy, top = this.pageSize, skip = 0 } = {}) {
+    const params = { $top: top };
+    if (skip > 0) params.$skip = skip;
+    if (filter) params.$filter = filter;
+    if (select && select.length > 0) params.$select = select.join(',');
+    if (orderBy) params.$orderby = orderBy;
+    
+    const data = await this.request(resource, params);
+    
+    return {
+      value: data.value || [],
+      nextLink: data['@odata.nextLink'] || null
+    };
+  }
+  
+  /**
+   * Query every page of a resource
+   * Pages with $top/$skip, or follows @odata.nextLink when the server sends one,
+   * until a short page (or, for servers that send next links, a page without one)
+   * or maxPages is reached
+   * @param {string} resource - Resource name (e.g. Property)
+   * @param {Object} query - OData query options, as for query()
+   * @returns {Promise<Object>} { items, pages, truncated }
+   */
+  async queryAll(resource, query = {}) {
+    const top = query.top || this.pageSize;
+    const items = [];
+    let pages = 0;
+    let usesNextLinks = false;
+    let page = await this.query(resource, { ...query, top, skip: 0 });
+    
+    while (true) {
+      items.push(...page.value);
+      pages++;
+      
+      usesNextLinks = usesNextLinks || !!page.nextLink;
+      const hasMore = page.nextLink || (!usesNextLinks && page.value.length >= top);
+      if (!hasMore) {
+        return { items, pages, truncated: false };
+      }
+      
+      if (pages >= this.maxPages) {
+        console.warn(`Stopped RESO ${resource} query after ${pages} pages (RESO_MAX_PAGES)`);
+        return { items, pages, truncated: true };
+      }
+      
+      if (page.nextLink) {
+        const data = await this.request(page.nextLink);
+        page = { value: data.value || [], nextLink: data['@odata.nextLink'] || null };
+      } else {
+        page = await this.query(resource, { ...query, top, skip: items.length });
+      }
+    }
+  }
+}
+
+module.exports = ResoApiClient;
@@ -0,0 +1,14 @@
+/**
+ * RESO Web API Module
+ * Exports all RESO Web API (MLS feed) functions
+ */
+
+const ResoApiClient = require('./client');
+const listingsApi = require('./listings');
+const rawShape = require('./raw-shape');
+
+module.exports = {
+  ResoApiClient,
+  ...listingsApi,
+  ...rawShape
+};
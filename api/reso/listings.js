@@ -0,0 +1,282 @@
+/**
+ * RESO Listings API Functions
+ * Queries the Property resource and maps RESO Data Dictionary fields onto the
+ * columns of reso_listing, which use the same canonical names as the merge
+ */
+
+const ResoApiClient = require('./client');
+const { getResoConfig } = require('../../utils/config');
+
+// Data Dictionary fields requested with $select
+const PROPERTY_SELECT = [
+  'ListingKey',
+  'ListingId',
+  'OriginatingSystemName',
+  'StandardStatus',
+  'PropertyType',
+  'PropertySubType',
+  'ListPrice',
+  'OriginalListPrice',
+  'ClosePrice',
+  'CloseDate',
+  'ListingContractDate',
+  'DaysOnMarket',
+  'BedroomsTotal',
+  'BathroomsTotalInteger',
+  'BathroomsFull',
+  'BathroomsHalf',
+  'LivingArea',
+  'LotSizeSquareFeet',
+  'LotSizeAcres',
+  'YearBuilt',
+  'UnparsedAddress',
+  'StreetNumber',
+  'StreetDirPrefix',
+  'StreetName',
+  'StreetSuffix',
+  'StreetDirSuffix',
+  'UnitNumber',
+  'City',
+  'StateOrProvince',
+  'PostalCode',
+  'Latitude',
+  'Longitude',
+  'PublicRemarks',
+  'ListAgentFullName',
+  'ListOfficeName',
+  'ModificationTimestamp'
+];
+
+// Square feet per acre, for feeds that only send LotSizeAcres
+const SQFT_PER_ACRE = 43560;
+
+/**
+ * Quote a string literal for an OData $filter
+ * @param {string} value - Raw value
+ * @returns {string} Quoted literal with single quotes doubled
+ */
+function quoteODataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build the $filter for a zip code search
+ * @param {Object} options - Filter options
+ * @param {string} options.zipCode - PostalCode to match
+ * @param {string} options.modifiedSince - Only records modified at or after this ISO timestamp
+ * @param {Array<string>} options.statuses - StandardStatus values to include (empty for all)
+ * @returns {string} $filter expression
+ */
+function buildPropertyFilter({ zipCode, modifiedSince, statuses = [] } = {}) {
+  const clauses = [];
+  
+  if (zipCode) {
+    clauses.push(`PostalCode eq ${quoteODataString(zipCode)}`);
+  }
+  
+  if (modifiedSince) {
+    // DateTimeOffset literals are unquoted in OData 4. ge rather than gt, so
+    // records sharing the latest stored timestamp aren't skipped
+    clauses.push(`ModificationTimestamp ge ${new Date(modifiedSince).toISOString()}`);
+  }
+  
+  if (statuses.length > 0) {
+    clauses.push(`(${statuses.map(status => `StandardStatus eq ${quoteODataString(status)}`).join(' or ')})`);
+  }
+  
+  return clauses.join(' and ');
+}
+
+/**
+ * Search Property records in a zip code
+ * Pass modifiedSince for an incremental sync of records changed since the last run.
+ * Incremental syncs don't filter on status, so listings that closed or were
+ * withdrawn since the last run come back with their new status
+ * @param {string} zipCode - Zip code to search
+ * @param {Object} options - Search options
+ * @param {string} options.modifiedSince - Only records modified at or after this ISO timestamp
+ * @param {Array<string>} options.statuses - StandardStatus values for full syncs (default: RESO_STANDARD_STATUSES)
+ * @param {ResoApiClient} options.client - Client to use (default: a new client from RESO_* settings)
+ * @returns {Promise<Object>} Search results with transformed listings and raw items
+ */
+async function searchListingsByZipCode(zipCode, options = {}) {
+  const config = getResoConfig();
+  const {
+    modifiedSince = null,
+    statuses = config.statuses,
+    client = new ResoApiClient()
+  } = options;
+  
+  console.log(`Searching RESO ${config.resource} records for zip code ${zipCode}${modifiedSince ? ` modified since ${modifiedSince}` : ''}...`);
+  
+  const { items: pagedItems, pages, truncated } = await client.queryAll(config.resource, {
+    filter: buildPropertyFilter({ zipCode, modifiedSince, statuses: modifiedSince ? [] : statuses }),
+    select: PROPERTY_SELECT,
+    orderBy: 'ModificationTimestamp asc'
+  });
+  // A record modified while we page can come back twice
+  const items = dedupeByListingKey(pagedItems);
+  
+  console.log(`Found ${items.length} RESO records for zip code ${zipCode} in ${pages} page(s)`);
+  
+  return {
+    zipCode,
+    modifiedSince,
+    totalItems: items.length,
+    truncated,
+    listings: transformListings(items, zipCode),
+    // Untransformed items, for schema drift checks and the raw payload archive
+    rawItems: items
+  };
+}
+
+/**
+ * Transform raw Property records into reso_listing rows
+ * @param {Array<Object>} items - Raw Property records
+ * @param {string|null} zipCode - Zip code searched (fallback when PostalCode is missing)
+ * @returns {Array<Object>} Listing rows
+ */
+function transformListings(items, zipCode) {
+  console.log(`Transforming ${items.length} RESO records`);
+  return items
+    .filter(item => item && item.ListingKey)
+    .map(item => transformProperty(item, zipCode));
+}
+
+/**
+ * Keep one record per ListingKey, the most recently modified
+ * @param {Array<Object>} items - Raw Property records
+ * @returns {Array<Object>} Records in their original order
+ */
+function dedupeByListingKey(items) {
+  const latest = new Map();
+  
+  for (const item of items) {
+    if (!item || !item.ListingKey) continue;
+    const kept = latest.get(item.ListingKey);
+    if (!kept || (Date.parse(item.ModificationTimestamp) || 0) >= (Date.parse(kept.ModificationTimestamp) || 0)) {
+      latest.set(item.ListingKey, item);
+    }
+  }
+  
+  const keep = new Set(latest.values());
+  return items.filter(item => !item || !item.ListingKey || keep.has(item));
+}
+
+/**
+ * Map a Property record onto reso_listing columns
+ * @param {Object} item - Raw Property record
+ * @param {string|null} zipCode - Zip code searched
+ * @returns {Object} Listing row
+ */
+function transformProperty(item, zipCode) {
+  return {
+    reso_id: String(item.ListingKey),
+    listing_id: item.ListingId || null,
+    originating_system: item.OriginatingSystemName || null,
+    standard_status: item.StandardStatus || null,
+    property_type: item.PropertyType || null,
+    property_sub_type: item.PropertySubType || null,
+    
+    price: toNumber(item.ListPrice),
+    original_list_price: toNumber(item.OriginalListPrice),
+    close_price: toNumber(item.ClosePrice),
+    close_date: toDate(item.CloseDate),
+    listing_contract_date: toDate(item.ListingContractDate),
+    days_on_market: toInteger(item.DaysOnMarket),
+    
+    bedrooms: toInteger(item.BedroomsTotal),
+    bathrooms: getBathrooms(item),
+    sqft: toInteger(item.LivingArea),
+    lot_size: getLotSizeSqft(item),
+    year_built: toInteger(item.YearBuilt),
+    
+    address: getStreetAddress(item),
+    unit_number: item.UnitNumber || null,
+    city: item.City || null,
+    state: item.StateOrProvince || null,
+    zip5: String(item.PostalCode || zipCode || '').substring(0, 5) || null,
+    lat: toNumber(item.Latitude),
+    lon: toNumber(item.Longitude),
+    
+    public_remarks: item.PublicRemarks || null,
+    list_agent_name: item.ListAgentFullName || null,
+    list_office_name: item.ListOfficeName || null,
+    modification_timestamp: item.ModificationTimestamp || null,
+    last_updated: new Date().toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Get the street address of a Property record
+ * Feeds that leave out UnparsedAddress have it built from the street parts
+ * @param {Object} item - Raw Property record
+ * @returns {string|null} Street address
+ */
+function getStreetAddress(item) {
+  if (item.UnparsedAddress) {
+    // UnparsedAddress may include the city, state and zip after a comma
+    return item.UnparsedAddress.split(',')[0].trim();
+  }
+  
+  const parts = [item.StreetNumber, item.StreetDirPrefix, item.StreetName, item.StreetSuffix, item.StreetDirSuffix]
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  
+  const street = parts.join(' ');
+  return item.UnitNumber ? `${street} #${item.UnitNumber}` : street;
+}
+
+/**
+ * Get total bathrooms, counting half baths as 0.5
+ * @param {Object} item - Raw Property record
+ * @returns {number|null} Bathrooms
+ */
+function getBathrooms(item) {
+  const full = toNumber(item.BathroomsFull);
+  const half = toNumber(item.BathroomsHalf);
+  
+  if (full != null || half != null) {
+    return (full || 0) + (half || 0) * 0.5;
+  }
+  
+  return toNumber(item.BathroomsTotalInteger);
+}
+
+/**
+ * Get lot size in square feet
+ * @param {Object} item - Raw Property record
+ * @returns {number|null} Lot size in square feet
+ */
+function getLotSizeSqft(item) {
+  const sqft = toNumber(item.LotSizeSquareFeet);
+  if (sqft != null) return Math.round(sqft);
+  
+  const acres = toNumber(item.LotSizeAcres);
+  return acres != null ? Math.round(acres * SQFT_PER_ACRE) : null;
+}
+
+// Helper functions
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function toInteger(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.round(number);
+}
+
+function toDate(value) {
+  return value ? String(value).split('T')[0] : null;
+}
+
+module.exports = {
+  PROPERTY_SELECT,
+  buildPropertyFilter,
+  dedupeByListingKey,
+  searchListingsByZipCode,
+  transformListings,
+  transformProperty
+};
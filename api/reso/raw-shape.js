@@ -0,0 +1,63 @@
+/**
+ * RESO Raw Item Shape
+ * Data Dictionary fields the RESO transform reads from Property records, used to
+ * detect schema drift when the feed drops or retypes fields
+ */
+
+// Fields read by transformProperty
+const PROPERTY_SHAPE = {
+  ListingKey: { type: 'string|number' },
+  ListingId: { type: 'string', optional: true },
+  OriginatingSystemName: { type: 'string', optional: true },
+  StandardStatus: { type: 'string' },
+  PropertyType: { type: 'string' },
+  PropertySubType: { type: 'string', optional: true },
+  ListPrice: { type: 'number' },
+  OriginalListPrice: { type: 'number', optional: true },
+  ClosePrice: { type: 'number', optional: true },
+  CloseDate: { type: 'string', optional: true },
+  ListingContractDate: { type: 'string', optional: true },
+  DaysOnMarket: { type: 'number', optional: true },
+  BedroomsTotal: { type: 'number' },
+  BathroomsTotalInteger: { type: 'number', optional: true },
+  BathroomsFull: { type: 'number', optional: true },
+  BathroomsHalf: { type: 'number', optional: true },
+  LivingArea: { type: 'number' },
+  LotSizeSquareFeet: { type: 'number', optional: true },
+  LotSizeAcres: { type: 'number', optional: true },
+  YearBuilt: { type: 'number', optional: true },
+  UnparsedAddress: { type: 'string', optional: true },
+  StreetNumber: { type: 'string', optional: true },
+  StreetName: { type: 'string', optional: true },
+  UnitNumber: { type: 'string', optional: true },
+  City: { type: 'string' },
+  StateOrProvince: { type: 'string' },
+  PostalCode: { type: 'string' },
+  Latitude: { type: 'number' },
+  Longitude: { type: 'number' },
+  PublicRemarks: { type: 'string', optional: true },
+  ModificationTimestamp: { type: 'string' }
+};
+
+// Expected shape for each RESO resource
+const EXPECTED_SHAPES = {
+  Property: PROPERTY_SHAPE
+};
+
+/**
+ * Get the expected raw item shape for a resource
+ * @param {string} resource - RESO resource (default: Property)
+ * @returns {Object} Map of field path -> { type, optional }
+ */
+function getExpectedShape(resource = 'Property') {
+  const shape = EXPECTED_SHAPES[resource];
+  if (!shape) {
+    throw new Error(`No expected RESO shape for resource "${resource}"`);
+  }
+  return shape;
+}
+
+module.exports = {
+  EXPECTED_SHAPES,
+  getExpectedShape
+};
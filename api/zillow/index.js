@@ -5,8 +5,12 @@
 
 const ZillowApiClient = require('./client');
 const listingsApi = require('./listings');
+const searchQuery = require('./search-query');
+const rawShape = require('./raw-shape');
 
 module.exports = {
   ZillowApiClient,
-  ...listingsApi
+  ...listingsApi,
+  ...searchQuery,
+  ...rawShape
 };
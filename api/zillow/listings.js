@@ -5,17 +5,31 @@
 
 const ZillowApiClient = require('./client');
 
+// Transform used for each search mode
+const TRANSFORMS_BY_MODE = {
+  sale: transformZillowListingData,
+  sold: transformZillowSoldListingData,
+  rent: transformZillowRentalListingData
+};
+
 /**
  * Search for Zillow listings by zip code
  * @param {string} zipCode - Zip code to search
  * @param {Object} options - Search options
+ * @param {string} options.mode - Search mode: sale (default), sold or rent
  * @returns {Promise<Object>} Processed listings data
  */
 async function searchListingsByZipCode(zipCode, options = {}) {
   const client = new ZillowApiClient();
+  const mode = options.mode || 'sale';
+  const transform = TRANSFORMS_BY_MODE[mode];
+  
+  if (!transform) {
+    throw new Error(`Unknown Zillow search mode "${mode}". Use ${Object.keys(TRANSFORMS_BY_MODE).join(', ')}`);
+  }
   
   try {
-    console.log(`Searching Zillow listings for zip code: ${zipCode}`);
+    console.log(`Searching Zillow ${mode} listings for zip code: ${zipCode}`);
     
     // Search using the Apify scraper
     const results = await client.searchByZipCode(zipCode, options);
@@ -26,20 +40,19 @@ async function searchListingsByZipCode(zipCode, options = {}) {
       console.log('First raw item structure:', JSON.stringify(results.items[0], null, 2));
     }
     
-    const processedListings = results.items.map((listing, index) => {
-      const transformed = transformZillowListingData(listing, zipCode);
-      console.log(`Item ${index}: zillow_id = ${transformed?.zillow_id}, zpid = ${listing.zpid}, id = ${listing.id}`);
-      return transformed;
-    }).filter(listing => listing && listing.zillow_id); // Filter out invalid listings
+    const processedListings = transformListings(results.items, zipCode, mode);
     
     console.log(`Processed ${processedListings.length} valid listings for zip ${zipCode}`);
     
     return {
       zipCode,
+      mode,
       runId: results.runId,
       totalItems: results.itemCount,
       validListings: processedListings.length,
-      listings: processedListings
+      listings: processedListings,
+      // Untransformed items, for schema drift checks and the raw payload archive
+      rawItems: results.items
     };
     
   } catch (error) {
@@ -48,6 +61,48 @@ async function searchListingsByZipCode(zipCode, options = {}) {
   }
 }
 
+/**
+ * Search for recently sold homes by zip code
+ * @param {string} zipCode - Zip code to search
+ * @param {Object} options - Search options; filters.daysOnZillow sets the sold-within window (default: 6m)
+ * @returns {Promise<Object>} Processed sold listings data
+ */
+async function searchSoldListingsByZipCode(zipCode, options = {}) {
+  return searchListingsByZipCode(zipCode, { ...options, mode: 'sold' });
+}
+
+/**
+ * Search for active rentals by zip code
+ * @param {string} zipCode - Zip code to search
+ * @param {Object} options - Search options; price filters apply to the monthly rent
+ * @returns {Promise<Object>} Processed rental listings data
+ */
+async function searchRentalListingsByZipCode(zipCode, options = {}) {
+  return searchListingsByZipCode(zipCode, { ...options, mode: 'rent' });
+}
+
+/**
+ * Transform raw scraper items for a search mode, dropping invalid listings
+ * Used for live searches and for reprocessing archived payloads
+ * @param {Array<Object>} items - Raw Zillow items
+ * @param {string} zipCode - Zip code being processed
+ * @param {string} mode - Search mode: sale (default), sold or rent
+ * @returns {Array<Object>} Transformed listings
+ */
+function transformListings(items, zipCode, mode = 'sale') {
+  const transform = TRANSFORMS_BY_MODE[mode];
+  
+  if (!transform) {
+    throw new Error(`Unknown Zillow search mode "${mode}". Use ${Object.keys(TRANSFORMS_BY_MODE).join(', ')}`);
+  }
+  
+  return items.map((listing, index) => {
+    const transformed = transform(listing, zipCode);
+    console.log(`Item ${index}: zillow_id = ${transformed?.zillow_id}, zpid = ${listing.zpid}, id = ${listing.id}`);
+    return transformed;
+  }).filter(listing => listing && listing.zillow_id); // Filter out invalid listings
+}
+
 /**
  * Transform Zillow listing data to our database schema
  * @param {Object} listing - Raw Zillow listing data
@@ -109,6 +164,121 @@ function transformZillowListingData(listing, zipCode) {
   }
 }
 
+/**
+ * Transform a recently sold Zillow result to the zillow_sold_listing schema
+ * @param {Object} listing - Raw Zillow listing data
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Object} Transformed sold listing data
+ */
+function transformZillowSoldListingData(listing, zipCode) {
+  try {
+    const homeInfo = listing.hdpData?.homeInfo || {};
+    
+    return {
+      // IDs and Location
+      zillow_id: listing.zpid || listing.id,
+      zip5: listing.addressZipcode || zipCode,
+      address: listing.address,
+      address_street: listing.addressStreet,
+      city: listing.addressCity,
+      state: listing.addressState,
+      
+      // Sale
+      sold_price: parsePrice(listing.soldPrice ?? listing.unformattedPrice ?? homeInfo.price),
+      sold_date: parseEpochDate(homeInfo.dateSold),
+      zestimate: parsePrice(listing.zestimate ?? homeInfo.zestimate),
+      market_rent: parsePrice(homeInfo.rentZestimate),
+      
+      // Property Details
+      bedrooms: parseInteger(listing.beds || homeInfo.bedrooms),
+      bathrooms: parseFloatValue(listing.baths || homeInfo.bathrooms),
+      sqft: parseInteger(listing.area || homeInfo.livingArea),
+      property_type: homeInfo.homeType,
+      listing_status: listing.statusType || homeInfo.homeStatus,
+      
+      // Location
+      lat: parseFloatValue(listing.latLong?.latitude || homeInfo.latitude),
+      lon: parseFloatValue(listing.latLong?.longitude || homeInfo.longitude),
+      
+      // Additional Info
+      zillow_url: listing.detailUrl,
+      img_src: listing.imgSrc,
+      status_text: listing.statusText,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  } catch (error) {
+    console.error(`Error transforming sold listing data for zpid ${listing.zpid}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Transform an active Zillow rental to the zillow_rental_listing schema
+ * Building results (apartment complexes) have no zpid and list their cheapest unit
+ * under units[], so the first unit stands in for the rent and bedrooms
+ * @param {Object} listing - Raw Zillow listing data
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Object} Transformed rental listing data
+ */
+function transformZillowRentalListingData(listing, zipCode) {
+  try {
+    const homeInfo = listing.hdpData?.homeInfo || {};
+    const firstUnit = Array.isArray(listing.units) ? listing.units[0] : null;
+    
+    return {
+      // IDs and Location
+      zillow_id: listing.zpid || listing.id,
+      zip5: listing.addressZipcode || zipCode,
+      address: listing.address,
+      address_street: listing.addressStreet,
+      city: listing.addressCity,
+      state: listing.addressState,
+      building_name: listing.buildingName || null,
+      is_building: Boolean(listing.isBuilding),
+      
+      // Rent
+      rent: parsePrice(listing.unformattedPrice ?? homeInfo.price ?? firstUnit?.price),
+      rent_zestimate: parsePrice(homeInfo.rentZestimate),
+      
+      // Property Details
+      bedrooms: parseInteger(listing.beds ?? homeInfo.bedrooms ?? firstUnit?.beds),
+      bathrooms: parseFloatValue(listing.baths || homeInfo.bathrooms),
+      sqft: parseInteger(listing.area || homeInfo.livingArea),
+      property_type: homeInfo.homeType,
+      listing_status: listing.statusType || homeInfo.homeStatus,
+      days_on_zillow: parseInteger(homeInfo.daysOnZillow),
+      
+      // Location
+      lat: parseFloatValue(listing.latLong?.latitude || homeInfo.latitude),
+      lon: parseFloatValue(listing.latLong?.longitude || homeInfo.longitude),
+      
+      // Additional Info
+      zillow_url: listing.detailUrl,
+      img_src: listing.imgSrc,
+      status_text: listing.statusText,
+      last_updated: new Date().toISOString().split('T')[0]
+    };
+  } catch (error) {
+    console.error(`Error transforming rental listing data for zpid ${listing.zpid}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Helper function to convert an epoch milliseconds timestamp to a YYYY-MM-DD date
+ * @param {any} value - Epoch milliseconds
+ * @returns {string|null} Date string or null
+ */
+function parseEpochDate(value) {
+  const epoch = parseFloatValue(value);
+  if (epoch === null) {
+    return null;
+  }
+  
+  const date = new Date(epoch);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
 /**
  * Helper function to safely parse price values
  * @param {any} value - Value to parse as price
@@ -165,5 +335,10 @@ function parseFloatValue(value) {
 
 module.exports = {
   searchListingsByZipCode,
-  transformZillowListingData
+  transformListings,
+  searchSoldListingsByZipCode,
+  searchRentalListingsByZipCode,
+  transformZillowListingData,
+  transformZillowSoldListingData,
+  transformZillowRentalListingData
 };
@@ -0,0 +1,83 @@
+/**
+ * Zillow Raw Item Shape
+ * Fields the Zillow transforms read from the scraper's raw items, used to detect
+ * schema drift when the actor renames or retypes fields
+ */
+
+// Fields read by transformZillowListingData
+const SALE_SHAPE = {
+  zpid: { type: 'string|number' },
+  id: { type: 'string|number', optional: true },
+  address: { type: 'string' },
+  addressStreet: { type: 'string' },
+  addressCity: { type: 'string' },
+  addressState: { type: 'string' },
+  addressZipcode: { type: 'string' },
+  unformattedPrice: { type: 'number' },
+  zestimate: { type: 'number', optional: true },
+  beds: { type: 'number' },
+  baths: { type: 'number' },
+  area: { type: 'number' },
+  statusType: { type: 'string' },
+  statusText: { type: 'string' },
+  detailUrl: { type: 'string' },
+  imgSrc: { type: 'string' },
+  hasImage: { type: 'boolean' },
+  brokerName: { type: 'string', optional: true },
+  countryCurrency: { type: 'string' },
+  isZillowOwned: { type: 'boolean' },
+  has3DModel: { type: 'boolean' },
+  hasVideo: { type: 'boolean' },
+  'latLong.latitude': { type: 'number' },
+  'latLong.longitude': { type: 'number' },
+  'hdpData.homeInfo.bedrooms': { type: 'number' },
+  'hdpData.homeInfo.bathrooms': { type: 'number' },
+  'hdpData.homeInfo.livingArea': { type: 'number' },
+  'hdpData.homeInfo.homeType': { type: 'string' },
+  'hdpData.homeInfo.homeStatus': { type: 'string' },
+  'hdpData.homeInfo.daysOnZillow': { type: 'number' },
+  'hdpData.homeInfo.rentZestimate': { type: 'number', optional: true },
+  'hdpData.homeInfo.latitude': { type: 'number' },
+  'hdpData.homeInfo.longitude': { type: 'number' },
+  'hdpData.homeInfo.isFeatured': { type: 'boolean', optional: true }
+};
+
+// Expected shape for each search mode
+const EXPECTED_SHAPES = {
+  sale: SALE_SHAPE,
+  sold: {
+    ...SALE_SHAPE,
+    soldPrice: { type: 'number|string', optional: true },
+    'hdpData.homeInfo.price': { type: 'number' },
+    'hdpData.homeInfo.dateSold': { type: 'number' },
+    'hdpData.homeInfo.zestimate': { type: 'number', optional: true }
+  },
+  rent: {
+    ...SALE_SHAPE,
+    // Buildings have no zpid or beds of their own
+    zpid: { type: 'string|number', optional: true },
+    beds: { type: 'number', optional: true },
+    buildingName: { type: 'string', optional: true },
+    isBuilding: { type: 'boolean', optional: true },
+    units: { type: 'array', optional: true },
+    'hdpData.homeInfo.price': { type: 'number', optional: true }
+  }
+};
+
+/**
+ * Get the expected raw item shape for a search mode
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Object} Map of field path -> { type, optional }
+ */
+function getExpectedShape(mode = 'sale') {
+  const shape = EXPECTED_SHAPES[mode];
+  if (!shape) {
+    throw new Error(`No expected Zillow shape for search mode "${mode}"`);
+  }
+  return shape;
+}
+
+module.exports = {
+  EXPECTED_SHAPES,
+  getExpectedShape
+};
@@ -0,0 +1,353 @@
+/**
+ * Zillow Search Query Builder
+ * Builds Zillow search URLs with an encoded searchQueryState for any zip code
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getZipCentroid } = require('../../utils/zip-centroids');
+
+const ZILLOW_BASE_URL = 'https://www.zillow.com';
+
+// Bundled zip regions; ZILLOW_ZIP_REGIONS_FILE can add or override entries
+const DEFAULT_ZIP_REGIONS_FILE = path.join(__dirname, 'zip-regions.json');
+
+// Zillow region type for zip codes
+const ZIP_REGION_TYPE = 7;
+
+// Map zoom and half-width (miles) used when a zip only has a centroid
+const DEFAULT_MAP_ZOOM = 13;
+const DEFAULT_CENTROID_RADIUS_MILES = 3;
+
+// Half-width limits (miles) for bounds sized from a zip's land area
+const MIN_AREA_RADIUS_MILES = 1;
+const MAX_AREA_RADIUS_MILES = 15;
+
+// Home type names mapped to Zillow filterState keys. Zillow filters by exclusion,
+// so every type not selected is sent as { value: false }
+const HOME_TYPE_KEYS = {
+  house: 'sf',
+  townhouse: 'tow',
+  multiFamily: 'mf',
+  condo: 'con',
+  land: 'land',
+  apartment: 'apa',
+  manufactured: 'manu',
+  apartmentOrCondo: 'apco'
+};
+
+// Days on Zillow values accepted by the doz filter (for sold searches: sold within)
+const DAYS_ON_ZILLOW_VALUES = ['1', '7', '14', '30', '90', '6m', '12m', '24m', '36m'];
+
+// Search modes: the listing-type flags Zillow expects in filterState, the URL path
+// segment, and filters applied unless overridden
+const SEARCH_MODES = {
+  sale: {
+    filterState: {},
+    pathSegment: '',
+    fallbackPath: 'homes',
+    defaultFilters: {}
+  },
+  sold: {
+    filterState: {
+      rs: { value: true },
+      fsba: { value: false },
+      fsbo: { value: false },
+      nc: { value: false },
+      cmsn: { value: false },
+      auc: { value: false },
+      fore: { value: false }
+    },
+    pathSegment: 'sold/',
+    fallbackPath: 'homes/recently_sold',
+    defaultFilters: { daysOnZillow: '6m' }
+  },
+  rent: {
+    filterState: {
+      fr: { value: true },
+      fsba: { value: false },
+      fsbo: { value: false },
+      nc: { value: false },
+      cmsn: { value: false },
+      auc: { value: false },
+      fore: { value: false }
+    },
+    pathSegment: 'rentals/',
+    fallbackPath: 'homes/for_rent',
+    defaultFilters: {}
+  }
+};
+
+/**
+ * Get the settings for a search mode
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Object} Mode settings
+ */
+function getSearchMode(mode = 'sale') {
+  const settings = SEARCH_MODES[mode];
+  if (!settings) {
+    throw new Error(`Unknown Zillow search mode "${mode}". Use ${Object.keys(SEARCH_MODES).join(', ')}`);
+  }
+  return settings;
+}
+
+let zipRegionsCache = null;
+
+/**
+ * Load the zip region dataset (bounds, centroid and Zillow region id per zip)
+ * @returns {Object} Zip regions keyed by zip code
+ */
+function loadZipRegions() {
+  if (zipRegionsCache) {
+    return zipRegionsCache;
+  }
+  
+  const regions = JSON.parse(fs.readFileSync(DEFAULT_ZIP_REGIONS_FILE, 'utf8'));
+  
+  if (process.env.ZILLOW_ZIP_REGIONS_FILE) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(process.env.ZILLOW_ZIP_REGIONS_FILE, 'utf8'));
+      Object.assign(regions, overrides);
+    } catch (error) {
+      console.warn(`Could not load ZILLOW_ZIP_REGIONS_FILE ${process.env.ZILLOW_ZIP_REGIONS_FILE}:`, error.message);
+    }
+  }
+  
+  zipRegionsCache = regions;
+  return regions;
+}
+
+/**
+ * Get the region entry for a zip code
+ * Zips in zip-regions.json (or ZILLOW_ZIP_REGIONS_FILE) use their entry; any
+ * other zip gets bounds around its Census centroid from config/zip-centroids.json
+ * @param {string} zipCode - Zip code
+ * @returns {Object|null} Region with city, state, regionId, centroid, bounds and mapZoom, or null if unknown
+ */
+function getZipRegion(zipCode) {
+  return loadZipRegions()[zipCode] || getCentroidRegion(zipCode);
+}
+
+/**
+ * Build a region from a zip's Census centroid
+ * Bounds are sized from the zip's land area when the dataset has it
+ * @param {string} zipCode - Zip code
+ * @returns {Object|null} Region with centroid, bounds and mapZoom, or null if the zip isn't in the dataset
+ */
+function getCentroidRegion(zipCode) {
+  const centroid = getZipCentroid(zipCode);
+  if (!centroid) {
+    return null;
+  }
+  
+  // Half the side of a square with the zip's land area, with some margin for irregular shapes
+  const radiusMiles = centroid.landSqMi
+    ? Math.min(MAX_AREA_RADIUS_MILES, Math.max(MIN_AREA_RADIUS_MILES, Math.sqrt(centroid.landSqMi) * 0.75))
+    : DEFAULT_CENTROID_RADIUS_MILES;
+  
+  return {
+    centroid: { lat: centroid.lat, lon: centroid.lon },
+    bounds: boundsFromCentroid(centroid.lat, centroid.lon, radiusMiles),
+    mapZoom: getMapZoom(radiusMiles)
+  };
+}
+
+/**
+ * Find the zip codes with neither a zip region nor a Census centroid
+ * Their searches fall back to Zillow resolving the zip from the search term,
+ * without map bounds or a region selection
+ * @param {Array<string>} zipCodes - Zip codes to check
+ * @returns {Array<string>} Zip codes without a region
+ */
+function getMissingZipRegions(zipCodes) {
+  return zipCodes.filter(zipCode => !getZipRegion(zipCode));
+}
+
+/**
+ * Map zoom that fits a box of the given half-width
+ * @param {number} radiusMiles - Half-width of the box in miles
+ * @returns {number} Zillow map zoom
+ */
+function getMapZoom(radiusMiles) {
+  if (radiusMiles <= 1.5) return 14;
+  if (radiusMiles <= 3) return DEFAULT_MAP_ZOOM;
+  if (radiusMiles <= 6) return 12;
+  return 11;
+}
+
+/**
+ * Approximate map bounds around a centroid
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusMiles - Half-width of the box in miles
+ * @returns {Object} Bounds with north, south, east and west
+ */
+function boundsFromCentroid(lat, lon, radiusMiles = DEFAULT_CENTROID_RADIUS_MILES) {
+  const latDelta = radiusMiles / 69;
+  const lonDelta = radiusMiles / (69 * Math.cos(lat * Math.PI / 180));
+  
+  return {
+    north: lat + latDelta,
+    south: lat - latDelta,
+    east: lon + lonDelta,
+    west: lon - lonDelta
+  };
+}
+
+/**
+ * Default search filters from ZILLOW_SEARCH_FILTERS (JSON)
+ * @returns {Object} Filters
+ */
+function getDefaultFilters() {
+  if (!process.env.ZILLOW_SEARCH_FILTERS) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(process.env.ZILLOW_SEARCH_FILTERS);
+  } catch (error) {
+    console.warn('Invalid ZILLOW_SEARCH_FILTERS environment variable. Ignoring filters.');
+    return {};
+  }
+}
+
+/**
+ * Build a Zillow filterState from search filters
+ * @param {Object} filters - Search filters
+ * @param {number} filters.minPrice - Minimum price
+ * @param {number} filters.maxPrice - Maximum price
+ * @param {number} filters.minBeds - Minimum bedrooms
+ * @param {number} filters.minBaths - Minimum bathrooms
+ * @param {string[]} filters.homeTypes - Home types to include (keys of HOME_TYPE_KEYS)
+ * @param {number} filters.maxHoa - Maximum monthly HOA fee
+ * @param {string|number} filters.daysOnZillow - Maximum days on Zillow (one of DAYS_ON_ZILLOW_VALUES)
+ * @param {string} filters.sort - Sort order (default: globalrelevanceex)
+ * @param {string} mode - Search mode (sale, sold or rent); rent prices are monthly
+ * @returns {Object} Zillow filterState
+ */
+function buildFilterState(filters = {}, mode = 'sale') {
+  const filterState = {
+    sort: { value: filters.sort || 'globalrelevanceex' },
+    ...getSearchMode(mode).filterState
+  };
+  
+  if (filters.minPrice != null || filters.maxPrice != null) {
+    // Rentals filter on the monthly payment rather than the price
+    const priceKey = mode === 'rent' ? 'mp' : 'price';
+    filterState[priceKey] = {};
+    if (filters.minPrice != null) filterState[priceKey].min = Number(filters.minPrice);
+    if (filters.maxPrice != null) filterState[priceKey].max = Number(filters.maxPrice);
+  }
+  
+  if (filters.minBeds != null) {
+    filterState.beds = { min: Number(filters.minBeds) };
+  }
+  
+  if (filters.minBaths != null) {
+    filterState.baths = { min: Number(filters.minBaths) };
+  }
+  
+  if (Array.isArray(filters.homeTypes) && filters.homeTypes.length > 0) {
+    const unknown = filters.homeTypes.filter(type => !HOME_TYPE_KEYS[type]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown Zillow home types: ${unknown.join(', ')}. Use ${Object.keys(HOME_TYPE_KEYS).join(', ')}`);
+    }
+    
+    for (const [type, key] of Object.entries(HOME_TYPE_KEYS)) {
+      if (!filters.homeTypes.includes(type)) {
+        filterState[key] = { value: false };
+      }
+    }
+  }
+  
+  if (filters.maxHoa != null) {
+    filterState.hoa = { max: Number(filters.maxHoa) };
+  }
+  
+  if (filters.daysOnZillow != null) {
+    const value = String(filters.daysOnZillow);
+    if (!DAYS_ON_ZILLOW_VALUES.includes(value)) {
+      throw new Error(`Invalid daysOnZillow "${value}". Use one of ${DAYS_ON_ZILLOW_VALUES.join(', ')}`);
+    }
+    filterState.doz = { value };
+  }
+  
+  return filterState;
+}
+
+/**
+ * Build the searchQueryState for a zip code
+ * Known zips get map bounds and a region selection; unknown zips fall back to
+ * Zillow resolving the search term
+ * @param {string} zipCode - Zip code
+ * @param {Object} filters - Search filters (see buildFilterState)
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {Object} searchQueryState
+ */
+function buildSearchQueryState(zipCode, filters = {}, mode = 'sale') {
+  const region = getZipRegion(zipCode);
+  
+  const searchQueryState = {
+    pagination: {},
+    isMapVisible: true,
+    isListVisible: true,
+    usersSearchTerm: zipCode,
+    filterState: buildFilterState(filters, mode)
+  };
+  
+  if (region) {
+    const bounds = region.bounds
+      || (region.centroid ? boundsFromCentroid(region.centroid.lat, region.centroid.lon) : null);
+    
+    if (bounds) {
+      searchQueryState.mapBounds = bounds;
+      searchQueryState.mapZoom = region.mapZoom || DEFAULT_MAP_ZOOM;
+    }
+    
+    if (region.regionId) {
+      searchQueryState.regionSelection = [
+        { regionId: region.regionId, regionType: region.regionType || ZIP_REGION_TYPE }
+      ];
+    }
+  }
+  
+  return searchQueryState;
+}
+
+/**
+ * Build a Zillow search URL for a zip code
+ * ZILLOW_SEARCH_FILTERS and the zip's own filters only apply to for-sale searches,
+ * since price and HOA limits for purchases don't make sense for sold comps or rentals
+ * @param {string} zipCode - Zip code
+ * @param {Object} filters - Search filters merged over the defaults
+ * @param {string} mode - Search mode (sale, sold or rent)
+ * @returns {string} Zillow search URL
+ */
+function buildSearchUrl(zipCode, filters = {}, mode = 'sale') {
+  const region = getZipRegion(zipCode);
+  const modeSettings = getSearchMode(mode);
+  const mergedFilters = mode === 'sale'
+    ? { ...getDefaultFilters(), ...(region?.filters || {}), ...filters }
+    : { ...modeSettings.defaultFilters, ...filters };
+  const searchQueryState = buildSearchQueryState(zipCode, mergedFilters, mode);
+  
+  const path = region?.city && region?.state
+    ? `${`${region.city}-${region.state}-${zipCode}`.toLowerCase().replace(/[^a-z0-9]+/g, '-')}/${modeSettings.pathSegment}`
+    : `${modeSettings.fallbackPath}/${zipCode}_rb/`;
+  
+  return `${ZILLOW_BASE_URL}/${path}?searchQueryState=${encodeURIComponent(JSON.stringify(searchQueryState))}`;
+}
+
+module.exports = {
+  HOME_TYPE_KEYS,
+  DAYS_ON_ZILLOW_VALUES,
+  SEARCH_MODES,
+  getSearchMode,
+  loadZipRegions,
+  getZipRegion,
+  getMissingZipRegions,
+  boundsFromCentroid,
+  buildFilterState,
+  buildSearchQueryState,
+  buildSearchUrl
+};
@@ -3,8 +3,21 @@
  * Handles address normalization, fuzzy matching, and coordinate-based matching
  */
 
+const { parseAddress, formatAddress } = require('./address-parser');
+
+// Share of the address similarity each component carries
+const ADDRESS_COMPONENT_WEIGHTS = {
+  house_number: 0.3,
+  street_name: 0.4,
+  suffix: 0.1,
+  directional: 0.1,
+  unit: 0.1
+};
+
 /**
  * Normalize address for consistent matching
+ * Parses the address into USPS Publication 28 components and writes them back
+ * standardized ("123 North Main Street, Apt #4" -> "123 n main st unit 4")
  * @param {string} address - Raw address string
  * @returns {string} Normalized address
  */
@@ -13,56 +26,7 @@ function normalizeAddress(address) {
     return '';
   }
   
-  let normalized = address.trim().toLowerCase();
-  
-  // Remove extra whitespace
-  normalized = normalized.replace(/\s+/g, ' ');
-  
-  // Standardize common abbreviations
-  const abbreviations = {
-    'street': 'st',
-    'avenue': 'ave',
-    'boulevard': 'blvd',
-    'drive': 'dr',
-    'road': 'rd',
-    'lane': 'ln',
-    'court': 'ct',
-    'circle': 'cir',
-    'place': 'pl',
-    'terrace': 'ter',
-    'parkway': 'pkwy',
-    'highway': 'hwy',
-    'north': 'n',
-    'south': 's',
-    'east': 'e',
-    'west': 'w',
-    'northeast': 'ne',
-    'northwest': 'nw',
-    'southeast': 'se',
-    'southwest': 'sw',
-    'apartment': 'apt',
-    'unit': 'unit',
-    'suite': 'ste'
-  };
-  
-  // Apply abbreviations (both directions)
-  for (const [full, abbrev] of Object.entries(abbreviations)) {
-    // Replace full word with abbreviation
-    normalized = normalized.replace(new RegExp(`\\b${full}\\b`, 'g'), abbrev);
-    // Also handle the reverse (abbreviation to full word)
-    normalized = normalized.replace(new RegExp(`\\b${abbrev}\\.?\\b`, 'g'), abbrev);
-  }
-  
-  // Remove common punctuation
-  normalized = normalized.replace(/[.,#]/g, '');
-  
-  // Standardize apartment/unit notation
-  normalized = normalized.replace(/\b(apt|apartment|unit|ste|suite)\s*#?\s*(\w+)/g, 'unit $2');
-  
-  // Remove extra spaces again
-  normalized = normalized.replace(/\s+/g, ' ').trim();
-  
-  return normalized;
+  return formatAddress(parseAddress(address));
 }
 
 /**
@@ -104,7 +68,37 @@ function levenshteinDistance(str1, str2) {
 }
 
 /**
- * Calculate similarity score between two addresses
+ * Calculate similarity between two strings from their edit distance
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Similarity score (0.0 to 1.0), 1.0 when both are empty
+ */
+function calculateStringSimilarity(str1, str2) {
+  if (str1 === str2) return 1.0;
+  
+  const maxLength = Math.max(str1.length, str2.length);
+  return 1 - (levenshteinDistance(str1, str2) / maxLength);
+}
+
+/**
+ * Compare a component only some addresses have
+ * @param {string} value1 - First value
+ * @param {string} value2 - Second value
+ * @returns {number} 1 when equal, 0.5 when one is missing, 0 when they differ
+ */
+function compareOptional(value1, value2) {
+  if (value1 === value2) return 1;
+  if (!value1 || !value2) return 0.5;
+  return 0;
+}
+
+/**
+ * Calculate similarity between two addresses
+ * Compares the parsed components field by field, weighted by
+ * ADDRESS_COMPONENT_WEIGHTS. A different house number alone keeps two
+ * addresses below any threshold above 0.7; the street name is compared with
+ * edit distance; a suffix, directional or unit missing on one side counts as
+ * no (suffix) or half (directional, unit) disagreement
  * @param {string} address1 - First address
  * @param {string} address2 - Second address
  * @returns {number} Similarity score (0.0 to 1.0)
@@ -112,16 +106,97 @@ function levenshteinDistance(str1, str2) {
 function calculateAddressSimilarity(address1, address2) {
   if (!address1 || !address2) return 0;
   
-  const norm1 = normalizeAddress(address1);
-  const norm2 = normalizeAddress(address2);
+  return compareAddressComponents(parseAddress(address1), parseAddress(address2));
+}
+
+/**
+ * Compare two parsed addresses field by field
+ * @param {Object} components1 - From parseAddress
+ * @param {Object} components2 - From parseAddress
+ * @returns {number} Similarity score (0.0 to 1.0)
+ */
+function compareAddressComponents(components1, components2) {
+  // PO boxes and rural routes only match the same box on the same route
+  if (components1.address_type !== 'street' || components2.address_type !== 'street') {
+    return components1.address_type === components2.address_type &&
+      components1.route_number === components2.route_number &&
+      components1.box_number === components2.box_number ? 1.0 : 0;
+  }
   
-  if (norm1 === norm2) return 1.0;
+  const scores = {
+    house_number: components1.house_number === components2.house_number ? 1 : 0,
+    street_name: calculateStringSimilarity(components1.street_name, components2.street_name),
+    suffix: !components1.suffix || !components2.suffix || components1.suffix === components2.suffix ? 1 : 0,
+    // A directional written before the name on one source is often after it on another
+    directional: compareOptional(
+      components1.pre_directional || components1.post_directional,
+      components2.pre_directional || components2.post_directional
+    ),
+    unit: compareOptional(
+      components1.unit_number || components1.unit_type,
+      components2.unit_number || components2.unit_type
+    )
+  };
   
-  const maxLength = Math.max(norm1.length, norm2.length);
-  if (maxLength === 0) return 1.0;
+  return Object.entries(ADDRESS_COMPONENT_WEIGHTS)
+    .reduce((sum, [field, weight]) => sum + weight * scores[field], 0);
+}
+
+/**
+ * Check whether two addresses are different units
+ * Units of one building share coordinates and most of their address, so a
+ * unit mismatch rules out a match whatever else agrees. A unit on one side
+ * only is a mismatch too (a building-level record isn't any one of its
+ * units), and so is a unit facing a listing with no address at all, since
+ * coordinates can't tell the units apart
+ * @param {string} address1 - First address
+ * @param {string} address2 - Second address
+ * @returns {boolean} True if the addresses can't be the same unit
+ */
+function hasUnitConflict(address1, address2) {
+  const unit1 = address1 ? getUnit(parseAddress(address1)) : '';
+  const unit2 = address2 ? getUnit(parseAddress(address2)) : '';
   
-  const distance = levenshteinDistance(norm1, norm2);
-  return 1 - (distance / maxLength);
+  if (!address1 || !address2) return Boolean(unit1 || unit2);
+  return unit1 !== unit2;
+}
+
+/**
+ * Get an address's unit
+ * @param {Object} components - From parseAddress
+ * @returns {string} Unit number, or the designator of an unnumbered unit ("rear"), or ''
+ */
+function getUnit(components) {
+  return components.unit_number || components.unit_type;
+}
+
+/**
+ * Get the address of the building a unit is in
+ * @param {string} address - Address
+ * @returns {string} Normalized address without the unit
+ */
+function getBuildingAddress(address) {
+  return formatAddress({ ...parseAddress(address), unit_type: '', unit_number: '' });
+}
+
+/**
+ * Get the key every address similar enough to this one shares
+ * Addresses scoring at least the threshold against each other have the same
+ * house number (or PO box, or route and box) whenever the threshold is above
+ * what the other components can add up to, and matching addresses always
+ * have the same unit
+ * @param {string} address - Address
+ * @param {number} threshold - Similarity threshold
+ * @returns {string|null} Blocking key, or null when the threshold is too low to block on
+ */
+function getAddressBlockingKey(address, threshold) {
+  if (threshold <= 1 - ADDRESS_COMPONENT_WEIGHTS.house_number + 1e-9) return null;
+  
+  const components = parseAddress(address);
+  if (components.address_type !== 'street') {
+    return `${components.address_type}:${components.route_number}:${components.box_number}`;
+  }
+  return `street:${components.house_number}:${getUnit(components)}`;
 }
 
 /**
@@ -187,6 +262,11 @@ function findMatches(targetProperty, candidateProperties, config) {
       continue;
     }
     
+    // Different units of one building never match, however close their coordinates
+    if (hasUnitConflict(targetAddress, candidateAddress)) {
+      continue;
+    }
+    
     const match = {
       candidate,
       scores: {},
@@ -326,46 +406,18 @@ function findBestMatch(targetProperty, candidateProperties, config) {
 }
 
 /**
- * Extract address components for better matching
+ * Extract address components
  * @param {string} address - Full address
- * @returns {Object} Address components
+ * @returns {Object} Normalized address as full, plus the components from parseAddress
  */
 function extractAddressComponents(address) {
   if (!address) return {};
   
-  const normalized = normalizeAddress(address);
-  const parts = normalized.split(' ');
-  
-  const components = {
-    full: normalized,
-    street_number: '',
-    street_name: '',
-    unit: ''
+  const components = parseAddress(address);
+  return {
+    full: formatAddress(components),
+    ...components
   };
-  
-  // Try to extract street number (first numeric part)
-  const numberMatch = normalized.match(/^(\d+[a-z]?)\s+/);
-  if (numberMatch) {
-    components.street_number = numberMatch[1];
-  }
-  
-  // Extract unit information
-  const unitMatch = normalized.match(/\bunit\s+(\w+)/);
-  if (unitMatch) {
-    components.unit = unitMatch[1];
-  }
-  
-  // Extract street name (everything between number and unit/end)
-  let streetName = normalized;
-  if (components.street_number) {
-    streetName = streetName.replace(new RegExp(`^${components.street_number}\\s+`), '');
-  }
-  if (components.unit) {
-    streetName = streetName.replace(new RegExp(`\\s+unit\\s+${components.unit}.*$`), '');
-  }
-  components.street_name = streetName.trim();
-  
-  return components;
 }
 
 /**
@@ -420,8 +472,14 @@ function generateMatchingReport(targetProperty, matches, config) {
 }
 
 module.exports = {
+  ADDRESS_COMPONENT_WEIGHTS,
   normalizeAddress,
   calculateAddressSimilarity,
+  compareAddressComponents,
+  getAddressBlockingKey,
+  hasUnitConflict,
+  getUnit,
+  getBuildingAddress,
   calculateDistance,
   findMatches,
   findBestMatch,
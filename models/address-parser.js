@@ -0,0 +1,293 @@
+/**
+ * Address Parser
+ * Splits a street address into USPS Publication 28 components (house number,
+ * directionals, street name, suffix and secondary unit) and standardizes each
+ * one, so addresses written differently by different sources can be compared
+ * component by component
+ */
+
+const {
+  STREET_SUFFIXES,
+  SECONDARY_UNITS,
+  UNNUMBERED_UNITS,
+  AMBIGUOUS_UNITS,
+  DIRECTIONALS,
+  ORDINAL_WORDS,
+  TENS_WORDS,
+  toLookup
+} = require('../utils/usps-pub28');
+
+const SUFFIXES = toLookup(STREET_SUFFIXES);
+const UNITS = toLookup(SECONDARY_UNITS);
+const DIRECTIONS = toLookup(DIRECTIONALS);
+
+// Street words standardized inside names when a route number follows ("State Route 18")
+const ROUTE_WORDS = new Set(['hwy', 'rte', 'rd']);
+
+// "123", "123a", "12-34", "123-b" and Wisconsin-style grid numbers like "n123w456"
+const HOUSE_NUMBER = /^(\d+[a-z]?(-[a-z0-9]+)?|[nsew]\d+[nsew]\d+)$/;
+const FRACTION = /^\d+\/\d+$/;
+
+// Parsed addresses kept for repeated comparisons in a merge run
+const MAX_CACHED = 50000;
+const cache = new Map();
+
+/**
+ * Parse an address into its components
+ * A trailing city, state and ZIP code ("..., Sharon, PA 16146") is dropped
+ * @param {string} address - Raw address string
+ * @returns {Object} {
+ *   address_type: 'street' | 'po_box' | 'rural_route' | 'highway_contract',
+ *   house_number, pre_directional, street_name, suffix, post_directional,
+ *   unit_type, unit_number, route_number, box_number
+ * } with '' for anything the address doesn't have
+ */
+function parseAddress(address) {
+  if (!address || typeof address !== 'string') return emptyComponents();
+  if (cache.has(address)) return { ...cache.get(address) };
+  
+  const components = parseTokens(tokenize(address));
+  
+  if (cache.size >= MAX_CACHED) cache.clear();
+  cache.set(address, components);
+  return { ...components };
+}
+
+/**
+ * Write parsed components back as a standardized address
+ * Numbered units of any type are written "unit <number>", so "Apt 4", "# 4"
+ * and "Unit 4" read the same
+ * @param {Object} components - From parseAddress
+ * @returns {string} Lowercase standardized address
+ */
+function formatAddress(components) {
+  if (components.address_type === 'po_box') {
+    return `po box ${components.box_number}`.trim();
+  }
+  
+  if (components.address_type === 'rural_route' || components.address_type === 'highway_contract') {
+    const route = `${components.address_type === 'rural_route' ? 'rr' : 'hc'} ${components.route_number}`;
+    return components.box_number ? `${route} box ${components.box_number}` : route;
+  }
+  
+  const unit = components.unit_number ? `unit ${components.unit_number}` : components.unit_type;
+  return [
+    components.house_number,
+    components.pre_directional,
+    components.street_name,
+    components.suffix,
+    components.post_directional,
+    unit
+  ].filter(Boolean).join(' ');
+}
+
+// Helper functions
+function emptyComponents() {
+  return {
+    address_type: 'street',
+    house_number: '',
+    pre_directional: '',
+    street_name: '',
+    suffix: '',
+    post_directional: '',
+    unit_type: '',
+    unit_number: '',
+    route_number: '',
+    box_number: ''
+  };
+}
+
+function tokenize(address) {
+  const segments = address.toLowerCase().replace(/½/g, ' 1/2').split(',').map(segment => segment.trim());
+  
+  // The first segment is the street line; later ones are units or the city, state and ZIP
+  let line = segments[0];
+  let hasLastLine = segments.length > 1;
+  for (const segment of segments.slice(1)) {
+    const firstWord = segment.replace(/^#/, '# ').split(/\s+/)[0];
+    if (!UNITS.has(firstWord)) break;
+    line += ` ${segment}`;
+  }
+  
+  // Without commas, a trailing state and ZIP still marks the last line
+  const stateZip = line.match(/^(.*\S)\s+[a-z]{2}\s+\d{5}(-\d{4})?$/);
+  if (stateZip) {
+    line = stateZip[1];
+    hasLastLine = true;
+  }
+  
+  const words = line
+    .replace(/[.'’]/g, '')
+    .replace(/#/g, ' # ')
+    .replace(/[^a-z0-9#/\- ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    // Hyphens only belong in numbers ("12-34", "4-b"); elsewhere they separate words
+    .flatMap(word => (/^\d/.test(word) ? [word] : word.split('-').filter(Boolean)))
+    // "apt4" -> "apt 4"
+    .flatMap(word => {
+      const glued = word.match(/^([a-z]+)(\d+[a-z]?)$/);
+      return glued && UNITS.has(glued[1]) && !AMBIGUOUS_UNITS.includes(UNITS.get(glued[1])) ? [glued[1], glued[2]] : [word];
+    });
+  
+  // "north east" -> "northeast"
+  const tokens = [];
+  for (const word of words) {
+    const previous = tokens[tokens.length - 1];
+    if ((previous === 'north' || previous === 'south') && (word === 'east' || word === 'west')) {
+      tokens[tokens.length - 1] = previous + word;
+    } else {
+      tokens.push(word);
+    }
+  }
+  
+  return { tokens, hasLastLine };
+}
+
+function parseTokens({ tokens, hasLastLine }) {
+  const components = emptyComponents();
+  const text = tokens.join(' ');
+  
+  const poBox = text.match(/^(p ?o ?|post office )box #? ?(\w+)/);
+  if (poBox) {
+    components.address_type = 'po_box';
+    components.box_number = poBox[2];
+    return components;
+  }
+  
+  const route = text.match(/^(rr|r r|rural route|rural rte|hc|hcr|highway contract) (\d+)( box #? ?(\w+))?/);
+  if (route) {
+    components.address_type = ['rr', 'r r', 'rural route', 'rural rte'].includes(route[1]) ? 'rural_route' : 'highway_contract';
+    components.route_number = route[2];
+    components.box_number = route[4] || '';
+    return components;
+  }
+  
+  let rest = tokens;
+  
+  if (rest.length > 1 && HOUSE_NUMBER.test(rest[0])) {
+    components.house_number = rest[0];
+    rest = rest.slice(1);
+    if (rest.length > 1 && FRACTION.test(rest[0])) {
+      components.house_number += ` ${rest[0]}`;
+      rest = rest.slice(1);
+    }
+  }
+  
+  // Secondary unit: a clear designator anywhere after the street name starts...
+  let unitStart = rest.findIndex((token, index) => index > 0 && UNITS.has(token) && !AMBIGUOUS_UNITS.includes(UNITS.get(token)));
+  let streetEnd = unitStart === -1 ? rest.length : unitStart;
+  
+  // ...or, after the suffix, a designator that doubles as a street word or a bare number
+  if (unitStart === -1) {
+    const suffixIndex = findSuffixIndex(rest);
+    if (suffixIndex !== -1) {
+      let next = suffixIndex + 1;
+      if (DIRECTIONS.has(rest[next])) next++;
+      
+      if (next < rest.length) {
+        streetEnd = next;
+        if (UNITS.has(rest[next]) || (next === rest.length - 1 && /^\d+[a-z]?$/.test(rest[next]))) {
+          unitStart = next;
+        } else if (!hasLastLine) {
+          // Not a unit and not a known city: keep it in the street
+          streetEnd = rest.length;
+        }
+      }
+    }
+  }
+  
+  if (unitStart !== -1) {
+    Object.assign(components, parseUnit(rest.slice(unitStart)));
+  }
+  
+  const street = rest.slice(0, streetEnd);
+  
+  if (street.length > 1 && DIRECTIONS.has(street[street.length - 1])) {
+    components.post_directional = DIRECTIONS.get(street.pop());
+  }
+  
+  if (street.length > 1 && SUFFIXES.has(street[street.length - 1])) {
+    components.suffix = SUFFIXES.get(street.pop());
+  }
+  
+  if (street.length > 1 && DIRECTIONS.has(street[0])) {
+    components.pre_directional = DIRECTIONS.get(street.shift());
+  }
+  
+  components.street_name = standardizeStreetName(street).join(' ');
+  return components;
+}
+
+function findSuffixIndex(tokens) {
+  // The last suffix with a name before it, skipping designators and route words
+  // followed by a number ("Trailer 5" in "Main St Trailer 5", "Route 18")
+  for (let i = tokens.length - 1; i > 0; i--) {
+    if (!SUFFIXES.has(tokens[i])) continue;
+    if (/^\d/.test(tokens[i + 1] || '') && (UNITS.has(tokens[i]) || ROUTE_WORDS.has(SUFFIXES.get(tokens[i])))) continue;
+    return i;
+  }
+  return -1;
+}
+
+function parseUnit(tokens) {
+  // A bare trailing number is a unit without a designator
+  if (!UNITS.has(tokens[0])) {
+    return { unit_type: '#', unit_number: tokens.join('') };
+  }
+  
+  // Several designators ("Bldg 2 Apt 4") keep every number, under the last type
+  let type = '';
+  const numbers = [];
+  let current = '';
+  for (const token of tokens) {
+    if (UNITS.has(token) && !(token === '#' && type && !current)) {
+      if (current) numbers.push(current);
+      current = '';
+      type = UNITS.get(token) === '#' && type ? type : UNITS.get(token);
+    } else {
+      current += token.replace(/^#/, '');
+    }
+  }
+  if (current) numbers.push(current);
+  
+  return {
+    unit_type: type,
+    unit_number: UNNUMBERED_UNITS.includes(type) && numbers.length === 0 ? '' : numbers.join('-')
+  };
+}
+
+function standardizeStreetName(tokens) {
+  const name = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    
+    // "Twenty First" -> "21st", "First" -> "1st"
+    if (TENS_WORDS[token] && ORDINAL_WORDS[next] && ORDINAL_WORDS[next] < 10) {
+      name.push(toOrdinal(TENS_WORDS[token] + ORDINAL_WORDS[next]));
+      i++;
+    } else if (ORDINAL_WORDS[token]) {
+      name.push(toOrdinal(ORDINAL_WORDS[token]));
+    } else if (/^\d+(st|nd|rd|th|d)$/.test(token)) {
+      // "2d", "3d" and mistyped ordinals get their proper ending
+      name.push(toOrdinal(parseInt(token, 10)));
+    } else if (SUFFIXES.has(token) && ROUTE_WORDS.has(SUFFIXES.get(token)) && /^\d/.test(next || '')) {
+      name.push(SUFFIXES.get(token));
+    } else {
+      name.push(token);
+    }
+  }
+  return name;
+}
+
+function toOrdinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+module.exports = {
+  parseAddress,
+  formatAddress
+};
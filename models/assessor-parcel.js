@@ -0,0 +1,230 @@
+/**
+ * Assessor Parcel Model
+ * Handles parcels imported from county assessor roll files, and links them to
+ * property and merged_listing rows so owner signals show up next to listings
+ */
+
+const { db } = require('../index');
+const addressMatcher = require('./address-matcher');
+const mergeConfig = require('../utils/merge-config');
+
+// Rows per upsert or select request
+const BATCH_SIZE = 500;
+
+// Owner signals copied from the linked parcel onto property and merged_listing
+const SIGNAL_FIELDS = ['owner_name', 'owner_occupied', 'absentee_owner', 'out_of_state_owner', 'tax_delinquent'];
+
+// Rows without a street number are only linked to a parcel this close, so a neighbour's owner isn't picked up
+const COORDINATE_LINK_MAX_DISTANCE_METERS = 10;
+
+// Tables parcels are linked to, and how to read their address and ID
+const LINK_TARGETS = [
+  { table: 'property', idColumn: 'attom_id', addressColumn: 'address_line1' },
+  { table: 'merged_listing', idColumn: 'the_real_deal_id', addressColumn: 'address' }
+];
+
+/**
+ * Insert or update parcels, keyed by county and parcel_id
+ * @param {Array<Object>} parcels - Parcels from transformParcel
+ * @returns {Promise<Object>} { upserted, errors }
+ */
+async function upsertParcels(parcels) {
+  const supabase = db.getSupabaseClient();
+  const result = { upserted: 0, errors: 0 };
+  
+  for (let i = 0; i < parcels.length; i += BATCH_SIZE) {
+    const batch = parcels.slice(i, i + BATCH_SIZE);
+    
+    const { error } = await supabase
+      .from('assessor_parcel')
+      .upsert(batch.map(parcel => ({ ...parcel, updated_at: new Date().toISOString() })), { onConflict: 'county,parcel_id' });
+    
+    if (error) {
+      console.error(`Error upserting assessor parcels ${i + 1}-${i + batch.length}: ${error.message}`);
+      result.errors += batch.length;
+    } else {
+      result.upserted += batch.length;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get a county's parcels, optionally limited to some zip codes
+ * @param {string} county - Layout county key
+ * @param {Array<string>} zipCodes - Zip codes to load (default: all)
+ * @returns {Promise<Array>} Parcels
+ */
+async function getParcelsByCounty(county, zipCodes = null) {
+  const supabase = db.getSupabaseClient();
+  const parcels = [];
+  
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    let query = supabase
+      .from('assessor_parcel')
+      .select('*')
+      .eq('county', county)
+      .order('parcel_id')
+      .range(offset, offset + BATCH_SIZE - 1);
+    
+    if (zipCodes) {
+      query = query.in('zip5', zipCodes);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error getting assessor parcels: ${error.message}`);
+    
+    parcels.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+  
+  return parcels;
+}
+
+/**
+ * Link parcels to property and merged_listing rows in the same zip codes
+ * Each row gets at most one parcel: an exact normalized-address match first,
+ * then the address matcher's best match among parcels on the same street
+ * number. Rows without a street number in their address are linked to the
+ * nearest parcel by coordinates alone, if it is within
+ * COORDINATE_LINK_MAX_DISTANCE_METERS; a row whose address matches no parcel
+ * stays unlinked. The owner signals of the linked parcel are written onto the row
+ * @param {Array<Object>} parcels - Parcels with county and parcel_id
+ * @returns {Promise<Object>} Per-table { linked, unmatched, errors }
+ */
+async function linkParcels(parcels) {
+  const config = await mergeConfig.getConfigWithOverrides();
+  const zipCodes = [...new Set(parcels.map(parcel => parcel.zip5).filter(Boolean))];
+  const index = buildParcelIndex(parcels);
+  const results = {};
+  
+  for (const target of LINK_TARGETS) {
+    const result = { linked: 0, unmatched: 0, errors: 0 };
+    const rows = await getLinkCandidates(target, zipCodes);
+    
+    console.log(`Linking ${parcels.length} parcels to ${rows.length} ${target.table} rows`);
+    
+    for (const row of rows) {
+      const match = matchParcel(row[target.addressColumn], row, index, config);
+      if (!match) {
+        result.unmatched++;
+        continue;
+      }
+      
+      try {
+        await db.updateRecords(target.table, { [target.idColumn]: row[target.idColumn] }, {
+          assessor_county: match.parcel.county,
+          assessor_parcel_id: match.parcel.parcel_id,
+          ...Object.fromEntries(SIGNAL_FIELDS.map(field => [field, match.parcel[field]])),
+          assessor_link_method: match.method,
+          assessor_linked_at: new Date().toISOString()
+        });
+        result.linked++;
+      } catch (error) {
+        console.error(`Error linking ${target.table} ${row[target.idColumn]} to parcel ${match.parcel.parcel_id}:`, error.message);
+        result.errors++;
+      }
+    }
+    
+    results[target.table] = result;
+  }
+  
+  return results;
+}
+
+/**
+ * Get the rows of a link target in some zip codes
+ * @param {Object} target - Entry from LINK_TARGETS
+ * @param {Array<string>} zipCodes - Zip codes to load
+ * @returns {Promise<Array>} Rows with ID, address, zip and coordinates
+ */
+async function getLinkCandidates(target, zipCodes) {
+  const supabase = db.getSupabaseClient();
+  const rows = [];
+  
+  for (let offset = 0; zipCodes.length > 0; offset += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(target.table)
+      .select(`${target.idColumn}, ${target.addressColumn}, zip5, lat, lon`)
+      .in('zip5', zipCodes)
+      .order(target.idColumn)
+      .range(offset, offset + BATCH_SIZE - 1);
+    
+    if (error) throw new Error(`Error getting ${target.table} rows to link: ${error.message}`);
+    
+    rows.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+  
+  return rows;
+}
+
+// Helper functions
+function buildParcelIndex(parcels) {
+  const byAddress = new Map();
+  const byHouseNumber = new Map();
+  const byZip = new Map();
+  
+  for (const parcel of parcels) {
+    const zip = parcel.zip5 || '';
+    
+    if (parcel.address) {
+      const key = `${zip}|${parcel.address}`;
+      if (!byAddress.has(key)) byAddress.set(key, []);
+      byAddress.get(key).push(parcel);
+      
+      const blockKey = `${zip}|${addressMatcher.extractAddressComponents(parcel.address).house_number || ''}`;
+      if (!byHouseNumber.has(blockKey)) byHouseNumber.set(blockKey, []);
+      byHouseNumber.get(blockKey).push(parcel);
+    }
+    
+    if (addressMatcher.validateCoordinates(parseFloat(parcel.lat), parseFloat(parcel.lon))) {
+      if (!byZip.has(zip)) byZip.set(zip, []);
+      // Address left out so the matcher scores these on distance alone
+      byZip.get(zip).push({ ...parcel, address: null, parcel });
+    }
+  }
+  
+  return { byAddress, byHouseNumber, byZip };
+}
+
+function matchParcel(address, row, index, config) {
+  const normalized = addressMatcher.normalizeAddress(address);
+  const zip = row.zip5 || '';
+  const houseNumber = normalized ? addressMatcher.extractAddressComponents(normalized).house_number || '' : '';
+  
+  if (normalized) {
+    // Units in a building share a situs address; without the unit the owner can't be told apart
+    const exact = index.byAddress.get(`${zip}|${normalized}`) || [];
+    if (exact.length === 1) {
+      return { parcel: exact[0], method: 'address_exact' };
+    }
+    if (exact.length > 1) {
+      return null;
+    }
+    
+    const block = index.byHouseNumber.get(`${zip}|${houseNumber}`) || [];
+    const best = addressMatcher.findBestMatch({ address: normalized, lat: row.lat, lon: row.lon }, block, config);
+    if (best) {
+      return { parcel: best.candidate, method: best.matching_method };
+    }
+  }
+  
+  // An address that matches no parcel is more likely a parcel missing from the roll than a wrong address
+  if (houseNumber) {
+    return null;
+  }
+  
+  const nearest = addressMatcher.findBestMatch({ address: null, lat: row.lat, lon: row.lon }, index.byZip.get(zip) || [], config);
+  if (!nearest || nearest.distance_meters > COORDINATE_LINK_MAX_DISTANCE_METERS) {
+    return null;
+  }
+  return { parcel: nearest.candidate.parcel, method: nearest.matching_method };
+}
+
+module.exports = {
+  upsertParcels,
+  getParcelsByCounty,
+  linkParcels
+};
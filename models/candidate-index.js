@@ -0,0 +1,148 @@
+/**
+ * Candidate Index
+ * Picks the listings of a source that could possibly match a target listing,
+ * so the merge only scores plausible pairs instead of every listing against
+ * every other one. Two blocks feed the candidates:
+ *
+ *   - A coordinate grid with cells as wide as the farthest distance any
+ *     coordinate tier matches at, so a listing only looks at its own and the
+ *     eight neighbouring cells
+ *   - Address blocking keys: the house number (or PO box, or rural route and
+ *     box). Addresses are compared component by component, and two addresses
+ *     with different house numbers can't reach the fuzzy threshold, so only
+ *     candidates with the target's house number need scoring
+ *
+ * Neither block drops a pair findMatches would have matched, so merge results
+ * are the same as comparing every listing; only the work is smaller
+ */
+
+const addressMatcher = require('./address-matcher');
+const sourceAdapters = require('./source-adapters');
+
+// Coordinate tier 1 matches within this many meters whatever the tolerance
+const EXACT_COORDINATE_METERS = 10;
+
+// Meters per degree of latitude on the sphere calculateDistance uses
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+// Grid cells are this much wider than the match radius, covering the curvature
+// the flat grid ignores
+const CELL_MARGIN = 1.25;
+
+/**
+ * Build the candidate index of one source's listings
+ * @param {Object} adapter - Source adapter of the listings
+ * @param {Array<Object>} listings - Source listing rows
+ * @param {Object} config - Merge configuration
+ * @returns {Object} Index for getPlausibleCandidates
+ */
+function buildCandidateIndex(adapter, listings, config) {
+  const candidates = listings.map(listing => sourceAdapters.toMatchCandidate(adapter, listing));
+  const entries = candidates.map(candidate => ({
+    address: addressMatcher.normalizeAddress(candidate.address),
+    lat: parseFloat(candidate.lat),
+    lon: parseFloat(candidate.lon)
+  }));
+  
+  const radius = Math.max(EXACT_COORDINATE_METERS, config.coordinate_tolerance_meters);
+  
+  const index = {
+    adapter,
+    candidates,
+    entries,
+    grid: createGrid(entries, radius),
+    fuzzy: Boolean(config.enable_fuzzy_matching),
+    threshold: config.address_fuzzy_threshold,
+    addresses: new Map(),
+    keys: new Map(),
+    // Every candidate with an address, for thresholds too low to block on
+    addressed: []
+  };
+  
+  entries.forEach((entry, position) => {
+    if (!entry.address) return;
+    
+    index.addressed.push(position);
+    addToList(index.addresses, entry.address, position);
+    
+    const key = index.fuzzy ? addressMatcher.getAddressBlockingKey(entry.address, index.threshold) : null;
+    if (key !== null) addToList(index.keys, key, position);
+  });
+  
+  return index;
+}
+
+/**
+ * Get the candidates of an index that could match a target listing
+ * @param {Object} index - From buildCandidateIndex
+ * @param {Object} targetProperty - { address, lat, lon }
+ * @returns {Array<Object>} Plausible candidates, in the order the source listed them
+ */
+function getPlausibleCandidates(index, targetProperty) {
+  const positions = new Set();
+  
+  // Coordinate block: the target's cell and its neighbours
+  const lat = parseFloat(targetProperty.lat);
+  const lon = parseFloat(targetProperty.lon);
+  if (addressMatcher.validateCoordinates(lat, lon) && index.grid) {
+    const row = Math.floor(lat / index.grid.latStep);
+    const column = Math.floor(lon / index.grid.lonStep);
+    
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = column - 1; c <= column + 1; c++) {
+        (index.grid.cells.get(`${r}:${c}`) || []).forEach(position => positions.add(position));
+      }
+    }
+  }
+  
+  // Address blocks: the same address, and with fuzzy matching the same blocking key
+  const address = addressMatcher.normalizeAddress(targetProperty.address);
+  if (address) {
+    (index.addresses.get(address) || []).forEach(position => positions.add(position));
+    
+    if (index.fuzzy) {
+      const key = addressMatcher.getAddressBlockingKey(address, index.threshold);
+      (key === null ? index.addressed : index.keys.get(key) || []).forEach(position => positions.add(position));
+    }
+  }
+  
+  // findMatches keeps candidate order for equal scores, so the best match stays the same
+  return Array.from(positions)
+    .sort((a, b) => a - b)
+    .map(position => index.candidates[position]);
+}
+
+// Helper functions
+function addToList(map, key, position) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(position);
+}
+
+function createGrid(entries, radius) {
+  const located = entries
+    .map((entry, position) => ({ ...entry, position }))
+    .filter(entry => addressMatcher.validateCoordinates(entry.lat, entry.lon));
+  if (located.length === 0) return null;
+  
+  // Longitude cells are sized at the highest latitude, where degrees are narrowest
+  const maxLatitude = Math.min(89, located.reduce((max, entry) => Math.max(max, Math.abs(entry.lat)), 0) + 1);
+  const cellMeters = radius * CELL_MARGIN;
+  const grid = {
+    latStep: cellMeters / METERS_PER_DEGREE,
+    lonStep: cellMeters / (METERS_PER_DEGREE * Math.cos(maxLatitude * Math.PI / 180)),
+    cells: new Map()
+  };
+  
+  located.forEach(entry => {
+    const cell = `${Math.floor(entry.lat / grid.latStep)}:${Math.floor(entry.lon / grid.lonStep)}`;
+    if (!grid.cells.has(cell)) grid.cells.set(cell, []);
+    grid.cells.get(cell).push(entry.position);
+  });
+  
+  return grid;
+}
+
+module.exports = {
+  buildCandidateIndex,
+  getPlausibleCandidates
+};
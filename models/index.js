@@ -4,33 +4,77 @@
  */
 
 const apiData = require('./api-data');
+const assessorParcel = require('./assessor-parcel');
+const listingLifecycle = require('./listing-lifecycle');
+const listingPhoto = require('./listing-photo');
+const mergeOverride = require('./merge-override');
+const mergedListingHistory = require('./merged-listing-history');
+const offmarketImport = require('./offmarket-import');
+const offmarketLead = require('./offmarket-lead');
 const property = require('./property');
+const propertyAssessment = require('./property-assessment');
+const propertyAvm = require('./property-avm');
 const propertyLink = require('./property-link');
+const propertySaleHistory = require('./property-sale-history');
+const rawPayloadArchive = require('./raw-payload-archive');
 const realtorListing = require('./realtor-listing');
+const realtorRentalListing = require('./realtor-rental-listing');
+const realtorSoldListing = require('./realtor-sold-listing');
 const redfinListing = require('./redfin-listing');
+const redfinRentalListing = require('./redfin-rental-listing');
+const redfinSoldListing = require('./redfin-sold-listing');
 const rentcastBuilder = require('./rentcast-builder');
 const rentcastListing = require('./rentcast-listing');
 const rentcastListingAgent = require('./rentcast-listing-agent');
 const rentcastListingHistory = require('./rentcast-listing-history');
 const rentcastListingOffice = require('./rentcast-listing-office');
+const rentcastRentEstimate = require('./rentcast-rent-estimate');
+const rentcastRequestLedger = require('./rentcast-request-ledger');
+const rentcastRentalListing = require('./rentcast-rental-listing');
+const resoListing = require('./reso-listing');
 const sale = require('./sale');
+const schemaDriftReport = require('./schema-drift-report');
 const zip = require('./zip');
 const zipMedians = require('./zip-medians');
 const zillowListing = require('./zillow-listing');
+const zillowRentalListing = require('./zillow-rental-listing');
+const zillowSoldListing = require('./zillow-sold-listing');
 
 module.exports = {
   apiData,
+  assessorParcel,
+  listingLifecycle,
+  listingPhoto,
+  mergeOverride,
+  mergedListingHistory,
+  offmarketImport,
+  offmarketLead,
   property,
+  propertyAssessment,
+  propertyAvm,
   propertyLink,
+  propertySaleHistory,
+  rawPayloadArchive,
   realtorListing,
+  realtorRentalListing,
+  realtorSoldListing,
   redfinListing,
+  redfinRentalListing,
+  redfinSoldListing,
   rentcastBuilder,
   rentcastListing,
   rentcastListingAgent,
   rentcastListingHistory,
   rentcastListingOffice,
+  rentcastRentEstimate,
+  rentcastRequestLedger,
+  rentcastRentalListing,
+  resoListing,
   sale,
+  schemaDriftReport,
   zip,
   zipMedians,
-  zillowListing
+  zillowListing,
+  zillowRentalListing,
+  zillowSoldListing
 };
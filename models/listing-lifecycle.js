@@ -0,0 +1,558 @@
+/**
+ * Listing Lifecycle Model
+ * Tracks each source listing through the for-sale scrapes: when it was first
+ * and last seen, and its state (active, pending, delisted or sold). Every
+ * change is logged to listing_transition:
+ *
+ *   - new:          first seen in a scrape (not in the first scrape of a zip code,
+ *                   whose listings were on the market before tracking began)
+ *   - price_change: price differs from the last scrape
+ *   - pending:      status turned pending or contingent
+ *   - delisted:     status turned off market, or the listing stopped appearing
+ *   - sold:         status turned sold, or the listing stopped appearing and is in the source's sold table
+ *   - relisted:     a delisted or sold listing appeared again, or a pending one went back to active
+ *
+ * Disappearances are only inferred for the zip code just scraped, and only
+ * after a listing has been missing for LIFECYCLE_DELIST_AFTER_DAYS, so one
+ * short scrape doesn't delist half a zip code. Time on market counts from the
+ * source's days on market when a listing is first seen, or from the first
+ * scrape that saw it when the source doesn't give one. Merged listings get
+ * the state of their source listings in lifecycle_state
+ */
+
+const { db } = require('../index');
+const sourceAdapters = require('./source-adapters');
+const { getLifecycleConfig } = require('../utils/config');
+
+const STATES = ['active', 'pending', 'delisted', 'sold'];
+const TRANSITION_TYPES = ['new', 'price_change', 'pending', 'delisted', 'sold', 'relisted'];
+
+// Source statuses (Zillow statusType, Redfin mlsStatus, Realtor status, RESO
+// StandardStatus) that mean a state other than active. Statuses are compared
+// whole, with case, spaces and punctuation removed, so "Foreclosed" isn't
+// "closed"; any other status in a for-sale scrape (FOR_SALE, Coming Soon,
+// Foreclosed, ...) is active
+const STATUS_STATES = {
+  sold: ['sold', 'recentlysold', 'closed'],
+  pending: ['pending', 'contingent', 'undercontract', 'activeundercontract', 'pendingcontingent'],
+  delisted: ['offmarket', 'notforsale', 'withdrawn', 'expired', 'canceled', 'cancelled', 'delisted', 'hold', 'onhold']
+};
+
+const STATE_BY_STATUS = new Map(Object.entries(STATUS_STATES)
+  .flatMap(([state, statuses]) => statuses.map(status => [status, state])));
+
+// A merged listing takes the first state any of its source listings is in
+const MERGED_STATE_ORDER = ['sold', 'pending', 'active', 'delisted'];
+
+// Rows per upsert, insert or select request
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the lifecycle state a source status means
+ * Listings in a for-sale scrape are active unless their status says otherwise
+ * @param {string} status - Status as the source gives it (FOR_SALE, Active Under Contract, pending, ...)
+ * @returns {string} 'active', 'pending', 'delisted' or 'sold'
+ */
+function classifyStatus(status) {
+  const normalized = String(status || '').toLowerCase().replace(/[^a-z]/g, '');
+  return STATE_BY_STATUS.get(normalized) || 'active';
+}
+
+/**
+ * Record a for-sale scrape: mark the listings seen, log their transitions and,
+ * with a zip code, log listings of that zip code that stopped appearing
+ * @param {string} sourceName - Source adapter name
+ * @param {string|null} zipCode - Zip code scraped, or null for scrapes that don't cover a whole zip code
+ * @param {Array<Object>} listings - Scraped listings, as upserted into the source table
+ * @param {Object} options - Options
+ * @param {string} options.seenOn - Scrape date, YYYY-MM-DD (default: today)
+ * @returns {Promise<Object>} { seen, baseline, missing, mergedUpdated, transitions: { type: count } }
+ */
+async function recordScrape(sourceName, zipCode, listings, options = {}) {
+  const adapter = sourceAdapters.getSourceAdapter(sourceName);
+  const seenOn = options.seenOn || toDateString(new Date());
+  const result = { seen: 0, baseline: 0, missing: 0, mergedUpdated: 0, transitions: Object.fromEntries(TRANSITION_TYPES.map(type => [type, 0])) };
+  
+  const scraped = new Map();
+  for (const listing of listings || []) {
+    const id = listing[adapter.idColumn];
+    if (id != null) scraped.set(String(id), listing);
+  }
+  
+  const existing = await getLifecycleRows(sourceName, [...scraped.keys()]);
+  const unseenZipCodes = [...scraped]
+    .filter(([listingId]) => !existing.has(listingId))
+    .map(([, listing]) => listing[adapter.zipColumn] || zipCode);
+  const baselineZipCodes = await getUntrackedZipCodes(sourceName, [...new Set(unseenZipCodes)]);
+  const rows = [];
+  const missingRows = [];
+  const transitions = [];
+  // Listings whose state was set or changed, for their merged listings
+  const stateChanges = new Set();
+  
+  for (const [listingId, listing] of scraped) {
+    const previous = existing.get(listingId);
+    const status = sourceAdapters.getFieldValue(adapter, listing, 'listing_status') ?? null;
+    const price = toPrice(sourceAdapters.getFieldValue(adapter, listing, 'price'));
+    const state = classifyStatus(status);
+    const type = previous ? getStatusTransition(previous.state, state) : 'new';
+    
+    const row = {
+      source: sourceName,
+      listing_id: listingId,
+      zip5: listing[adapter.zipColumn] || (previous && previous.zip5) || zipCode,
+      state,
+      listing_status: status,
+      price,
+      first_seen: previous ? previous.first_seen : seenOn,
+      last_seen: seenOn,
+      listed_since: previous ? (type !== 'relisted' ? previous.listed_since : seenOn) : getListedSince(adapter, listing, seenOn),
+      state_since: previous && !type ? previous.state_since : seenOn
+    };
+    rows.push(row);
+    
+    // The first scrape of a zip code is the baseline, not a wave of new listings
+    if (type) stateChanges.add(listingId);
+    if (type === 'new' && baselineZipCodes.has(listing[adapter.zipColumn] || zipCode)) {
+      result.baseline++;
+    } else if (type) {
+      transitions.push(toTransition(type, previous, row, seenOn, type === 'relisted' && previous ? { off_market_since: previous.state_since } : null));
+    }
+    
+    if (previous && price != null && previous.price != null && Number(previous.price) !== price) {
+      transitions.push(toTransition('price_change', previous, row, seenOn));
+    }
+  }
+  
+  result.seen = rows.length;
+  
+  // A zip code scrape that returned nothing more likely failed than emptied the zip code
+  if (zipCode && scraped.size > 0) {
+    // Listings just seen aren't saved yet, so their stored last_seen is still old
+    const missing = (await getMissingListings(adapter, zipCode, seenOn)).filter(row => !scraped.has(row.listing_id));
+    const soldDates = await getSoldDates(adapter, missing.map(row => row.listing_id));
+    
+    for (const previous of missing) {
+      const soldDate = soldDates.get(previous.listing_id);
+      // Listings already delisted only move on once they show up as sold
+      if (previous.state === 'delisted' && !soldDate) continue;
+      
+      const state = soldDate ? 'sold' : 'delisted';
+      const row = { ...toLifecycleRow(previous), state, state_since: seenOn };
+      missingRows.push(row);
+      stateChanges.add(previous.listing_id);
+      transitions.push(toTransition(state, previous, row, seenOn, { last_seen: previous.last_seen, sold_date: soldDate || null }));
+    }
+    
+    result.missing = missingRows.length;
+  }
+  
+  // Transitions go in before the lifecycle rows move on, so if the insert
+  // fails the next scrape finds the same transitions again
+  await insertTransitions(transitions);
+  transitions.forEach(transition => { result.transitions[transition.transition_type]++; });
+  await saveLifecycleRows([...rows, ...missingRows]);
+  
+  // The merged listings keep the source rows' last status, so they get the
+  // lifecycle state too; a failure here is caught up on the next state change
+  try {
+    result.mergedUpdated = await updateMergedListingStates(adapter, [...stateChanges]);
+  } catch (error) {
+    console.warn(`Error updating merged listing lifecycle states:`, error.message);
+  }
+  
+  const counts = TRANSITION_TYPES.filter(type => result.transitions[type] > 0).map(type => `${result.transitions[type]} ${type}`);
+  console.log(`${adapter.label} lifecycle: ${result.seen} seen (${result.baseline} baseline), ${result.missing} missing, transitions: ${counts.join(', ') || 'none'}, ${result.mergedUpdated} merged listings updated`);
+  
+  return result;
+}
+
+/**
+ * Set the lifecycle state of the merged listings of some source listings
+ * A merged listing is sold when any of its listings is sold, else pending when
+ * any is pending, else active when any is active, and delisted only when all
+ * its tracked listings are
+ * @param {Object} adapter - Source adapter of the listings
+ * @param {Array<string>} listingIds - Source listing IDs
+ * @returns {Promise<number>} Merged listings updated
+ */
+async function updateMergedListingStates(adapter, listingIds) {
+  const supabase = db.getSupabaseClient();
+  const adapters = sourceAdapters.getSourceAdapters();
+  const idColumns = adapters.map(source => source.idColumn);
+  let updated = 0;
+  
+  for (let i = 0; i < listingIds.length; i += BATCH_SIZE) {
+    const { data: mergedListings, error } = await supabase
+      .from('merged_listing')
+      .select(['the_real_deal_id', 'lifecycle_state', 'lifecycle_state_since', ...idColumns].join(', '))
+      .in(adapter.idColumn, listingIds.slice(i, i + BATCH_SIZE));
+    
+    if (error) throw new Error(`Error getting merged listings of lifecycle changes: ${error.message}`);
+    if (!mergedListings || mergedListings.length === 0) continue;
+    
+    // Every source's lifecycle rows for these merged listings
+    const lifecycles = new Map();
+    for (const source of adapters) {
+      const ids = mergedListings.map(listing => listing[source.idColumn]).filter(id => id != null).map(String);
+      lifecycles.set(source.name, ids.length > 0 ? await getLifecycleRows(source.name, ids) : new Map());
+    }
+    
+    for (const listing of mergedListings) {
+      const rows = adapters
+        .map(source => listing[source.idColumn] != null && lifecycles.get(source.name).get(String(listing[source.idColumn])))
+        .filter(Boolean);
+      const state = MERGED_STATE_ORDER.find(candidate => rows.some(row => row.state === candidate));
+      if (!state) continue;
+      
+      const stateSince = rows.filter(row => row.state === state).map(row => row.state_since).sort().pop();
+      if (listing.lifecycle_state === state && listing.lifecycle_state_since === stateSince) continue;
+      
+      const { error: updateError } = await supabase
+        .from('merged_listing')
+        .update({ lifecycle_state: state, lifecycle_state_since: stateSince })
+        .eq('the_real_deal_id', listing.the_real_deal_id);
+      
+      if (updateError) throw new Error(`Error updating merged listing lifecycle state: ${updateError.message}`);
+      updated++;
+    }
+  }
+  
+  return updated;
+}
+
+/**
+ * Get lifecycle transitions, newest first
+ * @param {Object} filters - Filter options
+ * @param {string} filters.source - Only this source
+ * @param {string} filters.listingId - Only this source listing (with source)
+ * @param {string|Array<string>} filters.type - Only these transition types
+ * @param {string} filters.zipCode - Only this zip code
+ * @param {string} filters.since - Only transitions on or after this date
+ * @param {string} filters.until - Only transitions on or before this date
+ * @param {number} filters.maxDaysOnMarket - Only transitions this many days or fewer after listing
+ * @returns {Promise<Array>} Transitions
+ */
+async function getTransitions(filters = {}) {
+  const supabase = db.getSupabaseClient();
+  const transitions = [];
+  
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    let query = supabase
+      .from('listing_transition')
+      .select('*')
+      .order('transition_date', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + BATCH_SIZE - 1);
+    
+    if (filters.source) {
+      query = query.eq('source', filters.source);
+    }
+    
+    if (filters.listingId) {
+      query = query.eq('listing_id', String(filters.listingId));
+    }
+    
+    if (filters.type) {
+      query = query.in('transition_type', [].concat(filters.type));
+    }
+    
+    if (filters.zipCode) {
+      query = query.eq('zip5', filters.zipCode);
+    }
+    
+    if (filters.since) {
+      query = query.gte('transition_date', filters.since);
+    }
+    
+    if (filters.until) {
+      query = query.lte('transition_date', filters.until);
+    }
+    
+    if (filters.maxDaysOnMarket != null) {
+      query = query.lte('days_on_market', filters.maxDaysOnMarket);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error getting listing transitions: ${error.message}`);
+    
+    transitions.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+  
+  return transitions;
+}
+
+/**
+ * Get listings that went pending soon after they were listed
+ * @param {Object} options - Options
+ * @param {number} options.days - Most days from listing to pending (default: LIFECYCLE_QUICK_PENDING_DAYS)
+ * @param {string} options.since - Only pendings on or after this date
+ * @param {string} options.zipCode - Only this zip code
+ * @returns {Promise<Array>} Pending transitions, newest first
+ */
+async function getQuickPendings(options = {}) {
+  const days = options.days != null ? options.days : getLifecycleConfig().quickPendingDays;
+  return getTransitions({ type: 'pending', since: options.since, zipCode: options.zipCode, maxDaysOnMarket: days });
+}
+
+/**
+ * Get listings that came back on the market: relisted after being delisted
+ * or sold, or active again after going pending
+ * @param {Object} options - Options
+ * @param {string} options.since - Only relistings on or after this date
+ * @param {string} options.zipCode - Only this zip code
+ * @returns {Promise<Array>} Relisted transitions, newest first
+ */
+async function getBackOnMarket(options = {}) {
+  return getTransitions({ type: 'relisted', since: options.since, zipCode: options.zipCode });
+}
+
+/**
+ * Count transitions by type and source
+ * @param {Object} options - Options
+ * @param {string} options.since - Only transitions on or after this date
+ * @param {string} options.zipCode - Only this zip code
+ * @returns {Promise<Object>} { total, byType: { type: count }, bySource: { source: { type: count } } }
+ */
+async function getTransitionSummary(options = {}) {
+  const transitions = await getTransitions({ since: options.since, zipCode: options.zipCode });
+  const summary = { total: transitions.length, byType: {}, bySource: {} };
+  
+  for (const transition of transitions) {
+    const type = transition.transition_type;
+    summary.byType[type] = (summary.byType[type] || 0) + 1;
+    
+    if (!summary.bySource[transition.source]) summary.bySource[transition.source] = {};
+    summary.bySource[transition.source][type] = (summary.bySource[transition.source][type] || 0) + 1;
+  }
+  
+  return summary;
+}
+
+/**
+ * Add the merged listing each transition's source listing belongs to
+ * @param {Array<Object>} transitions - Transitions
+ * @returns {Promise<Array>} The transitions, with the_real_deal_id and address (null when not merged)
+ */
+async function attachMergedListings(transitions) {
+  const supabase = db.getSupabaseClient();
+  const merged = new Map();
+  
+  const bySource = new Map();
+  for (const transition of transitions) {
+    if (!bySource.has(transition.source)) bySource.set(transition.source, new Set());
+    bySource.get(transition.source).add(transition.listing_id);
+  }
+  
+  for (const [source, idSet] of bySource) {
+    const adapter = sourceAdapters.getSourceAdapter(source);
+    const ids = [...idSet];
+    
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('merged_listing')
+        .select(`the_real_deal_id, address, ${adapter.idColumn}`)
+        .in(adapter.idColumn, ids.slice(i, i + BATCH_SIZE));
+      
+      if (error) throw new Error(`Error getting merged listings of transitions: ${error.message}`);
+      (data || []).forEach(listing => merged.set(`${source}:${listing[adapter.idColumn]}`, listing));
+    }
+  }
+  
+  return transitions.map(transition => {
+    const listing = merged.get(`${transition.source}:${transition.listing_id}`);
+    return {
+      ...transition,
+      the_real_deal_id: listing ? listing.the_real_deal_id : null,
+      address: listing ? listing.address : null
+    };
+  });
+}
+
+// Helper functions
+function getStatusTransition(fromState, toState) {
+  if (fromState === toState) return null;
+  
+  const backOnMarket = ((fromState === 'delisted' || fromState === 'sold') && (toState === 'active' || toState === 'pending')) ||
+    (fromState === 'pending' && toState === 'active');
+  
+  return backOnMarket ? 'relisted' : toState;
+}
+
+function toTransition(type, previous, row, seenOn, details = null) {
+  return {
+    source: row.source,
+    listing_id: row.listing_id,
+    zip5: row.zip5,
+    transition_type: type,
+    transition_date: seenOn,
+    from_state: previous ? previous.state : null,
+    to_state: row.state,
+    old_status: previous ? previous.listing_status : null,
+    new_status: row.listing_status,
+    old_price: previous ? previous.price : null,
+    new_price: row.price,
+    days_on_market: daysBetween(previous ? previous.listed_since : row.listed_since, seenOn),
+    details
+  };
+}
+
+function toLifecycleRow(row) {
+  return {
+    source: row.source,
+    listing_id: row.listing_id,
+    zip5: row.zip5,
+    state: row.state,
+    listing_status: row.listing_status,
+    price: row.price,
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+    listed_since: row.listed_since,
+    state_since: row.state_since
+  };
+}
+
+async function getLifecycleRows(sourceName, ids) {
+  const supabase = db.getSupabaseClient();
+  const rows = new Map();
+  
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('listing_lifecycle')
+      .select('*')
+      .eq('source', sourceName)
+      .in('listing_id', ids.slice(i, i + BATCH_SIZE));
+    
+    if (error) throw new Error(`Error getting listing lifecycles: ${error.message}`);
+    (data || []).forEach(row => rows.set(row.listing_id, row));
+  }
+  
+  return rows;
+}
+
+async function getUntrackedZipCodes(sourceName, zipCodes) {
+  const supabase = db.getSupabaseClient();
+  const untracked = new Set();
+  
+  for (const zipCode of zipCodes) {
+    // Listings without a zip code are a baseline only while the source has none tracked
+    let query = supabase
+      .from('listing_lifecycle')
+      .select('id')
+      .eq('source', sourceName)
+      .limit(1);
+    
+    if (zipCode) {
+      query = query.eq('zip5', zipCode);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error checking tracked zip codes: ${error.message}`);
+    if (!data || data.length === 0) untracked.add(zipCode);
+  }
+  
+  return untracked;
+}
+
+function getListedSince(adapter, listing, seenOn) {
+  // Sources that give days on market date a listing back to when it was listed
+  const days = parseInt(sourceAdapters.getFieldValue(adapter, listing, 'days_on_market'), 10);
+  return days > 0 ? toDateString(new Date(Date.parse(seenOn) - days * DAY_MS)) : seenOn;
+}
+
+async function getMissingListings(adapter, zipCode, seenOn) {
+  const supabase = db.getSupabaseClient();
+  const missingBefore = toDateString(new Date(Date.parse(seenOn) - getLifecycleConfig().delistAfterDays * DAY_MS));
+  const rows = [];
+  
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('listing_lifecycle')
+      .select('*')
+      .eq('source', adapter.name)
+      .eq('zip5', zipCode)
+      .in('state', ['active', 'pending', 'delisted'])
+      .lt('last_seen', missingBefore)
+      .order('id')
+      .range(offset, offset + BATCH_SIZE - 1);
+    
+    if (error) throw new Error(`Error getting missing listings: ${error.message}`);
+    
+    rows.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+  
+  return rows;
+}
+
+async function getSoldDates(adapter, ids) {
+  const soldDates = new Map();
+  if (!adapter.soldTable) return soldDates;
+  
+  const supabase = db.getSupabaseClient();
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(adapter.soldTable)
+      .select(`${adapter.idColumn}, sold_date`)
+      .in(adapter.idColumn, ids.slice(i, i + BATCH_SIZE));
+    
+    if (error) throw new Error(`Error getting ${adapter.label} sold listings: ${error.message}`);
+    (data || []).forEach(sold => soldDates.set(String(sold[adapter.idColumn]), sold.sold_date));
+  }
+  
+  return soldDates;
+}
+
+async function saveLifecycleRows(rows) {
+  const supabase = db.getSupabaseClient();
+  const updatedAt = new Date().toISOString();
+  
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const { error } = await supabase
+      .from('listing_lifecycle')
+      .upsert(rows.slice(i, i + BATCH_SIZE).map(row => ({ ...row, updated_at: updatedAt })), { onConflict: 'source,listing_id' });
+    
+    if (error) throw new Error(`Error saving listing lifecycles: ${error.message}`);
+  }
+}
+
+async function insertTransitions(transitions) {
+  const supabase = db.getSupabaseClient();
+  
+  for (let i = 0; i < transitions.length; i += BATCH_SIZE) {
+    const { error } = await supabase
+      .from('listing_transition')
+      .insert(transitions.slice(i, i + BATCH_SIZE));
+    
+    if (error) throw new Error(`Error recording listing transitions: ${error.message}`);
+  }
+}
+
+function toPrice(value) {
+  const price = parseFloat(value);
+  return isNaN(price) ? null : price;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return from ? Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) : null;
+}
+
+module.exports = {
+  STATES,
+  TRANSITION_TYPES,
+  classifyStatus,
+  recordScrape,
+  getTransitions,
+  getQuickPendings,
+  getBackOnMarket,
+  getTransitionSummary,
+  attachMergedListings,
+  updateMergedListingStates
+};
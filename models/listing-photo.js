@@ -0,0 +1,379 @@
+/**
+ * Listing Photo Model
+ * Catalogues each source listing's photo URLs and their perceptual hashes.
+ * Listings that show the same photos are the same house, whatever their
+ * addresses say, so the hashes back up address matching in the merge and
+ * flag properties relisted under a changed address
+ */
+
+const { db } = require('../index');
+const addressMatcher = require('./address-matcher');
+const sourceAdapters = require('./source-adapters');
+const { getPhotoConfig } = require('../utils/config');
+const { hammingDistance, isUninformativeHash } = require('../utils/perceptual-hash');
+
+// Rows per upsert or select request
+const BATCH_SIZE = 500;
+
+// Bits in a perceptual hash (16 hex digits)
+const HASH_BITS = 64;
+
+/**
+ * Record the photo URLs of a source's listings
+ * New URLs are added as pending; URLs already catalogued keep their hash and
+ * get a new last_seen date
+ * @param {Object} adapter - Source adapter with getPhotoUrls
+ * @param {Array<Object>} listings - Source listing rows
+ * @param {Object} options - Catalogue options
+ * @param {number} options.maxPhotosPerListing - Photos kept per listing (default: PHOTO_MAX_PER_LISTING)
+ * @returns {Promise<Object>} { listings, photos, errors }
+ */
+async function catalogueListings(adapter, listings, options = {}) {
+  const { maxPhotosPerListing = getPhotoConfig().maxPhotosPerListing } = options;
+  const supabase = db.getSupabaseClient();
+  const result = { listings: 0, photos: 0, errors: 0 };
+  const rows = [];
+  const now = new Date().toISOString();
+  
+  for (const listing of listings) {
+    const urls = [...new Set(adapter.getPhotoUrls(listing))].slice(0, maxPhotosPerListing);
+    if (urls.length === 0 || listing[adapter.idColumn] == null) continue;
+    
+    result.listings++;
+    urls.forEach((url, position) => rows.push({
+      source: adapter.name,
+      source_listing_id: String(listing[adapter.idColumn]),
+      zip5: listing[adapter.zipColumn] || null,
+      address: addressMatcher.normalizeAddress(sourceAdapters.getAddress(adapter, listing)) || null,
+      url,
+      position,
+      last_seen: now
+    }));
+  }
+  
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+    const { error } = await supabase
+      .from('listing_photo')
+      .upsert(batch, { onConflict: 'source,source_listing_id,url' });
+    
+    if (error) {
+      console.error(`Error cataloguing ${adapter.label} photos: ${error.message}`);
+      result.errors += batch.length;
+    } else {
+      result.photos += batch.length;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get catalogued photos that haven't been hashed yet
+ * @param {Object} options - Query options
+ * @param {string} options.zipCode - Only photos of listings in this zip code
+ * @param {number} options.limit - Maximum photos to return (default: 500)
+ * @returns {Promise<Array>} Photos, first seen first
+ */
+async function getPendingPhotos(options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('listing_photo')
+    .select('id, source, source_listing_id, url')
+    .eq('hash_status', 'pending')
+    .order('first_seen', { ascending: true })
+    .limit(options.limit || BATCH_SIZE);
+  
+  if (options.zipCode) {
+    query = query.eq('zip5', options.zipCode);
+  }
+  
+  const { data, error } = await query;
+  if (error) throw new Error(`Error getting pending listing photos: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Record a photo's perceptual hash
+ * @param {number} id - listing_photo ID
+ * @param {string} phash - 16 hex digit hash
+ * @returns {Promise<Object>} Updated photo
+ */
+async function recordHash(id, phash) {
+  return db.updateRecords('listing_photo', { id }, {
+    phash,
+    hash_status: 'hashed',
+    hash_error: null,
+    hashed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Record that a photo couldn't be downloaded or hashed
+ * @param {number} id - listing_photo ID
+ * @param {string} message - Error message
+ * @returns {Promise<Object>} Updated photo
+ */
+async function recordHashFailure(id, message) {
+  return db.updateRecords('listing_photo', { id }, {
+    hash_status: 'failed',
+    hash_error: message.slice(0, 500),
+    hashed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Load the hashed photos of a zip code (or everywhere) for matching
+ * Uninformative hashes are dropped, and so are hashes found on more listings
+ * than PHOTO_MAX_LISTINGS_PER_HASH: those are placeholders, logos or an
+ * agent's stock photos, not the house
+ * @param {string} zipCode - Optional zip code filter
+ * @returns {Promise<Object>} Photo index for findPhotoMatch and findRelistedProperties
+ */
+async function getPhotoIndex(zipCode = null) {
+  const config = getPhotoConfig();
+  const supabase = db.getSupabaseClient();
+  const photos = [];
+  
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    let query = supabase
+      .from('listing_photo')
+      .select('source, source_listing_id, address, phash')
+      .eq('hash_status', 'hashed')
+      .order('id')
+      .range(offset, offset + BATCH_SIZE - 1);
+    
+    if (zipCode) {
+      query = query.eq('zip5', zipCode);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error loading listing photo hashes: ${error.message}`);
+    
+    photos.push(...(data || []));
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+  
+  return buildPhotoIndex(photos, config);
+}
+
+/**
+ * Build a photo index from hashed photo rows
+ * @param {Array<Object>} photos - { source, source_listing_id, address, phash }
+ * @param {Object} config - Photo configuration
+ * @returns {Object} { listings: Map(key -> { source, id, address, hashes }), maxHashDistance, minSharedPhotos, maxMatchDistanceMeters }
+ */
+function buildPhotoIndex(photos, config = getPhotoConfig()) {
+  const listingsByHash = new Map();
+  for (const photo of photos) {
+    if (!photo.phash || isUninformativeHash(photo.phash)) continue;
+    if (!listingsByHash.has(photo.phash)) listingsByHash.set(photo.phash, new Set());
+    listingsByHash.get(photo.phash).add(getListingKey(photo.source, photo.source_listing_id));
+  }
+  
+  const listings = new Map();
+  for (const photo of photos) {
+    const sharedBy = listingsByHash.get(photo.phash);
+    if (!sharedBy || sharedBy.size > config.maxListingsPerHash) continue;
+    
+    const key = getListingKey(photo.source, photo.source_listing_id);
+    if (!listings.has(key)) {
+      listings.set(key, { source: photo.source, id: photo.source_listing_id, address: photo.address, hashes: [] });
+    }
+    listings.get(key).hashes.push(photo.phash);
+  }
+  
+  return {
+    listings,
+    maxHashDistance: config.maxHashDistance,
+    minSharedPhotos: config.minSharedPhotos,
+    maxMatchDistanceMeters: config.maxMatchDistanceMeters
+  };
+}
+
+/**
+ * Find the candidate listing that shares the most photos with a listing
+ * One shared photo is too weak to merge on (a street view, a common floor
+ * plan), so a candidate needs the index's minSharedPhotos shared photos, and
+ * both listings need coordinates within its maxMatchDistanceMeters
+ * @param {Object} photoIndex - From getPhotoIndex
+ * @param {Object} listing - { source, id, lat, lon } of the listing
+ * @param {Object} adapter - Adapter of the candidates
+ * @param {Array<Object>} candidates - Candidate listings from that source
+ * @returns {Object|null} { candidate, sharedPhotos, distanceMeters } or null when no candidate qualifies
+ */
+function findPhotoMatch(photoIndex, listing, adapter, candidates) {
+  const target = photoIndex.listings.get(getListingKey(listing.source, listing.id));
+  if (!target) return null;
+  
+  const targetLat = parseFloat(listing.lat);
+  const targetLon = parseFloat(listing.lon);
+  if (!addressMatcher.validateCoordinates(targetLat, targetLon)) return null;
+  
+  let best = null;
+  for (const candidate of candidates) {
+    const entry = photoIndex.listings.get(getListingKey(adapter.name, candidate[adapter.idColumn]));
+    if (!entry) continue;
+    
+    const candidateLat = parseFloat(candidate.lat);
+    const candidateLon = parseFloat(candidate.lon);
+    if (!addressMatcher.validateCoordinates(candidateLat, candidateLon)) continue;
+    
+    const distanceMeters = addressMatcher.calculateDistance(targetLat, targetLon, candidateLat, candidateLon);
+    if (distanceMeters > photoIndex.maxMatchDistanceMeters) continue;
+    
+    const sharedPhotos = countSharedPhotos(target.hashes, entry.hashes, photoIndex.maxHashDistance);
+    if (sharedPhotos >= Math.max(photoIndex.minSharedPhotos, 1) && (!best || sharedPhotos > best.sharedPhotos)) {
+      best = { candidate, sharedPhotos, distanceMeters };
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Find listings that share photos but not an address
+ * On one source that's a property relisted under a changed address; across
+ * sources it's an address one of them got wrong
+ * @param {Object} photoIndex - From getPhotoIndex
+ * @returns {Array<Object>} Groups of { addresses, listings: [{ source, id, address }] }
+ */
+function findRelistedProperties(photoIndex) {
+  const entries = Array.from(photoIndex.listings.values());
+  const parent = entries.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  
+  // Photos are compared within band buckets instead of every photo with every other
+  for (const bucket of getBandBuckets(entries, photoIndex.maxHashDistance)) {
+    for (let a = 0; a < bucket.length; a++) {
+      for (let b = a + 1; b < bucket.length; b++) {
+        const photoA = bucket[a];
+        const photoB = bucket[b];
+        if (find(photoA.index) === find(photoB.index)) continue;
+        
+        const distance = countBits32(photoA.high ^ photoB.high) + countBits32(photoA.low ^ photoB.low);
+        if (distance <= photoIndex.maxHashDistance) {
+          parent[find(photoB.index)] = find(photoA.index);
+        }
+      }
+    }
+  }
+  
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ source: entry.source, id: entry.id, address: entry.address });
+  });
+  
+  return Array.from(groups.values())
+    .map(listings => ({ addresses: [...new Set(listings.map(listing => listing.address).filter(Boolean))], listings }))
+    .filter(group => group.addresses.length > 1);
+}
+
+/**
+ * Flag merged listings whose photos also appear under other addresses
+ * Sets photo_relist_addresses on every merged listing linked to a listing in a
+ * group, and clears it on merged listings no group flagged this time
+ * @param {Array<Object>} groups - From findRelistedProperties
+ * @param {Object} options - Options
+ * @param {string} options.zipCode - Zip code the groups were found in; only its flags are cleared
+ * @returns {Promise<Object>} { flagged, cleared, errors }
+ */
+async function flagRelistedProperties(groups, options = {}) {
+  const result = { flagged: 0, cleared: 0, errors: 0 };
+  const flaggedAt = new Date().toISOString();
+  
+  for (const group of groups) {
+    for (const listing of group.listings) {
+      try {
+        const adapter = sourceAdapters.getSourceAdapter(listing.source);
+        const otherAddresses = group.addresses.filter(address => address !== listing.address);
+        
+        await db.updateRecords('merged_listing', { [adapter.idColumn]: listing.id }, {
+          photo_relist_addresses: otherAddresses,
+          photo_relist_flagged_at: flaggedAt
+        });
+        result.flagged++;
+      } catch (error) {
+        console.error(`Error flagging relisted ${listing.source} listing ${listing.id}:`, error.message);
+        result.errors++;
+      }
+    }
+  }
+  
+  // Flags this run didn't renew are stale, unless a failed update is why
+  if (result.errors === 0) {
+    result.cleared = await clearRelistFlags(flaggedAt, options.zipCode);
+  }
+  
+  return result;
+}
+
+// Helper functions
+function getListingKey(source, listingId) {
+  return `${source}:${listingId}`;
+}
+
+function getBandBuckets(entries, maxDistance) {
+  // Hashes at most maxDistance bits apart agree exactly on at least one of
+  // maxDistance + 1 bands, so only photos sharing a band value are compared
+  const bandCount = Math.min(maxDistance + 1, HASH_BITS);
+  const buckets = new Map();
+  
+  entries.forEach((entry, index) => {
+    for (const hash of entry.hashes) {
+      const photo = { index, high: parseInt(hash.slice(0, 8), 16), low: parseInt(hash.slice(8, 16), 16) };
+      const bits = photo.high.toString(2).padStart(32, '0') + photo.low.toString(2).padStart(32, '0');
+      
+      for (let band = 0; band < bandCount; band++) {
+        const key = `${band}:${bits.slice(Math.floor(band * HASH_BITS / bandCount), Math.floor((band + 1) * HASH_BITS / bandCount))}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(photo);
+      }
+    }
+  });
+  
+  return buckets.values();
+}
+
+function countBits32(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+async function clearRelistFlags(flaggedBefore, zipCode) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('merged_listing')
+    .update({ photo_relist_addresses: null, photo_relist_flagged_at: null })
+    .lt('photo_relist_flagged_at', flaggedBefore);
+  
+  if (zipCode) {
+    query = query.eq('zip5', zipCode);
+  }
+  
+  const { data, error } = await query.select('the_real_deal_id');
+  if (error) throw new Error(`Error clearing stale relist flags: ${error.message}`);
+  
+  return (data || []).length;
+}
+
+function countSharedPhotos(hashesA, hashesB, maxDistance) {
+  return hashesA.filter(a => hashesB.some(b => hammingDistance(a, b) <= maxDistance)).length;
+}
+
+module.exports = {
+  catalogueListings,
+  getPendingPhotos,
+  recordHash,
+  recordHashFailure,
+  getPhotoIndex,
+  buildPhotoIndex,
+  findPhotoMatch,
+  findRelistedProperties,
+  flagRelistedProperties
+};
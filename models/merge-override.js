@@ -0,0 +1,355 @@
+/**
+ * Merge Override Model
+ * Handles analyst curation of the merge, kept in merge_override so every
+ * merge run applies it again instead of overwriting hand edits:
+ *
+ *   - force_match:     two source listings always merge into one listing
+ *   - force_non_match: two source listings never merge
+ *   - field_value:     a merged listing field keeps a pinned value
+ *
+ * Listings are identified by source and ID ("zillow:12345"). Each override
+ * has an author, a reason and an optional expiry; expired overrides stay in
+ * the table but are ignored
+ */
+
+const { db } = require('../index');
+const sourceAdapters = require('./source-adapters');
+
+const MATCH_TYPES = ['force_match', 'force_non_match'];
+
+// merged_listing fields an override can pin; address and IDs identify the listing and can't be
+const OVERRIDABLE_FIELDS = [
+  'price', 'last_sold_price', 'bedrooms', 'bathrooms', 'sqft', 'year_built', 'lot_size', 'zestimate',
+  'property_type', 'listing_status', 'days_on_market', 'city', 'state', 'zip5', 'lat', 'lon'
+];
+
+// Fields stored as strings; the others take numbers
+const TEXT_FIELDS = ['property_type', 'listing_status', 'city', 'state', 'zip5'];
+
+// Rows per select request
+const PAGE_SIZE = 500;
+
+/**
+ * Get the key of a source listing
+ * @param {string} source - Source name
+ * @param {string|number} id - Listing ID in that source
+ * @returns {string} "<source>:<id>"
+ */
+function toListingKey(source, id) {
+  return `${source}:${id}`;
+}
+
+/**
+ * Parse a listing key
+ * @param {string} key - "<source>:<id>", e.g. "zillow:12345"
+ * @returns {Object} { source, id }
+ */
+function parseListingKey(key) {
+  const separator = String(key || '').indexOf(':');
+  if (separator <= 0 || separator === key.length - 1) {
+    throw new Error(`Listing "${key}" must be written <source>:<id>, e.g. zillow:12345`);
+  }
+  
+  const source = key.slice(0, separator);
+  sourceAdapters.getSourceAdapter(source); // Throws for unknown sources
+  return { source, id: key.slice(separator + 1) };
+}
+
+/**
+ * Get the key of a source listing row
+ * @param {Object} adapter - Source adapter
+ * @param {Object} listing - Source listing row
+ * @returns {string} Listing key
+ */
+function getListingKey(adapter, listing) {
+  return toListingKey(adapter.name, listing[adapter.idColumn]);
+}
+
+/**
+ * Add a forced match or forced non-match between two source listings
+ * @param {string} type - 'force_match' or 'force_non_match'
+ * @param {string} keyA - First listing, "<source>:<id>"
+ * @param {string} keyB - Second listing, "<source>:<id>"
+ * @param {Object} entry - { author, reason, expiresAt }
+ * @returns {Promise<Object>} Inserted override
+ */
+async function addMatchOverride(type, keyA, keyB, entry = {}) {
+  if (!MATCH_TYPES.includes(type)) {
+    throw new Error(`Match override type must be one of ${MATCH_TYPES.join(', ')}`);
+  }
+  
+  const [a, b] = [parseListingKey(keyA), parseListingKey(keyB)]
+    .sort((x, y) => toListingKey(x.source, x.id).localeCompare(toListingKey(y.source, y.id)));
+  
+  if (a.source === b.source) {
+    throw new Error(`${keyA} and ${keyB} are both ${a.source} listings; a merged listing has one listing per source`);
+  }
+  
+  // A pair can't be forced both ways at once
+  const existing = (await listOverrides()).filter(override =>
+    MATCH_TYPES.includes(override.override_type) &&
+    override.source_a === a.source && override.listing_id_a === a.id &&
+    override.source_b === b.source && override.listing_id_b === b.id
+  );
+  
+  const contradicting = existing.find(override => override.override_type !== type);
+  if (contradicting) {
+    throw new Error(`${keyA} and ${keyB} already have ${contradicting.override_type} override #${contradicting.id}; remove it first`);
+  }
+  
+  return insertOverride({
+    override_type: type,
+    source_a: a.source,
+    listing_id_a: a.id,
+    source_b: b.source,
+    listing_id_b: b.id,
+    ...getEntryColumns(entry)
+  });
+}
+
+/**
+ * Pin a merged listing field to a value
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {string} fieldName - One of OVERRIDABLE_FIELDS
+ * @param {any} value - Pinned value; strings are converted for numeric fields
+ * @param {Object} entry - { author, reason, expiresAt }
+ * @returns {Promise<Object>} Inserted override
+ */
+async function addFieldOverride(theRealDealId, fieldName, value, entry = {}) {
+  if (!OVERRIDABLE_FIELDS.includes(fieldName)) {
+    throw new Error(`Field ${fieldName} can't be overridden. Use ${OVERRIDABLE_FIELDS.join(', ')}`);
+  }
+  
+  if (value == null || value === '') {
+    throw new Error(`Give a value for ${fieldName}`);
+  }
+  
+  const fieldValue = TEXT_FIELDS.includes(fieldName) ? String(value) : parseFloat(value);
+  if (typeof fieldValue === 'number' && isNaN(fieldValue)) {
+    throw new Error(`${fieldName} needs a numeric value, got "${value}"`);
+  }
+  
+  const supabase = db.getSupabaseClient();
+  const { data: listing, error } = await supabase
+    .from('merged_listing')
+    .select('the_real_deal_id')
+    .eq('the_real_deal_id', theRealDealId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding merged listing: ${error.message}`);
+  if (!listing) throw new Error(`Merged listing ${theRealDealId} not found`);
+  
+  return insertOverride({
+    override_type: 'field_value',
+    the_real_deal_id: listing.the_real_deal_id,
+    field_name: fieldName,
+    field_value: fieldValue,
+    ...getEntryColumns(entry)
+  });
+}
+
+/**
+ * List overrides, oldest first
+ * @param {Object} filters - Filter options
+ * @param {string} filters.type - Only this override type
+ * @param {boolean} filters.activeOnly - Leave out expired overrides
+ * @returns {Promise<Array>} Overrides
+ */
+async function listOverrides(filters = {}) {
+  const supabase = db.getSupabaseClient();
+  const overrides = [];
+  
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('merge_override')
+      .select('*')
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+    
+    if (filters.type) {
+      query = query.eq('override_type', filters.type);
+    }
+    
+    if (filters.activeOnly) {
+      query = query.or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error listing merge overrides: ${error.message}`);
+    
+    overrides.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  
+  return overrides;
+}
+
+/**
+ * Remove an override
+ * @param {number} id - Override ID
+ * @returns {Promise<Object>} Removed override
+ */
+async function removeOverride(id) {
+  const removed = await db.deleteRecords('merge_override', { id });
+  if (!removed || removed.length === 0) {
+    throw new Error(`Merge override ${id} not found`);
+  }
+  
+  return removed[0];
+}
+
+/**
+ * Load the active overrides for a merge run
+ * Overrides apply in ID order: when two forced matches pair a listing with
+ * different listings of one source the older one wins, and when two field
+ * overrides pin the same field the newer one wins
+ * @returns {Promise<Object>} Overrides for findComprehensiveMatches and mergePropertyData:
+ *   { matches: Map<key, Array<{ key, source, id, override }>>,
+ *     nonMatches: Map<pairKey, override>,
+ *     fields: Map<address, { field: override }>,
+ *     listings: Map<key, listing> (filled by the merge), count }
+ */
+async function getActiveOverrides() {
+  const overrides = await listOverrides({ activeOnly: true });
+  const active = {
+    matches: new Map(),
+    nonMatches: new Map(),
+    fields: new Map(),
+    listings: new Map(),
+    count: overrides.length
+  };
+  
+  const fieldOverrides = [];
+  for (const override of overrides) {
+    const keyA = toListingKey(override.source_a, override.listing_id_a);
+    const keyB = toListingKey(override.source_b, override.listing_id_b);
+    
+    if (override.override_type === 'force_match') {
+      addPartner(active.matches, keyA, { key: keyB, source: override.source_b, id: override.listing_id_b, override });
+      addPartner(active.matches, keyB, { key: keyA, source: override.source_a, id: override.listing_id_a, override });
+    } else if (override.override_type === 'force_non_match') {
+      active.nonMatches.set(toPairKey(keyA, keyB), override);
+    } else if (override.override_type === 'field_value') {
+      fieldOverrides.push(override);
+    }
+  }
+  
+  // Merged listings are found by address, so field overrides are keyed the same way
+  const addresses = await getMergedAddresses([...new Set(fieldOverrides.map(override => override.the_real_deal_id))]);
+  for (const override of fieldOverrides) {
+    const address = addresses.get(override.the_real_deal_id);
+    if (!address) continue;
+    
+    if (!active.fields.has(address)) active.fields.set(address, {});
+    active.fields.get(address)[override.field_name] = override;
+  }
+  
+  return active;
+}
+
+/**
+ * Check whether two listings are forced apart
+ * @param {Object} overrides - From getActiveOverrides
+ * @param {string} keyA - Listing key
+ * @param {string} keyB - Listing key
+ * @returns {boolean} True if a force_non_match override covers the pair
+ */
+function isForcedNonMatch(overrides, keyA, keyB) {
+  return Boolean(overrides) && overrides.nonMatches.has(toPairKey(keyA, keyB));
+}
+
+/**
+ * Get the listing of a source a listing is forced to match
+ * @param {Object} overrides - From getActiveOverrides
+ * @param {string} key - Listing key
+ * @param {string} source - Source name
+ * @returns {Object|null} Partner { key, source, id, override } of the oldest override, or null
+ */
+function getForcedMatch(overrides, key, source) {
+  if (!overrides) return null;
+  return (overrides.matches.get(key) || []).find(partner => partner.source === source) || null;
+}
+
+/**
+ * Get the field overrides of a merged listing
+ * @param {Object} overrides - From getActiveOverrides
+ * @param {string} address - Normalized merged listing address
+ * @returns {Object} Field -> override
+ */
+function getFieldOverrides(overrides, address) {
+  if (!overrides || !address) return {};
+  return overrides.fields.get(address) || {};
+}
+
+// Helper functions
+function getEntryColumns(entry) {
+  if (!entry.author || !entry.reason) {
+    throw new Error('Merge overrides need an author and a reason');
+  }
+  
+  const expiresAt = entry.expiresAt ? new Date(entry.expiresAt) : null;
+  if (expiresAt && isNaN(expiresAt.getTime())) {
+    throw new Error(`Invalid expiry date "${entry.expiresAt}"`);
+  }
+  
+  return {
+    author: entry.author,
+    reason: entry.reason,
+    expires_at: expiresAt ? expiresAt.toISOString() : null
+  };
+}
+
+async function insertOverride(override) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('merge_override')
+    .insert(override)
+    .select()
+    .single();
+  
+  if (error) throw new Error(`Error adding merge override: ${error.message}`);
+  return data;
+}
+
+async function getMergedAddresses(ids) {
+  const supabase = db.getSupabaseClient();
+  const addresses = new Map();
+  
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('merged_listing')
+      .select('the_real_deal_id, address')
+      .in('the_real_deal_id', ids.slice(i, i + PAGE_SIZE));
+    
+    if (error) throw new Error(`Error getting overridden merged listings: ${error.message}`);
+    (data || []).forEach(listing => addresses.set(listing.the_real_deal_id, listing.address));
+  }
+  
+  return addresses;
+}
+
+function addPartner(matches, key, partner) {
+  if (!matches.has(key)) matches.set(key, []);
+  matches.get(key).push(partner);
+}
+
+function toPairKey(keyA, keyB) {
+  return [keyA, keyB].sort().join('|');
+}
+
+module.exports = {
+  MATCH_TYPES,
+  OVERRIDABLE_FIELDS,
+  toListingKey,
+  parseListingKey,
+  getListingKey,
+  addMatchOverride,
+  addFieldOverride,
+  listOverrides,
+  removeOverride,
+  getActiveOverrides,
+  isForcedNonMatch,
+  getForcedMatch,
+  getFieldOverrides
+};
@@ -0,0 +1,266 @@
+/**
+ * Merged Listing History Model
+ * Handles merged_listing_history, an append-only log with one row per changed
+ * field each time the merge writes a merged listing. The row itself only keeps
+ * its latest change, so the history is what rebuilds a listing as it was on
+ * an earlier date, or lists its price, status and source changes
+ *
+ * Source changes are logged as the data_sources field, with the source names
+ * before and after
+ */
+
+const { db } = require('../index');
+
+// Rows per insert or select request
+const PAGE_SIZE = 500;
+
+// Fields the timeline reports by default
+const TIMELINE_FIELDS = ['price', 'listing_status', 'data_sources'];
+
+/**
+ * Append changed fields to a listing's history
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {Object} changedFields - Field -> { old, new, source }, from detectChanges
+ * @param {Object} entry - { reason, changedAt }
+ * @returns {Promise<number>} Rows written
+ */
+async function recordChanges(theRealDealId, changedFields, entry = {}) {
+  const changedAt = entry.changedAt || new Date().toISOString();
+  const rows = Object.entries(changedFields).map(([field, change]) => ({
+    the_real_deal_id: theRealDealId,
+    field_name: field,
+    old_value: toHistoryValue(field, change.old),
+    new_value: toHistoryValue(field, change.new),
+    change_source: change.source || null,
+    change_reason: entry.reason || null,
+    changed_at: changedAt
+  }));
+  
+  const supabase = db.getSupabaseClient();
+  for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from('merged_listing_history')
+      .insert(rows.slice(i, i + PAGE_SIZE));
+    
+    if (error) throw new Error(`Error recording merged listing history: ${error.message}`);
+  }
+  
+  return rows.length;
+}
+
+/**
+ * Get a listing's history, oldest first
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {Object} options - Query options
+ * @param {string} options.until - Only changes up to this time
+ * @param {Array<string>} options.fields - Only these fields
+ * @returns {Promise<Array>} History rows
+ */
+async function getHistory(theRealDealId, options = {}) {
+  const supabase = db.getSupabaseClient();
+  const rows = [];
+  
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('merged_listing_history')
+      .select('*')
+      .eq('the_real_deal_id', theRealDealId)
+      .order('changed_at')
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+    
+    if (options.until) {
+      query = query.lte('changed_at', options.until);
+    }
+    
+    if (options.fields) {
+      query = query.in('field_name', options.fields);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error getting merged listing history: ${error.message}`);
+    
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  
+  return rows;
+}
+
+/**
+ * Rebuild a merged listing as it was at a point in time
+ * Only fields the merge tracks for changes are rebuilt
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {string|Date} asOf - Date or time; a date alone means the end of that day (UTC)
+ * @returns {Promise<Object|null>} Listing fields as of then, or null if it had no history yet
+ */
+async function getListingAsOf(theRealDealId, asOf) {
+  const until = toEndOfDay(asOf);
+  const rows = await getHistory(theRealDealId, { until });
+  if (rows.length === 0) return null;
+  
+  const listing = { the_real_deal_id: theRealDealId, as_of: until };
+  for (const row of rows) {
+    listing[row.field_name] = row.new_value;
+  }
+  listing.last_changed_at = rows[rows.length - 1].changed_at;
+  
+  return listing;
+}
+
+/**
+ * Get a listing's timeline of notable changes
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {Object} options - Options
+ * @param {boolean} options.allFields - Every tracked field, not just price, status and sources
+ * @returns {Promise<Array>} Events, oldest first: { changed_at, type, field, old, new, source, reason }
+ *   where type is 'created', 'price', 'status', 'source_joined', 'source_left' or 'field'
+ */
+async function getTimeline(theRealDealId, options = {}) {
+  const rows = await getHistory(theRealDealId, { fields: options.allFields ? null : TIMELINE_FIELDS });
+  const events = [];
+  
+  for (const row of rows) {
+    const event = {
+      changed_at: row.changed_at,
+      field: row.field_name,
+      old: row.old_value,
+      new: row.new_value,
+      source: row.change_source,
+      reason: row.change_reason
+    };
+    
+    if (row.field_name === 'data_sources') {
+      const before = row.old_value || [];
+      const after = row.new_value || [];
+      if (before.length === 0) {
+        events.push({ ...event, type: 'created' });
+        continue;
+      }
+      
+      after.filter(source => !before.includes(source))
+        .forEach(source => events.push({ ...event, type: 'source_joined', source }));
+      before.filter(source => !after.includes(source))
+        .forEach(source => events.push({ ...event, type: 'source_left', source }));
+    } else if (row.field_name === 'price') {
+      events.push({ ...event, type: 'price' });
+    } else if (row.field_name === 'listing_status') {
+      events.push({ ...event, type: 'status' });
+    } else {
+      events.push({ ...event, type: 'field' });
+    }
+  }
+  
+  // A listing's first values are logged with its creation, which reads first
+  return events.sort((a, b) => (a.changed_at === b.changed_at ? (b.type === 'created') - (a.type === 'created') : 0));
+}
+
+/**
+ * Write a baseline history for merged listings that have none
+ * Listings merged before the history existed only have their current
+ * values; these are logged as of the listing's last update, so point-in-time
+ * queries work from then on
+ * @param {Array<string>} fields - Fields to log (the merge's tracked fields)
+ * @param {string} zipCode - Only listings in this zip code (optional)
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { checked, backfilled, errors }
+ */
+async function backfillHistory(fields, zipCode = null, options = {}) {
+  const supabase = db.getSupabaseClient();
+  const result = { checked: 0, backfilled: 0, errors: 0 };
+  
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('merged_listing')
+      .select(['the_real_deal_id', 'created_at', 'updated_at', ...fields].join(', '))
+      .order('the_real_deal_id')
+      .range(offset, offset + PAGE_SIZE - 1);
+    
+    if (zipCode) {
+      query = query.eq('zip5', zipCode);
+    }
+    
+    const { data: listings, error } = await query;
+    if (error) throw new Error(`Error getting merged listings for history backfill: ${error.message}`);
+    if (!listings || listings.length === 0) break;
+    
+    const withHistory = await getListingsWithHistory(listings.map(listing => listing.the_real_deal_id));
+    
+    for (const listing of listings) {
+      result.checked++;
+      if (withHistory.has(listing.the_real_deal_id)) continue;
+      
+      result.backfilled++;
+      if (options.dryRun) continue;
+      
+      const changedFields = {};
+      fields
+        .filter(field => listing[field] != null)
+        .forEach(field => { changedFields[field] = { old: null, new: listing[field], source: null }; });
+      
+      try {
+        await recordChanges(listing.the_real_deal_id, changedFields, {
+          reason: 'History baseline',
+          changedAt: listing.updated_at || listing.created_at
+        });
+      } catch (recordError) {
+        console.error(`Error backfilling history of merged listing ${listing.the_real_deal_id}:`, recordError.message);
+        result.errors++;
+      }
+    }
+    
+    if (listings.length < PAGE_SIZE) break;
+  }
+  
+  return result;
+}
+
+// Helper functions
+function toHistoryValue(field, value) {
+  if (value === undefined) return null;
+  // Sources are logged by name; the IDs and timestamps are on the row
+  if (field === 'data_sources') return (value || []).map(source => source.source || source).sort();
+  return value;
+}
+
+async function getListingsWithHistory(ids) {
+  const supabase = db.getSupabaseClient();
+  const withHistory = new Set();
+  
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('merged_listing_history')
+      .select('the_real_deal_id')
+      .in('the_real_deal_id', ids)
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+    
+    if (error) throw new Error(`Error checking merged listing history: ${error.message}`);
+    
+    (data || []).forEach(row => withHistory.add(row.the_real_deal_id));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  
+  return withHistory;
+}
+
+function toEndOfDay(asOf) {
+  if (typeof asOf === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    return `${asOf}T23:59:59.999Z`;
+  }
+  
+  const time = new Date(asOf);
+  if (isNaN(time.getTime())) {
+    throw new Error(`Invalid date "${asOf}"`);
+  }
+  return time.toISOString();
+}
+
+module.exports = {
+  TIMELINE_FIELDS,
+  recordChanges,
+  getHistory,
+  getListingAsOf,
+  getTimeline,
+  backfillHistory
+};
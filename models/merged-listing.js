@@ -1,48 +1,59 @@
 /**
  * Merged Listing Model
- * Handles merging property data from Zillow, Redfin, and Realtor sources
- * with conflict tracking and resolution
+ * Handles merging property data from the registered listing sources
+ * (see models/source-adapters) with conflict tracking and resolution
  */
 
 const { db } = require('../index');
 const addressMatcher = require('./address-matcher');
+const candidateIndex = require('./candidate-index');
+const sourceAdapters = require('./source-adapters');
+const listingPhoto = require('./listing-photo');
+const mergeOverride = require('./merge-override');
+const mergedListingHistory = require('./merged-listing-history');
 const mergeConfig = require('../utils/merge-config');
+const distressSignals = require('../utils/distress-signals');
+const { getPhotoConfig } = require('../utils/config');
+
+// Canonical numeric fields merged with each field's resolution strategy and conflict detection
+const NUMERIC_FIELDS = ['price', 'last_sold_price', 'bedrooms', 'bathrooms', 'sqft', 'year_built', 'lot_size', 'zestimate'];
+
+// Numeric fields only optional sources supply. They are merged while a registered
+// source maps them, so merged_listing only needs their columns where that source
+// is set up (the off-market leads add arv and repair_estimate)
+const OPTIONAL_NUMERIC_FIELDS = ['arv', 'repair_estimate'];
+
+// Distress analysis errors already logged, so a broken dictionary is reported once per run
+const distressErrors = new Set();
 
 /**
  * Get all source listings for merging
  * @param {string} zipCode - Optional zip code filter
- * @returns {Promise<Object>} Object with arrays of listings from each source
+ * @returns {Promise<Object>} Object with arrays of listings keyed by source name
  */
 async function getAllSourceListings(zipCode = null) {
   const supabase = db.getSupabaseClient();
+  const adapters = sourceAdapters.getSourceAdapters();
   
   try {
-    // Build queries with optional zip code filter
-    let zillowQuery = supabase.from('zillow_listing').select('*');
-    let redfinQuery = supabase.from('redfin_listing').select('*');
-    let realtorQuery = supabase.from('realtor_listing').select('*');
-    
-    if (zipCode) {
-      zillowQuery = zillowQuery.eq('zip5', zipCode);
-      redfinQuery = redfinQuery.eq('zip5', zipCode);
-      realtorQuery = realtorQuery.eq('zip5', zipCode);
-    }
-    
-    const [zillowResult, redfinResult, realtorResult] = await Promise.all([
-      zillowQuery,
-      redfinQuery,
-      realtorQuery
-    ]);
+    // Build one query per source with optional zip code filter
+    const results = await Promise.all(adapters.map(adapter => {
+      let query = supabase.from(adapter.table).select('*');
+      
+      if (zipCode) {
+        query = query.eq(adapter.zipColumn, zipCode);
+      }
+      
+      return query;
+    }));
     
-    if (zillowResult.error) throw new Error(`Zillow query error: ${zillowResult.error.message}`);
-    if (redfinResult.error) throw new Error(`Redfin query error: ${redfinResult.error.message}`);
-    if (realtorResult.error) throw new Error(`Realtor query error: ${realtorResult.error.message}`);
+    const sourceListings = {};
+    adapters.forEach((adapter, index) => {
+      if (results[index].error) throw new Error(`${adapter.label} query error: ${results[index].error.message}`);
+      sourceListings[adapter.name] = results[index].data || [];
+    });
     
-    return {
-      zillow: zillowResult.data || [],
-      redfin: redfinResult.data || [],
-      realtor: realtorResult.data || []
-    };
+    return sourceListings;
   } catch (error) {
     console.error('Error fetching source listings:', error.message);
     throw error;
@@ -51,16 +62,17 @@ async function getAllSourceListings(zipCode = null) {
 
 /**
  * Merge property data from multiple sources
- * @param {Object} sources - Object containing matched listings from different sources
+ * Field overrides pinned on the merged listing replace the merged values
+ * @param {Object} sources - Object containing matched listings keyed by source name
  * @param {Object} config - Merge configuration
+ * @param {Object} overrides - Active overrides from mergeOverride.getActiveOverrides (optional)
  * @returns {Object} Merged property data
  */
-function mergePropertyData(sources, config) {
+function mergePropertyData(sources, config, overrides = null) {
+  const adapters = sourceAdapters.getSourceAdapters();
+  
   const merged = {
     // Source tracking
-    zillow_id: sources.zillow?.zillow_id || null,
-    redfin_id: sources.redfin?.redfin_id || null,
-    realtor_id: sources.realtor?.realtor_id || null,
     source_count: 0,
     data_sources: [],
     
@@ -75,7 +87,7 @@ function mergePropertyData(sources, config) {
     city: '',
     state: '',
     
-    // Numeric fields (will be averaged)
+    // Numeric fields (resolved per field_resolution_strategies)
     price: null,
     last_sold_price: null,
     bedrooms: null,
@@ -83,15 +95,8 @@ function mergePropertyData(sources, config) {
     sqft: null,
     year_built: null,
     lot_size: null,
-    
-    // Zillow-specific fields
     zestimate: null,
     
-    // Text fields (source-specific)
-    zillow_overview: '',
-    redfin_overview: '',
-    realtor_overview: '',
-    
     // Additional fields
     property_type: '',
     listing_status: '',
@@ -101,47 +106,35 @@ function mergePropertyData(sources, config) {
     data_conflicts: {},
     conflict_count: 0,
     has_price_conflicts: false,
-    has_size_conflicts: false
+    has_size_conflicts: false,
+    
+    // Field overrides applied, with the values they replaced
+    manual_overrides: {}
   };
   
-  // Track which sources we have
-  const availableSources = [];
-  if (sources.zillow) {
-    availableSources.push('zillow');
-    merged.source_count++;
-    merged.data_sources.push({
-      source: 'zillow',
-      id: sources.zillow.zillow_id,
-      last_updated: sources.zillow.last_updated
-    });
-    merged.original_addresses.zillow = sources.zillow.address;
-  }
-  
-  if (sources.redfin) {
-    availableSources.push('redfin');
-    merged.source_count++;
-    merged.data_sources.push({
-      source: 'redfin',
-      id: sources.redfin.redfin_id,
-      last_updated: sources.redfin.last_updated
-    });
-    merged.original_addresses.redfin = sources.redfin.address;
-  }
-  
-  if (sources.realtor) {
-    availableSources.push('realtor');
+  // Track which sources we have, and keep each source's ID and overview column
+  for (const adapter of adapters) {
+    const listing = sources[adapter.name];
+    merged[adapter.idColumn] = listing?.[adapter.idColumn] || null;
+    
+    if (adapter.overviewColumn) {
+      merged[adapter.overviewColumn] = extractOverview(listing, adapter);
+    }
+    
+    if (!listing) continue;
+    
     merged.source_count++;
     merged.data_sources.push({
-      source: 'realtor',
-      id: sources.realtor.realtor_id,
-      last_updated: sources.realtor.last_updated
+      source: adapter.name,
+      id: listing[adapter.idColumn],
+      last_updated: listing.last_updated
     });
-    merged.original_addresses.realtor = sources.realtor.street;
+    merged.original_addresses[adapter.name] = listing[adapter.addressColumn];
   }
   
-  // Merge address (use the most complete one, preferring Zillow)
-  merged.address = sources.zillow?.address || sources.redfin?.address || sources.realtor?.street || '';
-  merged.address = addressMatcher.normalizeAddress(merged.address);
+  // Merge address (use the one from the most trusted source)
+  merged.address = addressMatcher.normalizeAddress(pickTrustedValue('address', sources) || '');
+  Object.assign(merged, getBuildingColumns(merged.address));
   
   // Merge geographic data
   const coordinates = mergeCoordinates(sources);
@@ -149,32 +142,34 @@ function mergePropertyData(sources, config) {
   merged.lon = coordinates.lon;
   
   // Merge basic location data
-  merged.zip5 = sources.zillow?.zip5 || sources.redfin?.zip5 || sources.realtor?.zip5 || '';
-  merged.city = sources.zillow?.city || sources.redfin?.city || sources.realtor?.locality || '';
-  merged.state = sources.zillow?.state || sources.redfin?.state || sources.realtor?.region || '';
+  merged.zip5 = pickTrustedValue('zip5', sources) || '';
+  merged.city = pickTrustedValue('city', sources) || '';
+  merged.state = pickTrustedValue('state', sources) || '';
   
   // Merge numeric fields with conflict detection
-  merged.price = mergeNumericField('price', sources, config, merged.data_conflicts);
-  merged.last_sold_price = mergeNumericField('last_sold_price', sources, config, merged.data_conflicts);
-  merged.bedrooms = mergeNumericField('bedrooms', sources, config, merged.data_conflicts);
-  merged.bathrooms = mergeNumericField('bathrooms', sources, config, merged.data_conflicts);
-  merged.sqft = mergeNumericField('sqft', sources, config, merged.data_conflicts);
-  merged.year_built = mergeNumericField('year_built', sources, config, merged.data_conflicts);
-  merged.lot_size = mergeNumericField('lot_size', sources, config, merged.data_conflicts);
-  
-  // Merge Zillow-specific fields
-  merged.zestimate = extractZestimate(sources.zillow);
-  
-  // Merge text fields (source-specific overviews)
-  merged.zillow_overview = extractOverview(sources.zillow, 'zillow');
-  merged.redfin_overview = extractOverview(sources.redfin, 'redfin');
-  merged.realtor_overview = extractOverview(sources.realtor, 'realtor');
+  for (const fieldName of getNumericFields()) {
+    merged[fieldName] = mergeNumericField(fieldName, sources, config, merged.data_conflicts);
+  }
   
   // Merge categorical fields
-  merged.property_type = mergePropertyType(sources);
-  merged.listing_status = mergeListingStatus(sources);
+  merged.property_type = pickTrustedValue('property_type', sources) || '';
+  merged.listing_status = pickTrustedValue('listing_status', sources) || '';
   merged.days_on_market = mergeDaysOnMarket(sources);
   
+  // Score distress phrases in the sources' remarks; a dictionary that doesn't
+  // load leaves the distress columns as they were instead of failing the merge
+  try {
+    Object.assign(merged, getDistressColumns(merged));
+  } catch (error) {
+    if (!distressErrors.has(error.message)) {
+      distressErrors.add(error.message);
+      console.warn(`Skipping distress analysis: ${error.message}`);
+    }
+  }
+  
+  // Analyst field overrides win over every source
+  applyFieldOverrides(merged, mergeOverride.getFieldOverrides(overrides, merged.address));
+  
   // Count conflicts
   merged.conflict_count = Object.keys(merged.data_conflicts).length;
   merged.has_price_conflicts = hasConflictForField(merged.data_conflicts, ['price', 'last_sold_price']);
@@ -183,6 +178,21 @@ function mergePropertyData(sources, config) {
   return merged;
 }
 
+/**
+ * Pick a field's value from the most trusted source that has one
+ * @param {string} fieldName - Canonical field name
+ * @param {Object} sources - Source listings
+ * @returns {any} Value, or null if no source has it
+ */
+function pickTrustedValue(fieldName, sources) {
+  for (const adapter of sourceAdapters.getAdaptersByTrust(fieldName)) {
+    const value = sourceAdapters.getFieldValue(adapter, sources[adapter.name], fieldName);
+    if (value) return value;
+  }
+  
+  return null;
+}
+
 /**
  * Merge coordinates from multiple sources
  * @param {Object} sources - Source listings
@@ -191,16 +201,18 @@ function mergePropertyData(sources, config) {
 function mergeCoordinates(sources) {
   const coords = [];
   
-  if (sources.zillow?.lat && sources.zillow?.lon) {
-    coords.push({ lat: parseFloat(sources.zillow.lat), lon: parseFloat(sources.zillow.lon), source: 'zillow' });
-  }
-  
-  if (sources.redfin?.lat && sources.redfin?.lon) {
-    coords.push({ lat: parseFloat(sources.redfin.lat), lon: parseFloat(sources.redfin.lon), source: 'redfin' });
-  }
-  
-  if (sources.realtor?.latitude && sources.realtor?.longitude) {
-    coords.push({ lat: parseFloat(sources.realtor.latitude), lon: parseFloat(sources.realtor.longitude), source: 'realtor' });
+  for (const adapter of sourceAdapters.getSourceAdapters()) {
+    const listing = sources[adapter.name];
+    const { lat, lon } = adapter.coordinateColumns;
+    
+    if (listing?.[lat] && listing?.[lon]) {
+      coords.push({
+        lat: parseFloat(listing[lat]),
+        lon: parseFloat(listing[lon]),
+        source: adapter.name,
+        weight: sourceAdapters.getTrustWeight(adapter, 'coordinates')
+      });
+    }
   }
   
   if (coords.length === 0) {
@@ -211,16 +223,37 @@ function mergeCoordinates(sources) {
     return { lat: coords[0].lat, lon: coords[0].lon };
   }
   
-  // Average coordinates
-  const avgLat = coords.reduce((sum, coord) => sum + coord.lat, 0) / coords.length;
-  const avgLon = coords.reduce((sum, coord) => sum + coord.lon, 0) / coords.length;
+  // Average coordinates, weighted by trust
+  const totalWeight = coords.reduce((sum, coord) => sum + coord.weight, 0);
+  const avgLat = coords.reduce((sum, coord) => sum + coord.lat * coord.weight, 0) / totalWeight;
+  const avgLon = coords.reduce((sum, coord) => sum + coord.lon * coord.weight, 0) / totalWeight;
   
   return { lat: avgLat, lon: avgLon };
 }
 
+/**
+ * Get the unit and building of a merged address
+ * Each unit keeps its own merged listing; building_address (the address
+ * without the unit) groups the units of a building with the building-level
+ * listing, if there is one
+ * @param {string} address - Normalized address
+ * @returns {Object} { unit_number, building_address }
+ */
+function getBuildingColumns(address) {
+  if (!address) return { unit_number: null, building_address: null };
+  
+  return {
+    unit_number: addressMatcher.getUnit(addressMatcher.extractAddressComponents(address)) || null,
+    building_address: addressMatcher.getBuildingAddress(address)
+  };
+}
+
 /**
  * Merge numeric field with conflict detection
- * @param {string} fieldName - Name of the field to merge
+ * Values from several sources are resolved with the field's strategy in
+ * field_resolution_strategies, and conflicts record the strategy and the
+ * source whose value won
+ * @param {string} fieldName - Canonical name of the field to merge
  * @param {Object} sources - Source listings
  * @param {Object} config - Configuration
  * @param {Object} conflicts - Conflicts object to update
@@ -229,42 +262,20 @@ function mergeCoordinates(sources) {
 function mergeNumericField(fieldName, sources, config, conflicts) {
   const values = [];
   
-  // Map field names between sources
-  const fieldMappings = {
-    bedrooms: { zillow: 'bedrooms', redfin: 'bedrooms', realtor: 'beds' },
-    bathrooms: { zillow: 'bathrooms', redfin: 'bathrooms', realtor: 'baths' },
-    lot_size: { zillow: null, redfin: 'lot_size', realtor: 'lot_sqft' },
-    sqft: { zillow: 'sqft', redfin: 'sqft', realtor: 'sqft' },
-    price: { zillow: 'price', redfin: 'price', realtor: 'list_price' },
-    last_sold_price: { zillow: 'last_sold_price', redfin: null, realtor: 'last_sold_price' },
-    year_built: { zillow: null, redfin: 'year_built', realtor: 'year_built' }
-  };
-  
-  const mapping = fieldMappings[fieldName] || { zillow: fieldName, redfin: fieldName, realtor: fieldName };
-  
-  // Collect values from each source
-  if (sources.zillow && mapping.zillow && sources.zillow[mapping.zillow] != null) {
-    values.push({
-      source: 'zillow',
-      value: parseFloat(sources.zillow[mapping.zillow]),
-      field: mapping.zillow
-    });
-  }
-  
-  if (sources.redfin && mapping.redfin && sources.redfin[mapping.redfin] != null) {
-    values.push({
-      source: 'redfin',
-      value: parseFloat(sources.redfin[mapping.redfin]),
-      field: mapping.redfin
-    });
-  }
-  
-  if (sources.realtor && mapping.realtor && sources.realtor[mapping.realtor] != null) {
-    values.push({
-      source: 'realtor',
-      value: parseFloat(sources.realtor[mapping.realtor]),
-      field: mapping.realtor
-    });
+  // Collect values from each source that maps the field
+  for (const adapter of sourceAdapters.getSourceAdapters()) {
+    const listing = sources[adapter.name];
+    const value = sourceAdapters.getFieldValue(adapter, listing, fieldName);
+    
+    if (value != null) {
+      values.push({
+        source: adapter.name,
+        value: parseFloat(value),
+        field: adapter.fieldMapping[fieldName],
+        weight: sourceAdapters.getTrustWeight(adapter, fieldName),
+        updated_at: sourceAdapters.getUpdatedAt(adapter, listing)
+      });
+    }
   }
   
   // Filter out invalid values
@@ -278,32 +289,74 @@ function mergeNumericField(fieldName, sources, config, conflicts) {
     return validValues[0].value;
   }
   
+  const strategy = mergeConfig.getResolutionStrategy(config, fieldName);
+  const resolution = resolveNumericValues(validValues, strategy);
+  
   // Check for conflicts
   const hasConflict = detectNumericConflict(validValues, config, fieldName);
   
   if (hasConflict && config.conflict_detection_enabled) {
     conflicts[fieldName] = {
-      values: validValues.map(v => ({ source: v.source, value: v.value, field: v.field })),
+      values: validValues.map(v => ({ source: v.source, value: v.value, field: v.field, updated_at: v.updated_at })),
       reason: `${fieldName} values differ beyond threshold`,
-      resolved_value: null,
-      resolution_method: 'average'
+      resolved_value: resolution.value,
+      resolution_method: strategy,
+      winning_source: resolution.source
     };
   }
   
-  // Calculate average
-  const average = validValues.reduce((sum, v) => sum + v.value, 0) / validValues.length;
-  
-  if (hasConflict) {
-    conflicts[fieldName].resolved_value = average;
-  }
-  
   // Round appropriately based on field type
   if (['bedrooms', 'year_built'].includes(fieldName)) {
-    return Math.round(average);
+    return Math.round(resolution.value);
   } else if (fieldName === 'bathrooms') {
-    return Math.round(average * 2) / 2; // Round to nearest 0.5
+    return Math.round(resolution.value * 2) / 2; // Round to nearest 0.5
   } else {
-    return Math.round(average);
+    return Math.round(resolution.value);
+  }
+}
+
+/**
+ * Resolve several sources' values of a field with a resolution strategy
+ * Every strategy but average returns one source's value; ties go to the more
+ * trusted source, then to the source registered first
+ * @param {Array<Object>} values - [{ source, value, weight, updated_at }] in registration order
+ * @param {string} strategy - One of mergeConfig.RESOLUTION_STRATEGIES
+ * @returns {Object} { value, source } where source is null for average
+ */
+function resolveNumericValues(values, strategy) {
+  // Array.prototype.sort is stable, so equal weights keep registration order
+  const trusted = [...values].sort((a, b) => b.weight - a.weight);
+  const won = v => ({ value: v.value, source: v.source });
+  
+  switch (strategy) {
+    case 'source_precedence':
+      return won(trusted[0]);
+    
+    case 'most_recent': {
+      // Sources without a timestamp only win when none has one
+      const dated = trusted.filter(v => !isNaN(Date.parse(v.updated_at)));
+      if (dated.length === 0) return won(trusted[0]);
+      return won(dated.reduce((latest, v) => (Date.parse(v.updated_at) > Date.parse(latest.updated_at) ? v : latest)));
+    }
+    
+    case 'median': {
+      const sorted = [...trusted].sort((a, b) => a.value - b.value);
+      return won(sorted[Math.floor((sorted.length - 1) / 2)]);
+    }
+    
+    case 'mode': {
+      const counts = new Map();
+      values.forEach(v => counts.set(v.value, (counts.get(v.value) || 0) + 1));
+      const highest = Math.max(...counts.values());
+      return won(trusted.find(v => counts.get(v.value) === highest));
+    }
+    
+    case 'average':
+    default: {
+      // Weighted by each source's trust in the field
+      const totalWeight = values.reduce((sum, v) => sum + v.weight, 0);
+      return { value: values.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight, source: null };
+    }
   }
 }
 
@@ -341,65 +394,30 @@ function detectNumericConflict(values, config, fieldName) {
 /**
  * Extract overview text from source listing
  * @param {Object} listing - Source listing
- * @param {string} source - Source name
+ * @param {Object} adapter - Source adapter
  * @returns {string} Overview text
  */
-function extractOverview(listing, source) {
-  if (!listing) return '';
-  
-  switch (source) {
-    case 'zillow':
-      return listing.img_src || listing.status_text || '';
-    case 'redfin':
-      return listing.listing_remarks || '';
-    case 'realtor':
-      return listing.text || '';
-    default:
-      return '';
-  }
-}
-
-/**
- * Extract Zestimate from Zillow listing
- * @param {Object} zillowListing - Zillow listing object
- * @returns {number|null} Zestimate value or null if not available
- */
-function extractZestimate(zillowListing) {
-  if (!zillowListing) return null;
-  
-  // Check if zestimate field exists and has a valid value
-  if (zillowListing.zestimate != null) {
-    const zestimate = parseFloat(zillowListing.zestimate);
-    return !isNaN(zestimate) && zestimate > 0 ? zestimate : null;
-  }
+function extractOverview(listing, adapter) {
+  if (!listing || !adapter.getOverview) return '';
   
-  return null;
+  return adapter.getOverview(listing) || '';
 }
 
 /**
- * Merge property type from sources
- * @param {Object} sources - Source listings
- * @returns {string} Merged property type
+ * Analyse a merged listing's overview columns for distress phrases
+ * @param {Object} listing - Merged listing with its overview columns
+ * @returns {Object} distress_score, distress_tags, distress_signals and distress_analyzed_at
  */
-function mergePropertyType(sources) {
-  // Priority: Zillow > Realtor > Redfin (Zillow tends to have cleaner property types)
-  return sources.zillow?.property_type || 
-         sources.realtor?.property_type || 
-         sources.redfin?.property_type || 
-         '';
-}
-
-/**
- * Merge listing status from sources
- * @param {Object} sources - Source listings
- * @returns {string} Merged listing status
- */
-function mergeListingStatus(sources) {
-  // Priority: Zillow > Redfin > Realtor
-  return sources.zillow?.listing_status || 
-         sources.redfin?.mls_status || 
-         sources.realtor?.status || 
-         '';
+function getDistressColumns(listing) {
+  const texts = Object.fromEntries(getOverviewColumns().map(column => [column, listing[column]]));
+  const analysis = distressSignals.analyzeRemarks(texts);
+  
+  return {
+    distress_score: analysis.score,
+    distress_tags: analysis.tags,
+    distress_signals: analysis.signals,
+    distress_analyzed_at: new Date().toISOString()
+  };
 }
 
 /**
@@ -410,16 +428,14 @@ function mergeListingStatus(sources) {
 function mergeDaysOnMarket(sources) {
   const values = [];
   
-  if (sources.zillow?.days_on_zillow) {
-    values.push(parseInt(sources.zillow.days_on_zillow));
-  }
-  
-  if (sources.redfin?.dom) {
-    values.push(parseInt(sources.redfin.dom));
+  // Sources without a days on market column map it to null
+  for (const adapter of sourceAdapters.getSourceAdapters()) {
+    const value = sourceAdapters.getFieldValue(adapter, sources[adapter.name], 'days_on_market');
+    if (value) {
+      values.push(parseInt(value));
+    }
   }
   
-  // Realtor doesn't have a direct days on market field
-  
   const validValues = values.filter(v => !isNaN(v) && v > 0);
   
   if (validValues.length === 0) return null;
@@ -428,6 +444,34 @@ function mergeDaysOnMarket(sources) {
   return Math.round(validValues.reduce((sum, v) => sum + v, 0) / validValues.length);
 }
 
+/**
+ * Replace merged values with field overrides
+ * A conflict on an overridden field stays recorded, resolved by the override
+ * @param {Object} merged - Merged listing to update
+ * @param {Object} fieldOverrides - Field -> override, from mergeOverride.getFieldOverrides
+ */
+function applyFieldOverrides(merged, fieldOverrides) {
+  for (const [fieldName, override] of Object.entries(fieldOverrides)) {
+    merged.manual_overrides[fieldName] = {
+      value: override.field_value,
+      merged_value: merged[fieldName],
+      override_id: override.id,
+      author: override.author,
+      reason: override.reason,
+      expires_at: override.expires_at
+    };
+    merged[fieldName] = override.field_value;
+    
+    if (merged.data_conflicts[fieldName]) {
+      Object.assign(merged.data_conflicts[fieldName], {
+        resolved_value: override.field_value,
+        resolution_method: 'manual_override',
+        winning_source: null
+      });
+    }
+  }
+}
+
 /**
  * Check if conflicts exist for specific fields
  * @param {Object} conflicts - Conflicts object
@@ -447,8 +491,8 @@ function hasConflictForField(conflicts, fieldNames) {
 function calculateQualityScore(mergedData, config) {
   const weights = config.quality_score_weights;
   
-  // Source count score (more sources = better)
-  const sourceScore = Math.min(mergedData.source_count / 3, 1.0);
+  // Source count score (more sources = better, out of the core sources)
+  const sourceScore = Math.min(mergedData.source_count / sourceAdapters.getCoreSourceCount(), 1.0);
   
   // Confidence score (from matching process)
   const confidenceScore = mergedData.confidence_score || 0.8; // Default if not set
@@ -507,6 +551,10 @@ async function upsertMergedListing(mergedData, changeReason = 'Data merge proces
           previous_update: existing.updated_at
         };
         
+        // History first, so a listing never changes without its history; if the
+        // update then fails, the next merge records the same change again
+        await recordHistory(existing.the_real_deal_id, changeDetection.changedFields, changeReason, now);
+        
         const { data, error } = await supabase
           .from('merged_listing')
           .update(mergedData)
@@ -521,18 +569,16 @@ async function upsertMergedListing(mergedData, changeReason = 'Data merge proces
         
         return data;
       } else {
-        // No changes detected, just update timestamps
+        // No monitored field changed, but columns the merge derives (distress
+        // scores, unit and building, conflict resolutions) still get refreshed
         const { data, error } = await supabase
           .from('merged_listing')
-          .update({ 
-            last_merged_at: now,
-            updated_at: now 
-          })
+          .update({ ...mergedData, updated_at: now })
           .eq('the_real_deal_id', existing.the_real_deal_id)
           .select()
           .single();
         
-        if (error) throw new Error(`Error updating merged listing timestamps: ${error.message}`);
+        if (error) throw new Error(`Error refreshing merged listing: ${error.message}`);
         
         console.log(`No changes detected for merged listing ${existing.the_real_deal_id}: ${mergedData.address}`);
         return data;
@@ -558,6 +604,23 @@ async function upsertMergedListing(mergedData, changeReason = 'Data merge proces
       
       if (error) throw new Error(`Error inserting merged listing: ${error.message}`);
       
+      // The first history entry holds every value the listing starts with. The ID
+      // only exists after the insert, so the row is removed again if the history
+      // can't be written and the next merge creates it afresh
+      try {
+        await recordHistory(data.the_real_deal_id, detectChanges({}, mergedData).changedFields, mergedData.last_change_reason, now);
+      } catch (historyError) {
+        const { error: deleteError } = await supabase
+          .from('merged_listing')
+          .delete()
+          .eq('the_real_deal_id', data.the_real_deal_id);
+        
+        if (deleteError) {
+          console.warn(`Error removing merged listing ${data.the_real_deal_id} after its history failed:`, deleteError.message);
+        }
+        throw historyError;
+      }
+      
       console.log(`✅ Created new merged listing ${data.the_real_deal_id} for address: ${mergedData.address}`);
       console.log(`   📊 Sources: ${mergedData.source_count} (${Object.keys(mergedData.data_sources || {}).join(', ')})`);
       
@@ -569,6 +632,28 @@ async function upsertMergedListing(mergedData, changeReason = 'Data merge proces
   }
 }
 
+/**
+ * Append a merge's changes to the listing's history
+ * A failed history write fails the merge of the listing
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {Object} changedFields - Changed fields from detectChanges
+ * @param {string} changeReason - Reason for the change
+ * @param {string} changedAt - Merge time
+ */
+async function recordHistory(theRealDealId, changedFields, changeReason, changedAt) {
+  await mergedListingHistory.recordChanges(theRealDealId, changedFields, { reason: changeReason, changedAt });
+}
+
+/**
+ * Backfill a baseline history for merged listings merged before history was kept
+ * @param {string} zipCode - Optional zip code filter
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { checked, backfilled, errors }
+ */
+async function backfillListingHistory(zipCode = null, options = {}) {
+  return mergedListingHistory.backfillHistory([...getMonitoredFields(), 'data_sources'], zipCode, options);
+}
+
 /**
  * Process and merge all listings
  * @param {string} zipCode - Optional zip code filter
@@ -582,8 +667,11 @@ async function processAllListings(zipCode = null) {
     exact_matches: 0,
     fuzzy_matches: 0,
     coordinate_matches: 0,
+    manual_matches: 0,
     no_matches: 0,
     conflicts_detected: 0,
+    comparisons_scored: 0,
+    comparisons_skipped: 0,
     errors: 0,
     processing_time_seconds: 0
   };
@@ -596,27 +684,41 @@ async function processAllListings(zipCode = null) {
     console.log('Using merge configuration:', config);
     
     // Get all source listings
+    const adapters = sourceAdapters.getSourceAdapters();
     const sourceListings = await getAllSourceListings(zipCode);
-    console.log(`Loaded ${sourceListings.zillow.length} Zillow, ${sourceListings.redfin.length} Redfin, ${sourceListings.realtor.length} Realtor listings`);
+    console.log(`Loaded ${adapters.map(adapter => `${sourceListings[adapter.name].length} ${adapter.label}`).join(', ')} listings`);
+    
+    // Photo hashes back up address matching when PHOTO_MATCHING_ENABLED is set
+    const photoIndex = getPhotoConfig().matchingEnabled ? await listingPhoto.getPhotoIndex(zipCode) : null;
+    if (photoIndex) {
+      console.log(`Loaded photo hashes for ${photoIndex.listings.size} listings`);
+    }
+    
+    // Analyst overrides are applied on every run, so hand edits survive merges
+    const overrides = await mergeOverride.getActiveOverrides();
+    if (overrides.count > 0) {
+      console.log(`Applying ${overrides.count} merge overrides`);
+    }
     
     // Create a map to track processed addresses
     const processedAddresses = new Set();
     const allListings = [];
     
     // Combine all listings with source information
-    sourceListings.zillow.forEach(listing => {
-      allListings.push({ ...listing, source: 'zillow', address: listing.address, lat: listing.lat, lon: listing.lon });
-    });
+    for (const adapter of adapters) {
+      sourceListings[adapter.name].forEach(listing => {
+        allListings.push(sourceAdapters.toMatchCandidate(adapter, listing));
+      });
+    }
     
-    sourceListings.redfin.forEach(listing => {
-      allListings.push({ ...listing, source: 'redfin', address: listing.address, lat: listing.lat, lon: listing.lon });
-    });
+    console.log(`Total listings to process: ${allListings.length}`);
+    await loadForcedListings(overrides, allListings);
     
-    sourceListings.realtor.forEach(listing => {
-      allListings.push({ ...listing, source: 'realtor', address: listing.street, lat: listing.latitude, lon: listing.longitude });
-    });
+    // Listings already merged into an earlier listing by a forced match
+    const forcedMembers = new Set();
     
-    console.log(`Total listings to process: ${allListings.length}`);
+    // Index each source once so listings are only scored against plausible candidates
+    const candidateIndexes = buildCandidateIndexes(sourceListings, config);
     
     // Process each listing
     for (const listing of allListings) {
@@ -624,24 +726,19 @@ async function processAllListings(zipCode = null) {
         results.total_processed++;
         
         const normalizedAddress = addressMatcher.normalizeAddress(listing.address);
+        const listingKey = mergeOverride.getListingKey(sourceAdapters.getSourceAdapter(listing.source), listing);
         
         // Skip if we've already processed this address
-        if (processedAddresses.has(normalizedAddress)) {
+        if (processedAddresses.has(normalizedAddress) || forcedMembers.has(listingKey)) {
           continue;
         }
         
         processedAddresses.add(normalizedAddress);
         
-        // Find matches across all sources
-        const matches = {
-          zillow: null,
-          redfin: null,
-          realtor: null
-        };
-        
         // Use comprehensive matching that evaluates both address AND coordinates
-        const comprehensiveMatches = findComprehensiveMatches(listing, sourceListings, config);
-        Object.assign(matches, comprehensiveMatches);
+        const matches = findComprehensiveMatches(listing, candidateIndexes, config, photoIndex, results, overrides);
+        const forcedKeys = getForcedMatchKeys(listingKey, matches, overrides);
+        forcedKeys.forEach(key => forcedMembers.add(key));
         
         // Count match types
         const matchCount = Object.values(matches).filter(m => m !== null).length;
@@ -651,13 +748,13 @@ async function processAllListings(zipCode = null) {
         }
         
         // Merge the data
-        const mergedData = mergePropertyData(matches, config);
+        const mergedData = mergePropertyData(matches, config, overrides);
         
         // Calculate quality score
         mergedData.quality_score = calculateQualityScore(mergedData, config);
         
         // Set matching metadata
-        mergedData.matching_method = determineMatchingMethod(matches);
+        mergedData.matching_method = forcedKeys.length > 0 ? 'manual' : determineMatchingMethod(matches);
         mergedData.confidence_score = calculateConfidenceScore(matches, config);
         
         // Upsert the merged listing
@@ -677,6 +774,8 @@ async function processAllListings(zipCode = null) {
           results.fuzzy_matches++;
         } else if (mergedData.matching_method === 'coordinates') {
           results.coordinate_matches++;
+        } else if (mergedData.matching_method === 'manual') {
+          results.manual_matches++;
         }
         
         // Log progress every 100 listings
@@ -693,6 +792,9 @@ async function processAllListings(zipCode = null) {
     // Calculate processing time
     results.processing_time_seconds = Math.round((Date.now() - startTime) / 1000);
     
+    const comparisons = results.comparisons_scored + results.comparisons_skipped;
+    console.log(`Scored ${results.comparisons_scored} of ${comparisons} candidate comparisons, skipped ${results.comparisons_skipped} implausible ones`);
+    
     // Save statistics
     await saveMergeStatistics(results, zipCode);
     
@@ -709,13 +811,24 @@ async function processAllListings(zipCode = null) {
 
 /**
  * Find comprehensive matches across all sources
+ * A source with no address or coordinate match can still match on photos:
+ * the nearby candidate sharing the most photos with the target is taken
+ * Only the candidates the source's candidate index finds plausible are scored
+ * A forced match takes the place of the source's best match, and listings
+ * forced apart never end up in one group
  * @param {Object} targetListing - Target listing
- * @param {Object} sourceListings - All source listings
+ * @param {Object} candidateIndexes - Candidate index of each source, from buildCandidateIndexes
  * @param {Object} config - Configuration
+ * @param {Object} photoIndex - Photo hashes from listingPhoto.getPhotoIndex (optional)
+ * @param {Object} comparisons - Counters to add scored and skipped comparisons to (optional)
+ * @param {Object} overrides - Active overrides from mergeOverride.getActiveOverrides, with forced listings loaded (optional)
  * @returns {Object} Best matches from each source
  */
-function findComprehensiveMatches(targetListing, sourceListings, config) {
-  const matches = { zillow: null, redfin: null, realtor: null };
+function findComprehensiveMatches(targetListing, candidateIndexes, config, photoIndex = null, comparisons = {}, overrides = null) {
+  const adapters = sourceAdapters.getSourceAdapters();
+  const matches = {};
+  const targetKey = overrides ? mergeOverride.getListingKey(sourceAdapters.getSourceAdapter(targetListing.source), targetListing) : null;
+  const forcedSources = new Set();
   
   // Prepare target property for matching
   const targetProperty = {
@@ -727,77 +840,158 @@ function findComprehensiveMatches(targetListing, sourceListings, config) {
   console.log(`\n🔍 Finding matches for: ${targetProperty.address} (${targetProperty.lat}, ${targetProperty.lon})`);
   
   // Find matches in each source using comprehensive evaluation
-  
-  // 1. Zillow matches
-  if (targetListing.source !== 'zillow' && sourceListings.zillow.length > 0) {
-    const zillowCandidates = sourceListings.zillow.map(listing => ({
-      ...listing,
-      address: listing.address,
-      lat: listing.lat,
-      lon: listing.lon
-    }));
+  for (const adapter of adapters) {
+    const index = candidateIndexes[adapter.name];
+    matches[adapter.name] = null;
     
-    const zillowMatches = addressMatcher.findMatches(targetProperty, zillowCandidates, config);
-    if (zillowMatches.length > 0) {
-      const bestMatch = zillowMatches[0];
-      matches.zillow = bestMatch.candidate;
-      console.log(`  ✅ Zillow match: ${bestMatch.candidate.address} (method: ${bestMatch.matching_method}, confidence: ${bestMatch.confidence.toFixed(3)}, distance: ${bestMatch.distance_meters?.toFixed(1)}m)`);
-    } else {
-      console.log(`  ❌ No Zillow matches found`);
+    if (targetListing.source === adapter.name) {
+      matches[adapter.name] = targetListing;
+      console.log(`  📍 Source is ${adapter.label}: ${targetListing.address}`);
+      continue;
+    }
+    
+    const forced = mergeOverride.getForcedMatch(overrides, targetKey, adapter.name);
+    if (forced && overrides.listings.has(forced.key)) {
+      matches[adapter.name] = overrides.listings.get(forced.key);
+      forcedSources.add(adapter.name);
+      console.log(`  📌 ${adapter.label} match: ${matches[adapter.name].address} (forced by override #${forced.override.id}, ${forced.override.author})`);
+      continue;
+    } else if (forced) {
+      console.warn(`  ⚠️  ${forced.key}, forced to match by override #${forced.override.id}, was not found`);
     }
-  } else if (targetListing.source === 'zillow') {
-    matches.zillow = targetListing;
-    console.log(`  📍 Source is Zillow: ${targetListing.address}`);
-  }
-  
-  // 2. Redfin matches
-  if (targetListing.source !== 'redfin' && sourceListings.redfin.length > 0) {
-    const redfinCandidates = sourceListings.redfin.map(listing => ({
-      ...listing,
-      address: listing.address,
-      lat: listing.lat,
-      lon: listing.lon
-    }));
     
-    const redfinMatches = addressMatcher.findMatches(targetProperty, redfinCandidates, config);
-    if (redfinMatches.length > 0) {
-      const bestMatch = redfinMatches[0];
-      matches.redfin = bestMatch.candidate;
-      console.log(`  ✅ Redfin match: ${bestMatch.candidate.address} (method: ${bestMatch.matching_method}, confidence: ${bestMatch.confidence.toFixed(3)}, distance: ${bestMatch.distance_meters?.toFixed(1)}m)`);
+    if (!index || index.candidates.length === 0) continue;
+    
+    // Candidates forced apart from the target are never matched
+    const allowed = candidate => !mergeOverride.isForcedNonMatch(overrides, targetKey, mergeOverride.getListingKey(adapter, candidate));
+    
+    const candidates = index.candidates;
+    const plausibleCandidates = candidateIndex.getPlausibleCandidates(index, targetProperty);
+    comparisons.comparisons_scored = (comparisons.comparisons_scored || 0) + plausibleCandidates.length;
+    comparisons.comparisons_skipped = (comparisons.comparisons_skipped || 0) + candidates.length - plausibleCandidates.length;
+    
+    const sourceMatches = addressMatcher.findMatches(targetProperty, plausibleCandidates.filter(allowed), config);
+    // Units of a building often share exterior photos, so other units can't match on photos either
+    const photoMatch = sourceMatches.length === 0 && photoIndex
+      ? listingPhoto.findPhotoMatch(
+        photoIndex,
+        {
+          source: targetListing.source,
+          id: targetListing[sourceAdapters.getSourceAdapter(targetListing.source).idColumn],
+          lat: targetProperty.lat,
+          lon: targetProperty.lon
+        },
+        adapter,
+        candidates.filter(candidate => allowed(candidate) && !addressMatcher.hasUnitConflict(targetProperty.address, candidate.address))
+      )
+      : null;
+    
+    if (sourceMatches.length > 0) {
+      const bestMatch = sourceMatches[0];
+      matches[adapter.name] = bestMatch.candidate;
+      console.log(`  ✅ ${adapter.label} match: ${bestMatch.candidate.address} (method: ${bestMatch.matching_method}, confidence: ${bestMatch.confidence.toFixed(3)}, distance: ${bestMatch.distance_meters?.toFixed(1)}m)`);
+    } else if (photoMatch) {
+      matches[adapter.name] = photoMatch.candidate;
+      console.log(`  📷 ${adapter.label} match: ${photoMatch.candidate.address} (method: photo, shared photos: ${photoMatch.sharedPhotos}, distance: ${photoMatch.distanceMeters.toFixed(1)}m)`);
     } else {
-      console.log(`  ❌ No Redfin matches found`);
+      console.log(`  ❌ No ${adapter.label} matches found`);
     }
-  } else if (targetListing.source === 'redfin') {
-    matches.redfin = targetListing;
-    console.log(`  📍 Source is Redfin: ${targetListing.address}`);
   }
   
-  // 3. Realtor matches
-  if (targetListing.source !== 'realtor' && sourceListings.realtor.length > 0) {
-    const realtorCandidates = sourceListings.realtor.map(listing => ({
-      ...listing,
-      address: listing.street, // Note: Realtor uses 'street' field
-      lat: listing.latitude,   // Note: Realtor uses 'latitude'
-      lon: listing.longitude   // Note: Realtor uses 'longitude'
-    }));
+  if (overrides) {
+    dropForcedNonMatches(matches, targetKey, forcedSources, overrides);
+  }
+  
+  const matchCount = Object.values(matches).filter(m => m !== null).length;
+  console.log(`  📊 Total matches found: ${matchCount}/${adapters.length} sources`);
+  
+  return matches;
+}
+
+/**
+ * Drop matches forced apart from another listing of the group
+ * Only pairs with the target are excluded while matching, so two matches
+ * from other sources can still be forced apart. The target stays, then
+ * forced matches, then the others in registration order; a listing forced
+ * apart from one already kept is dropped
+ * @param {Object} matches - Matches by source name, updated in place
+ * @param {string} targetKey - Listing key of the target
+ * @param {Set<string>} forcedSources - Sources whose match was forced
+ * @param {Object} overrides - Active overrides
+ */
+function dropForcedNonMatches(matches, targetKey, forcedSources, overrides) {
+  const kept = [targetKey];
+  const adapters = sourceAdapters.getSourceAdapters()
+    .filter(adapter => matches[adapter.name] && mergeOverride.getListingKey(adapter, matches[adapter.name]) !== targetKey)
+    .sort((a, b) => forcedSources.has(b.name) - forcedSources.has(a.name));
+  
+  for (const adapter of adapters) {
+    const key = mergeOverride.getListingKey(adapter, matches[adapter.name]);
+    const conflict = kept.find(other => mergeOverride.isForcedNonMatch(overrides, other, key));
     
-    const realtorMatches = addressMatcher.findMatches(targetProperty, realtorCandidates, config);
-    if (realtorMatches.length > 0) {
-      const bestMatch = realtorMatches[0];
-      matches.realtor = bestMatch.candidate;
-      console.log(`  ✅ Realtor match: ${bestMatch.candidate.street} (method: ${bestMatch.matching_method}, confidence: ${bestMatch.confidence.toFixed(3)}, distance: ${bestMatch.distance_meters?.toFixed(1)}m)`);
+    if (conflict) {
+      console.log(`  🚫 ${adapter.label} match ${key} dropped: forced apart from ${conflict}`);
+      matches[adapter.name] = null;
     } else {
-      console.log(`  ❌ No Realtor matches found`);
+      kept.push(key);
     }
-  } else if (targetListing.source === 'realtor') {
-    matches.realtor = targetListing;
-    console.log(`  📍 Source is Realtor: ${targetListing.street}`);
+  }
+}
+
+/**
+ * Get the group members that were forced to match the target
+ * @param {string} targetKey - Listing key of the target
+ * @param {Object} matches - Matches by source name
+ * @param {Object} overrides - Active overrides
+ * @returns {Array<string>} Listing keys
+ */
+function getForcedMatchKeys(targetKey, matches, overrides) {
+  return sourceAdapters.getSourceAdapters()
+    .filter(adapter => matches[adapter.name])
+    .map(adapter => ({ adapter, forced: mergeOverride.getForcedMatch(overrides, targetKey, adapter.name) }))
+    .filter(({ adapter, forced }) => forced && forced.key === mergeOverride.getListingKey(adapter, matches[adapter.name]))
+    .map(({ forced }) => forced.key);
+}
+
+/**
+ * Add the listings forced matches point at to the overrides
+ * Forced partners outside the listings being merged (another zip code, say)
+ * are loaded by ID
+ * @param {Object} overrides - Active overrides, updated in place
+ * @param {Array<Object>} allListings - Match candidates of every source
+ * @returns {Promise<void>}
+ */
+async function loadForcedListings(overrides, allListings) {
+  for (const listing of allListings) {
+    overrides.listings.set(mergeOverride.getListingKey(sourceAdapters.getSourceAdapter(listing.source), listing), listing);
   }
   
-  const matchCount = Object.values(matches).filter(m => m !== null).length;
-  console.log(`  📊 Total matches found: ${matchCount}/3 sources`);
+  const missing = new Map();
+  for (const [key, partners] of overrides.matches) {
+    if (!overrides.listings.has(key)) continue;
+    
+    partners
+      .filter(partner => !overrides.listings.has(partner.key) && sourceAdapters.getSourceNames().includes(partner.source))
+      .forEach(partner => {
+        if (!missing.has(partner.source)) missing.set(partner.source, new Set());
+        missing.get(partner.source).add(partner.id);
+      });
+  }
   
-  return matches;
+  const supabase = db.getSupabaseClient();
+  for (const [source, ids] of missing) {
+    const adapter = sourceAdapters.getSourceAdapter(source);
+    const { data, error } = await supabase
+      .from(adapter.table)
+      .select('*')
+      .in(adapter.idColumn, Array.from(ids));
+    
+    if (error) throw new Error(`Error loading forced ${adapter.label} listings: ${error.message}`);
+    
+    (data || []).forEach(listing => {
+      overrides.listings.set(mergeOverride.getListingKey(adapter, listing), sourceAdapters.toMatchCandidate(adapter, listing));
+    });
+  }
 }
 
 /**
@@ -813,14 +1007,28 @@ function findExactMatches(targetListing, sourceListings) {
     max_coordinate_distance: 50
   };
   
-  return findComprehensiveMatches(targetListing, sourceListings, config);
+  return findComprehensiveMatches(targetListing, buildCandidateIndexes(sourceListings, config), config);
 }
 
 /**
  * Legacy function for backward compatibility
  */
 async function findFuzzyMatches(targetListing, sourceListings, config) {
-  return findComprehensiveMatches(targetListing, sourceListings, config);
+  return findComprehensiveMatches(targetListing, buildCandidateIndexes(sourceListings, config), config);
+}
+
+/**
+ * Build the candidate index of every source
+ * @param {Object} sourceListings - All source listings, from getAllSourceListings
+ * @param {Object} config - Configuration
+ * @returns {Object} Candidate indexes by source name
+ */
+function buildCandidateIndexes(sourceListings, config) {
+  const indexes = {};
+  for (const adapter of sourceAdapters.getSourceAdapters()) {
+    indexes[adapter.name] = candidateIndex.buildCandidateIndex(adapter, sourceListings[adapter.name] || [], config);
+  }
+  return indexes;
 }
 
 /**
@@ -851,8 +1059,8 @@ function determineMatchingMethod(matches) {
 function calculateConfidenceScore(matches, config) {
   const matchCount = Object.values(matches).filter(m => m !== null).length;
   
-  // Base confidence on number of sources
-  let confidence = matchCount / 3;
+  // Base confidence on number of sources, out of the core sources
+  let confidence = Math.min(matchCount / sourceAdapters.getCoreSourceCount(), 1.0);
   
   // Boost confidence if we have coordinate validation
   const hasCoordinates = Object.values(matches).some(match => 
@@ -937,6 +1145,14 @@ async function getMergedListings(filters = {}) {
       query = query.gte('source_count', filters.source_count);
     }
     
+    if (filters.building_address) {
+      query = query.eq('building_address', filters.building_address);
+    }
+    
+    if (filters.address) {
+      query = query.eq('address', addressMatcher.normalizeAddress(filters.address));
+    }
+    
     if (filters.has_conflicts !== undefined) {
       if (filters.has_conflicts) {
         query = query.gt('conflict_count', 0);
@@ -963,6 +1179,19 @@ async function getMergedListings(filters = {}) {
   }
 }
 
+/**
+ * Get the merged listings of every unit in a building
+ * @param {string} address - Address of the building or of any unit in it
+ * @returns {Promise<Array>} Merged listings sharing the building address, by unit
+ */
+async function getBuildingUnits(address) {
+  const buildingAddress = addressMatcher.getBuildingAddress(address);
+  if (!buildingAddress) return [];
+  
+  const listings = await getMergedListings({ building_address: buildingAddress });
+  return listings.sort((a, b) => String(a.unit_number || '').localeCompare(String(b.unit_number || ''), undefined, { numeric: true }));
+}
+
 /**
  * Get merge statistics for a date range
  * @param {string} startDate - Start date (YYYY-MM-DD)
@@ -997,6 +1226,134 @@ async function getMergeStatistics(startDate, endDate) {
   }
 }
 
+/**
+ * Re-score distress phrases on stored merged listings, e.g. after the phrase
+ * dictionary was edited
+ * @param {string} zipCode - Optional zip code filter
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Analyse without saving
+ * @returns {Promise<Object>} { analyzed, changed, withSignals, errors, listings: [{ the_real_deal_id, address, score, tags }] }
+ */
+async function reanalyzeDistressSignals(zipCode = null, options = {}) {
+  const supabase = db.getSupabaseClient();
+  const pageSize = 500;
+  const result = { analyzed: 0, changed: 0, withSignals: 0, errors: 0, listings: [] };
+  const columns = ['the_real_deal_id', 'address', 'distress_score', 'distress_tags', ...getOverviewColumns()];
+  
+  for (let offset = 0; ; offset += pageSize) {
+    let query = supabase
+      .from('merged_listing')
+      .select(columns.join(', '))
+      .order('the_real_deal_id')
+      .range(offset, offset + pageSize - 1);
+    
+    if (zipCode) {
+      query = query.eq('zip5', zipCode);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error getting merged listings to analyse: ${error.message}`);
+    
+    for (const listing of data || []) {
+      result.analyzed++;
+      const distress = getDistressColumns(listing);
+      
+      if (distress.distress_score > 0) {
+        result.withSignals++;
+        result.listings.push({ the_real_deal_id: listing.the_real_deal_id, address: listing.address, score: distress.distress_score, tags: distress.distress_tags });
+      }
+      
+      const unchanged = listing.distress_score === distress.distress_score &&
+        JSON.stringify(listing.distress_tags || []) === JSON.stringify(distress.distress_tags);
+      if (unchanged) continue;
+      
+      result.changed++;
+      if (options.dryRun) continue;
+      
+      try {
+        await db.updateRecords('merged_listing', { the_real_deal_id: listing.the_real_deal_id }, distress);
+      } catch (updateError) {
+        console.error(`Error saving distress signals for merged listing ${listing.the_real_deal_id}:`, updateError.message);
+        result.errors++;
+      }
+    }
+    
+    if (!data || data.length < pageSize) break;
+  }
+  
+  result.listings.sort((a, b) => b.score - a.score);
+  return result;
+}
+
+/**
+ * Rewrite stored merged listing addresses in the current normalized form
+ * Merged listings are found by address, so after the normalization rules
+ * change the stored addresses have to follow or the next merge creates
+ * duplicates. The unit and building columns are refreshed with them. Listings
+ * whose addresses now normalize to the same address are left alone and
+ * reported for review
+ * @param {string} zipCode - Optional zip code filter
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Report without saving
+ * @returns {Promise<Object>} { checked, changed, errors, collisions: [{ address, ids }] }
+ */
+async function renormalizeAddresses(zipCode = null, options = {}) {
+  const supabase = db.getSupabaseClient();
+  const pageSize = 500;
+  const result = { checked: 0, changed: 0, errors: 0, collisions: [] };
+  const listings = [];
+  
+  for (let offset = 0; ; offset += pageSize) {
+    let query = supabase
+      .from('merged_listing')
+      .select('the_real_deal_id, address, unit_number, building_address')
+      .order('the_real_deal_id')
+      .range(offset, offset + pageSize - 1);
+    
+    if (zipCode) {
+      query = query.eq('zip5', zipCode);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw new Error(`Error getting merged listing addresses: ${error.message}`);
+    
+    listings.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  
+  const idsByAddress = new Map();
+  for (const listing of listings) {
+    listing.normalized = addressMatcher.normalizeAddress(listing.address || '');
+    if (!idsByAddress.has(listing.normalized)) idsByAddress.set(listing.normalized, []);
+    idsByAddress.get(listing.normalized).push(listing.the_real_deal_id);
+  }
+  
+  for (const [address, ids] of idsByAddress) {
+    if (address && ids.length > 1) result.collisions.push({ address, ids });
+  }
+  
+  for (const listing of listings) {
+    result.checked++;
+    if (!listing.normalized) continue;
+    if (idsByAddress.get(listing.normalized).length > 1) continue;
+    
+    const updates = { address: listing.normalized, ...getBuildingColumns(listing.normalized) };
+    if (Object.entries(updates).every(([column, value]) => (listing[column] || null) === value)) continue;
+    
+    result.changed++;
+    if (options.dryRun) continue;
+    
+    try {
+      await db.updateRecords('merged_listing', { the_real_deal_id: listing.the_real_deal_id }, updates);
+    } catch (updateError) {
+      console.error(`Error renormalizing address of merged listing ${listing.the_real_deal_id}:`, updateError.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
 /**
  * Update publication status for merged listings
  * @param {Array} listingIds - Array of the_real_deal_id values
@@ -1057,17 +1414,22 @@ async function getConflictSummary(zipCode = null) {
       size_conflicts: data.filter(l => l.has_size_conflicts).length,
       avg_conflicts_per_listing: data.length > 0 ? 
         data.reduce((sum, l) => sum + l.conflict_count, 0) / data.length : 0,
-      conflict_types: {}
+      conflict_types: {},
+      winning_sources: {}
     };
     
-    // Analyze conflict types
+    // Analyze conflict types, and which sources won them
     data.forEach(listing => {
       if (listing.data_conflicts) {
-        Object.keys(listing.data_conflicts).forEach(field => {
+        Object.entries(listing.data_conflicts).forEach(([field, conflict]) => {
           if (!summary.conflict_types[field]) {
             summary.conflict_types[field] = 0;
           }
           summary.conflict_types[field]++;
+          
+          if (conflict.winning_source) {
+            summary.winning_sources[conflict.winning_source] = (summary.winning_sources[conflict.winning_source] || 0) + 1;
+          }
         });
       }
     });
@@ -1090,15 +1452,13 @@ function detectChanges(existing, newData) {
   const contributingSources = new Set();
   let changeCount = 0;
   
-  // Fields to monitor for changes
-  const monitoredFields = [
-    'price', 'last_sold_price', 'bedrooms', 'bathrooms', 'sqft', 'year_built', 
-    'lot_size', 'zestimate', 'property_type', 'listing_status', 'days_on_market',
-    'zillow_overview', 'redfin_overview', 'realtor_overview', 'source_count'
-  ];
+  // Check each monitored field for changes, and the fields overrides pin or
+  // stopped pinning (city, lat, ... aren't monitored otherwise)
+  const overriddenFields = Object.keys({ ...existing.manual_overrides, ...newData.manual_overrides });
+  const fields = new Set([...getMonitoredFields(), ...overriddenFields]);
+  if (overriddenFields.length > 0) fields.add('manual_overrides');
   
-  // Check each monitored field for changes
-  monitoredFields.forEach(field => {
+  fields.forEach(field => {
     const oldValue = existing[field];
     const newValue = newData[field];
     
@@ -1120,19 +1480,22 @@ function detectChanges(existing, newData) {
     }
   });
   
-  // Check for source changes (new sources added)
+  // Check for source changes (sources joining or leaving, even when the count stays the same)
   const oldSources = existing.data_sources || [];
   const newSources = newData.data_sources || [];
+  const oldSourceNames = oldSources.map(s => s.source).sort();
+  const newSourceNames = newSources.map(s => s.source).sort();
   
-  if (newSources.length !== oldSources.length) {
-    const oldSourceNames = oldSources.map(s => s.source);
-    const newSourceNames = newSources.map(s => s.source);
+  if (oldSourceNames.join(',') !== newSourceNames.join(',')) {
+    const addedSources = newSourceNames.filter(source => !oldSourceNames.includes(source));
+    addedSources.forEach(source => contributingSources.add(source));
     
-    newSourceNames.forEach(source => {
-      if (!oldSourceNames.includes(source)) {
-        contributingSources.add(source);
-      }
-    });
+    changedFields.data_sources = {
+      old: oldSources,
+      new: newSources,
+      source: addedSources.join(',') || 'unknown'
+    };
+    changeCount++;
   }
   
   return {
@@ -1143,6 +1506,37 @@ function detectChanges(existing, newData) {
   };
 }
 
+/**
+ * Get the merged listing fields checked for changes on every merge
+ * Source membership is checked separately, as data_sources
+ * @returns {Array<string>} Field names
+ */
+function getMonitoredFields() {
+  return [
+    'price', 'last_sold_price', 'bedrooms', 'bathrooms', 'sqft', 'year_built', 
+    'lot_size', 'zestimate', ...getOptionalNumericFields(), 'property_type', 'listing_status', 'days_on_market',
+    ...getOverviewColumns(), 'source_count'
+  ];
+}
+
+/**
+ * Get the numeric fields merged with resolution strategies and conflict detection
+ * @returns {Array<string>} NUMERIC_FIELDS plus the optional ones a registered source maps
+ */
+function getNumericFields() {
+  return [...NUMERIC_FIELDS, ...getOptionalNumericFields()];
+}
+
+/**
+ * Get the optional numeric fields a registered source maps
+ * @returns {Array<string>} Field names
+ */
+function getOptionalNumericFields() {
+  return OPTIONAL_NUMERIC_FIELDS.filter(fieldName =>
+    sourceAdapters.getSourceAdapters().some(adapter => adapter.fieldMapping[fieldName])
+  );
+}
+
 /**
  * Check if a field value has changed
  * @param {any} oldValue - Previous value
@@ -1156,7 +1550,7 @@ function hasFieldChanged(oldValue, newValue, fieldName) {
   if (oldValue == null || newValue == null) return true;
   
   // Handle numeric fields with tolerance for floating point precision
-  const numericFields = ['price', 'last_sold_price', 'sqft', 'lot_size', 'zestimate'];
+  const numericFields = ['price', 'last_sold_price', 'sqft', 'lot_size', 'zestimate', 'arv', 'repair_estimate'];
   if (numericFields.includes(fieldName)) {
     const oldNum = parseFloat(oldValue);
     const newNum = parseFloat(newValue);
@@ -1180,12 +1574,34 @@ function hasFieldChanged(oldValue, newValue, fieldName) {
     return Math.abs(parseFloat(oldValue) - parseFloat(newValue)) > 0.1;
   }
   
+  // Handle JSON fields by content; jsonb doesn't keep key order
+  if (typeof oldValue === 'object' || typeof newValue === 'object') {
+    return toSortedJson(oldValue) !== toSortedJson(newValue);
+  }
+  
   // Handle string fields
   const oldStr = String(oldValue || '').trim();
   const newStr = String(newValue || '').trim();
   return oldStr !== newStr;
 }
 
+/**
+ * Serialize a JSON value with its object keys sorted
+ * @param {any} value - JSON value
+ * @returns {string} JSON text
+ */
+function toSortedJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toSortedJson).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toSortedJson(value[key])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
 /**
  * Determine which source contributed to a field change
  * @param {string} fieldName - Name of the field
@@ -1194,16 +1610,14 @@ function hasFieldChanged(oldValue, newValue, fieldName) {
  * @returns {string} Source name or 'multiple'
  */
 function determineFieldSource(fieldName, newData, existing) {
-  // Map fields to their likely sources
-  const sourceMapping = {
-    zestimate: 'zillow',
-    zillow_overview: 'zillow',
-    redfin_overview: 'redfin',
-    realtor_overview: 'realtor'
-  };
+  if (fieldName === 'manual_overrides' || (newData.manual_overrides && newData.manual_overrides[fieldName])) {
+    return 'manual_override';
+  }
   
-  if (sourceMapping[fieldName]) {
-    return sourceMapping[fieldName];
+  // Overviews and fields only one source maps come from that source
+  const singleSource = getSingleSourceForField(fieldName);
+  if (singleSource) {
+    return singleSource;
   }
   
   // For other fields, check which sources are present in new data
@@ -1225,6 +1639,29 @@ function determineFieldSource(fieldName, newData, existing) {
   return newSources.length > 1 ? 'multiple' : newSources[0] || 'unknown';
 }
 
+/**
+ * Get the merged_listing overview columns of all sources
+ * @returns {Array<string>} Overview column names
+ */
+function getOverviewColumns() {
+  return sourceAdapters.getSourceAdapters()
+    .map(adapter => adapter.overviewColumn)
+    .filter(Boolean);
+}
+
+/**
+ * Get the only source that can supply a merged field
+ * @param {string} fieldName - Merged field or overview column name
+ * @returns {string|null} Source name, or null if several (or no) sources supply it
+ */
+function getSingleSourceForField(fieldName) {
+  const suppliers = sourceAdapters.getSourceAdapters().filter(adapter =>
+    adapter.overviewColumn === fieldName || adapter.fieldMapping[fieldName]
+  );
+  
+  return suppliers.length === 1 ? suppliers[0].name : null;
+}
+
 /**
  * Log detailed changes to console
  * @param {number} listingId - The real deal ID
@@ -1263,8 +1700,18 @@ function logChanges(listingId, address, changeDetection, changeReason) {
 function formatValueForDisplay(value, fieldName) {
   if (value == null) return 'null';
   
+  // Format source lists by name
+  if (fieldName === 'data_sources') {
+    return value.map(source => source.source || source).join(', ') || 'none';
+  }
+  
+  // Format overrides by the fields they pin
+  if (fieldName === 'manual_overrides') {
+    return Object.keys(value).join(', ') || 'none';
+  }
+  
   // Format price fields
-  if (fieldName.includes('price') || fieldName === 'zestimate') {
+  if (fieldName.includes('price') || ['zestimate', 'arv', 'repair_estimate'].includes(fieldName)) {
     return `$${Number(value).toLocaleString()}`;
   }
   
@@ -1289,8 +1736,12 @@ module.exports = {
   processAllListings,
   upsertMergedListing,
   getMergedListings,
+  getBuildingUnits,
+  reanalyzeDistressSignals,
+  renormalizeAddresses,
   getMergeStatistics,
   updatePublicationStatus,
   getConflictSummary,
-  saveMergeStatistics
+  saveMergeStatistics,
+  backfillListingHistory
 };
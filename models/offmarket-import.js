@@ -0,0 +1,108 @@
+/**
+ * Off-Market Import Model
+ * Persists one report per imported lead spreadsheet
+ */
+
+const { db } = require('../index');
+
+// Row errors kept on the report; the error file has all of them
+const MAX_STORED_ERRORS = 500;
+
+/**
+ * Insert an import report
+ * @param {Object} report - Import details
+ * @param {string} report.fileName - Spreadsheet file name
+ * @param {string} report.fileSha256 - SHA-256 of the file contents
+ * @param {string} report.sheetName - XLSX sheet read (null for CSV)
+ * @param {string} report.sourceName - Wholesaler or list the leads came from
+ * @param {Object} report.columnMapping - Lead field -> spreadsheet header used
+ * @param {number} report.rowCount - Non-blank data rows in the file
+ * @param {number} report.validCount - Rows that passed validation
+ * @param {Array<Object>} report.rowErrors - [{ row, field, value, message }]
+ * @param {string} report.errorFile - Path of the row error file, if one was written
+ * @returns {Promise<Object>} Inserted report
+ */
+async function insert(report) {
+  // Inserted directly rather than through db.insertRecord, so the new ID comes back reliably
+  const supabase = db.getSupabaseClient();
+  const { data, error } = await supabase.from('offmarket_import').insert({
+    file_name: report.fileName,
+    file_sha256: report.fileSha256,
+    sheet_name: report.sheetName || null,
+    source_name: report.sourceName || null,
+    column_mapping: report.columnMapping,
+    row_count: report.rowCount,
+    valid_count: report.validCount,
+    error_count: report.rowErrors.length,
+    errors: report.rowErrors.slice(0, MAX_STORED_ERRORS),
+    error_file: report.errorFile || null,
+    status: 'validated',
+    imported_at: new Date().toISOString()
+  }).select('*').single();
+  
+  if (error) throw new Error(`Error inserting off-market import: ${error.message}`);
+  return data;
+}
+
+/**
+ * Record the upsert results on an import report
+ * @param {number} importId - Report ID
+ * @param {Object} result - Upsert results (inserted, updated, unchanged, errors)
+ * @returns {Promise<Object>} Updated report
+ */
+async function complete(importId, result) {
+  return db.updateRecords('offmarket_import', { id: importId }, {
+    inserted: result.inserted,
+    updated: result.updated,
+    unchanged: result.unchanged,
+    upsert_errors: result.errors,
+    status: result.errors > 0 ? 'completed_with_errors' : 'completed',
+    completed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Find the latest import of a file with the same contents
+ * @param {string} fileSha256 - SHA-256 of the file contents
+ * @returns {Promise<Object|null>} Latest report or null if the file is new
+ */
+async function findLatestByHash(fileSha256) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('offmarket_import')
+    .select('id, file_name, imported_at, status')
+    .eq('file_sha256', fileSha256)
+    .order('imported_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding off-market import: ${error.message}`);
+  return data;
+}
+
+/**
+ * Get recent import reports, without their row errors
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum reports to return (default: 20)
+ * @returns {Promise<Array>} Reports, most recent first
+ */
+async function getRecentImports(options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('offmarket_import')
+    .select('id, file_name, source_name, row_count, valid_count, error_count, inserted, updated, unchanged, status, imported_at')
+    .order('imported_at', { ascending: false })
+    .limit(options.limit || 20);
+  
+  if (error) throw new Error(`Error getting off-market imports: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  insert,
+  complete,
+  findLatestByHash,
+  getRecentImports
+};
@@ -0,0 +1,143 @@
+/**
+ * Off-Market Lead Model
+ * Handles off-market leads imported from wholesaler spreadsheets
+ */
+
+const { db } = require('../index');
+
+// Fields compared to decide whether a re-imported lead changed
+const COMPARED_FIELDS = [
+  'address', 'unit_number', 'city', 'state', 'zip5',
+  'price', 'arv', 'repair_estimate', 'bedrooms', 'bathrooms', 'sqft', 'lot_size', 'year_built',
+  'property_type', 'lat', 'lon', 'listing_status',
+  'contact_name', 'contact_phone', 'contact_email', 'notes', 'source_name'
+];
+
+/**
+ * Find an off-market lead by offmarket_id
+ * @param {string} offmarketId - Lead ID
+ * @returns {Promise<Object|null>} Lead record or null if not found
+ */
+async function findByOffMarketId(offmarketId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('offmarket_lead')
+    .select('*')
+    .eq('offmarket_id', offmarketId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding off-market lead: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new off-market lead record
+ * @param {Object} leadData - Lead data
+ * @returns {Promise<Object>} Inserted lead record
+ */
+async function insert(leadData) {
+  return db.insertRecord('offmarket_lead', leadData);
+}
+
+/**
+ * Update an existing off-market lead record
+ * @param {string} offmarketId - Lead ID
+ * @param {Object} leadData - Updated lead data
+ * @returns {Promise<Object>} Updated lead record
+ */
+async function update(offmarketId, leadData) {
+  return db.updateRecords('offmarket_lead', { offmarket_id: offmarketId }, leadData);
+}
+
+/**
+ * Process transformed leads and insert or update records
+ * @param {Object} importData - { listings } of transformed leads
+ * @param {string|null} zipCode - Zip code being processed (null for a whole file)
+ * @param {Object} options - Processing options
+ * @param {number} options.importId - offmarket_import row the leads came from
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromOffMarket(importData, zipCode = null, options = {}) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const leads = importData.listings || [];
+  
+  console.log(`Processing ${leads.length} off-market leads${zipCode ? ` for zip code ${zipCode}` : ''}`);
+  
+  for (const lead of leads) {
+    try {
+      if (!lead.offmarket_id) {
+        console.warn('Off-market lead missing offmarket_id, skipping');
+        result.skipped++;
+        continue;
+      }
+      
+      const record = options.importId ? { ...lead, import_id: options.importId } : lead;
+      const existing = await findByOffMarketId(lead.offmarket_id);
+      
+      if (existing) {
+        if (hasLeadChanged(existing, lead)) {
+          console.log(`Updating off-market lead ${lead.offmarket_id} (${lead.address}) - data has changed`);
+          await update(lead.offmarket_id, record);
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new off-market lead ${lead.offmarket_id} (${lead.address})`);
+        await insert({ ...record, first_imported: new Date().toISOString() });
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing off-market lead:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get off-market leads by zip code
+ * @param {string} zipCode - Zip code to filter by
+ * @returns {Promise<Array>} Leads
+ */
+async function getLeadsByZipCode(zipCode) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('offmarket_lead')
+    .select('*')
+    .eq('zip5', zipCode)
+    .order('last_updated', { ascending: false });
+  
+  if (error) throw new Error(`Error getting off-market leads by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function hasLeadChanged(existing, newData) {
+  return COMPARED_FIELDS.some(field => {
+    const a = existing[field];
+    const b = newData[field];
+    
+    if (a == null || b == null) return (a == null) !== (b == null);
+    if (typeof b === 'number') return Math.abs(parseFloat(a) - b) > 0.0000001;
+    return String(a) !== String(b);
+  });
+}
+
+module.exports = {
+  findByOffMarketId,
+  insert,
+  update,
+  processAndUpsertFromOffMarket,
+  getLeadsByZipCode
+};
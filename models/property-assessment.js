@@ -0,0 +1,211 @@
+/**
+ * Property Assessment Model
+ * Handles ATTOM assessment/detail data processing and storage
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find assessment records by attom_id
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @returns {Promise<Array>} Assessment records, most recent tax year first
+ */
+async function findByAttomId(attomId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_assessment')
+    .select('*')
+    .eq('attom_id', attomId)
+    .order('tax_year', { ascending: false });
+  
+  if (error) throw new Error(`Error finding property assessments: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Find an assessment record by attom_id and tax year
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {number} taxYear - Tax year
+ * @returns {Promise<Object|null>} Assessment record or null if not found
+ */
+async function findByAttomIdAndTaxYear(attomId, taxYear) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_assessment')
+    .select('*')
+    .eq('attom_id', attomId)
+    .eq('tax_year', taxYear)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding property assessment: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new assessment record
+ * @param {Object} assessmentData - Assessment data
+ * @returns {Promise<Object>} Inserted assessment record
+ */
+async function insert(assessmentData) {
+  return db.insertRecord('property_assessment', assessmentData);
+}
+
+/**
+ * Update an existing assessment record
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {number} taxYear - Tax year
+ * @param {Object} assessmentData - Updated assessment data
+ * @returns {Promise<Object>} Updated assessment record
+ */
+async function update(attomId, taxYear, assessmentData) {
+  return db.updateRecords('property_assessment', { attom_id: attomId, tax_year: taxYear }, assessmentData);
+}
+
+/**
+ * Process ATTOM assessment/detail data and insert or update the record for its tax year
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {Object} apiData - ATTOM assessment/detail response
+ * @returns {Promise<Object>} Processing results, plus the columns to copy onto the property table
+ */
+async function processAndUpsertFromAttom(attomId, apiData) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0,
+    propertyColumns: null
+  };
+  
+  const assessment = apiData?.property?.[0]?.assessment;
+  
+  if (!assessment) {
+    console.log(`No assessment data returned for attom_id ${attomId}`);
+    result.skipped++;
+    return result;
+  }
+  
+  try {
+    const assessmentData = transformAttomAssessmentData(attomId, assessment);
+    
+    if (!assessmentData.tax_year) {
+      console.warn(`Assessment for attom_id ${attomId} has no tax year, skipping`);
+      result.skipped++;
+      return result;
+    }
+    
+    const existing = await findByAttomIdAndTaxYear(attomId, assessmentData.tax_year);
+    
+    if (existing) {
+      if (hasAssessmentDataChanged(existing, assessmentData)) {
+        console.log(`Updating assessment for attom_id: ${attomId}, tax year: ${assessmentData.tax_year} - data has changed`);
+        await update(attomId, assessmentData.tax_year, assessmentData);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } else {
+      console.log(`Inserting new assessment for attom_id: ${attomId}, tax year: ${assessmentData.tax_year}`);
+      await insert(assessmentData);
+      result.inserted++;
+    }
+    
+    result.propertyColumns = {
+      assessed_total_value: assessmentData.assessed_total_value,
+      assessed_land_value: assessmentData.assessed_land_value,
+      assessed_improvement_value: assessmentData.assessed_improvement_value,
+      market_total_value: assessmentData.market_total_value,
+      tax_amount: assessmentData.tax_amount,
+      tax_year: assessmentData.tax_year
+    };
+  } catch (error) {
+    console.error(`Error processing assessment for attom_id ${attomId}:`, error.message);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+// Helper functions
+function transformAttomAssessmentData(attomId, assessment) {
+  return {
+    attom_id: attomId,
+    tax_year: parseInteger(assessment.tax?.taxYear),
+    assessed_total_value: parseNumber(assessment.assessed?.assdTtlValue),
+    assessed_land_value: parseNumber(assessment.assessed?.assdLandValue),
+    assessed_improvement_value: parseNumber(assessment.assessed?.assdImprValue),
+    appraised_total_value: parseNumber(assessment.appraised?.apprTtlValue),
+    market_total_value: parseNumber(assessment.market?.mktTtlValue),
+    market_land_value: parseNumber(assessment.market?.mktLandValue),
+    market_improvement_value: parseNumber(assessment.market?.mktImprValue),
+    tax_amount: parseNumber(assessment.tax?.taxAmt),
+    tax_per_sqft: parseNumber(assessment.tax?.taxPerSizeUnit),
+    raw_data: assessment,
+    last_updated: new Date().toISOString().split('T')[0]
+  };
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function parseInteger(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Helper function to compare floating point values with a small epsilon
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {boolean} True if values are equal within epsilon
+ */
+function floatsAreEqual(a, b) {
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.01;
+}
+
+function hasAssessmentDataChanged(existing, newData) {
+  const fieldsToCompare = [
+    'assessed_total_value',
+    'assessed_land_value',
+    'assessed_improvement_value',
+    'appraised_total_value',
+    'market_total_value',
+    'market_land_value',
+    'market_improvement_value',
+    'tax_amount',
+    'tax_per_sqft'
+  ];
+  
+  for (const field of fieldsToCompare) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByAttomId,
+  findByAttomIdAndTaxYear,
+  insert,
+  update,
+  processAndUpsertFromAttom
+};
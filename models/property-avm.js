@@ -0,0 +1,192 @@
+/**
+ * Property AVM Model
+ * Handles ATTOM attomavm/detail valuation processing and storage
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find AVM records by attom_id
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @returns {Promise<Array>} AVM records, most recent valuation first
+ */
+async function findByAttomId(attomId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_avm')
+    .select('*')
+    .eq('attom_id', attomId)
+    .order('valuation_date', { ascending: false });
+  
+  if (error) throw new Error(`Error finding property AVMs: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Find an AVM record by attom_id and valuation date
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {string} valuationDate - Valuation date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} AVM record or null if not found
+ */
+async function findByAttomIdAndDate(attomId, valuationDate) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_avm')
+    .select('*')
+    .eq('attom_id', attomId)
+    .eq('valuation_date', valuationDate)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding property AVM: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new AVM record
+ * @param {Object} avmData - AVM data
+ * @returns {Promise<Object>} Inserted AVM record
+ */
+async function insert(avmData) {
+  return db.insertRecord('property_avm', avmData);
+}
+
+/**
+ * Update an existing AVM record
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {string} valuationDate - Valuation date in YYYY-MM-DD format
+ * @param {Object} avmData - Updated AVM data
+ * @returns {Promise<Object>} Updated AVM record
+ */
+async function update(attomId, valuationDate, avmData) {
+  return db.updateRecords('property_avm', { attom_id: attomId, valuation_date: valuationDate }, avmData);
+}
+
+/**
+ * Process ATTOM attomavm/detail data and insert or update the valuation for its date
+ * Each valuation date is kept so the AVM can be tracked over time
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {Object} apiData - ATTOM attomavm/detail response
+ * @returns {Promise<Object>} Processing results, plus the columns to copy onto the property table
+ */
+async function processAndUpsertFromAttom(attomId, apiData) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0,
+    propertyColumns: null
+  };
+  
+  const avm = apiData?.property?.[0]?.avm;
+  
+  if (!avm || !avm.amount?.value) {
+    console.log(`No AVM returned for attom_id ${attomId}`);
+    result.skipped++;
+    return result;
+  }
+  
+  try {
+    const avmData = transformAttomAvmData(attomId, avm);
+    const existing = await findByAttomIdAndDate(attomId, avmData.valuation_date);
+    
+    if (existing) {
+      if (hasAvmDataChanged(existing, avmData)) {
+        console.log(`Updating AVM for attom_id: ${attomId}, date: ${avmData.valuation_date} - data has changed`);
+        await update(attomId, avmData.valuation_date, avmData);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } else {
+      console.log(`Inserting new AVM for attom_id: ${attomId}, date: ${avmData.valuation_date}`);
+      await insert(avmData);
+      result.inserted++;
+    }
+    
+    result.propertyColumns = {
+      avm_value: avmData.avm_value,
+      avm_low: avmData.avm_low,
+      avm_high: avmData.avm_high,
+      avm_confidence_score: avmData.confidence_score,
+      avm_date: avmData.valuation_date
+    };
+  } catch (error) {
+    console.error(`Error processing AVM for attom_id ${attomId}:`, error.message);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+// Helper functions
+function transformAttomAvmData(attomId, avm) {
+  return {
+    attom_id: attomId,
+    valuation_date: (avm.eventDate || new Date().toISOString()).split('T')[0],
+    avm_value: parseNumber(avm.amount?.value),
+    avm_low: parseNumber(avm.amount?.low),
+    avm_high: parseNumber(avm.amount?.high),
+    confidence_score: parseNumber(avm.amount?.scr),
+    forecast_standard_deviation: parseNumber(avm.amount?.fsd),
+    value_per_sqft: parseNumber(avm.calculations?.perSizeUnit),
+    raw_data: avm,
+    last_updated: new Date().toISOString().split('T')[0]
+  };
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Helper function to compare floating point values with a small epsilon
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {boolean} True if values are equal within epsilon
+ */
+function floatsAreEqual(a, b) {
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.01;
+}
+
+function hasAvmDataChanged(existing, newData) {
+  const fieldsToCompare = [
+    'avm_value',
+    'avm_low',
+    'avm_high',
+    'confidence_score',
+    'forecast_standard_deviation',
+    'value_per_sqft'
+  ];
+  
+  for (const field of fieldsToCompare) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByAttomId,
+  findByAttomIdAndDate,
+  insert,
+  update,
+  processAndUpsertFromAttom
+};
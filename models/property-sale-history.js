@@ -0,0 +1,211 @@
+/**
+ * Property Sale History Model
+ * Handles ATTOM saleshistory/detail transfer records processing and storage
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find the transfer history for a property
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @returns {Promise<Array>} Transfer records, most recent first
+ */
+async function findByAttomId(attomId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_sale_history')
+    .select('*')
+    .eq('attom_id', attomId)
+    .order('sale_trans_date', { ascending: false });
+  
+  if (error) throw new Error(`Error finding property sale history: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Find a transfer record by attom_id, transaction date and document number
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {string} saleTransDate - Transaction date in YYYY-MM-DD format
+ * @param {string} docNumber - Recorded document number ('' when not provided)
+ * @returns {Promise<Object|null>} Transfer record or null if not found
+ */
+async function findTransfer(attomId, saleTransDate, docNumber) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('property_sale_history')
+    .select('*')
+    .eq('attom_id', attomId)
+    .eq('sale_trans_date', saleTransDate)
+    .eq('doc_number', docNumber)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding property sale history: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new transfer record
+ * @param {Object} historyData - Transfer data
+ * @returns {Promise<Object>} Inserted transfer record
+ */
+async function insert(historyData) {
+  return db.insertRecord('property_sale_history', historyData);
+}
+
+/**
+ * Update an existing transfer record
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {string} saleTransDate - Transaction date in YYYY-MM-DD format
+ * @param {string} docNumber - Recorded document number
+ * @param {Object} historyData - Updated transfer data
+ * @returns {Promise<Object>} Updated transfer record
+ */
+async function update(attomId, saleTransDate, docNumber, historyData) {
+  return db.updateRecords(
+    'property_sale_history',
+    { attom_id: attomId, sale_trans_date: saleTransDate, doc_number: docNumber },
+    historyData
+  );
+}
+
+/**
+ * Process ATTOM saleshistory/detail data and insert or update every transfer
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {Object} apiData - ATTOM saleshistory/detail response
+ * @returns {Promise<Object>} Processing results, plus the columns to copy onto the property table
+ */
+async function processAndUpsertFromAttom(attomId, apiData) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0,
+    propertyColumns: null
+  };
+  
+  const saleHistory = apiData?.property?.[0]?.salehistory || [];
+  
+  if (saleHistory.length === 0) {
+    console.log(`No sale history returned for attom_id ${attomId}`);
+    return result;
+  }
+  
+  const transfers = [];
+  
+  for (const sale of saleHistory) {
+    try {
+      const historyData = transformAttomSaleHistoryData(attomId, sale);
+      
+      if (!historyData.sale_trans_date) {
+        result.skipped++;
+        continue;
+      }
+      
+      transfers.push(historyData);
+      
+      const existing = await findTransfer(attomId, historyData.sale_trans_date, historyData.doc_number);
+      
+      if (existing) {
+        if (hasSaleHistoryDataChanged(existing, historyData)) {
+          console.log(`Updating sale history for attom_id: ${attomId}, date: ${historyData.sale_trans_date} - data has changed`);
+          await update(attomId, historyData.sale_trans_date, historyData.doc_number, historyData);
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new sale history for attom_id: ${attomId}, date: ${historyData.sale_trans_date}`);
+        await insert(historyData);
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing sale history entry for attom_id ${attomId}:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  // Most recent transfer with a price becomes the property's last sale
+  const pricedTransfers = transfers
+    .filter(transfer => transfer.sale_amount > 0)
+    .sort((a, b) => b.sale_trans_date.localeCompare(a.sale_trans_date));
+  
+  result.propertyColumns = {
+    last_sale_date: pricedTransfers[0]?.sale_trans_date || null,
+    last_sale_amount: pricedTransfers[0]?.sale_amount || null,
+    sale_history_count: transfers.length
+  };
+  
+  return result;
+}
+
+// Helper functions
+function transformAttomSaleHistoryData(attomId, sale) {
+  const saleTransDate = sale.saleTransDate || sale.amount?.saleRecDate || null;
+  
+  return {
+    attom_id: attomId,
+    sale_trans_date: saleTransDate ? saleTransDate.split('T')[0] : null,
+    sale_rec_date: sale.amount?.saleRecDate ? sale.amount.saleRecDate.split('T')[0] : null,
+    doc_number: sale.amount?.saleDocNum || '',
+    sale_amount: parseNumber(sale.amount?.saleAmt),
+    sale_trans_type: sale.amount?.saleTransType || null,
+    sale_doc_type: sale.amount?.saleDocType || null,
+    sale_code: sale.amount?.saleCode || null,
+    price_per_sqft: parseNumber(sale.calculation?.pricePerSizeUnit),
+    price_per_bed: parseNumber(sale.calculation?.pricePerBed),
+    buyer_name: sale.buyerName || null,
+    seller_name: sale.sellerName || null,
+    raw_data: sale,
+    last_updated: new Date().toISOString().split('T')[0]
+  };
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function hasSaleHistoryDataChanged(existing, newData) {
+  const fieldsToCompare = [
+    'sale_rec_date',
+    'sale_amount',
+    'sale_trans_type',
+    'sale_doc_type',
+    'sale_code',
+    'buyer_name',
+    'seller_name'
+  ];
+  
+  for (const field of fieldsToCompare) {
+    const existingValue = existing[field] ?? null;
+    const newValue = newData[field] ?? null;
+    
+    if (field === 'sale_amount') {
+      if (existingValue === null && newValue === null) continue;
+      if (existingValue === null || newValue === null || Math.abs(parseFloat(existingValue) - parseFloat(newValue)) >= 0.01) {
+        console.log(`Field ${field} changed: ${existingValue} -> ${newValue}`);
+        return true;
+      }
+      continue;
+    }
+    
+    if (String(existingValue) !== String(newValue)) {
+      console.log(`Field ${field} changed: ${existingValue} -> ${newValue}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByAttomId,
+  findTransfer,
+  insert,
+  update,
+  processAndUpsertFromAttom
+};
@@ -119,6 +119,82 @@ async function processAndUpsertFromAttom(apiData, zipCode) {
   return result;
 }
 
+/**
+ * Find properties that need ATTOM detail enrichment
+ * @param {Object} options - Query options
+ * @param {string} options.zipCode - Limit to a zip code
+ * @param {number} options.staleDays - Re-enrich properties enriched more than this many days ago
+ * @param {number} options.limit - Maximum number of properties to return
+ * @returns {Promise<Array>} Property records
+ */
+async function findPropertiesForEnrichment({ zipCode = null, staleDays = 30, limit = 100 } = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  const staleBefore = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000).toISOString();
+  
+  let query = supabase
+    .from('property')
+    .select('attom_id, zip5, address_full, enriched_at')
+    .or(`enriched_at.is.null,enriched_at.lt.${staleBefore}`)
+    .order('enriched_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+  
+  if (zipCode) {
+    query = query.eq('zip5', zipCode);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error finding properties for enrichment: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Process ATTOM property/detail data and update the property's building characteristics
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {Object} apiData - ATTOM property/detail response
+ * @returns {Promise<Object>} Processing results, plus the columns to copy onto the property table
+ */
+async function processPropertyDetailFromAttom(attomId, apiData) {
+  const result = {
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+    propertyColumns: null
+  };
+  
+  const detail = apiData?.property?.[0];
+  
+  if (!detail) {
+    console.log(`No property detail returned for attom_id ${attomId}`);
+    result.skipped++;
+    return result;
+  }
+  
+  try {
+    result.propertyColumns = transformAttomPropertyDetail(detail);
+    result.updated++;
+  } catch (error) {
+    console.error(`Error processing property detail for attom_id ${attomId}:`, error.message);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+/**
+ * Write enrichment columns (building, assessment, AVM and sale history summaries) to a property
+ * @param {number} attomId - ATTOM property ID (int8)
+ * @param {Object} enrichmentData - Columns to update
+ * @returns {Promise<Object>} Updated property record
+ */
+async function updateEnrichment(attomId, enrichmentData) {
+  return update(attomId, {
+    ...enrichmentData,
+    enriched_at: new Date().toISOString()
+  });
+}
+
 // Helper functions
 function extractPropertiesFromAttomResponse(apiData) {
   // Extract properties from the API response structure
@@ -156,6 +232,41 @@ function transformAttomPropertyData(property, zipCode) {
   };
 }
 
+function transformAttomPropertyDetail(detail) {
+  const building = detail.building || {};
+  
+  return {
+    apn: detail.identifier?.apn,
+    property_type: detail.summary?.propType,
+    property_sub_type: detail.summary?.propSubType,
+    land_use: detail.summary?.propLandUse,
+    year_built: detail.summary?.yearBuilt,
+    effective_year_built: building.summary?.yearBuiltEffective,
+    livable_sqft: building.size?.livingSize,
+    building_sqft: building.size?.bldgSize,
+    lot_size_acre: detail.lot?.lotSize1,
+    lot_size_sqft: detail.lot?.lotSize2,
+    bedrooms: building.rooms?.beds,
+    bathrooms_total: building.rooms?.bathsTotal,
+    bathrooms_full: building.rooms?.bathsFull,
+    bathrooms_half: building.rooms?.bathsHalf,
+    rooms_total: building.rooms?.roomsTotal,
+    stories: building.summary?.levels,
+    units_count: building.summary?.unitsCount,
+    basement_sqft: building.interior?.bsmtSize,
+    fireplace_count: building.interior?.fplcCount,
+    garage_type: building.parking?.garageType,
+    parking_spaces: building.parking?.prkgSpaces,
+    construction_type: building.construction?.constructionType,
+    wall_type: building.construction?.wallType,
+    roof_cover: building.construction?.roofCover,
+    condition: building.construction?.condition,
+    heating_type: detail.utilities?.heatingType,
+    cooling_type: detail.utilities?.coolingType,
+    pool_type: detail.lot?.poolType
+  };
+}
+
 /**
  * Helper function to compare floating point values with a small epsilon
  * to account for precision differences
@@ -257,5 +368,8 @@ module.exports = {
   findByAttomId,
   insert,
   update,
-  processAndUpsertFromAttom
+  processAndUpsertFromAttom,
+  findPropertiesForEnrichment,
+  processPropertyDetailFromAttom,
+  updateEnrichment
 };
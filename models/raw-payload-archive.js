@@ -0,0 +1,164 @@
+/**
+ * Raw Payload Archive Model
+ * Keeps every run's untransformed items, gzip-compressed, so newly mapped
+ * columns can be backfilled by reprocessing instead of scraping again
+ */
+
+const zlib = require('zlib');
+const { db } = require('../index');
+const { getRawArchiveConfig } = require('../utils/config');
+
+// Metadata columns, so listing archives doesn't pull every payload
+const METADATA_COLUMNS = 'id, source, zip_code, run_id, fetched_at, item_count, payload_bytes, compressed_bytes';
+
+/**
+ * Compress raw items for storage
+ * @param {Array<Object>} items - Raw items
+ * @returns {Object} { payload (base64 gzip), payloadBytes, compressedBytes }
+ */
+function compressItems(items) {
+  const json = Buffer.from(JSON.stringify(items || []));
+  const compressed = zlib.gzipSync(json);
+  
+  return {
+    payload: compressed.toString('base64'),
+    payloadBytes: json.length,
+    compressedBytes: compressed.length
+  };
+}
+
+/**
+ * Decompress an archived payload
+ * @param {string} payload - Base64 gzip payload
+ * @returns {Array<Object>} Raw items
+ */
+function decompressItems(payload) {
+  const json = zlib.gunzipSync(Buffer.from(payload, 'base64')).toString('utf8');
+  return JSON.parse(json);
+}
+
+/**
+ * Archive a run's raw items
+ * A failed archive is logged and returns null so it never stops the scrape itself
+ * @param {string} source - Raw data source (e.g. zillow, redfin-sold, rentcast)
+ * @param {Array<Object>} items - Raw items from the scraper or API
+ * @param {Object} context - Run details
+ * @param {string} context.zipCode - Zip code (or search area) the run covered
+ * @param {string} context.runId - Apify run ID, if any
+ * @param {string} context.fetchedAt - Fetch time (default: now)
+ * @returns {Promise<Object|null>} Archive metadata or null
+ */
+async function archiveRawItems(source, items, context = {}) {
+  if (!getRawArchiveConfig().enabled) {
+    return null;
+  }
+  
+  try {
+    const { payload, payloadBytes, compressedBytes } = compressItems(items);
+    
+    // Inserted directly rather than through db.insertRecord, which reads back whole rows
+    const supabase = db.getSupabaseClient();
+    const { data: record, error } = await supabase.from('raw_payload_archive').insert({
+      source,
+      zip_code: context.zipCode || null,
+      run_id: context.runId || null,
+      fetched_at: context.fetchedAt || new Date().toISOString(),
+      item_count: (items || []).length,
+      encoding: 'gzip+base64',
+      payload,
+      payload_bytes: payloadBytes,
+      compressed_bytes: compressedBytes
+    }).select('id').single();
+    
+    if (error) throw new Error(error.message);
+    
+    console.log(`Archived ${(items || []).length} raw ${source} items (${Math.round(compressedBytes / 1024)} KB compressed)`);
+    
+    return { id: record?.id, itemCount: (items || []).length, payloadBytes, compressedBytes };
+  } catch (error) {
+    console.error(`Error archiving raw ${source} items:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Find archived runs fetched between two dates, without their payloads
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @param {Object} options - Query options
+ * @param {Array<string>} options.sources - Only these sources
+ * @param {Array<string>} options.zipCodes - Only these zip codes
+ * @returns {Promise<Array>} Archive metadata, oldest first
+ */
+async function findByDateRange(startDate, endDate, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('raw_payload_archive')
+    .select(METADATA_COLUMNS)
+    .gte('fetched_at', `${startDate}T00:00:00Z`)
+    .lte('fetched_at', `${endDate}T23:59:59.999Z`)
+    .order('fetched_at', { ascending: true });
+  
+  if (options.sources && options.sources.length > 0) {
+    query = query.in('source', options.sources);
+  }
+  
+  if (options.zipCodes && options.zipCodes.length > 0) {
+    query = query.in('zip_code', options.zipCodes);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error finding raw payload archives: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Load the raw items of an archived run
+ * @param {number} id - Archive ID
+ * @returns {Promise<Array<Object>>} Raw items
+ */
+async function getRawItems(id) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('raw_payload_archive')
+    .select('payload, encoding')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error loading raw payload archive ${id}: ${error.message}`);
+  if (!data) throw new Error(`Raw payload archive ${id} not found`);
+  if (data.encoding !== 'gzip+base64') throw new Error(`Unsupported raw payload encoding "${data.encoding}"`);
+  
+  return decompressItems(data.payload);
+}
+
+/**
+ * Delete archives older than the retention period
+ * @param {number} retentionDays - Days to keep (default: RAW_ARCHIVE_RETENTION_DAYS or 90)
+ * @returns {Promise<number>} Number of archives deleted
+ */
+async function pruneExpired(retentionDays = getRawArchiveConfig().retentionDays) {
+  const supabase = db.getSupabaseClient();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  
+  const { data, error } = await supabase
+    .from('raw_payload_archive')
+    .delete()
+    .lt('fetched_at', cutoff)
+    .select('id');
+  
+  if (error) throw new Error(`Error pruning raw payload archives: ${error.message}`);
+  return (data || []).length;
+}
+
+module.exports = {
+  compressItems,
+  decompressItems,
+  archiveRawItems,
+  findByDateRange,
+  getRawItems,
+  pruneExpired
+};
@@ -0,0 +1,172 @@
+/**
+ * Realtor Rental Listing Model
+ * Handles Realtor.com RENT search results used as asking-rent comps
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find a rental listing by realtor_id
+ * @param {string} realtorId - Realtor property ID
+ * @returns {Promise<Object|null>} Rental listing record or null if not found
+ */
+async function findByRealtorId(realtorId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('realtor_rental_listing')
+    .select('*')
+    .eq('realtor_id', realtorId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding Realtor rental listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new rental listing record
+ * @param {Object} listingData - Rental listing data
+ * @returns {Promise<Object>} Inserted rental listing record
+ */
+async function insert(listingData) {
+  return db.insertRecord('realtor_rental_listing', listingData);
+}
+
+/**
+ * Update an existing rental listing record
+ * @param {string} realtorId - Realtor property ID
+ * @param {Object} listingData - Updated rental listing data
+ * @returns {Promise<Object>} Updated rental listing record
+ */
+async function update(realtorId, listingData) {
+  return db.updateRecords('realtor_rental_listing', { realtor_id: realtorId }, listingData);
+}
+
+/**
+ * Process Realtor RENT search data and insert or update records
+ * Every listing seen in the search gets last_seen set to today, so rentals that
+ * have been taken off the market can be told apart from active ones
+ * @param {Object} apiData - Result of a RENT search
+ * @param {string} label - Zip code (or radius description) being processed, for logging
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromRealtor(apiData, label) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const listings = apiData.listings || [];
+  const today = new Date().toISOString().split('T')[0];
+  
+  console.log(`Processing ${listings.length} Realtor rental listings for ${label}`);
+  
+  for (const listing of listings) {
+    try {
+      if (!listing.realtor_id || !listing.rent) {
+        console.warn(`Realtor rental ${listing.realtor_id || '(no realtor_id)'} missing rent, skipping`);
+        result.skipped++;
+        continue;
+      }
+      
+      const listingData = { ...listing, last_seen: today };
+      const existing = await findByRealtorId(listing.realtor_id);
+      
+      if (existing) {
+        if (hasRentalListingDataChanged(existing, listingData)) {
+          console.log(`Updating Realtor rental listing ${listing.realtor_id} - data has changed`);
+          await update(listing.realtor_id, listingData);
+          result.updated++;
+        } else {
+          if (existing.last_seen !== today) {
+            await update(listing.realtor_id, { last_seen: today });
+          }
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new Realtor rental listing ${listing.realtor_id}`);
+        await insert({ ...listingData, first_seen: today });
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing Realtor rental listing:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get rentals for a zip code that were still listed recently
+ * @param {string} zipCode - Zip code to filter by
+ * @param {Object} options - Query options
+ * @param {string} options.seenSince - Only rentals last seen on or after this date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Rental listings
+ */
+async function getActiveRentalsByZipCode(zipCode, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('realtor_rental_listing')
+    .select('*')
+    .eq('zip5', zipCode)
+    .order('last_seen', { ascending: false });
+  
+  if (options.seenSince) {
+    query = query.gte('last_seen', options.seenSince);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting Realtor rental listings by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function floatsAreEqual(a, b) {
+  if (a == null) a = '';
+  if (b == null) b = '';
+  if (a === '' && b === '') return true;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.0000001;
+}
+
+function hasRentalListingDataChanged(existing, newData) {
+  const numericFields = ['rent', 'rent_min', 'rent_max', 'beds', 'baths', 'sqft', 'latitude', 'longitude'];
+  const textFields = ['status', 'street', 'name', 'property_type', 'sub_type'];
+  
+  for (const field of numericFields) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  for (const field of textFields) {
+    if ((existing[field] || '') !== (newData[field] || '')) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByRealtorId,
+  insert,
+  update,
+  processAndUpsertFromRealtor,
+  getActiveRentalsByZipCode
+};
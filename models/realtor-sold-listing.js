@@ -0,0 +1,169 @@
+/**
+ * Realtor Sold Listing Model
+ * Handles Realtor.com SOLD search results used as sale comps
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find a sold listing by realtor_id and sale date
+ * @param {string} realtorId - Realtor property ID
+ * @param {string} soldDate - Sale date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Sold listing record or null if not found
+ */
+async function findByRealtorIdAndSoldDate(realtorId, soldDate) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('realtor_sold_listing')
+    .select('*')
+    .eq('realtor_id', realtorId)
+    .eq('sold_date', soldDate)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding Realtor sold listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new sold listing record
+ * @param {Object} listingData - Sold listing data
+ * @returns {Promise<Object>} Inserted sold listing record
+ */
+async function insert(listingData) {
+  return db.insertRecord('realtor_sold_listing', listingData);
+}
+
+/**
+ * Update an existing sold listing record
+ * @param {string} realtorId - Realtor property ID
+ * @param {string} soldDate - Sale date in YYYY-MM-DD format
+ * @param {Object} listingData - Updated sold listing data
+ * @returns {Promise<Object>} Updated sold listing record
+ */
+async function update(realtorId, soldDate, listingData) {
+  return db.updateRecords('realtor_sold_listing', { realtor_id: realtorId, sold_date: soldDate }, listingData);
+}
+
+/**
+ * Process Realtor SOLD search data and insert or update records
+ * A home that sells again gets a new row, so each sale stays a separate comp
+ * @param {Object} apiData - Result of a SOLD search
+ * @param {string} label - Zip code (or radius description) being processed, for logging
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromRealtor(apiData, label) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const listings = apiData.listings || [];
+  
+  console.log(`Processing ${listings.length} Realtor sold listings for ${label}`);
+  
+  for (const listing of listings) {
+    try {
+      if (!listing.realtor_id || !listing.sold_date || !listing.sold_price) {
+        console.warn(`Realtor listing ${listing.realtor_id || '(no realtor_id)'} has no sale date or price, skipping`);
+        result.skipped++;
+        continue;
+      }
+      
+      const existing = await findByRealtorIdAndSoldDate(listing.realtor_id, listing.sold_date);
+      
+      if (existing) {
+        if (hasSoldListingDataChanged(existing, listing)) {
+          console.log(`Updating Realtor sold listing ${listing.realtor_id} (${listing.sold_date}) - data has changed`);
+          await update(listing.realtor_id, listing.sold_date, listing);
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new Realtor sold listing ${listing.realtor_id} (${listing.sold_date})`);
+        await insert(listing);
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing Realtor sold listing:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get sold comps for a zip code
+ * @param {string} zipCode - Zip code to filter by
+ * @param {Object} options - Query options
+ * @param {string} options.soldSince - Only sales on or after this date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Sold listings, most recent first
+ */
+async function getSoldListingsByZipCode(zipCode, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('realtor_sold_listing')
+    .select('*')
+    .eq('zip5', zipCode)
+    .order('sold_date', { ascending: false });
+  
+  if (options.soldSince) {
+    query = query.gte('sold_date', options.soldSince);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting Realtor sold listings by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function floatsAreEqual(a, b) {
+  if (a == null) a = '';
+  if (b == null) b = '';
+  if (a === '' && b === '') return true;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.0000001;
+}
+
+function hasSoldListingDataChanged(existing, newData) {
+  const numericFields = ['sold_price', 'list_price', 'beds', 'baths', 'sqft', 'lot_sqft', 'year_built', 'latitude', 'longitude'];
+  const textFields = ['status', 'street', 'property_type', 'sub_type'];
+  
+  for (const field of numericFields) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  for (const field of textFields) {
+    if ((existing[field] || '') !== (newData[field] || '')) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByRealtorIdAndSoldDate,
+  insert,
+  update,
+  processAndUpsertFromRealtor,
+  getSoldListingsByZipCode
+};
@@ -75,6 +75,11 @@ async function processAndUpsertFromRedfin(apiData, zipCode) {
       const existingListing = await findByRedfinId(listing.redfin_id);
       
       if (existingListing) {
+        // Sold records usually don't carry the list price, so keep the one we had
+        if (listing.sold_price != null && listing.price == null) {
+          listing.price = existingListing.price;
+        }
+        
         // Check if data has changed
         if (hasListingDataChanged(existingListing, listing)) {
           console.log(`Updating Redfin listing with redfin_id: ${listing.redfin_id} - data has changed`);
@@ -158,6 +163,7 @@ function hasListingDataChanged(existingListing, newListingData) {
   
   // Use float comparison for numeric fields
   const priceChanged = !floatsAreEqual(existingListing.price, newListingData.price);
+  const soldPriceChanged = !floatsAreEqual(existingListing.sold_price, newListingData.sold_price);
   const pricePerSqftChanged = !floatsAreEqual(existingListing.price_per_sqft, newListingData.price_per_sqft);
   const hoaFeeChanged = !floatsAreEqual(existingListing.hoa_fee, newListingData.hoa_fee);
   const bedroomsChanged = !floatsAreEqual(existingListing.bedrooms, newListingData.bedrooms);
@@ -169,7 +175,7 @@ function hasListingDataChanged(existingListing, newListingData) {
   const lonChanged = !floatsAreEqual(existingListing.lon, newListingData.lon);
   const domChanged = !floatsAreEqual(existingListing.dom, newListingData.dom);
   const timeOnRedfinChanged = !floatsAreEqual(existingListing.time_on_redfin, newListingData.time_on_redfin);
-  const soldDateChanged = !floatsAreEqual(existingListing.sold_date, newListingData.sold_date);
+  const soldDateChanged = (existingListing.sold_date || '') !== (newListingData.sold_date || '');
   const searchStatusChanged = !floatsAreEqual(existingListing.search_status, newListingData.search_status);
   
   // Check if any essential fields have changed
@@ -179,6 +185,7 @@ function hasListingDataChanged(existingListing, newListingData) {
     agentNameChanged ||
     remarksChanged ||
     priceChanged ||
+    soldPriceChanged ||
     pricePerSqftChanged ||
     hoaFeeChanged ||
     bedroomsChanged ||
@@ -211,6 +218,9 @@ function hasListingDataChanged(existingListing, newListingData) {
     if (priceChanged) {
       console.log(`  - Price changed: ${existingListing.price} -> ${newListingData.price}`);
     }
+    if (soldPriceChanged) {
+      console.log(`  - Sold price changed: ${existingListing.sold_price} -> ${newListingData.sold_price}`);
+    }
     if (pricePerSqftChanged) {
       console.log(`  - Price per sqft changed: ${existingListing.price_per_sqft} -> ${newListingData.price_per_sqft}`);
     }
@@ -0,0 +1,171 @@
+/**
+ * Redfin Sold Listing Model
+ * Handles recently sold Redfin homes used as sale comps
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find a sold listing by redfin_id and sale date
+ * @param {string} redfinId - Redfin property ID
+ * @param {string} soldDate - Sale date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Sold listing record or null if not found
+ */
+async function findByRedfinIdAndSoldDate(redfinId, soldDate) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('redfin_sold_listing')
+    .select('*')
+    .eq('redfin_id', redfinId)
+    .eq('sold_date', soldDate)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding Redfin sold listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new sold listing record
+ * @param {Object} listingData - Sold listing data
+ * @returns {Promise<Object>} Inserted sold listing record
+ */
+async function insert(listingData) {
+  return db.insertRecord('redfin_sold_listing', listingData);
+}
+
+/**
+ * Update an existing sold listing record
+ * @param {string} redfinId - Redfin property ID
+ * @param {string} soldDate - Sale date in YYYY-MM-DD format
+ * @param {Object} listingData - Updated sold listing data
+ * @returns {Promise<Object>} Updated sold listing record
+ */
+async function update(redfinId, soldDate, listingData) {
+  return db.updateRecords('redfin_sold_listing', { redfin_id: redfinId, sold_date: soldDate }, listingData);
+}
+
+/**
+ * Process Redfin sold search data and insert or update records
+ * A home that sells again gets a new row, so each sale stays a separate comp
+ * @param {Object} apiData - Result of searchSoldListingsByZipCode
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromRedfin(apiData, zipCode) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const listings = apiData.listings || [];
+  
+  console.log(`Processing ${listings.length} Redfin sold listings for zip code ${zipCode}`);
+  
+  for (const listing of listings) {
+    try {
+      // The sold filter can still return active homes nearby; only real sales are comps
+      if (!listing.redfin_id || !listing.sold_date || !listing.sold_price) {
+        console.warn(`Redfin listing ${listing.redfin_id || '(no redfin_id)'} has no sale date or price, skipping`);
+        result.skipped++;
+        continue;
+      }
+      
+      const existing = await findByRedfinIdAndSoldDate(listing.redfin_id, listing.sold_date);
+      
+      if (existing) {
+        if (hasSoldListingDataChanged(existing, listing)) {
+          console.log(`Updating Redfin sold listing ${listing.redfin_id} (${listing.sold_date}) - data has changed`);
+          await update(listing.redfin_id, listing.sold_date, listing);
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new Redfin sold listing ${listing.redfin_id} (${listing.sold_date})`);
+        await insert(listing);
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing Redfin sold listing:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get sold comps for a zip code
+ * @param {string} zipCode - Zip code to filter by
+ * @param {Object} options - Query options
+ * @param {string} options.soldSince - Only sales on or after this date (YYYY-MM-DD)
+ * @param {string} options.columns - Columns to select (default: *)
+ * @returns {Promise<Array>} Sold listings, most recent first
+ */
+async function getSoldListingsByZipCode(zipCode, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('redfin_sold_listing')
+    .select(options.columns || '*')
+    .eq('zip5', zipCode)
+    .order('sold_date', { ascending: false });
+  
+  if (options.soldSince) {
+    query = query.gte('sold_date', options.soldSince);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting Redfin sold listings by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function floatsAreEqual(a, b) {
+  if (a == null) a = '';
+  if (b == null) b = '';
+  if (a === '' && b === '') return true;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.0000001;
+}
+
+function hasSoldListingDataChanged(existing, newData) {
+  const numericFields = ['sold_price', 'list_price', 'price_per_sqft', 'bedrooms', 'bathrooms', 'sqft', 'lot_size', 'year_built', 'dom', 'lat', 'lon'];
+  const textFields = ['address', 'mls_id', 'mls_status'];
+  
+  for (const field of numericFields) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  for (const field of textFields) {
+    if ((existing[field] || '') !== (newData[field] || '')) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByRedfinIdAndSoldDate,
+  insert,
+  update,
+  processAndUpsertFromRedfin,
+  getSoldListingsByZipCode
+};
@@ -0,0 +1,250 @@
+/**
+ * RentCast Rent Estimate Model
+ * Handles RentCast avm/rent/long-term estimate processing and storage
+ */
+
+const supabaseUtils = require('../utils/supabase');
+
+/**
+ * Find the most recent rent estimate for a merged listing
+ * @param {number} theRealDealId - Merged listing ID
+ * @returns {Promise<Object|null>} Latest rent estimate or null if not found
+ */
+async function findLatestByMergedListingId(theRealDealId) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('rentcast_rent_estimate')
+    .select('*')
+    .eq('the_real_deal_id', theRealDealId)
+    .order('estimate_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding rent estimate: ${error.message}`);
+  return data;
+}
+
+/**
+ * Find a rent estimate by merged listing ID and estimate date
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {string} estimateDate - Estimate date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Rent estimate or null if not found
+ */
+async function findByMergedListingIdAndDate(theRealDealId, estimateDate) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('rentcast_rent_estimate')
+    .select('*')
+    .eq('the_real_deal_id', theRealDealId)
+    .eq('estimate_date', estimateDate)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding rent estimate: ${error.message}`);
+  return data;
+}
+
+/**
+ * Find merged listings without a rent estimate newer than staleDays
+ * @param {Object} options - Query options
+ * @param {string} options.zipCode - Only return listings in this zip code
+ * @param {number} options.staleDays - Re-estimate listings whose latest estimate is older than this many days
+ * @param {number} options.limit - Maximum number of listings to return
+ * @returns {Promise<Array>} Merged listings needing a rent estimate
+ */
+async function findListingsNeedingEstimate({ zipCode = null, staleDays = 30, limit = 50 } = {}) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  let query = supabase
+    .from('merged_listing')
+    .select('the_real_deal_id, address, city, state, zip5, lat, lon, property_type, bedrooms, bathrooms, sqft')
+    .not('address', 'is', null)
+    .order('the_real_deal_id', { ascending: true });
+  
+  if (zipCode) {
+    query = query.eq('zip5', zipCode);
+  }
+  
+  const { data: listings, error } = await query;
+  if (error) throw new Error(`Error finding listings for rent estimates: ${error.message}`);
+  
+  if (!listings || listings.length === 0) {
+    return [];
+  }
+  
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - staleDays);
+  
+  const { data: recent, error: recentError } = await supabase
+    .from('rentcast_rent_estimate')
+    .select('the_real_deal_id')
+    .gte('estimate_date', cutoff.toISOString().split('T')[0]);
+  
+  if (recentError) throw new Error(`Error finding recent rent estimates: ${recentError.message}`);
+  
+  const recentIds = new Set((recent || []).map(row => row.the_real_deal_id));
+  
+  return listings
+    .filter(listing => !recentIds.has(listing.the_real_deal_id))
+    .slice(0, limit);
+}
+
+/**
+ * Insert a new rent estimate record
+ * @param {Object} estimateData - Rent estimate data
+ * @returns {Promise<Object>} Inserted rent estimate record
+ */
+async function insert(estimateData) {
+  return supabaseUtils.insertRecord('rentcast_rent_estimate', estimateData);
+}
+
+/**
+ * Update an existing rent estimate record
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {string} estimateDate - Estimate date in YYYY-MM-DD format
+ * @param {Object} estimateData - Updated rent estimate data
+ * @returns {Promise<Object>} Updated rent estimate record
+ */
+async function update(theRealDealId, estimateDate, estimateData) {
+  return supabaseUtils.updateRecords(
+    'rentcast_rent_estimate',
+    { the_real_deal_id: theRealDealId, estimate_date: estimateDate },
+    estimateData
+  );
+}
+
+/**
+ * Process a RentCast avm/rent/long-term response and insert or update the estimate for today
+ * One estimate per listing per day is kept so rent can be tracked over time
+ * @param {Object} listing - Merged listing the estimate was requested for
+ * @param {Object} apiData - RentCast avm/rent/long-term response
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromRentCast(listing, apiData) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  if (!apiData || !apiData.rent) {
+    console.log(`No rent estimate returned for listing ${listing.the_real_deal_id}`);
+    result.skipped++;
+    return result;
+  }
+  
+  try {
+    const estimateData = transformRentCastRentEstimateData(listing, apiData);
+    const existing = await findByMergedListingIdAndDate(listing.the_real_deal_id, estimateData.estimate_date);
+    
+    if (existing) {
+      if (hasRentEstimateDataChanged(existing, estimateData)) {
+        console.log(`Updating rent estimate for listing: ${listing.the_real_deal_id}, date: ${estimateData.estimate_date} - data has changed`);
+        await update(listing.the_real_deal_id, estimateData.estimate_date, estimateData);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } else {
+      console.log(`Inserting new rent estimate for listing: ${listing.the_real_deal_id}, date: ${estimateData.estimate_date}`);
+      await insert(estimateData);
+      result.inserted++;
+    }
+  } catch (error) {
+    console.error(`Error processing rent estimate for listing ${listing.the_real_deal_id}:`, error.message);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+// Helper functions
+function transformRentCastRentEstimateData(listing, apiData) {
+  const comparables = (apiData.comparables || []).map(comp => ({
+    id: comp.id,
+    formatted_address: comp.formattedAddress,
+    property_type: comp.propertyType,
+    bedrooms: comp.bedrooms,
+    bathrooms: comp.bathrooms,
+    square_footage: comp.squareFootage,
+    price: comp.price,
+    listing_type: comp.listingType,
+    listed_date: comp.listedDate,
+    removed_date: comp.removedDate,
+    days_on_market: comp.daysOnMarket,
+    distance: comp.distance,
+    days_old: comp.daysOld,
+    correlation: comp.correlation
+  }));
+  
+  return {
+    the_real_deal_id: listing.the_real_deal_id,
+    address: listing.address,
+    zip5: listing.zip5,
+    estimate_date: new Date().toISOString().split('T')[0],
+    rent: parseNumber(apiData.rent),
+    rent_low: parseNumber(apiData.rentRangeLow),
+    rent_high: parseNumber(apiData.rentRangeHigh),
+    latitude: parseNumber(apiData.latitude),
+    longitude: parseNumber(apiData.longitude),
+    comparable_count: comparables.length,
+    comparables,
+    last_updated: new Date().toISOString().split('T')[0]
+  };
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Helper function to compare floating point values with a small epsilon
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {boolean} True if values are equal within epsilon
+ */
+function floatsAreEqual(a, b) {
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.01;
+}
+
+function hasRentEstimateDataChanged(existing, newData) {
+  const fieldsToCompare = [
+    'rent',
+    'rent_low',
+    'rent_high',
+    'comparable_count'
+  ];
+  
+  for (const field of fieldsToCompare) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findLatestByMergedListingId,
+  findByMergedListingIdAndDate,
+  findListingsNeedingEstimate,
+  insert,
+  update,
+  processAndUpsertFromRentCast
+};
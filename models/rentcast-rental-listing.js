@@ -0,0 +1,166 @@
+/**
+ * RentCast Rental Listing Model
+ * Handles RentCast listings/rental/long-term data processing and storage
+ */
+
+const supabaseUtils = require('../utils/supabase');
+
+/**
+ * Find a rental listing by rentcast_id
+ * @param {string} rentcastId - RentCast listing ID
+ * @returns {Promise<Object|null>} Rental listing record or null if not found
+ */
+async function findByRentcastId(rentcastId) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('rentcast_rental_listing')
+    .select('*')
+    .eq('rentcast_id', rentcastId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding rental listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new rental listing record
+ * @param {Object} listingData - Rental listing data
+ * @returns {Promise<Object>} Inserted rental listing record
+ */
+async function insert(listingData) {
+  return supabaseUtils.insertRecord('rentcast_rental_listing', listingData);
+}
+
+/**
+ * Update an existing rental listing record
+ * @param {string} rentcastId - RentCast listing ID
+ * @param {Object} listingData - Updated rental listing data
+ * @returns {Promise<Object>} Updated rental listing record
+ */
+async function update(rentcastId, listingData) {
+  return supabaseUtils.updateRecords('rentcast_rental_listing', { rentcast_id: rentcastId }, listingData);
+}
+
+/**
+ * Process RentCast rental listing data and insert or update the record
+ * @param {Object} apiData - RentCast listings/rental/long-term entry
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromRentCast(apiData) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  try {
+    const listingData = transformRentCastRentalListingData(apiData);
+    
+    if (!listingData.rentcast_id) {
+      console.warn('Rental listing missing rentcast_id, skipping');
+      result.skipped++;
+      return result;
+    }
+    
+    const existingListing = await findByRentcastId(listingData.rentcast_id);
+    
+    if (existingListing) {
+      if (hasRentalListingDataChanged(existingListing, listingData)) {
+        console.log(`Updating rental listing with rentcast_id: ${listingData.rentcast_id} - data has changed`);
+        await update(existingListing.rentcast_id, listingData);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } else {
+      console.log(`Inserting new rental listing with rentcast_id: ${listingData.rentcast_id}`);
+      await insert(listingData);
+      result.inserted++;
+    }
+  } catch (error) {
+    console.error(`Error processing rental listing:`, error.message);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+// Helper functions
+function transformRentCastRentalListingData(apiData) {
+  return {
+    rentcast_id: apiData.id,
+    formatted_address: apiData.formattedAddress,
+    city: apiData.city,
+    state: apiData.state,
+    zip_code: apiData.zipCode,
+    latitude: apiData.latitude,
+    longitude: apiData.longitude,
+    property_type: apiData.propertyType,
+    bedrooms: apiData.bedrooms,
+    bathrooms: apiData.bathrooms,
+    square_footage: apiData.squareFootage,
+    year_built: apiData.yearBuilt,
+    status: apiData.status,
+    rent: apiData.price,
+    listing_type: apiData.listingType,
+    listed_date: apiData.listedDate,
+    removed_date: apiData.removedDate,
+    last_seen_date: apiData.lastSeenDate,
+    days_on_market: apiData.daysOnMarket
+  };
+}
+
+function hasRentalListingDataChanged(existingListing, newListingData) {
+  const fieldsToCompare = [
+    'formatted_address',
+    'property_type',
+    'bedrooms',
+    'bathrooms',
+    'square_footage',
+    'status',
+    'rent',
+    'listed_date',
+    'removed_date',
+    'last_seen_date',
+    'days_on_market'
+  ];
+  
+  // Date fields that need special comparison
+  const dateFields = [
+    'listed_date',
+    'removed_date',
+    'last_seen_date'
+  ];
+  
+  for (const field of fieldsToCompare) {
+    const existingValue = existingListing[field];
+    const newValue = newListingData[field];
+    
+    // Treat null and undefined as equivalent
+    if (existingValue == null && newValue == null) {
+      continue;
+    }
+    
+    if (dateFields.includes(field) && existingValue && newValue) {
+      if (new Date(existingValue).getTime() !== new Date(newValue).getTime()) {
+        console.log(`Field ${field} changed: ${existingValue} -> ${newValue}`);
+        return true;
+      }
+    } else if (String(existingValue) !== String(newValue)) {
+      console.log(`Field ${field} changed: ${existingValue} -> ${newValue}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByRentcastId,
+  insert,
+  update,
+  processAndUpsertFromRentCast
+};
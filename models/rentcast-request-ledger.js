@@ -0,0 +1,89 @@
+/**
+ * RentCast Request Ledger Model
+ * Persists RentCast request counts by endpoint and day for quota tracking
+ */
+
+const supabaseUtils = require('../utils/supabase');
+
+/**
+ * Find the ledger row for an endpoint and day
+ * @param {string} endpoint - RentCast endpoint
+ * @param {string} requestDate - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Ledger row or null if not found
+ */
+async function findByEndpointAndDate(endpoint, requestDate) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('rentcast_request_ledger')
+    .select('*')
+    .eq('endpoint', endpoint)
+    .eq('request_date', requestDate)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding RentCast ledger entry: ${error.message}`);
+  return data;
+}
+
+/**
+ * Find ledger rows between two dates
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @returns {Promise<Array>} Ledger rows ordered by date and endpoint
+ */
+async function findByDateRange(startDate, endDate) {
+  const supabase = supabaseUtils.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('rentcast_request_ledger')
+    .select('*')
+    .gte('request_date', startDate)
+    .lte('request_date', endDate)
+    .order('request_date', { ascending: true })
+    .order('endpoint', { ascending: true });
+  
+  if (error) throw new Error(`Error finding RentCast ledger entries: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Total requests recorded between two dates
+ * @param {string} startDate - First day in YYYY-MM-DD format
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @returns {Promise<number>} Request count
+ */
+async function getUsage(startDate, endDate) {
+  const rows = await findByDateRange(startDate, endDate);
+  return rows.reduce((total, row) => total + (row.request_count || 0), 0);
+}
+
+/**
+ * Count one request against an endpoint for a day
+ * @param {string} endpoint - RentCast endpoint
+ * @param {string} requestDate - Date in YYYY-MM-DD format (default: today, UTC)
+ * @returns {Promise<Object>} Updated or inserted ledger row
+ */
+async function recordRequest(endpoint, requestDate = new Date().toISOString().split('T')[0]) {
+  const existing = await findByEndpointAndDate(endpoint, requestDate);
+  
+  if (existing) {
+    return supabaseUtils.updateRecords(
+      'rentcast_request_ledger',
+      { endpoint, request_date: requestDate },
+      { request_count: (existing.request_count || 0) + 1, updated_at: new Date().toISOString() }
+    );
+  }
+  
+  return supabaseUtils.insertRecord('rentcast_request_ledger', {
+    endpoint,
+    request_date: requestDate,
+    request_count: 1
+  });
+}
+
+module.exports = {
+  findByEndpointAndDate,
+  findByDateRange,
+  getUsage,
+  recordRequest
+};
@@ -0,0 +1,172 @@
+/**
+ * RESO Listing Model
+ * Handles MLS listings synced from the RESO Web API feed
+ */
+
+const { db } = require('../index');
+const { getResoConfig } = require('../utils/config');
+
+/**
+ * Find a RESO listing by reso_id (the feed's ListingKey)
+ * @param {string} resoId - RESO ListingKey
+ * @returns {Promise<Object|null>} Listing record or null if not found
+ */
+async function findByResoId(resoId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('reso_listing')
+    .select('*')
+    .eq('reso_id', resoId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding RESO listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new RESO listing record
+ * @param {Object} listingData - Listing data
+ * @returns {Promise<Object>} Inserted listing record
+ */
+async function insert(listingData) {
+  return db.insertRecord('reso_listing', listingData);
+}
+
+/**
+ * Update an existing RESO listing record
+ * @param {string} resoId - RESO ListingKey
+ * @param {Object} listingData - Updated listing data
+ * @returns {Promise<Object>} Updated listing record
+ */
+async function update(resoId, listingData) {
+  return db.updateRecords('reso_listing', { reso_id: resoId }, listingData);
+}
+
+/**
+ * Process RESO search results and insert or update records
+ * A record whose ModificationTimestamp hasn't moved is left alone. New records
+ * are only inserted with a tracked status; known ones are always updated so
+ * they pick up status changes from incremental syncs
+ * @param {Object} apiData - Result of searchListingsByZipCode
+ * @param {string} zipCode - Zip code being processed
+ * @param {Object} options - Processing options
+ * @param {Array<string>} options.statuses - Statuses to insert (default: RESO_STANDARD_STATUSES)
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromReso(apiData, zipCode, options = {}) {
+  const { statuses = getResoConfig().statuses } = options;
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const listings = apiData.listings || [];
+  
+  console.log(`Processing ${listings.length} RESO listings for zip code ${zipCode}`);
+  
+  for (const listing of listings) {
+    try {
+      if (!listing.reso_id) {
+        console.warn('RESO listing missing ListingKey, skipping');
+        result.skipped++;
+        continue;
+      }
+      
+      const existing = await findByResoId(listing.reso_id);
+      
+      if (existing) {
+        if (hasResoListingChanged(existing, listing)) {
+          console.log(`Updating RESO listing ${listing.reso_id} - modified ${listing.modification_timestamp}`);
+          await update(listing.reso_id, listing);
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      } else if (statuses.length > 0 && !statuses.includes(listing.standard_status)) {
+        // Not a status we track and not one we already have
+        result.skipped++;
+      } else {
+        console.log(`Inserting new RESO listing ${listing.reso_id}`);
+        await insert(listing);
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing RESO listing:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get the latest ModificationTimestamp stored for a zip code
+ * The next incremental sync asks the feed for records modified after it
+ * @param {string} zipCode - Zip code
+ * @returns {Promise<string|null>} ISO timestamp, or null if nothing has been synced
+ */
+async function getLatestModificationTimestamp(zipCode) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('reso_listing')
+    .select('modification_timestamp')
+    .eq('zip5', zipCode)
+    .not('modification_timestamp', 'is', null)
+    .order('modification_timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error getting latest RESO modification timestamp: ${error.message}`);
+  return data ? data.modification_timestamp : null;
+}
+
+/**
+ * Get RESO listings by zip code
+ * @param {string} zipCode - Zip code to filter by
+ * @param {Object} options - Query options
+ * @param {Array<string>} options.statuses - Only these StandardStatus values
+ * @returns {Promise<Array>} Listings
+ */
+async function getListingsByZipCode(zipCode, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('reso_listing')
+    .select('*')
+    .eq('zip5', zipCode)
+    .order('modification_timestamp', { ascending: false });
+  
+  if (options.statuses && options.statuses.length > 0) {
+    query = query.in('standard_status', options.statuses);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting RESO listings by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function hasResoListingChanged(existing, newData) {
+  const existingTime = Date.parse(existing.modification_timestamp);
+  const newTime = Date.parse(newData.modification_timestamp);
+  
+  // Without timestamps on both sides, assume the feed sent it because it changed
+  if (Number.isNaN(existingTime) || Number.isNaN(newTime)) return true;
+  
+  return newTime !== existingTime;
+}
+
+module.exports = {
+  findByResoId,
+  insert,
+  update,
+  processAndUpsertFromReso,
+  getLatestModificationTimestamp,
+  getListingsByZipCode
+};
@@ -0,0 +1,129 @@
+/**
+ * Schema Drift Report Model
+ * Persists per-run schema drift reports for raw scraper payloads
+ */
+
+const { db } = require('../index');
+const { buildDriftReport, logDriftReport } = require('../utils/schema-drift');
+const { getSchemaDriftConfig } = require('../utils/config');
+
+/**
+ * Find the most recent report for a source and zip code
+ * @param {string} source - Raw data source (e.g. zillow, redfin-sold, realtor-rent)
+ * @param {string} zipCode - Zip code (or search area) the run covered
+ * @returns {Promise<Object|null>} Latest report or null if there is none
+ */
+async function findLatestReport(source, zipCode) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('schema_drift_report')
+    .select('*')
+    .eq('source', source)
+    .eq('zip_code', zipCode)
+    .gt('item_count', 0)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding schema drift report: ${error.message}`);
+  return data;
+}
+
+/**
+ * Get recent reports, optionally for one source
+ * @param {Object} options - Query options
+ * @param {string} options.source - Only reports for this source
+ * @param {number} options.limit - Maximum reports to return (default: 20)
+ * @returns {Promise<Array>} Reports, most recent first
+ */
+async function getRecentReports(options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('schema_drift_report')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(options.limit || 20);
+  
+  if (options.source) {
+    query = query.eq('source', options.source);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting schema drift reports: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Insert a new report
+ * @param {Object} reportData - Report row
+ * @returns {Promise<Object>} Inserted report
+ */
+async function insert(reportData) {
+  return db.insertRecord('schema_drift_report', reportData);
+}
+
+/**
+ * Check a run's raw items against the expected shape and store the report
+ * Fill rates are compared with the previous run for the same source and zip code.
+ * A report that can't be stored (or a previous run that can't be read) is
+ * logged and the report is still returned, so the fail threshold still applies;
+ * errors checking the items themselves are thrown
+ * @param {string} source - Raw data source (e.g. zillow, redfin-sold, realtor-rent)
+ * @param {Array<Object>} items - Raw items from the scraper
+ * @param {Object} shape - Expected shape (see api/<source>/raw-shape.js)
+ * @param {Object} context - Run details
+ * @param {string} context.zipCode - Zip code (or search area) the run covered
+ * @param {string} context.runId - Apify run ID
+ * @returns {Promise<Object|null>} Report, or null when the check is turned off
+ */
+async function checkAndStoreReport(source, items, shape, context = {}) {
+  const config = getSchemaDriftConfig();
+  if (!config.enabled) {
+    return null;
+  }
+  
+  let previous = null;
+  try {
+    previous = await findLatestReport(source, context.zipCode);
+  } catch (error) {
+    console.error(`Error loading the previous schema drift report for ${source}, fill rates aren't compared:`, error.message);
+  }
+  
+  const report = buildDriftReport(items || [], shape, {
+    previousFillRates: previous ? previous.fill_rates : null,
+    fillRateDropThreshold: config.fillRateDropThreshold
+  });
+  
+  logDriftReport(source, report);
+  
+  try {
+    await insert({
+      source,
+      zip_code: context.zipCode,
+      run_id: context.runId || null,
+      previous_report_id: previous ? previous.id : null,
+      item_count: report.itemCount,
+      field_count: report.fieldCount,
+      missing_fields: report.missingFields,
+      new_fields: report.newFields,
+      type_changes: report.typeChanges,
+      fill_rates: report.fillRates,
+      fill_rate_drops: report.fillRateDrops,
+      issue_count: report.issueCount
+    });
+  } catch (error) {
+    console.error(`Error storing schema drift report for ${source}:`, error.message);
+  }
+  
+  return report;
+}
+
+module.exports = {
+  findLatestReport,
+  getRecentReports,
+  insert,
+  checkAndStoreReport
+};
@@ -0,0 +1,230 @@
+/**
+ * Source Adapter Registry
+ * Listing sources register an adapter here, and the merge engine iterates the
+ * registry instead of naming sources inline
+ *
+ * An adapter declares:
+ *   name              - Source name stored in data_sources (e.g. 'zillow')
+ *   label             - Display name for logs (e.g. 'Zillow')
+ *   rawSource         - Raw data source name used by the archive and drift checks
+ *   table             - Source listing table (e.g. 'zillow_listing')
+ *   idColumn          - ID column, in both the source table and merged_listing
+ *   zipColumn         - Zip code column used to filter by zip (default: 'zip5')
+ *   addressColumn     - Street address column
+ *   unitColumn        - Unit number column, for sources that keep the unit out of the address (optional)
+ *   coordinateColumns - { lat, lon } columns
+ *   updatedColumn     - When the listing's data last changed, for most_recent resolution (default: 'updated_at')
+ *   soldTable         - Table of the source's sold listings, keyed by idColumn; tells sold from delisted (optional)
+ *   optional          - Source only registered where configured; quality and match scores don't expect it (default: false)
+ *   fieldMapping      - Canonical merged field -> source column (null if the source lacks it)
+ *   overviewColumn    - merged_listing column that stores the source's overview (optional)
+ *   getOverview       - Function returning the overview text of a listing (optional)
+ *   getPhotoUrls      - Function returning a listing's photo URLs, in display order (optional)
+ *   trustWeights      - Canonical field -> weight; 'default' applies to unlisted fields
+ *   fetch             - async (zipCode, options) -> search results with listings
+ *   transform         - (rawItems, zipCode) -> transformed listings
+ *   upsert            - async (searchResults, zipCode) -> upsert results
+ */
+
+const { getResoConfig, getOffMarketConfig } = require('../../utils/config');
+const { parseAddress } = require('../address-parser');
+
+// Registered adapters in registration order
+const adapters = new Map();
+
+// Keys every adapter must declare
+const REQUIRED_KEYS = ['name', 'label', 'table', 'idColumn', 'addressColumn', 'coordinateColumns', 'fieldMapping', 'trustWeights'];
+const REQUIRED_FUNCTIONS = ['fetch', 'transform', 'upsert'];
+
+/**
+ * Register a source adapter
+ * @param {Object} adapter - Source adapter
+ * @returns {Object} The registered adapter with defaults applied
+ */
+function registerSourceAdapter(adapter) {
+  const missing = REQUIRED_KEYS.filter(key => adapter[key] == null);
+  if (missing.length > 0) {
+    throw new Error(`Source adapter ${adapter.name || '(unnamed)'} is missing ${missing.join(', ')}`);
+  }
+  
+  const notFunctions = REQUIRED_FUNCTIONS.filter(key => typeof adapter[key] !== 'function');
+  if (notFunctions.length > 0) {
+    throw new Error(`Source adapter ${adapter.name} must implement ${notFunctions.join(', ')}`);
+  }
+  
+  if (!adapter.coordinateColumns.lat || !adapter.coordinateColumns.lon) {
+    throw new Error(`Source adapter ${adapter.name} must declare lat and lon coordinate columns`);
+  }
+  
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Source adapter ${adapter.name} is already registered`);
+  }
+  
+  const registered = {
+    zipColumn: 'zip5',
+    rawSource: adapter.name,
+    unitColumn: null,
+    updatedColumn: 'updated_at',
+    soldTable: null,
+    optional: false,
+    overviewColumn: null,
+    getOverview: null,
+    getPhotoUrls: null,
+    ...adapter
+  };
+  
+  adapters.set(registered.name, registered);
+  return registered;
+}
+
+/**
+ * Get a registered adapter by name
+ * @param {string} name - Source name
+ * @returns {Object} Source adapter
+ */
+function getSourceAdapter(name) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown listing source "${name}". Use ${getSourceNames().join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Get all registered adapters
+ * @returns {Array<Object>} Adapters in registration order
+ */
+function getSourceAdapters() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * Get the number of sources every listing is expected to be on
+ * Optional sources don't count, so registering one doesn't lower the scores
+ * of listings it doesn't cover
+ * @returns {number} Registered sources that aren't optional
+ */
+function getCoreSourceCount() {
+  return getSourceAdapters().filter(adapter => !adapter.optional).length;
+}
+
+/**
+ * Get the names of all registered sources
+ * @returns {Array<string>} Source names
+ */
+function getSourceNames() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * Read a canonical field from a source listing
+ * 'address' reads the adapter's address column, with the unit (see getAddress)
+ * @param {Object} adapter - Source adapter
+ * @param {Object} listing - Source listing row
+ * @param {string} field - Canonical field name
+ * @returns {any} Value, or undefined if the source doesn't map the field
+ */
+function getFieldValue(adapter, listing, field) {
+  if (field === 'address') return listing ? getAddress(adapter, listing) : undefined;
+  
+  const column = adapter.fieldMapping[field];
+  return listing && column ? listing[column] : undefined;
+}
+
+/**
+ * Get a source listing's street address including its unit
+ * Sources with a unitColumn get the unit appended when the address lacks one,
+ * so units of one building never read as the same address
+ * @param {Object} adapter - Source adapter
+ * @param {Object} listing - Source listing row
+ * @returns {string|null} Address
+ */
+function getAddress(adapter, listing) {
+  const address = listing[adapter.addressColumn];
+  const unit = adapter.unitColumn ? listing[adapter.unitColumn] : null;
+  if (!address || !unit) return address;
+  
+  const components = parseAddress(address);
+  return components.unit_number || components.unit_type ? address : `${address} unit ${unit}`;
+}
+
+/**
+ * Get when a source listing was last updated
+ * @param {Object} adapter - Source adapter
+ * @param {Object} listing - Source listing row
+ * @returns {string|null} Timestamp, falling back to the last_updated date
+ */
+function getUpdatedAt(adapter, listing) {
+  if (!listing) return null;
+  return listing[adapter.updatedColumn] || listing.last_updated || null;
+}
+
+/**
+ * Get an adapter's trust weight for a canonical field
+ * @param {Object} adapter - Source adapter
+ * @param {string} field - Canonical field name
+ * @returns {number} Weight (default: 1)
+ */
+function getTrustWeight(adapter, field) {
+  const weights = adapter.trustWeights || {};
+  if (weights[field] != null) return weights[field];
+  return weights.default != null ? weights.default : 1;
+}
+
+/**
+ * Get registered adapters ordered by trust in a field, highest first
+ * Ties keep registration order
+ * @param {string} field - Canonical field name
+ * @returns {Array<Object>} Adapters
+ */
+function getAdaptersByTrust(field) {
+  return getSourceAdapters()
+    .map((adapter, index) => ({ adapter, index }))
+    .sort((a, b) => getTrustWeight(b.adapter, field) - getTrustWeight(a.adapter, field) || a.index - b.index)
+    .map(({ adapter }) => adapter);
+}
+
+/**
+ * Map a source listing to the shape the address matcher expects
+ * @param {Object} adapter - Source adapter
+ * @param {Object} listing - Source listing row
+ * @returns {Object} Listing with source, address, lat and lon set
+ */
+function toMatchCandidate(adapter, listing) {
+  return {
+    ...listing,
+    source: adapter.name,
+    address: getAddress(adapter, listing),
+    lat: listing[adapter.coordinateColumns.lat],
+    lon: listing[adapter.coordinateColumns.lon]
+  };
+}
+
+// Built-in sources; registration order is the merge tie-break order
+registerSourceAdapter(require('./zillow'));
+registerSourceAdapter(require('./redfin'));
+registerSourceAdapter(require('./realtor'));
+
+// The MLS feed is only merged where one is configured
+if (getResoConfig().baseUrl) {
+  registerSourceAdapter(require('./reso'));
+}
+
+// Off-market leads are merged once their tables exist and OFFMARKET_LEADS_ENABLED is set
+if (getOffMarketConfig().enabled) {
+  registerSourceAdapter(require('./offmarket'));
+}
+
+module.exports = {
+  registerSourceAdapter,
+  getSourceAdapter,
+  getSourceAdapters,
+  getCoreSourceCount,
+  getSourceNames,
+  getFieldValue,
+  getAddress,
+  getUpdatedAt,
+  getTrustWeight,
+  getAdaptersByTrust,
+  toMatchCandidate
+};
@@ -0,0 +1,57 @@
+/**
+ * Off-Market Source Adapter
+ * Describes offmarket_lead (wholesaler spreadsheet leads) for ingestion and the merge engine
+ */
+
+const offmarketLead = require('../offmarket-lead');
+const { transformLeads } = require('../../utils/offmarket-leads');
+
+module.exports = {
+  name: 'offmarket',
+  label: 'Off-Market',
+  rawSource: 'offmarket',
+  table: 'offmarket_lead',
+  idColumn: 'offmarket_id',
+  zipColumn: 'zip5',
+  addressColumn: 'address',
+  unitColumn: 'unit_number',
+  coordinateColumns: { lat: 'lat', lon: 'lon' },
+  // Only registered where configured, so listings aren't scored against it
+  optional: true,
+  
+  // offmarket_lead columns already use the canonical names
+  fieldMapping: {
+    zip5: 'zip5',
+    city: 'city',
+    state: 'state',
+    price: 'price',
+    last_sold_price: null,
+    bedrooms: 'bedrooms',
+    bathrooms: 'bathrooms',
+    sqft: 'sqft',
+    year_built: 'year_built',
+    lot_size: 'lot_size',
+    property_type: 'property_type',
+    listing_status: 'listing_status',
+    days_on_market: null,
+    // Only leads have these; merged while this source is registered
+    arv: 'arv',
+    repair_estimate: 'repair_estimate'
+  },
+  
+  overviewColumn: 'offmarket_overview',
+  getOverview: listing => listing.notes || '',
+  
+  // Wholesaler sheets are typed by hand and unverified, so any listed source wins
+  trustWeights: {
+    default: 0.5
+  },
+  
+  // Leads arrive as spreadsheets (scripts/import-offmarket-leads.js), not from a search
+  fetch: async () => {
+    throw new Error('Off-market leads are imported from spreadsheets with scripts/import-offmarket-leads.js');
+  },
+  // Raw items are spreadsheet rows already renamed to lead fields; invalid rows are dropped
+  transform: items => transformLeads(items).leads,
+  upsert: (importData, zipCode) => offmarketLead.processAndUpsertFromOffMarket(importData, zipCode)
+};
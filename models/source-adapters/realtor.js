@@ -0,0 +1,59 @@
+/**
+ * Realtor Source Adapter
+ * Describes realtor_listing for ingestion and the merge engine
+ */
+
+const realtorListing = require('../realtor-listing');
+
+/**
+ * Get the Realtor API module
+ * Required lazily so merging doesn't need scraper credentials
+ * @returns {Object} Realtor API module
+ */
+function realtorApi() {
+  return require('../../api/realtor');
+}
+
+module.exports = {
+  name: 'realtor',
+  label: 'Realtor',
+  rawSource: 'realtor',
+  table: 'realtor_listing',
+  soldTable: 'realtor_sold_listing',
+  idColumn: 'realtor_id',
+  zipColumn: 'zip5',
+  addressColumn: 'street',
+  coordinateColumns: { lat: 'latitude', lon: 'longitude' },
+  
+  fieldMapping: {
+    zip5: 'zip5',
+    city: 'locality',
+    state: 'region',
+    price: 'list_price',
+    last_sold_price: 'last_sold_price',
+    bedrooms: 'beds',
+    bathrooms: 'baths',
+    sqft: 'sqft',
+    year_built: 'year_built',
+    lot_size: 'lot_sqft',
+    property_type: 'property_type',
+    listing_status: 'status',
+    days_on_market: null
+  },
+  
+  overviewColumn: 'realtor_overview',
+  getOverview: listing => listing.text || '',
+  
+  // Photos are stored as the scraper returns them: URLs or { href } objects
+  getPhotoUrls: listing => (Array.isArray(listing.photos) ? listing.photos : [])
+    .map(photo => (typeof photo === 'string' ? photo : photo?.href || photo?.url))
+    .filter(Boolean),
+  
+  trustWeights: {
+    default: 1.0
+  },
+  
+  fetch: (zipCode, options = {}) => realtorApi().searchListingsByZipCode(zipCode, { ...options, mode: 'BUY' }),
+  transform: (items, zipCode) => realtorApi().listings.processSearchResults({ items, itemCount: items.length }, zipCode, 'BUY').listings,
+  upsert: (searchResults, zipCode) => realtorListing.processAndUpsertFromRealtor(searchResults, zipCode)
+};
@@ -0,0 +1,56 @@
+/**
+ * Redfin Source Adapter
+ * Describes redfin_listing for ingestion and the merge engine
+ */
+
+const redfinListing = require('../redfin-listing');
+
+/**
+ * Get the Redfin API module
+ * Required lazily so merging doesn't need scraper credentials
+ * @returns {Object} Redfin API module
+ */
+function redfinApi() {
+  return require('../../api/redfin');
+}
+
+module.exports = {
+  name: 'redfin',
+  label: 'Redfin',
+  rawSource: 'redfin',
+  table: 'redfin_listing',
+  soldTable: 'redfin_sold_listing',
+  idColumn: 'redfin_id',
+  zipColumn: 'zip5',
+  addressColumn: 'address',
+  coordinateColumns: { lat: 'lat', lon: 'lon' },
+  
+  fieldMapping: {
+    zip5: 'zip5',
+    city: 'city',
+    state: 'state',
+    price: 'price',
+    last_sold_price: null,
+    bedrooms: 'bedrooms',
+    bathrooms: 'bathrooms',
+    sqft: 'sqft',
+    year_built: 'year_built',
+    lot_size: 'lot_size',
+    property_type: 'property_type',
+    listing_status: 'mls_status',
+    days_on_market: 'dom'
+  },
+  
+  overviewColumn: 'redfin_overview',
+  getOverview: listing => listing.listing_remarks || '',
+  
+  // Redfin property types are the least consistent, so Realtor's win over them
+  trustWeights: {
+    default: 1.0,
+    property_type: 0.8
+  },
+  
+  fetch: (zipCode, options = {}) => redfinApi().searchListingsByZipCode(zipCode, { ...options, mode: 'sale' }),
+  transform: (items, zipCode) => redfinApi().transformListings(items, zipCode, 'sale'),
+  upsert: (searchResults, zipCode) => redfinListing.processAndUpsertFromRedfin(searchResults, zipCode)
+};
@@ -0,0 +1,62 @@
+/**
+ * RESO Source Adapter
+ * Describes reso_listing (the MLS feed) for ingestion and the merge engine
+ */
+
+const resoListing = require('../reso-listing');
+
+/**
+ * Get the RESO API module
+ * Required lazily so merging doesn't need feed credentials
+ * @returns {Object} RESO API module
+ */
+function resoApi() {
+  return require('../../api/reso');
+}
+
+module.exports = {
+  name: 'reso',
+  label: 'MLS',
+  rawSource: 'reso',
+  table: 'reso_listing',
+  idColumn: 'reso_id',
+  zipColumn: 'zip5',
+  addressColumn: 'address',
+  unitColumn: 'unit_number',
+  coordinateColumns: { lat: 'lat', lon: 'lon' },
+  // ModificationTimestamp changes with the listing itself, not with each sync
+  updatedColumn: 'modification_timestamp',
+  // Only registered where configured, so listings aren't scored against it
+  optional: true,
+  
+  // reso_listing columns already use the canonical names
+  fieldMapping: {
+    zip5: 'zip5',
+    city: 'city',
+    state: 'state',
+    price: 'price',
+    last_sold_price: 'close_price',
+    bedrooms: 'bedrooms',
+    bathrooms: 'bathrooms',
+    sqft: 'sqft',
+    year_built: 'year_built',
+    lot_size: 'lot_size',
+    property_type: 'property_type',
+    listing_status: 'standard_status',
+    days_on_market: 'days_on_market'
+  },
+  
+  overviewColumn: 'reso_overview',
+  getOverview: listing => listing.public_remarks || '',
+  
+  // MLS data comes straight from the listing agent, so it outweighs scraped facts;
+  // its coarse PropertyType values ("Residential") lose to the portals' types
+  trustWeights: {
+    default: 1.5,
+    property_type: 0.5
+  },
+  
+  fetch: (zipCode, options = {}) => resoApi().searchListingsByZipCode(zipCode, options),
+  transform: (items, zipCode) => resoApi().transformListings(items, zipCode),
+  upsert: (searchResults, zipCode) => resoListing.processAndUpsertFromReso(searchResults, zipCode)
+};
@@ -0,0 +1,59 @@
+/**
+ * Zillow Source Adapter
+ * Describes zillow_listing for ingestion and the merge engine
+ */
+
+const zillowListing = require('../zillow-listing');
+
+/**
+ * Get the Zillow API module
+ * Required lazily so merging doesn't need scraper credentials
+ * @returns {Object} Zillow API module
+ */
+function zillowApi() {
+  return require('../../api/zillow');
+}
+
+module.exports = {
+  name: 'zillow',
+  label: 'Zillow',
+  rawSource: 'zillow',
+  table: 'zillow_listing',
+  soldTable: 'zillow_sold_listing',
+  idColumn: 'zillow_id',
+  zipColumn: 'zip5',
+  addressColumn: 'address',
+  coordinateColumns: { lat: 'lat', lon: 'lon' },
+  
+  fieldMapping: {
+    zip5: 'zip5',
+    city: 'city',
+    state: 'state',
+    price: 'price',
+    last_sold_price: 'last_sold_price',
+    bedrooms: 'bedrooms',
+    bathrooms: 'bathrooms',
+    sqft: 'sqft',
+    year_built: null,
+    lot_size: null,
+    zestimate: 'zestimate',
+    property_type: 'property_type',
+    listing_status: 'listing_status',
+    days_on_market: 'days_on_zillow'
+  },
+  
+  overviewColumn: 'zillow_overview',
+  getOverview: listing => listing.img_src || listing.status_text || '',
+  
+  // Search results only carry the cover photo
+  getPhotoUrls: listing => (listing.img_src ? [listing.img_src] : []),
+  
+  // Registered first, so Zillow wins ties (it has the cleanest addresses and types)
+  trustWeights: {
+    default: 1.0
+  },
+  
+  fetch: (zipCode, options = {}) => zillowApi().searchListingsByZipCode(zipCode, { ...options, mode: 'sale' }),
+  transform: (items, zipCode) => zillowApi().transformListings(items, zipCode, 'sale'),
+  upsert: (searchResults, zipCode) => zillowListing.processAndUpsertFromZillow(searchResults, zipCode)
+};
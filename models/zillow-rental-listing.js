@@ -0,0 +1,173 @@
+/**
+ * Zillow Rental Listing Model
+ * Handles active Zillow rentals used as asking-rent comps
+ */
+
+const { db } = require('../index');
+
+/**
+ * Find a rental listing by zillow_id
+ * @param {string} zillowId - Zillow property ID (or building lot ID)
+ * @returns {Promise<Object|null>} Rental listing record or null if not found
+ */
+async function findByZillowId(zillowId) {
+  const supabase = db.getSupabaseClient();
+  
+  const { data, error } = await supabase
+    .from('zillow_rental_listing')
+    .select('*')
+    .eq('zillow_id', zillowId)
+    .maybeSingle();
+  
+  if (error) throw new Error(`Error finding Zillow rental listing: ${error.message}`);
+  return data;
+}
+
+/**
+ * Insert a new rental listing record
+ * @param {Object} listingData - Rental listing data
+ * @returns {Promise<Object>} Inserted rental listing record
+ */
+async function insert(listingData) {
+  return db.insertRecord('zillow_rental_listing', listingData);
+}
+
+/**
+ * Update an existing rental listing record
+ * @param {string} zillowId - Zillow property ID
+ * @param {Object} listingData - Updated rental listing data
+ * @returns {Promise<Object>} Updated rental listing record
+ */
+async function update(zillowId, listingData) {
+  return db.updateRecords('zillow_rental_listing', { zillow_id: zillowId }, listingData);
+}
+
+/**
+ * Process Zillow rental search data and insert or update records
+ * Every listing seen in the search gets last_seen set to today, so rentals that
+ * have been taken off the market drop out of getActiveRentalsByZipCode
+ * @param {Object} apiData - Result of searchRentalListingsByZipCode
+ * @param {string} zipCode - Zip code being processed
+ * @returns {Promise<Object>} Processing results
+ */
+async function processAndUpsertFromZillow(apiData, zipCode) {
+  const result = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    errors: 0,
+    skipped: 0
+  };
+  
+  const listings = apiData.listings || [];
+  const today = new Date().toISOString().split('T')[0];
+  
+  console.log(`Processing ${listings.length} Zillow rental listings for zip code ${zipCode}`);
+  
+  for (const listing of listings) {
+    try {
+      if (!listing.zillow_id || !listing.rent) {
+        console.warn(`Rental listing ${listing.zillow_id || '(no zillow_id)'} missing rent, skipping`);
+        result.skipped++;
+        continue;
+      }
+      
+      const listingData = { ...listing, last_seen: today };
+      const existing = await findByZillowId(listing.zillow_id);
+      
+      if (existing) {
+        if (hasRentalListingDataChanged(existing, listingData)) {
+          console.log(`Updating Zillow rental listing ${listing.zillow_id} - data has changed`);
+          await update(listing.zillow_id, listingData);
+          result.updated++;
+        } else {
+          if (existing.last_seen !== today) {
+            await update(listing.zillow_id, { last_seen: today });
+          }
+          result.unchanged++;
+        }
+      } else {
+        console.log(`Inserting new Zillow rental listing ${listing.zillow_id}`);
+        await insert({ ...listingData, first_seen: today });
+        result.inserted++;
+      }
+    } catch (error) {
+      console.error(`Error processing Zillow rental listing:`, error.message);
+      result.errors++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get rentals for a zip code that were still listed recently
+ * @param {string} zipCode - Zip code to filter by
+ * @param {Object} options - Query options
+ * @param {string} options.seenSince - Only rentals last seen on or after this date (YYYY-MM-DD)
+ * @param {string} options.columns - Columns to select (default: *)
+ * @returns {Promise<Array>} Rental listings
+ */
+async function getActiveRentalsByZipCode(zipCode, options = {}) {
+  const supabase = db.getSupabaseClient();
+  
+  let query = supabase
+    .from('zillow_rental_listing')
+    .select(options.columns || '*')
+    .eq('zip5', zipCode)
+    .order('last_seen', { ascending: false });
+  
+  if (options.seenSince) {
+    query = query.gte('last_seen', options.seenSince);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw new Error(`Error getting rental listings by zip code: ${error.message}`);
+  return data || [];
+}
+
+// Helper functions
+function floatsAreEqual(a, b) {
+  if (a == null) a = '';
+  if (b == null) b = '';
+  if (a === '' && b === '') return true;
+  
+  const floatA = parseFloat(a);
+  const floatB = parseFloat(b);
+  
+  if (isNaN(floatA) || isNaN(floatB)) {
+    return String(a) === String(b);
+  }
+  
+  return Math.abs(floatA - floatB) < 0.0000001;
+}
+
+function hasRentalListingDataChanged(existing, newData) {
+  const numericFields = ['rent', 'rent_zestimate', 'bedrooms', 'bathrooms', 'sqft', 'days_on_zillow', 'lat', 'lon'];
+  const textFields = ['address', 'building_name', 'property_type', 'listing_status'];
+  
+  for (const field of numericFields) {
+    if (!floatsAreEqual(existing[field], newData[field])) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  for (const field of textFields) {
+    if ((existing[field] || '') !== (newData[field] || '')) {
+      console.log(`Field ${field} changed: ${existing[field]} -> ${newData[field]}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+module.exports = {
+  findByZillowId,
+  insert,
+  update,
+  processAndUpsertFromZillow,
+  getActiveRentalsByZipCode
+};
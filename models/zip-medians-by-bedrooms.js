@@ -1,9 +1,16 @@
 /**
  * Zip Medians by Bedrooms Model
  * Handles median calculation for Zillow listing data by zip code and bedroom count
+ * Sale prices come from recently sold comps and rents from active rental asking rents,
+ * falling back to the for-sale listings' values where a category has no comps
  */
 
 const { db } = require('../index');
+const { getNumberFromEnv } = require('../utils/config');
+
+// How far back sold and rental comps count toward the medians
+const SOLD_COMPS_MONTHS = getNumberFromEnv('ZILLOW_SOLD_COMPS_MONTHS', 12);
+const RENTAL_COMPS_DAYS = getNumberFromEnv('ZILLOW_RENTAL_COMPS_DAYS', 30);
 
 /**
  * Calculate median value from an array of numbers
@@ -76,8 +83,68 @@ async function getZillowListingDataByBedroomsForZip(zipCode) {
     throw new Error(`Error fetching Zillow listing data for zip ${zipCode}: ${error.message}`);
   }
   
-  // Group listings by bedroom category
-  const groupedListings = {
+  return groupByBedroomCategory(data);
+}
+
+/**
+ * Get recently sold comps for a zip code grouped by bedroom count
+ * @param {string} zipCode - 5-digit ZIP code
+ * @param {number} months - Only sales within this many months (default: ZILLOW_SOLD_COMPS_MONTHS)
+ * @returns {Promise<Object>} Object with sold comps grouped by bedroom category
+ */
+async function getSoldCompsByBedroomsForZip(zipCode, months = SOLD_COMPS_MONTHS) {
+  const supabase = db.getSupabaseClient();
+  
+  const soldSince = new Date();
+  soldSince.setMonth(soldSince.getMonth() - months);
+  
+  const { data, error } = await supabase
+    .from('zillow_sold_listing')
+    .select('sold_price, sold_date, bedrooms')
+    .eq('zip5', zipCode)
+    .gte('sold_date', soldSince.toISOString().split('T')[0])
+    .not('bedrooms', 'is', null);
+  
+  if (error) {
+    throw new Error(`Error fetching Zillow sold comps for zip ${zipCode}: ${error.message}`);
+  }
+  
+  return groupByBedroomCategory(data);
+}
+
+/**
+ * Get active rental comps for a zip code grouped by bedroom count
+ * @param {string} zipCode - 5-digit ZIP code
+ * @param {number} days - Only rentals seen in a scrape within this many days (default: ZILLOW_RENTAL_COMPS_DAYS)
+ * @returns {Promise<Object>} Object with rental comps grouped by bedroom category
+ */
+async function getRentalCompsByBedroomsForZip(zipCode, days = RENTAL_COMPS_DAYS) {
+  const supabase = db.getSupabaseClient();
+  
+  const seenSince = new Date();
+  seenSince.setDate(seenSince.getDate() - days);
+  
+  const { data, error } = await supabase
+    .from('zillow_rental_listing')
+    .select('rent, last_seen, bedrooms')
+    .eq('zip5', zipCode)
+    .gte('last_seen', seenSince.toISOString().split('T')[0])
+    .not('bedrooms', 'is', null);
+  
+  if (error) {
+    throw new Error(`Error fetching Zillow rental comps for zip ${zipCode}: ${error.message}`);
+  }
+  
+  return groupByBedroomCategory(data);
+}
+
+/**
+ * Group rows by bedroom category, dropping rows outside the tracked categories
+ * @param {Array} rows - Rows with a bedrooms column
+ * @returns {Object} Rows keyed by bedroom category
+ */
+function groupByBedroomCategory(rows) {
+  const grouped = {
     '2': [],
     '3': [],
     '4': [],
@@ -85,24 +152,30 @@ async function getZillowListingDataByBedroomsForZip(zipCode) {
     '6plus': []
   };
   
-  (data || []).forEach(listing => {
-    const category = getBedroomCategory(listing.bedrooms);
-    if (category && groupedListings[category]) {
-      groupedListings[category].push(listing);
+  (rows || []).forEach(row => {
+    const category = getBedroomCategory(row.bedrooms);
+    if (category && grouped[category]) {
+      grouped[category].push(row);
     }
   });
   
-  return groupedListings;
+  return grouped;
 }
 
 /**
  * Calculate medians for a specific bedroom category
  * @param {Array} listings - Array of listings for this bedroom category
  * @param {string} category - Bedroom category (2, 3, 4, 5, 6plus)
+ * @param {Object} comps - Comps for this bedroom category
+ * @param {Array} comps.sold - Recently sold comps (sold_price)
+ * @param {Array} comps.rentals - Active rental comps (rent)
  * @returns {Object} Object containing calculated medians for this category
  */
-function calculateMediansForBedroomCategory(listings, category) {
-  if (listings.length === 0) {
+function calculateMediansForBedroomCategory(listings, category, comps = {}) {
+  const soldComps = comps.sold || [];
+  const rentalComps = comps.rentals || [];
+  
+  if (listings.length === 0 && soldComps.length === 0 && rentalComps.length === 0) {
     return {
       [`median_zestimate_${category}br`]: null,
       [`median_last_sold_price_${category}br`]: null,
@@ -114,10 +187,14 @@ function calculateMediansForBedroomCategory(listings, category) {
     };
   }
   
-  // Extract values for each column
+  // Extract values for each column; real sales and asking rents win over listing estimates
   const zestimates = listings.map(l => l.zestimate);
-  const lastSoldPrices = listings.map(l => l.last_sold_price);
-  const marketRents = listings.map(l => l.market_rent);
+  const lastSoldPrices = soldComps.length > 0
+    ? soldComps.map(c => c.sold_price)
+    : listings.map(l => l.last_sold_price);
+  const marketRents = rentalComps.length > 0
+    ? rentalComps.map(c => c.rent)
+    : listings.map(l => l.market_rent);
   const bedrooms = listings.map(l => l.bedrooms);
   const bathrooms = listings.map(l => l.bathrooms);
   const sqfts = listings.map(l => l.sqft);
@@ -132,7 +209,9 @@ function calculateMediansForBedroomCategory(listings, category) {
     [`median_bedrooms${suffix}`]: calculateMedian(bedrooms),
     [`median_bathrooms${suffix}`]: calculateMedian(bathrooms),
     [`median_sqft${suffix}`]: calculateMedian(sqfts),
-    [`listings_count${suffix}`]: listings.length
+    [`listings_count${suffix}`]: listings.length,
+    [`sold_comps_count${suffix}`]: soldComps.length,
+    [`rental_comps_count${suffix}`]: rentalComps.length
   };
 }
 
@@ -145,13 +224,18 @@ async function calculateBedroomMediansForZipCode(zipCode) {
   try {
     console.log(`Calculating bedroom-specific medians for zip code ${zipCode}...`);
     
-    // Get all Zillow listing data grouped by bedrooms for this zip code
+    // Get all Zillow listing data and comps grouped by bedrooms for this zip code
     const groupedListings = await getZillowListingDataByBedroomsForZip(zipCode);
+    const soldComps = await getSoldCompsByBedroomsForZip(zipCode);
+    const rentalComps = await getRentalCompsByBedroomsForZip(zipCode);
     
-    // Calculate total listings count
-    const totalListings = Object.values(groupedListings).reduce((sum, listings) => sum + listings.length, 0);
+    // Calculate total listings and comps counts
+    const countRows = grouped => Object.values(grouped).reduce((sum, rows) => sum + rows.length, 0);
+    const totalListings = countRows(groupedListings);
+    const totalSoldComps = countRows(soldComps);
+    const totalRentalComps = countRows(rentalComps);
     
-    if (totalListings === 0) {
+    if (totalListings === 0 && totalSoldComps === 0 && totalRentalComps === 0) {
       console.log(`No Zillow listings found for zip code ${zipCode}`);
       return {
         median_zestimate_2br: null,
@@ -188,11 +272,13 @@ async function calculateBedroomMediansForZipCode(zipCode) {
       };
     }
     
-    console.log(`Processing ${totalListings} listings for zip code ${zipCode}:`);
+    console.log(`Processing ${totalListings} listings, ${totalSoldComps} sold comps (last ${SOLD_COMPS_MONTHS} months) and ${totalRentalComps} rental comps (last ${RENTAL_COMPS_DAYS} days) for zip code ${zipCode}:`);
     Object.keys(groupedListings).forEach(category => {
       const count = groupedListings[category].length;
-      if (count > 0) {
-        console.log(`  - ${category === '6plus' ? '6+' : category} bedrooms: ${count} listings`);
+      const soldCount = soldComps[category].length;
+      const rentalCount = rentalComps[category].length;
+      if (count > 0 || soldCount > 0 || rentalCount > 0) {
+        console.log(`  - ${category === '6plus' ? '6+' : category} bedrooms: ${count} listings, ${soldCount} sold, ${rentalCount} rentals`);
       }
     });
     
@@ -200,23 +286,30 @@ async function calculateBedroomMediansForZipCode(zipCode) {
     const allMedians = {};
     
     ['2', '3', '4', '5', '6plus'].forEach(category => {
-      const categoryMedians = calculateMediansForBedroomCategory(groupedListings[category], category);
+      const categoryMedians = calculateMediansForBedroomCategory(groupedListings[category], category, {
+        sold: soldComps[category],
+        rentals: rentalComps[category]
+      });
       Object.assign(allMedians, categoryMedians);
     });
     
-    // Add total count
+    // Add total counts
     allMedians.total_listings_count = totalListings;
+    allMedians.total_sold_comps_count = totalSoldComps;
+    allMedians.total_rental_comps_count = totalRentalComps;
     
     // Log the results
     console.log(`Bedroom-specific medians calculated for zip code ${zipCode}:`);
     ['2', '3', '4', '5', '6plus'].forEach(category => {
       const suffix = category === '6plus' ? '_6plus_br' : `_${category}br`;
-      const count = allMedians[`listings_count${suffix}`];
-      if (count > 0) {
+      const count = allMedians[`listings_count${suffix}`] || 0;
+      const soldCount = allMedians[`sold_comps_count${suffix}`] || 0;
+      const rentalCount = allMedians[`rental_comps_count${suffix}`] || 0;
+      if (count > 0 || soldCount > 0 || rentalCount > 0) {
         console.log(`  ${category === '6plus' ? '6+' : category} bedrooms (${count} listings):`);
         console.log(`    - Zestimate: $${allMedians[`median_zestimate${suffix}`] ? allMedians[`median_zestimate${suffix}`].toLocaleString() : 'N/A'}`);
-        console.log(`    - Last Sold Price: $${allMedians[`median_last_sold_price${suffix}`] ? allMedians[`median_last_sold_price${suffix}`].toLocaleString() : 'N/A'}`);
-        console.log(`    - Market Rent: $${allMedians[`median_market_rent${suffix}`] ? allMedians[`median_market_rent${suffix}`].toLocaleString() : 'N/A'}`);
+        console.log(`    - Last Sold Price: $${allMedians[`median_last_sold_price${suffix}`] ? allMedians[`median_last_sold_price${suffix}`].toLocaleString() : 'N/A'} (${soldCount > 0 ? `${soldCount} sold comps` : 'listing data'})`);
+        console.log(`    - Market Rent: $${allMedians[`median_market_rent${suffix}`] ? allMedians[`median_market_rent${suffix}`].toLocaleString() : 'N/A'} (${rentalCount > 0 ? `${rentalCount} rental comps` : 'Rent Zestimates'})`);
         console.log(`    - Bathrooms: ${allMedians[`median_bathrooms${suffix}`] || 'N/A'}`);
         console.log(`    - Square Feet: ${allMedians[`median_sqft${suffix}`] ? allMedians[`median_sqft${suffix}`].toLocaleString() : 'N/A'}`);
       }
@@ -239,7 +332,7 @@ async function updateZipBedroomMedians(zipCode, medians) {
   try {
     const supabase = db.getSupabaseClient();
     
-    // Prepare update data (exclude count fields)
+    // Prepare update data (listing counts aren't stored; comp counts are, see scripts/add_zip_comps_count_columns.sql)
     const updateData = {
       median_zestimate_2br: medians.median_zestimate_2br,
       median_last_sold_price_2br: medians.median_last_sold_price_2br,
@@ -274,6 +367,14 @@ async function updateZipBedroomMedians(zipCode, medians) {
       medians_updated_at: new Date().toISOString()
     };
     
+    // A zip with no data at all comes without counts, which are stored as 0 so old counts don't linger
+    ['_2br', '_3br', '_4br', '_5br', '_6plus_br'].forEach(suffix => {
+      updateData[`sold_comps_count${suffix}`] = medians[`sold_comps_count${suffix}`] || 0;
+      updateData[`rental_comps_count${suffix}`] = medians[`rental_comps_count${suffix}`] || 0;
+    });
+    updateData.total_sold_comps_count = medians.total_sold_comps_count || 0;
+    updateData.total_rental_comps_count = medians.total_rental_comps_count || 0;
+    
     const { data, error } = await supabase
       .from('zip')
       .update(updateData)
@@ -313,6 +414,8 @@ async function processZipCodeBedroomMedians(zipCode) {
       zipCode,
       success: true,
       totalListingsCount: medians.total_listings_count,
+      totalSoldCompsCount: medians.total_sold_comps_count || 0,
+      totalRentalCompsCount: medians.total_rental_comps_count || 0,
       bedroomBreakdown: {
         '2br': medians.listings_count_2br || 0,
         '3br': medians.listings_count_3br || 0,
@@ -372,24 +475,29 @@ async function processZipCodeBedroomMedians(zipCode) {
 }
 
 /**
- * Get all zip codes that have Zillow listing data
+ * Get all zip codes that have Zillow listing, sold or rental data
  * @returns {Promise<Array>} Array of zip codes
  */
 async function getZipCodesWithZillowData() {
   const supabase = db.getSupabaseClient();
+  const zipCodes = [];
   
-  const { data, error } = await supabase
-    .from('zillow_listing')
-    .select('zip5')
-    .not('zip5', 'is', null)
-    .not('bedrooms', 'is', null);
-  
-  if (error) {
-    throw new Error(`Error fetching zip codes with Zillow data: ${error.message}`);
+  for (const table of ['zillow_listing', 'zillow_sold_listing', 'zillow_rental_listing']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('zip5')
+      .not('zip5', 'is', null)
+      .not('bedrooms', 'is', null);
+    
+    if (error) {
+      throw new Error(`Error fetching zip codes with Zillow data from ${table}: ${error.message}`);
+    }
+    
+    zipCodes.push(...data.map(record => record.zip5));
   }
   
   // Get unique zip codes
-  const uniqueZipCodes = [...new Set(data.map(record => record.zip5))];
+  const uniqueZipCodes = [...new Set(zipCodes)];
   return uniqueZipCodes.filter(zip => zip && zip.length === 5);
 }
 
@@ -416,6 +524,8 @@ module.exports = {
   calculateMedian,
   getBedroomCategory,
   getZillowListingDataByBedroomsForZip,
+  getSoldCompsByBedroomsForZip,
+  getRentalCompsByBedroomsForZip,
   calculateMediansForBedroomCategory,
   calculateBedroomMediansForZipCode,
   updateZipBedroomMedians,
@@ -0,0 +1,128 @@
+-- Migration: ATTOM Property Enrichment
+-- Description: Adds building characteristics, assessed values, tax amounts, ATTOM AVM and
+-- transfer history summaries to the property table, plus detail tables for each ATTOM endpoint
+-- (property/detail, assessment/detail, attomavm/detail, saleshistory/detail)
+
+-- Building characteristics (property/detail)
+ALTER TABLE property ADD COLUMN IF NOT EXISTS property_sub_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS land_use VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS effective_year_built INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS building_sqft INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS lot_size_sqft INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS bedrooms INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS bathrooms_total DECIMAL(4,1);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS bathrooms_full INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS bathrooms_half INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS rooms_total INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS stories DECIMAL(4,1);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS units_count INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS basement_sqft INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS fireplace_count INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS garage_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS parking_spaces INTEGER;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS construction_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS wall_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS roof_cover VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS condition VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS heating_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS cooling_type VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS pool_type VARCHAR;
+
+-- Latest assessment and tax (assessment/detail)
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessed_total_value DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessed_land_value DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessed_improvement_value DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS market_total_value DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS tax_year INTEGER;
+
+-- Latest ATTOM AVM (attomavm/detail)
+ALTER TABLE property ADD COLUMN IF NOT EXISTS avm_value DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS avm_low DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS avm_high DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS avm_confidence_score DECIMAL(5,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS avm_date DATE;
+
+-- Transfer history summary (saleshistory/detail)
+ALTER TABLE property ADD COLUMN IF NOT EXISTS last_sale_date DATE;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS last_sale_amount DECIMAL(12,2);
+ALTER TABLE property ADD COLUMN IF NOT EXISTS sale_history_count INTEGER;
+
+-- Enrichment tracking
+ALTER TABLE property ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMPTZ;
+
+-- Assessment history, one row per tax year
+CREATE TABLE IF NOT EXISTS property_assessment (
+  id SERIAL PRIMARY KEY,
+  attom_id BIGINT NOT NULL REFERENCES property(attom_id),
+  tax_year INTEGER NOT NULL,
+  assessed_total_value DECIMAL(12,2),
+  assessed_land_value DECIMAL(12,2),
+  assessed_improvement_value DECIMAL(12,2),
+  appraised_total_value DECIMAL(12,2),
+  market_total_value DECIMAL(12,2),
+  market_land_value DECIMAL(12,2),
+  market_improvement_value DECIMAL(12,2),
+  tax_amount DECIMAL(10,2),
+  tax_per_sqft DECIMAL(8,4),
+  raw_data JSONB,                    -- Full assessment block from ATTOM
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(attom_id, tax_year)
+);
+
+-- ATTOM AVM history, one row per valuation date
+CREATE TABLE IF NOT EXISTS property_avm (
+  id SERIAL PRIMARY KEY,
+  attom_id BIGINT NOT NULL REFERENCES property(attom_id),
+  valuation_date DATE NOT NULL,
+  avm_value DECIMAL(12,2),
+  avm_low DECIMAL(12,2),
+  avm_high DECIMAL(12,2),
+  confidence_score DECIMAL(5,2),     -- ATTOM confidence score (0-100)
+  forecast_standard_deviation DECIMAL(5,2),
+  value_per_sqft DECIMAL(10,2),
+  raw_data JSONB,                    -- Full avm block from ATTOM
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(attom_id, valuation_date)
+);
+
+-- Recorded transfer history, one row per recorded document
+CREATE TABLE IF NOT EXISTS property_sale_history (
+  id SERIAL PRIMARY KEY,
+  attom_id BIGINT NOT NULL REFERENCES property(attom_id),
+  sale_trans_date DATE NOT NULL,
+  sale_rec_date DATE,
+  doc_number VARCHAR NOT NULL DEFAULT '',   -- Recorded document number ('' when not provided)
+  sale_amount DECIMAL(12,2),
+  sale_trans_type VARCHAR,
+  sale_doc_type VARCHAR,
+  sale_code VARCHAR,
+  price_per_sqft DECIMAL(10,2),
+  price_per_bed DECIMAL(12,2),
+  buyer_name VARCHAR,
+  seller_name VARCHAR,
+  raw_data JSONB,                    -- Full sale history entry from ATTOM
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(attom_id, sale_trans_date, doc_number)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_property_enriched_at ON property(enriched_at);
+CREATE INDEX IF NOT EXISTS idx_property_avm_value ON property(avm_value);
+CREATE INDEX IF NOT EXISTS idx_property_assessment_attom_id ON property_assessment(attom_id);
+CREATE INDEX IF NOT EXISTS idx_property_avm_attom_id ON property_avm(attom_id);
+CREATE INDEX IF NOT EXISTS idx_property_sale_history_attom_id ON property_sale_history(attom_id);
+CREATE INDEX IF NOT EXISTS idx_property_sale_history_date ON property_sale_history(sale_trans_date);
+
+-- Add comments for documentation
+COMMENT ON TABLE property_assessment IS 'ATTOM assessment/detail records: assessed, appraised and market values and taxes per tax year';
+COMMENT ON TABLE property_avm IS 'ATTOM attomavm/detail valuations per valuation date (independent of the Zillow Zestimate)';
+COMMENT ON TABLE property_sale_history IS 'ATTOM saleshistory/detail recorded transfers';
+COMMENT ON COLUMN property.avm_value IS 'Latest ATTOM AVM value, a second valuation alongside the Zestimate';
+COMMENT ON COLUMN property.enriched_at IS 'When ATTOM detail endpoints were last fetched for this property';
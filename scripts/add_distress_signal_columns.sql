@@ -0,0 +1,14 @@
+-- Migration: Distress Signals
+-- Description: Distress phrases found in merged listings' remarks (overview columns), scored with the
+-- phrase dictionary in config/distress-phrases.json
+
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS distress_score INTEGER;       -- Sum of matched category weights, capped at the dictionary's maxScore
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS distress_tags JSONB;          -- Matched categories, e.g. ["as_is", "cash_only"]
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS distress_signals JSONB;       -- [{ category, phrase, source }] where source is the overview column
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS distress_analyzed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_merged_listing_distress_score ON merged_listing(distress_score DESC) WHERE distress_score > 0;
+CREATE INDEX IF NOT EXISTS idx_merged_listing_distress_tags ON merged_listing USING GIN (distress_tags);
+
+COMMENT ON COLUMN merged_listing.distress_score IS 'Distress phrase score from the listing remarks (0-100 with the default dictionary)';
+COMMENT ON COLUMN merged_listing.distress_tags IS 'Distress categories found in the listing remarks';
@@ -0,0 +1,12 @@
+-- Migration: Merged Listing Units
+-- Description: Secondary unit of each merged listing and the address of its building, so the units of one
+-- condo or apartment building stay separate listings that can still be looked up together.
+-- Run `node scripts/merge-listings-task.js --renormalize-addresses` afterwards to fill existing rows
+
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS unit_number TEXT;            -- e.g. "4", "2-4b"; NULL for single-unit addresses
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS building_address TEXT;       -- Normalized address without the unit
+
+CREATE INDEX IF NOT EXISTS idx_merged_listing_building_address ON merged_listing(building_address) WHERE unit_number IS NOT NULL;
+
+COMMENT ON COLUMN merged_listing.unit_number IS 'Secondary unit from the normalized address';
+COMMENT ON COLUMN merged_listing.building_address IS 'Normalized address with the unit removed, shared by all units of a building';
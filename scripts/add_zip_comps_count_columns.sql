@@ -0,0 +1,30 @@
+-- Migration: Zip Comp Counts
+-- Description: Number of sold and rental comps behind each bedroom category's last sold price and market rent
+-- medians, so a median from a handful of comps (or from the zillow_listing fallback, with a count of 0) can be
+-- told apart. Filled by scripts/bedroom-median-calculations.js
+
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS sold_comps_count_2br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS rental_comps_count_2br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS sold_comps_count_3br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS rental_comps_count_3br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS sold_comps_count_4br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS rental_comps_count_4br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS sold_comps_count_5br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS rental_comps_count_5br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS sold_comps_count_6plus_br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS rental_comps_count_6plus_br INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS total_sold_comps_count INTEGER;
+ALTER TABLE zip ADD COLUMN IF NOT EXISTS total_rental_comps_count INTEGER;
+
+COMMENT ON COLUMN zip.sold_comps_count_2br IS 'Sold comps behind median_last_sold_price_2br (0 when it comes from zillow_listing)';
+COMMENT ON COLUMN zip.rental_comps_count_2br IS 'Rental comps behind median_market_rent_2br (0 when it comes from Rent Zestimates)';
+COMMENT ON COLUMN zip.sold_comps_count_3br IS 'Sold comps behind median_last_sold_price_3br (0 when it comes from zillow_listing)';
+COMMENT ON COLUMN zip.rental_comps_count_3br IS 'Rental comps behind median_market_rent_3br (0 when it comes from Rent Zestimates)';
+COMMENT ON COLUMN zip.sold_comps_count_4br IS 'Sold comps behind median_last_sold_price_4br (0 when it comes from zillow_listing)';
+COMMENT ON COLUMN zip.rental_comps_count_4br IS 'Rental comps behind median_market_rent_4br (0 when it comes from Rent Zestimates)';
+COMMENT ON COLUMN zip.sold_comps_count_5br IS 'Sold comps behind median_last_sold_price_5br (0 when it comes from zillow_listing)';
+COMMENT ON COLUMN zip.rental_comps_count_5br IS 'Rental comps behind median_market_rent_5br (0 when it comes from Rent Zestimates)';
+COMMENT ON COLUMN zip.sold_comps_count_6plus_br IS 'Sold comps behind median_last_sold_price_6plus_br (0 when it comes from zillow_listing)';
+COMMENT ON COLUMN zip.rental_comps_count_6plus_br IS 'Rental comps behind median_market_rent_6plus_br (0 when it comes from Rent Zestimates)';
+COMMENT ON COLUMN zip.total_sold_comps_count IS 'Sold comps across the 2+ bedroom categories';
+COMMENT ON COLUMN zip.total_rental_comps_count IS 'Rental comps across the 2+ bedroom categories';
@@ -0,0 +1,94 @@
+/**
+ * Distress Signal Analysis Script
+ * Re-scores distress phrases in merged listings' remarks. The merge scores
+ * listings as it goes; run this after editing the phrase dictionary so stored
+ * listings pick up the change
+ *
+ * Usage:
+ *   node scripts/analyze-distress-signals.js                      # All merged listings
+ *   node scripts/analyze-distress-signals.js --zip=16146 --top=20 # One zip, show the top 20
+ *   node scripts/analyze-distress-signals.js --dry-run            # Report without saving
+ *   node scripts/analyze-distress-signals.js --text="Sold as-is, cash only. No fire damage."
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const { loadPhraseDictionary, analyzeRemarks } = require('../utils/distress-signals');
+
+/**
+ * Re-score merged listings and print the highest scores
+ * @param {Object} options - Options
+ * @param {string} options.zipCode - Only listings in this zip code
+ * @param {boolean} options.dryRun - Report without saving
+ * @param {number} options.top - Listings to print (default: 10)
+ * @returns {Promise<Object>} Analysis results
+ */
+async function analyzeDistressSignals(options = {}) {
+  const { zipCode = null, dryRun = false, top = 10 } = options;
+  // Required here so --text works without a database
+  const mergedListing = require('../models/merged-listing');
+  
+  const dictionary = loadPhraseDictionary();
+  console.log(`Using ${dictionary.phrases.length} phrases in ${Object.keys(dictionary.categories).length} categories from ${dictionary.file}`);
+  console.log(`Analysing merged listings${zipCode ? ` in ${zipCode}` : ''}${dryRun ? ' (dry run)' : ''}`);
+  
+  const result = await mergedListing.reanalyzeDistressSignals(zipCode, { dryRun });
+  
+  console.log(`\n${result.analyzed} listings analysed, ${result.withSignals} with distress signals, ${result.changed} changed${dryRun ? ' (not saved)' : ''}, ${result.errors} errors`);
+  
+  if (result.listings.length > 0) {
+    console.log(`\nTop ${Math.min(top, result.listings.length)} by distress score:`);
+    for (const listing of result.listings.slice(0, top)) {
+      console.log(`  ${String(listing.score).padStart(3)}  #${listing.the_real_deal_id} ${listing.address} (${listing.tags.join(', ')})`);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Print the analysis of a piece of text, to try out dictionary changes
+ * @param {string} text - Remarks to analyse
+ * @returns {Object} Analysis
+ */
+function analyzeText(text) {
+  const analysis = analyzeRemarks({ text });
+  
+  console.log(`Distress score: ${analysis.score}`);
+  for (const signal of analysis.signals) {
+    console.log(`  ${signal.category}: "${signal.phrase}"`);
+  }
+  
+  return analysis;
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  if (getArg('text')) {
+    analyzeText(getArg('text'));
+  } else {
+    analyzeDistressSignals({
+      zipCode: getArg('zip'),
+      dryRun: args.includes('--dry-run'),
+      top: getArg('top') ? parseInt(getArg('top'), 10) : undefined
+    }).catch(error => {
+      console.error('Error analysing distress signals:', error.message);
+      process.exit(1);
+    });
+  }
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    analyzeDistressSignals,
+    analyzeText
+  };
+}
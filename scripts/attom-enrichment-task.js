@@ -0,0 +1,168 @@
+/**
+ * ATTOM enrichment task script that fetches property detail, assessment,
+ * AVM and sale history for properties keyed by attom_id and stores the
+ * results in Supabase
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const { attom } = require('../api');
+const models = require('../models');
+
+// Endpoints fetched for every property, in order
+const ENRICHMENT_STEPS = [
+  { name: 'detail', fetch: attom.getPropertyDetail, process: models.property.processPropertyDetailFromAttom },
+  { name: 'assessment', fetch: attom.getAssessmentDetail, process: models.propertyAssessment.processAndUpsertFromAttom },
+  { name: 'avm', fetch: attom.getAvmDetail, process: models.propertyAvm.processAndUpsertFromAttom },
+  { name: 'saleHistory', fetch: attom.getSalesHistoryDetail, process: models.propertySaleHistory.processAndUpsertFromAttom }
+];
+
+/**
+ * Main function to enrich ATTOM properties
+ * @param {Object} options - Task options
+ * @param {string} options.zipCode - Only enrich properties in this zip code
+ * @param {Array<number>} options.attomIds - Enrich these attom_ids regardless of staleness
+ * @param {number} options.limit - Maximum number of properties to enrich
+ * @param {number} options.staleDays - Re-enrich properties enriched more than this many days ago
+ * @returns {Promise<Object>} Task summary
+ */
+async function runAttomEnrichmentTask({ zipCode = null, attomIds = [], limit = 50, staleDays = 30 } = {}) {
+  const summary = {
+    properties: 0,
+    enriched: 0,
+    failed: 0,
+    steps: {}
+  };
+  
+  for (const step of ENRICHMENT_STEPS) {
+    summary.steps[step.name] = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0 };
+  }
+  
+  const targets = attomIds.length > 0
+    ? attomIds.map(attomId => ({ attom_id: attomId }))
+    : await models.property.findPropertiesForEnrichment({ zipCode, staleDays, limit });
+  
+  summary.properties = targets.length;
+  console.log(`Enriching ${targets.length} ATTOM properties${zipCode ? ` in zip ${zipCode}` : ''}`);
+  
+  // One client so rate limiting and the request log cover the whole run
+  const client = new attom.AttomApiClient();
+  
+  for (const target of targets) {
+    const attomId = target.attom_id;
+    console.log(`\n--- Enriching attom_id ${attomId}${target.address_full ? ` (${target.address_full})` : ''} ---`);
+    
+    try {
+      const { enrichmentData, failedSteps } = await enrichProperty(attomId, client, summary.steps);
+      
+      // When every endpoint failed, enriched_at is left alone so the next run
+      // retries the property
+      if (failedSteps === ENRICHMENT_STEPS.length) {
+        console.log(`Every ATTOM endpoint failed for attom_id ${attomId}, it will be retried next run`);
+        summary.failed++;
+        continue;
+      }
+      
+      // Otherwise enriched_at is set even without data, so the same requests
+      // aren't paid for again on every run; --attom-id retries a property sooner
+      await models.property.updateEnrichment(attomId, enrichmentData);
+      
+      if (Object.keys(enrichmentData).length > 0) {
+        summary.enriched++;
+      } else {
+        console.log(`No enrichment data returned for attom_id ${attomId}`);
+      }
+    } catch (error) {
+      console.error(`Error enriching attom_id ${attomId}:`, error.message);
+      summary.failed++;
+    }
+  }
+  
+  console.log('\n--- ATTOM Enrichment Summary ---');
+  console.log(`Properties: ${summary.properties}, Enriched: ${summary.enriched}, Failed: ${summary.failed}`);
+  for (const [name, result] of Object.entries(summary.steps)) {
+    console.log(`  ${name}: ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped, ${result.errors} errors`);
+  }
+  client.logRequestSummary();
+  
+  return summary;
+}
+
+/**
+ * Fetch and store every enrichment endpoint for a single property
+ * A failing endpoint is counted and skipped so the others still run
+ * @param {number} attomId - ATTOM property ID
+ * @param {AttomApiClient} client - ATTOM client
+ * @param {Object} stepTotals - Running totals per step
+ * @returns {Promise<Object>} { enrichmentData: columns to write onto the property table, failedSteps }
+ */
+async function enrichProperty(attomId, client, stepTotals) {
+  const enrichmentData = {};
+  let failedSteps = 0;
+  
+  for (const step of ENRICHMENT_STEPS) {
+    try {
+      const data = await step.fetch(attomId, client);
+      const result = await step.process(attomId, data);
+      
+      for (const key of ['inserted', 'updated', 'unchanged', 'skipped', 'errors']) {
+        stepTotals[step.name][key] += result[key] || 0;
+      }
+      
+      if (result.propertyColumns) {
+        Object.assign(enrichmentData, removeEmptyValues(result.propertyColumns));
+      }
+    } catch (error) {
+      console.error(`Error fetching ATTOM ${step.name} for attom_id ${attomId}:`, error.message);
+      stepTotals[step.name].errors++;
+      failedSteps++;
+    }
+  }
+  
+  return { enrichmentData, failedSteps };
+}
+
+/**
+ * Drop undefined values so missing API fields don't clear existing columns
+ * @param {Object} data - Column values
+ * @returns {Object} Column values without undefined entries
+ */
+function removeEmptyValues(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : null;
+  };
+  
+  const options = {
+    zipCode: getArg('zip'),
+    attomIds: (getArg('attom-id') || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id)),
+    limit: parseInt(getArg('limit')) || 50,
+    staleDays: getArg('stale-days') !== null ? parseInt(getArg('stale-days')) : 30
+  };
+  
+  runAttomEnrichmentTask(options)
+    .then(summary => {
+      process.exit(summary.failed > 0 && summary.enriched === 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Unhandled error:', error);
+      process.exit(1);
+    });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    runAttomEnrichmentTask,
+    enrichProperty
+  };
+}
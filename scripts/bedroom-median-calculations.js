@@ -41,7 +41,7 @@ async function processAllZipCodeBedroomMedians() {
         if (result.success) {
           results.successful++;
           console.log(`✅ Successfully processed zip code ${zipCode}`);
-          console.log(`   Total listings: ${result.totalListingsCount}`);
+          console.log(`   Total listings: ${result.totalListingsCount}, sold comps: ${result.totalSoldCompsCount}, rental comps: ${result.totalRentalCompsCount}`);
           console.log(`   Bedroom breakdown:`, result.bedroomBreakdown);
         } else {
           results.failed++;
@@ -104,7 +104,7 @@ async function processAllZipCodeBedroomMedians() {
       .filter(result => result.success)
       .forEach(result => {
         console.log(`\n${result.zipCode}:`);
-        console.log(`  Total listings: ${result.totalListingsCount}`);
+        console.log(`  Total listings: ${result.totalListingsCount}, sold comps: ${result.totalSoldCompsCount}, rental comps: ${result.totalRentalCompsCount}`);
         
         Object.keys(result.bedroomBreakdown).forEach(bedroomType => {
           const count = result.bedroomBreakdown[bedroomType];
@@ -139,7 +139,7 @@ async function processSingleZipCodeBedroomMedians(zipCode) {
     
     if (result.success) {
       console.log(`✅ Successfully processed zip code ${zipCode}`);
-      console.log(`Total listings: ${result.totalListingsCount}`);
+      console.log(`Total listings: ${result.totalListingsCount}, sold comps: ${result.totalSoldCompsCount}, rental comps: ${result.totalRentalCompsCount}`);
       console.log('Bedroom breakdown:', result.bedroomBreakdown);
       
       // Print detailed medians
@@ -0,0 +1,107 @@
+/**
+ * Build Zip Centroids Script
+ * Builds config/zip-centroids.json from a Census Bureau ZCTA gazetteer file
+ * (e.g. 2020_Gaz_zcta_national.txt from the Census gazetteer files page)
+ *
+ * The file is tab-separated with a header row. GEOID, INTPTLAT and INTPTLONG are
+ * required; ALAND_SQMI is kept when present so map bounds can be sized to the zip
+ *
+ * Usage:
+ *   node scripts/build-zip-centroids.js --gazetteer=2020_Gaz_zcta_national.txt
+ *   node scripts/build-zip-centroids.js --gazetteer=<file> --source="2023 Census ZCTA gazetteer" --out=/tmp/zip-centroids.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ZIP_CENTROIDS_FILE } = require('../utils/zip-centroids');
+
+/**
+ * Parse a ZCTA gazetteer file
+ * @param {string} file - Gazetteer file
+ * @returns {Object} Zips keyed by zip code, as [lat, lon] or [lat, lon, landSqMi]
+ */
+function readGazetteer(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  // Census files pad the last header with spaces
+  const header = lines[0].split('\t').map(column => column.trim().toUpperCase());
+  const column = name => header.indexOf(name);
+  
+  const geoIdColumn = column('GEOID');
+  const latColumn = column('INTPTLAT');
+  const lonColumn = column('INTPTLONG');
+  const areaColumn = column('ALAND_SQMI');
+  
+  if (geoIdColumn < 0 || latColumn < 0 || lonColumn < 0) {
+    throw new Error(`${file} is not a ZCTA gazetteer file (needs GEOID, INTPTLAT and INTPTLONG columns)`);
+  }
+  
+  const zips = {};
+  for (const line of lines.slice(1)) {
+    const values = line.split('\t').map(value => value.trim());
+    const lat = parseFloat(values[latColumn]);
+    const lon = parseFloat(values[lonColumn]);
+    
+    if (!/^\d{5}$/.test(values[geoIdColumn]) || isNaN(lat) || isNaN(lon)) {
+      continue;
+    }
+    
+    const landSqMi = areaColumn >= 0 ? parseFloat(values[areaColumn]) : NaN;
+    zips[values[geoIdColumn]] = isNaN(landSqMi) ? [lat, lon] : [lat, lon, landSqMi];
+  }
+  
+  return zips;
+}
+
+/**
+ * Build the zip centroid dataset from a gazetteer file
+ * @param {string} file - Gazetteer file
+ * @param {Object} options - Build options
+ * @param {string} options.source - Description of the data source (default: the file name)
+ * @param {string} options.out - Output file (default: config/zip-centroids.json)
+ * @returns {Object} { zips, withArea, out }
+ */
+function buildZipCentroids(file, options = {}) {
+  const { source = `Census ZCTA gazetteer (${path.basename(file)})`, out = ZIP_CENTROIDS_FILE } = options;
+  const zips = readGazetteer(file);
+  const zipCodes = Object.keys(zips).sort();
+  
+  // One zip per line keeps diffs between gazetteer years readable
+  const lines = zipCodes.map(zipCode => `    ${JSON.stringify(zipCode)}: ${JSON.stringify(zips[zipCode])}`);
+  fs.writeFileSync(out, `{\n  "source": ${JSON.stringify(source)},\n  "zips": {\n${lines.join(',\n')}\n  }\n}\n`);
+  
+  const withArea = zipCodes.filter(zipCode => zips[zipCode].length > 2).length;
+  console.log(`Wrote ${zipCodes.length} zip centroids (${withArea} with land area) to ${out}`);
+  
+  return { zips: zipCodes.length, withArea, out };
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  if (!getArg('gazetteer')) {
+    console.error('Usage: node scripts/build-zip-centroids.js --gazetteer=<ZCTA gazetteer file> [--source=<description>] [--out=<file>]');
+    process.exit(1);
+  }
+  
+  try {
+    buildZipCentroids(getArg('gazetteer'), {
+      source: getArg('source') || undefined,
+      out: getArg('out') || undefined
+    });
+  } catch (error) {
+    console.error('Error building zip centroids:', error.message);
+    process.exit(1);
+  }
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    readGazetteer,
+    buildZipCentroids
+  };
+}
@@ -4,11 +4,14 @@
  * 
  * This script calculates investment metrics for all merged listings using:
  * 1. Data from merged_listing table (price, zestimate, bedrooms, zip5)
- * 2. Fallback to zip median data by bedroom count when listing data is missing
- * 3. POC formulas for all 9 investment metrics
+ * 2. The latest RentCast rent estimate for the property as market rent
+ * 3. Fallback to zip median data by bedroom count when listing data is missing
+ * 4. POC formulas for all 9 investment metrics
+ * 5. With off-market leads merged, equity vs the wholesaler's ARV and repair estimate
  */
 
 const { db } = require('../index');
+const { getOffMarketConfig } = require('../utils/config');
 
 /**
  * Get bedroom category for zip median lookup
@@ -64,6 +67,35 @@ async function getZipMedianData(zipCode, bedroomCategory) {
   }
 }
 
+/**
+ * Get the latest RentCast rent estimate for a merged listing
+ * @param {number} listingId - The real deal ID
+ * @returns {Promise<Object|null>} Rent estimate (rent, rent_low, rent_high) or null if not found
+ */
+async function getPropertyRentEstimate(listingId) {
+  const supabase = db.getSupabaseClient();
+  
+  try {
+    const { data, error } = await supabase
+      .from('rentcast_rent_estimate')
+      .select('rent, rent_low, rent_high, estimate_date')
+      .eq('the_real_deal_id', listingId)
+      .order('estimate_date', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      console.warn(`Error fetching rent estimate for listing ${listingId}:`, error.message);
+      return null;
+    }
+    
+    return data && data.rent > 0 ? data : null;
+  } catch (error) {
+    console.warn(`Error fetching rent estimate for listing ${listingId}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Calculate investment metrics for a single merged listing
  * @param {Object} listing - Merged listing data
@@ -71,25 +103,31 @@ async function getZipMedianData(zipCode, bedroomCategory) {
  */
 async function calculateInvestmentMetrics(listing) {
   try {
+    // A property-specific rent estimate makes the bedroom/zip medians optional
+    const rentEstimate = await getPropertyRentEstimate(listing.the_real_deal_id);
+    
     // Get bedroom category
     const bedroomCategory = getBedroomCategory(listing.bedrooms);
-    if (!bedroomCategory) {
+    if (!bedroomCategory && !rentEstimate) {
       console.log(`Skipping listing ${listing.the_real_deal_id}: Invalid bedroom count (${listing.bedrooms})`);
       return null;
     }
     
     // Get zip median data
-    const zipMedians = await getZipMedianData(listing.zip5, bedroomCategory);
-    if (!zipMedians) {
+    const zipMedians = bedroomCategory ? await getZipMedianData(listing.zip5, bedroomCategory) : null;
+    if (!zipMedians && !rentEstimate) {
       console.log(`Skipping listing ${listing.the_real_deal_id}: No zip median data for ${listing.zip5}`);
       return null;
     }
     
+    const getMedian = field => (zipMedians ? zipMedians[`${field}_${bedroomCategory}`] : null);
+    
     // Resolve values with fallback logic
-    const marketRent = zipMedians[`median_market_rent_${bedroomCategory}`];
-    const listPrice = listing.price || zipMedians[`median_zestimate_${bedroomCategory}`];
-    const medianZestimate = zipMedians[`median_zestimate_${bedroomCategory}`];
-    const zestimate = listing.zestimate || zipMedians[`median_zestimate_${bedroomCategory}`];
+    const marketRent = rentEstimate ? parseFloat(rentEstimate.rent) : getMedian('median_market_rent');
+    const rentSource = rentEstimate ? 'rentcast_avm' : 'zip_median';
+    const listPrice = listing.price || getMedian('median_zestimate');
+    const medianZestimate = getMedian('median_zestimate');
+    const zestimate = listing.zestimate || getMedian('median_zestimate');
     
     // Validate required values
     if (!marketRent || marketRent <= 0) {
@@ -112,10 +150,11 @@ async function calculateInvestmentMetrics(listing) {
     const grm = listPrice / grossIncome;
     const instantEquityVsMedian = medianZestimate ? (medianZestimate - listPrice) : null;
     const equityVsZestimate = zestimate ? (zestimate - listPrice) : null;
+    const equityVsArv = listing.arv ? (listing.arv - (listing.repair_estimate || 0) - listPrice) : null;
     
     // Log calculation details for debugging
     console.log(`Calculated metrics for listing ${listing.the_real_deal_id} (${listing.address}):`);
-    console.log(`  Market Rent: $${marketRent.toLocaleString()}/month`);
+    console.log(`  Market Rent: $${marketRent.toLocaleString()}/month (${rentSource})`);
     console.log(`  List Price: $${listPrice.toLocaleString()}`);
     console.log(`  Gross Income: $${grossIncome.toLocaleString()}`);
     console.log(`  NOI: $${noi.toLocaleString()}`);
@@ -127,8 +166,15 @@ async function calculateInvestmentMetrics(listing) {
     if (equityVsZestimate !== null) {
       console.log(`  Equity vs Zestimate: $${equityVsZestimate.toLocaleString()}`);
     }
+    if (equityVsArv !== null) {
+      console.log(`  Equity vs ARV: $${equityVsArv.toLocaleString()} (ARV $${Number(listing.arv).toLocaleString()}, repairs $${Number(listing.repair_estimate || 0).toLocaleString()})`);
+    }
     
-    return {
+    const metrics = {
+      market_rent: Math.round(marketRent),
+      market_rent_low: rentEstimate?.rent_low ? Math.round(rentEstimate.rent_low) : null,
+      market_rent_high: rentEstimate?.rent_high ? Math.round(rentEstimate.rent_high) : null,
+      rent_source: rentSource,
       gross_income: Math.round(grossIncome),
       noi: Math.round(noi),
       cap_rate: Math.round(capRate * 10000) / 10000, // Round to 4 decimal places
@@ -140,6 +186,13 @@ async function calculateInvestmentMetrics(listing) {
       equity_vs_zestimate: equityVsZestimate ? Math.round(equityVsZestimate) : null,
       investment_metrics_updated_at: new Date().toISOString()
     };
+    
+    // The ARV columns only exist where the off-market leads are set up
+    if (getOffMarketConfig().enabled) {
+      metrics.equity_vs_arv = equityVsArv !== null ? Math.round(equityVsArv) : null;
+    }
+    
+    return metrics;
   } catch (error) {
     console.error(`Error calculating metrics for listing ${listing.the_real_deal_id}:`, error.message);
     return null;
@@ -180,10 +233,15 @@ async function updateListingMetrics(listingId, metrics) {
 async function getAllMergedListings() {
   const supabase = db.getSupabaseClient();
   
+  // The ARV columns only exist where the off-market leads are set up
+  const columns = getOffMarketConfig().enabled
+    ? 'the_real_deal_id, address, price, zestimate, arv, repair_estimate, bedrooms, zip5'
+    : 'the_real_deal_id, address, price, zestimate, bedrooms, zip5';
+  
   try {
     const { data, error } = await supabase
       .from('merged_listing')
-      .select('the_real_deal_id, address, price, zestimate, bedrooms, zip5')
+      .select(columns)
       .not('bedrooms', 'is', null)
       .not('zip5', 'is', null);
     
@@ -206,6 +264,8 @@ async function calculateAllInvestmentMetrics() {
   const results = {
     total_processed: 0,
     successful_calculations: 0,
+    rent_from_rentcast: 0,
+    rent_from_zip_median: 0,
     skipped_invalid_bedrooms: 0,
     skipped_no_zip_data: 0,
     skipped_no_rent_data: 0,
@@ -240,6 +300,11 @@ async function calculateAllInvestmentMetrics() {
           
           if (updateSuccess) {
             results.successful_calculations++;
+            if (metrics.rent_source === 'rentcast_avm') {
+              results.rent_from_rentcast++;
+            } else {
+              results.rent_from_zip_median++;
+            }
             console.log(`✅ Updated metrics for listing ${listing.the_real_deal_id}`);
           } else {
             results.update_errors++;
@@ -273,6 +338,7 @@ async function calculateAllInvestmentMetrics() {
     console.log('\n📊 Investment Metrics Calculation Results:');
     console.log(`Total Processed: ${results.total_processed}`);
     console.log(`Successful Calculations: ${results.successful_calculations}`);
+    console.log(`Rent Source: ${results.rent_from_rentcast} RentCast estimate, ${results.rent_from_zip_median} zip median`);
     console.log(`Skipped (Invalid Bedrooms): ${results.skipped_invalid_bedrooms}`);
     console.log(`Skipped (No Zip Data): ${results.skipped_no_zip_data}`);
     console.log(`Update Errors: ${results.update_errors}`);
@@ -308,5 +374,6 @@ module.exports = {
   calculateAllInvestmentMetrics,
   calculateInvestmentMetrics,
   getBedroomCategory,
-  getZipMedianData
+  getZipMedianData,
+  getPropertyRentEstimate
 };
@@ -0,0 +1,91 @@
+-- Migration: County Assessor Parcels
+-- Description: Parcels imported from county assessor roll files, and the owner signals copied onto linked property and merged_listing rows.
+-- Parcel IDs are only unique within a county, so parcels are keyed by (county, parcel_id)
+
+CREATE TABLE IF NOT EXISTS assessor_parcel (
+  id SERIAL PRIMARY KEY,
+  county VARCHAR NOT NULL,              -- Layout county key, e.g. mercer-pa
+  parcel_id VARCHAR NOT NULL,           -- County parcel number (APN)
+  
+  -- Situs (property) location
+  address VARCHAR,                      -- Street address, normalized with addressMatcher.normalizeAddress
+  situs_address VARCHAR,                -- Street address as in the roll
+  unit_number VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  zip5 VARCHAR(5),
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  -- Owner and tax bill mailing address
+  owner_name VARCHAR,
+  mailing_address VARCHAR,
+  mailing_city VARCHAR,
+  mailing_state VARCHAR(2),
+  mailing_zip VARCHAR(5),
+  
+  -- Parcel details
+  land_use VARCHAR,
+  land_use_description VARCHAR,
+  year_built INTEGER,
+  building_sqft INTEGER,
+  lot_size_sqft INTEGER,
+  
+  -- Assessment and last deed
+  assessed_land_value DECIMAL(12,2),
+  assessed_improvement_value DECIMAL(12,2),
+  assessed_total_value DECIMAL(12,2),
+  market_total_value DECIMAL(12,2),
+  tax_year INTEGER,
+  last_deed_date DATE,
+  last_deed_price DECIMAL(12,2),
+  delinquent_amount DECIMAL(12,2),
+  
+  -- Owner signals (null when the roll doesn't say)
+  homestead BOOLEAN,                    -- Homestead exemption on file
+  owner_occupied BOOLEAN,               -- Homestead, or tax bill mailed to the property
+  absentee_owner BOOLEAN,               -- Tax bill mailed somewhere other than the property
+  out_of_state_owner BOOLEAN,           -- Mailing state differs from the county's state
+  tax_delinquent BOOLEAN,               -- Delinquency flag, or an unpaid delinquent amount
+  
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(county, parcel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessor_parcel_zip5 ON assessor_parcel(zip5);
+CREATE INDEX IF NOT EXISTS idx_assessor_parcel_address ON assessor_parcel(address);
+CREATE INDEX IF NOT EXISTS idx_assessor_parcel_location ON assessor_parcel(lat, lon);
+
+-- Owner signals from the linked parcel
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessor_county VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessor_parcel_id VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS owner_name VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS owner_occupied BOOLEAN;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS absentee_owner BOOLEAN;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS out_of_state_owner BOOLEAN;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS tax_delinquent BOOLEAN;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessor_link_method VARCHAR;
+ALTER TABLE property ADD COLUMN IF NOT EXISTS assessor_linked_at TIMESTAMPTZ;
+
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS assessor_county VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS assessor_parcel_id VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS owner_name VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS owner_occupied BOOLEAN;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS absentee_owner BOOLEAN;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS out_of_state_owner BOOLEAN;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS tax_delinquent BOOLEAN;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS assessor_link_method VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS assessor_linked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_property_assessor_parcel ON property(assessor_county, assessor_parcel_id);
+CREATE INDEX IF NOT EXISTS idx_merged_listing_assessor_parcel ON merged_listing(assessor_county, assessor_parcel_id);
+CREATE INDEX IF NOT EXISTS idx_merged_listing_absentee_owner ON merged_listing(absentee_owner) WHERE absentee_owner;
+CREATE INDEX IF NOT EXISTS idx_merged_listing_tax_delinquent ON merged_listing(tax_delinquent) WHERE tax_delinquent;
+
+COMMENT ON TABLE assessor_parcel IS 'Parcels from county assessor roll files, imported with scripts/import-assessor-file.js';
+COMMENT ON COLUMN assessor_parcel.owner_occupied IS 'Homestead flag when the county has one, otherwise tax bill mailed to the property';
+COMMENT ON COLUMN merged_listing.assessor_parcel_id IS 'Link to assessor_parcel (with assessor_county)';
+COMMENT ON COLUMN merged_listing.assessor_link_method IS 'How the parcel was matched: address_exact, address_fuzzy, hybrid, coordinates...';
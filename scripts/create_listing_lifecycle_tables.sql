@@ -0,0 +1,61 @@
+-- Migration: Listing Lifecycle
+-- Description: When each source listing was first and last seen in the for-sale scrapes, its lifecycle state,
+-- and the transitions between states (new, price change, pending, delisted, sold, relisted)
+
+CREATE TABLE IF NOT EXISTS listing_lifecycle (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR NOT NULL,              -- Source adapter name (zillow, redfin, realtor)
+  listing_id VARCHAR NOT NULL,          -- Listing ID in that source (zillow_id, redfin_id, realtor_id)
+  zip5 VARCHAR(5),
+  
+  state VARCHAR NOT NULL,               -- active, pending, delisted, sold
+  listing_status VARCHAR,               -- Status as the source last gave it (FOR_SALE, Contingent, ...)
+  price NUMERIC,                        -- Price the source last gave
+  
+  first_seen DATE NOT NULL,             -- First scrape that returned this listing
+  last_seen DATE NOT NULL,              -- Most recent scrape that returned this listing
+  listed_since DATE NOT NULL,           -- Start of the current time on market (source's days on market when first seen, else first seen; or relisted)
+  state_since DATE NOT NULL,            -- When the listing entered its current state
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(source, listing_id),
+  CHECK (state IN ('active', 'pending', 'delisted', 'sold'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_lifecycle_zip_seen ON listing_lifecycle(source, zip5, last_seen);
+
+CREATE TABLE IF NOT EXISTS listing_transition (
+  id BIGSERIAL PRIMARY KEY,
+  source VARCHAR NOT NULL,
+  listing_id VARCHAR NOT NULL,
+  zip5 VARCHAR(5),
+  transition_type VARCHAR NOT NULL,     -- new, price_change, pending, delisted, sold, relisted
+  transition_date DATE NOT NULL,        -- Scrape that observed the transition
+  
+  from_state VARCHAR,                   -- NULL for new listings
+  to_state VARCHAR NOT NULL,
+  old_status VARCHAR,
+  new_status VARCHAR,
+  old_price NUMERIC,
+  new_price NUMERIC,
+  days_on_market INTEGER,               -- Days from listed_since to the transition
+  details JSONB,                        -- Evidence, e.g. { "last_seen": "2026-10-01", "sold_date": "2026-10-03" }
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  CHECK (transition_type IN ('new', 'price_change', 'pending', 'delisted', 'sold', 'relisted'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_transition_listing ON listing_transition(source, listing_id, transition_date);
+CREATE INDEX IF NOT EXISTS idx_listing_transition_type ON listing_transition(transition_type, transition_date);
+CREATE INDEX IF NOT EXISTS idx_listing_transition_zip5 ON listing_transition(zip5, transition_date);
+
+-- Merged listings keep their sources' last status after a listing disappears, so they carry its lifecycle state too
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS lifecycle_state VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS lifecycle_state_since DATE;
+
+CREATE INDEX IF NOT EXISTS idx_merged_listing_lifecycle_state ON merged_listing(lifecycle_state);
+
+COMMENT ON TABLE listing_lifecycle IS 'Lifecycle state of each source listing, updated by the for-sale scrapes';
+COMMENT ON TABLE listing_transition IS 'Lifecycle transitions of source listings, inferred from status fields and from listings missing from scrapes';
+COMMENT ON COLUMN listing_transition.transition_type IS 'relisted covers both a delisted or sold listing coming back and a pending listing back on the market';
+COMMENT ON COLUMN merged_listing.lifecycle_state IS 'sold if any source listing is sold, else pending, else active; delisted when all are. NULL until the for-sale scrapes see one of its listings';
@@ -0,0 +1,37 @@
+-- Migration: Listing Photo Catalogue
+-- Description: Photo URLs of each source listing with their perceptual hashes, used as a merge match signal
+-- and to flag properties relisted under a changed address
+
+CREATE TABLE IF NOT EXISTS listing_photo (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR NOT NULL,              -- Source adapter name (zillow, realtor)
+  source_listing_id VARCHAR NOT NULL,   -- Listing ID in that source (zillow_id, realtor_id)
+  zip5 VARCHAR(5),
+  address VARCHAR,                      -- Listing address, normalized with addressMatcher.normalizeAddress
+  url TEXT NOT NULL,
+  position INTEGER,                     -- Order in the listing's photos, 0 = cover photo
+  
+  -- Perceptual hash
+  phash VARCHAR(16),                    -- 64-bit DCT hash as hex; near-identical photos differ in a few bits
+  hash_status VARCHAR NOT NULL DEFAULT 'pending', -- pending, hashed, failed
+  hash_error TEXT,
+  hashed_at TIMESTAMPTZ,
+  
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE(source, source_listing_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_photo_zip5 ON listing_photo(zip5);
+CREATE INDEX IF NOT EXISTS idx_listing_photo_pending ON listing_photo(first_seen) WHERE hash_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_listing_photo_phash ON listing_photo(phash);
+
+-- Properties whose photos also appear under other addresses
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS photo_relist_addresses JSONB;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS photo_relist_flagged_at TIMESTAMPTZ;
+
+COMMENT ON TABLE listing_photo IS 'Listing photo URLs per source with perceptual hashes, filled by scripts/photo-catalogue-task.js';
+COMMENT ON COLUMN listing_photo.phash IS 'DCT perceptual hash (16 hex digits); compare by Hamming distance';
+COMMENT ON COLUMN merged_listing.photo_relist_addresses IS 'Other addresses listed with the same photos, e.g. a relist under a changed address';
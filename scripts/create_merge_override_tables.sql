@@ -0,0 +1,38 @@
+-- Migration: Merge Overrides
+-- Description: Analyst curation the merge applies on every run: listing pairs forced to merge or kept apart,
+-- and field values pinned on a merged listing. Managed with scripts/merge-overrides.js
+
+CREATE TABLE IF NOT EXISTS merge_override (
+  id SERIAL PRIMARY KEY,
+  override_type VARCHAR NOT NULL,       -- force_match, force_non_match, field_value
+  
+  -- Listing pair (force_match, force_non_match), stored in sorted order so either way round finds it
+  source_a VARCHAR,                     -- Source adapter name (zillow, redfin, ...)
+  listing_id_a VARCHAR,                 -- Listing ID in that source (zillow_id, redfin_id, ...)
+  source_b VARCHAR,
+  listing_id_b VARCHAR,
+  
+  -- Pinned field value (field_value)
+  the_real_deal_id INTEGER REFERENCES merged_listing(the_real_deal_id) ON DELETE CASCADE,
+  field_name VARCHAR,
+  field_value JSONB,
+  
+  author VARCHAR NOT NULL,
+  reason TEXT NOT NULL,
+  expires_at TIMESTAMPTZ,               -- NULL = never; expired overrides are ignored, not deleted
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  CHECK (override_type IN ('force_match', 'force_non_match', 'field_value')),
+  CHECK (override_type = 'field_value' OR (source_a IS NOT NULL AND listing_id_a IS NOT NULL AND source_b IS NOT NULL AND listing_id_b IS NOT NULL)),
+  CHECK (override_type <> 'field_value' OR (the_real_deal_id IS NOT NULL AND field_name IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_merge_override_pair ON merge_override(source_a, listing_id_a, source_b, listing_id_b);
+CREATE INDEX IF NOT EXISTS idx_merge_override_listing ON merge_override(the_real_deal_id) WHERE the_real_deal_id IS NOT NULL;
+
+-- Field overrides applied to each merged listing, with the value the sources gave
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS manual_overrides JSONB;
+
+COMMENT ON TABLE merge_override IS 'Forced matches, forced non-matches and pinned field values the merge applies on every run';
+COMMENT ON COLUMN merge_override.field_value IS 'Pinned value as JSON, e.g. 150000 or "Single Family"';
+COMMENT ON COLUMN merged_listing.manual_overrides IS 'Applied field overrides: { field: { value, merged_value, override_id, author, reason, expires_at } }';
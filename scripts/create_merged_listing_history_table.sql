@@ -0,0 +1,34 @@
+-- Migration: Merged Listing History
+-- Description: Append-only log of merged listing changes, one row per changed field per merge run.
+-- Point-in-time queries and listing timelines read it (scripts/listing-history.js)
+
+CREATE TABLE IF NOT EXISTS merged_listing_history (
+  id BIGSERIAL PRIMARY KEY,
+  the_real_deal_id INTEGER NOT NULL,    -- No foreign key: the history outlives a deleted listing
+  field_name VARCHAR NOT NULL,          -- Tracked merged_listing column; data_sources holds source names
+  old_value JSONB,                      -- NULL when the listing was created
+  new_value JSONB,
+  change_source VARCHAR,                -- Source(s) behind the new value, as in merged_listing.change_source
+  change_reason TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_merged_listing_history_listing ON merged_listing_history(the_real_deal_id, changed_at, id);
+CREATE INDEX IF NOT EXISTS idx_merged_listing_history_field ON merged_listing_history(field_name, changed_at);
+
+-- Rows are never changed or removed once written
+CREATE OR REPLACE FUNCTION prevent_merged_listing_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'merged_listing_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS merged_listing_history_append_only ON merged_listing_history;
+CREATE TRIGGER merged_listing_history_append_only
+  BEFORE UPDATE OR DELETE ON merged_listing_history
+  FOR EACH ROW EXECUTE FUNCTION prevent_merged_listing_history_changes();
+
+COMMENT ON TABLE merged_listing_history IS 'Append-only log of merged listing field changes, one row per field per merge run';
+COMMENT ON COLUMN merged_listing_history.new_value IS 'Value from this change on, as JSON; the latest row per field at a time rebuilds the listing then';
+COMMENT ON COLUMN merged_listing_history.change_reason IS 'Merge reason, "Initial merge - new record" or "History baseline" for listings merged before history was kept';
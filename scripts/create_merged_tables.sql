@@ -146,7 +146,8 @@ INSERT INTO merge_config (config_key, config_value, description, data_type) VALU
 ('min_confidence_score', '0.7', 'Minimum confidence score for accepting matches', 'number'),
 ('max_coordinate_distance', '100', 'Maximum coordinate distance in meters to consider for matching', 'number'),
 ('conflict_detection_enabled', 'true', 'Enable conflict detection and logging', 'boolean'),
-('quality_score_weights', '{"source_count": 0.3, "confidence": 0.4, "conflicts": 0.3}', 'Weights for quality score calculation', 'json')
+('quality_score_weights', '{"source_count": 0.3, "confidence": 0.4, "conflicts": 0.3}', 'Weights for quality score calculation', 'json'),
+('field_resolution_strategies', '{"default": "average", "price": "most_recent", "bedrooms": "mode", "bathrooms": "mode", "year_built": "mode"}', 'How conflicting numeric values are resolved, per field (source_precedence, most_recent, median, mode, average)', 'json')
 ON CONFLICT (config_key) DO NOTHING;
 
 -- Create merge statistics table for monitoring
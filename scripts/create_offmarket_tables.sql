@@ -0,0 +1,99 @@
+-- Migration: Off-Market Leads
+-- Description: Off-market deals imported from wholesaler spreadsheets, and one report per imported file.
+-- Lead columns use the merge's canonical names; offmarket_id and offmarket_overview link them into merged_listing
+
+CREATE TABLE IF NOT EXISTS offmarket_import (
+  id SERIAL PRIMARY KEY,
+  file_name VARCHAR NOT NULL,           -- File name as imported
+  file_sha256 VARCHAR(64) NOT NULL,     -- Contents hash, to spot re-imports of the same file
+  sheet_name VARCHAR,                   -- XLSX sheet read (null for CSV)
+  source_name VARCHAR,                  -- Wholesaler or list the leads came from
+  column_mapping JSONB,                 -- Lead field -> spreadsheet header used
+  
+  -- Validation
+  row_count INTEGER NOT NULL DEFAULT 0,   -- Non-blank data rows
+  valid_count INTEGER NOT NULL DEFAULT 0, -- Rows that passed validation
+  error_count INTEGER NOT NULL DEFAULT 0, -- Rows rejected
+  errors JSONB,                           -- [{ row, field, value, message }], first 500
+  error_file VARCHAR,                     -- Path of the CSV of rejected rows
+  
+  -- Upsert results
+  inserted INTEGER,
+  updated INTEGER,
+  unchanged INTEGER,
+  upsert_errors INTEGER,
+  status VARCHAR NOT NULL DEFAULT 'validated', -- validated, completed, completed_with_errors
+  
+  imported_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_offmarket_import_sha256 ON offmarket_import(file_sha256);
+CREATE INDEX IF NOT EXISTS idx_offmarket_import_imported_at ON offmarket_import(imported_at DESC);
+
+CREATE TABLE IF NOT EXISTS offmarket_lead (
+  id SERIAL PRIMARY KEY,
+  offmarket_id VARCHAR UNIQUE NOT NULL, -- Hash of normalized address, unit and zip; stable across re-imports
+  
+  -- Location
+  address VARCHAR NOT NULL,             -- Street address, normalized with addressMatcher.normalizeAddress
+  original_address VARCHAR,             -- Address cell as imported
+  unit_number VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  zip5 VARCHAR(5) NOT NULL,
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  -- Deal numbers from the wholesaler
+  price DECIMAL(12,2),                  -- Asking price
+  arv DECIMAL(12,2),                    -- After repair value
+  repair_estimate DECIMAL(12,2),
+  
+  -- Property details
+  bedrooms INTEGER,
+  bathrooms DECIMAL(3,1),
+  sqft INTEGER,
+  lot_size BIGINT,                      -- Square feet
+  year_built INTEGER,
+  property_type VARCHAR,
+  listing_status VARCHAR DEFAULT 'Off Market',
+  
+  -- Contact and notes
+  contact_name VARCHAR,
+  contact_phone VARCHAR,
+  contact_email VARCHAR,
+  notes TEXT,
+  
+  -- Provenance
+  source_name VARCHAR,                  -- Wholesaler or list
+  source_file VARCHAR,                  -- File the latest version came from
+  source_row INTEGER,                   -- Row in that file
+  import_id INTEGER REFERENCES offmarket_import(id),
+  first_imported TIMESTAMPTZ,
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_offmarket_lead_zip5 ON offmarket_lead(zip5);
+CREATE INDEX IF NOT EXISTS idx_offmarket_lead_import ON offmarket_lead(import_id);
+CREATE INDEX IF NOT EXISTS idx_offmarket_lead_location ON offmarket_lead(lat, lon);
+
+-- Link off-market leads into merged_listing
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS offmarket_id VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS offmarket_overview TEXT;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS arv DECIMAL(12,2);
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS repair_estimate DECIMAL(12,2);
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS equity_vs_arv DECIMAL(12,2);
+CREATE INDEX IF NOT EXISTS idx_merged_listing_offmarket_id ON merged_listing(offmarket_id);
+
+COMMENT ON TABLE offmarket_import IS 'One report per off-market lead spreadsheet import';
+COMMENT ON TABLE offmarket_lead IS 'Off-market leads imported from wholesaler spreadsheets';
+COMMENT ON COLUMN offmarket_lead.offmarket_id IS 'Hash of the normalized address, unit and zip; re-importing a lead updates it';
+COMMENT ON COLUMN merged_listing.offmarket_id IS 'Link to offmarket_lead';
+COMMENT ON COLUMN merged_listing.offmarket_overview IS 'From the lead''s notes';
+COMMENT ON COLUMN merged_listing.arv IS 'After repair value from the off-market lead';
+COMMENT ON COLUMN merged_listing.repair_estimate IS 'Repair estimate from the off-market lead';
+COMMENT ON COLUMN merged_listing.equity_vs_arv IS 'Equity vs ARV (arv - repairEstimate - listPrice), set by calculate-investment-metrics.js';
@@ -0,0 +1,26 @@
+-- Migration: Raw Payload Archive
+-- Description: Keeps every run's untransformed Zillow, Redfin, Realtor and RentCast items,
+-- gzip-compressed, so scripts/reprocess-raw-payloads.js can re-run the transforms over them.
+-- Rows older than RAW_ARCHIVE_RETENTION_DAYS are deleted by `npm run raw-archive-prune`
+
+CREATE TABLE IF NOT EXISTS raw_payload_archive (
+  id BIGSERIAL PRIMARY KEY,
+  source VARCHAR NOT NULL,            -- Raw data source (zillow, zillow-sold, redfin, realtor-rent, rentcast, ...)
+  zip_code VARCHAR,                   -- Zip code, or radius:lat,lon,miles for radius searches
+  run_id VARCHAR,                     -- Apify run ID (null for RentCast)
+  fetched_at TIMESTAMPTZ NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  encoding VARCHAR NOT NULL DEFAULT 'gzip+base64',
+  payload TEXT NOT NULL,              -- Base64 of the gzipped JSON array of raw items
+  payload_bytes INTEGER,              -- Uncompressed JSON size
+  compressed_bytes INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_raw_payload_archive_fetched_at ON raw_payload_archive(fetched_at);
+CREATE INDEX IF NOT EXISTS idx_raw_payload_archive_source_zip ON raw_payload_archive(source, zip_code, fetched_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE raw_payload_archive IS 'Compressed raw items from every scraper and RentCast run, for reprocessing';
+COMMENT ON COLUMN raw_payload_archive.payload IS 'Base64-encoded gzip of the JSON array of raw items';
@@ -0,0 +1,110 @@
+-- Create Realtor Rental and Sold Listing Tables
+-- These tables store the Realtor.com RENT and SOLD search results,
+-- kept apart from the for-sale listings in realtor_listing
+
+-- Active rentals with their asking rent
+CREATE TABLE IF NOT EXISTS realtor_rental_listing (
+  id SERIAL PRIMARY KEY,
+  realtor_id VARCHAR UNIQUE NOT NULL,  -- The "id" field from response
+  status VARCHAR,                      -- for_rent, etc.
+  zip5 VARCHAR(5),
+  
+  -- Rent
+  rent DECIMAL(10,2) NOT NULL,         -- Asking monthly rent (low end for buildings)
+  rent_min DECIMAL(10,2),              -- Building rent range
+  rent_max DECIMAL(10,2),
+  
+  -- Property Details
+  beds INTEGER,
+  baths DECIMAL(3,1),
+  sqft INTEGER,
+  property_type VARCHAR,               -- single_family, apartment, etc.
+  sub_type VARCHAR,
+  name VARCHAR,                        -- Building name
+  
+  -- Location
+  latitude DECIMAL(10,8),
+  longitude DECIMAL(11,8),
+  street VARCHAR,
+  locality VARCHAR,
+  region VARCHAR(2),
+  postal_code VARCHAR(10),
+  
+  realtor_url TEXT,
+  floorplans JSONB,
+  
+  -- Dates
+  first_seen DATE,                     -- First scrape that returned this rental
+  last_seen DATE,                      -- Most recent scrape that returned this rental
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtor_rental_listing_zip5 ON realtor_rental_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_realtor_rental_listing_last_seen ON realtor_rental_listing(last_seen);
+CREATE INDEX IF NOT EXISTS idx_realtor_rental_listing_location ON realtor_rental_listing(latitude, longitude);
+
+-- Recently sold homes, one row per sale
+CREATE TABLE IF NOT EXISTS realtor_sold_listing (
+  id SERIAL PRIMARY KEY,
+  realtor_id VARCHAR NOT NULL,
+  status VARCHAR,                      -- sold
+  zip5 VARCHAR(5),
+  
+  -- Sale
+  sold_price DECIMAL(12,2) NOT NULL,   -- lastSoldPrice
+  sold_date DATE NOT NULL,             -- soldOn
+  list_price DECIMAL(12,2),            -- List price before the sale, when included
+  price_per_sqft DECIMAL(8,2),         -- sold_price / sqft
+  
+  -- Property Details
+  beds INTEGER,
+  baths DECIMAL(3,1),
+  sqft INTEGER,
+  lot_sqft BIGINT,
+  year_built INTEGER,
+  property_type VARCHAR,
+  sub_type VARCHAR,
+  
+  -- Location
+  latitude DECIMAL(10,8),
+  longitude DECIMAL(11,8),
+  street VARCHAR,
+  locality VARCHAR,
+  region VARCHAR(2),
+  postal_code VARCHAR(10),
+  
+  realtor_url TEXT,
+  price_history JSONB,
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE (realtor_id, sold_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtor_sold_listing_zip5 ON realtor_sold_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_realtor_sold_listing_sold_date ON realtor_sold_listing(sold_date);
+CREATE INDEX IF NOT EXISTS idx_realtor_sold_listing_location ON realtor_sold_listing(latitude, longitude);
+
+-- Reuse the updated_at trigger function from create_realtor_tables.sql
+DROP TRIGGER IF EXISTS trigger_update_realtor_rental_listing_updated_at ON realtor_rental_listing;
+CREATE TRIGGER trigger_update_realtor_rental_listing_updated_at
+  BEFORE UPDATE ON realtor_rental_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_realtor_listing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_realtor_sold_listing_updated_at ON realtor_sold_listing;
+CREATE TRIGGER trigger_update_realtor_sold_listing_updated_at
+  BEFORE UPDATE ON realtor_sold_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_realtor_listing_updated_at();
+
+COMMENT ON TABLE realtor_rental_listing IS 'Realtor.com RENT search results with asking rent';
+COMMENT ON COLUMN realtor_rental_listing.rent IS 'Asking monthly rent in USD (low end of the range for buildings)';
+COMMENT ON COLUMN realtor_rental_listing.last_seen IS 'Date of the most recent scrape that returned this rental';
+COMMENT ON TABLE realtor_sold_listing IS 'Realtor.com SOLD search results, used as sale comps';
+COMMENT ON COLUMN realtor_sold_listing.sold_price IS 'Recorded sale price in USD';
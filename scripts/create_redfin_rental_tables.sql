@@ -0,0 +1,54 @@
+-- Redfin Rental Listings
+-- Adds the redfin_rental_listing table for the Redfin rent search, kept apart
+-- from the for-sale listings in redfin_listing
+
+-- Active rentals with their asking rent
+CREATE TABLE IF NOT EXISTS redfin_rental_listing (
+  id SERIAL PRIMARY KEY,
+  redfin_id VARCHAR UNIQUE NOT NULL,  -- propertyId
+  listing_id VARCHAR,
+  zip5 VARCHAR(5),
+  address VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  
+  -- Rent
+  rent DECIMAL(8,2) NOT NULL,         -- Asking monthly rent (Redfin's price on rentals)
+  
+  -- Property Details
+  bedrooms INTEGER,
+  bathrooms DECIMAL(3,1),
+  sqft INTEGER,
+  property_type BIGINT,               -- Redfin property type code
+  mls_status VARCHAR,
+  dom BIGINT,                         -- Days on market
+  
+  -- Location
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  redfin_url TEXT,
+  
+  -- Dates
+  first_seen DATE,                    -- First scrape that returned this rental
+  last_seen DATE,                     -- Most recent scrape that returned this rental
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_redfin_rental_listing_zip5 ON redfin_rental_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_redfin_rental_listing_last_seen ON redfin_rental_listing(last_seen);
+CREATE INDEX IF NOT EXISTS idx_redfin_rental_listing_bedrooms ON redfin_rental_listing(zip5, bedrooms);
+
+-- Reuse the updated_at trigger function from create_redfin_tables.sql
+DROP TRIGGER IF EXISTS trigger_update_redfin_rental_listing_updated_at ON redfin_rental_listing;
+CREATE TRIGGER trigger_update_redfin_rental_listing_updated_at
+  BEFORE UPDATE ON redfin_rental_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_redfin_listing_updated_at();
+
+COMMENT ON TABLE redfin_rental_listing IS 'Active rentals from the Redfin rent search, used as asking-rent comps';
+COMMENT ON COLUMN redfin_rental_listing.rent IS 'Asking monthly rent in USD';
+COMMENT ON COLUMN redfin_rental_listing.last_seen IS 'Most recent scrape that returned this rental; older rentals are off the market';
@@ -0,0 +1,75 @@
+-- Redfin Sold Listings
+-- Converts redfin_listing.sold_date from epoch milliseconds to a DATE, keeps the
+-- sale price apart from the list price, and adds the redfin_sold_listing comps table
+
+-- Sale price for sold records (price keeps the list price)
+ALTER TABLE redfin_listing ADD COLUMN IF NOT EXISTS sold_price DECIMAL(12,2);
+
+-- sold_date was stored as a BIGINT timestamp in milliseconds
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'redfin_listing' AND column_name = 'sold_date') = 'bigint' THEN
+    ALTER TABLE redfin_listing
+      ALTER COLUMN sold_date TYPE DATE
+      USING (to_timestamp(sold_date / 1000.0) AT TIME ZONE 'UTC')::date;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN redfin_listing.sold_date IS 'Date the property sold (converted from Redfin epoch milliseconds)';
+COMMENT ON COLUMN redfin_listing.sold_price IS 'Sale price in USD for sold records; price keeps the list price';
+
+-- Recently sold homes, one row per sale
+CREATE TABLE IF NOT EXISTS redfin_sold_listing (
+  id SERIAL PRIMARY KEY,
+  redfin_id VARCHAR NOT NULL,
+  listing_id VARCHAR,
+  mls_id VARCHAR,
+  zip5 VARCHAR(5),
+  address VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  
+  -- Sale
+  sold_price DECIMAL(12,2) NOT NULL,  -- Recorded sale price
+  sold_date DATE NOT NULL,            -- Sale date
+  list_price DECIMAL(12,2),           -- Last list price, when Redfin includes it
+  price_per_sqft DECIMAL(8,2),
+  
+  -- Property Details
+  bedrooms INTEGER,
+  bathrooms DECIMAL(3,1),
+  sqft INTEGER,
+  lot_size BIGINT,
+  year_built INTEGER,
+  property_type BIGINT,               -- Redfin property type code
+  mls_status VARCHAR,                 -- Sold, Closed, etc.
+  dom BIGINT,                         -- Days on market before the sale
+  
+  -- Location
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  redfin_url TEXT,
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE (redfin_id, sold_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_redfin_sold_listing_zip5 ON redfin_sold_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_redfin_sold_listing_sold_date ON redfin_sold_listing(sold_date);
+CREATE INDEX IF NOT EXISTS idx_redfin_sold_listing_bedrooms ON redfin_sold_listing(zip5, bedrooms);
+
+-- Reuse the updated_at trigger function from create_redfin_tables.sql
+DROP TRIGGER IF EXISTS trigger_update_redfin_sold_listing_updated_at ON redfin_sold_listing;
+CREATE TRIGGER trigger_update_redfin_sold_listing_updated_at
+  BEFORE UPDATE ON redfin_sold_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_redfin_listing_updated_at();
+
+COMMENT ON TABLE redfin_sold_listing IS 'Recently sold homes from the Redfin sold search, used as sale comps';
+COMMENT ON COLUMN redfin_sold_listing.sold_price IS 'Recorded sale price in USD';
+COMMENT ON COLUMN redfin_sold_listing.list_price IS 'List price before the sale, when available';
@@ -12,7 +12,8 @@ CREATE TABLE IF NOT EXISTS redfin_listing (
   state VARCHAR(2),
   
   -- Pricing Information
-  price DECIMAL(12,2),              -- Current listing price
+  price DECIMAL(12,2),              -- Current listing price (list price for sold records)
+  sold_price DECIMAL(12,2),         -- Sale price for sold records
   price_per_sqft DECIMAL(8,2),      -- Price per square foot
   hoa_fee DECIMAL(8,2),             -- HOA fee amount
   
@@ -30,7 +31,7 @@ CREATE TABLE IF NOT EXISTS redfin_listing (
   search_status BIGINT,             -- Redfin search status code (BIGINT for large codes)
   dom BIGINT,                       -- Days on market (BIGINT to be safe)
   time_on_redfin BIGINT,           -- Time on Redfin in milliseconds (BIGINT for large values)
-  sold_date BIGINT,                -- Sold date as timestamp in milliseconds
+  sold_date DATE,                   -- Sold date (Redfin sends epoch milliseconds)
   last_updated DATE,
   
   -- Location
@@ -111,7 +112,8 @@ COMMENT ON COLUMN redfin_listing.hoa_fee IS 'HOA fee amount';
 COMMENT ON COLUMN redfin_listing.lot_size IS 'Lot size in square feet (BIGINT for massive lots like 165,130 acres = 7+ billion sq ft)';
 COMMENT ON COLUMN redfin_listing.dom IS 'Days on market (BIGINT to handle any large values)';
 COMMENT ON COLUMN redfin_listing.time_on_redfin IS 'Time on Redfin in milliseconds (BIGINT for large timestamp values)';
-COMMENT ON COLUMN redfin_listing.sold_date IS 'Date property was sold as timestamp in milliseconds';
+COMMENT ON COLUMN redfin_listing.sold_date IS 'Date the property sold (converted from Redfin epoch milliseconds)';
+COMMENT ON COLUMN redfin_listing.sold_price IS 'Sale price in USD for sold records; price keeps the list price';
 COMMENT ON COLUMN redfin_listing.last_updated IS 'Date when this record was last updated in our system';
 COMMENT ON COLUMN redfin_listing.mls_status IS 'MLS status (Coming Soon, Active, Sold, etc.)';
 COMMENT ON COLUMN redfin_listing.search_status IS 'Redfin internal search status code (BIGINT for large codes)';
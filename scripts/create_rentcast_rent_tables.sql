@@ -0,0 +1,68 @@
+-- Migration: RentCast Rent Estimates and Rental Listings
+-- Description: Stores RentCast avm/rent/long-term estimates (with comparables and range) per merged
+-- listing and long-term rental listings from listings/rental/long-term, and records which rent
+-- source the investment metrics used
+
+-- Rent estimate history, one row per merged listing per day
+CREATE TABLE IF NOT EXISTS rentcast_rent_estimate (
+  id SERIAL PRIMARY KEY,
+  the_real_deal_id INTEGER NOT NULL REFERENCES merged_listing(the_real_deal_id) ON DELETE CASCADE,
+  address VARCHAR,
+  zip5 VARCHAR(5),
+  estimate_date DATE NOT NULL,
+  rent DECIMAL(10,2),                -- Estimated monthly rent
+  rent_low DECIMAL(10,2),            -- Low end of the confidence range
+  rent_high DECIMAL(10,2),           -- High end of the confidence range
+  latitude DECIMAL(10,8),
+  longitude DECIMAL(11,8),
+  comparable_count INTEGER,
+  comparables JSONB,                 -- Comparable rentals with distance and correlation
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(the_real_deal_id, estimate_date)
+);
+
+-- Long-term rental listings
+CREATE TABLE IF NOT EXISTS rentcast_rental_listing (
+  id SERIAL PRIMARY KEY,
+  rentcast_id VARCHAR NOT NULL UNIQUE,
+  formatted_address TEXT,
+  city VARCHAR,
+  state VARCHAR(2),
+  zip_code VARCHAR(10),
+  latitude NUMERIC(10, 7),
+  longitude NUMERIC(10, 7),
+  property_type VARCHAR,
+  bedrooms INTEGER,
+  bathrooms NUMERIC(4, 1),
+  square_footage INTEGER,
+  year_built INTEGER,
+  status VARCHAR,
+  rent NUMERIC,                      -- Monthly asking rent
+  listing_type VARCHAR,
+  listed_date TIMESTAMPTZ,
+  removed_date TIMESTAMPTZ,
+  last_seen_date TIMESTAMPTZ,
+  days_on_market INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Rent used for the investment metrics
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS market_rent DECIMAL(10,2);
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS market_rent_low DECIMAL(10,2);
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS market_rent_high DECIMAL(10,2);
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS rent_source VARCHAR(20);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_rentcast_rent_estimate_listing ON rentcast_rent_estimate(the_real_deal_id);
+CREATE INDEX IF NOT EXISTS idx_rentcast_rent_estimate_date ON rentcast_rent_estimate(estimate_date);
+CREATE INDEX IF NOT EXISTS idx_rentcast_rental_listing_zip ON rentcast_rental_listing(zip_code);
+CREATE INDEX IF NOT EXISTS idx_rentcast_rental_listing_bedrooms ON rentcast_rental_listing(bedrooms);
+
+-- Add comments for documentation
+COMMENT ON TABLE rentcast_rent_estimate IS 'RentCast avm/rent/long-term estimates per merged listing, with comparables and confidence range';
+COMMENT ON TABLE rentcast_rental_listing IS 'RentCast listings/rental/long-term active rental listings';
+COMMENT ON COLUMN merged_listing.market_rent IS 'Monthly rent used for investment metrics';
+COMMENT ON COLUMN merged_listing.rent_source IS 'Where market_rent came from: rentcast_avm or zip_median';
@@ -0,0 +1,19 @@
+-- Migration: RentCast Request Ledger
+-- Description: Counts every RentCast API request by endpoint and day so the daily tasks can
+-- enforce RENTCAST_MONTHLY_REQUEST_BUDGET against the plan's monthly allowance
+
+CREATE TABLE IF NOT EXISTS rentcast_request_ledger (
+  id SERIAL PRIMARY KEY,
+  request_date DATE NOT NULL,         -- UTC day the requests were made
+  endpoint VARCHAR NOT NULL,          -- RentCast endpoint (e.g. listings/sale, avm/rent/long-term)
+  request_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(request_date, endpoint)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_rentcast_request_ledger_date ON rentcast_request_ledger(request_date);
+
+-- Add comments for documentation
+COMMENT ON TABLE rentcast_request_ledger IS 'RentCast API requests per endpoint per day, used for monthly quota tracking';
@@ -0,0 +1,64 @@
+-- Migration: RESO Web API Listings
+-- Description: MLS listings synced from the partner's RESO Web API (OData) feed.
+-- Columns use the merge's canonical names; reso_id and reso_overview link them into merged_listing
+
+CREATE TABLE IF NOT EXISTS reso_listing (
+  id SERIAL PRIMARY KEY,
+  reso_id VARCHAR UNIQUE NOT NULL,      -- ListingKey
+  listing_id VARCHAR,                   -- ListingId (the MLS number agents see)
+  originating_system VARCHAR,           -- OriginatingSystemName
+  standard_status VARCHAR,              -- StandardStatus (Active, Pending, Closed, ...)
+  property_type VARCHAR,                -- PropertyType
+  property_sub_type VARCHAR,            -- PropertySubType
+  
+  -- Pricing and timing
+  price DECIMAL(12,2),                  -- ListPrice
+  original_list_price DECIMAL(12,2),    -- OriginalListPrice
+  close_price DECIMAL(12,2),            -- ClosePrice
+  close_date DATE,                      -- CloseDate
+  listing_contract_date DATE,           -- ListingContractDate
+  days_on_market INTEGER,               -- DaysOnMarket
+  
+  -- Property details
+  bedrooms INTEGER,                     -- BedroomsTotal
+  bathrooms DECIMAL(3,1),               -- BathroomsFull + 0.5 x BathroomsHalf
+  sqft INTEGER,                         -- LivingArea
+  lot_size BIGINT,                      -- LotSizeSquareFeet (or LotSizeAcres x 43,560)
+  year_built INTEGER,                   -- YearBuilt
+  
+  -- Location
+  address VARCHAR,                      -- UnparsedAddress, or built from the street parts
+  unit_number VARCHAR,                  -- UnitNumber
+  city VARCHAR,                         -- City
+  state VARCHAR(2),                     -- StateOrProvince
+  zip5 VARCHAR(5),                      -- PostalCode
+  lat DECIMAL(10,8),                    -- Latitude
+  lon DECIMAL(11,8),                    -- Longitude
+  
+  -- Listing details
+  public_remarks TEXT,                  -- PublicRemarks
+  list_agent_name VARCHAR,              -- ListAgentFullName
+  list_office_name VARCHAR,             -- ListOfficeName
+  
+  -- Sync
+  modification_timestamp TIMESTAMPTZ,   -- ModificationTimestamp; incremental syncs start after the latest
+  last_updated DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reso_listing_zip5 ON reso_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_reso_listing_status ON reso_listing(standard_status);
+CREATE INDEX IF NOT EXISTS idx_reso_listing_zip_modified ON reso_listing(zip5, modification_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_reso_listing_location ON reso_listing(lat, lon);
+
+-- Link RESO listings into merged_listing
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS reso_id VARCHAR;
+ALTER TABLE merged_listing ADD COLUMN IF NOT EXISTS reso_overview TEXT;
+CREATE INDEX IF NOT EXISTS idx_merged_listing_reso_id ON merged_listing(reso_id);
+
+COMMENT ON TABLE reso_listing IS 'MLS listings synced from a RESO Web API (OData) feed';
+COMMENT ON COLUMN reso_listing.reso_id IS 'RESO ListingKey, unique within the feed';
+COMMENT ON COLUMN reso_listing.modification_timestamp IS 'RESO ModificationTimestamp; the next sync asks for records modified after the latest per zip';
+COMMENT ON COLUMN merged_listing.reso_id IS 'Link to reso_listing';
+COMMENT ON COLUMN merged_listing.reso_overview IS 'From RESO PublicRemarks';
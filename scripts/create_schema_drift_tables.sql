@@ -0,0 +1,29 @@
+-- Migration: Schema Drift Reports
+-- Description: One row per scraper run comparing the raw items with the source's expected
+-- shape (api/<source>/raw-shape.js) and with the previous run's field fill rates
+
+CREATE TABLE IF NOT EXISTS schema_drift_report (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR NOT NULL,            -- Raw data source (zillow, zillow-sold, redfin, realtor-rent, ...)
+  zip_code VARCHAR NOT NULL,          -- Zip code, or radius:lat,lon,miles for radius searches
+  run_id VARCHAR,                     -- Apify run ID
+  previous_report_id INTEGER REFERENCES schema_drift_report(id),
+  item_count INTEGER NOT NULL DEFAULT 0,
+  field_count INTEGER,                -- Distinct field paths seen in the raw items
+  missing_fields JSONB,               -- Expected fields absent from every item
+  new_fields JSONB,                   -- Fields not in the expected shape
+  type_changes JSONB,                 -- [{ field, expected, actual }]
+  fill_rates JSONB,                   -- { field: percent of items with a value }
+  fill_rate_drops JSONB,              -- [{ field, previous, current, drop }]
+  issue_count INTEGER NOT NULL DEFAULT 0,  -- Missing fields + type changes + fill rate drops
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_schema_drift_report_source_zip ON schema_drift_report(source, zip_code, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_schema_drift_report_issues ON schema_drift_report(issue_count) WHERE issue_count > 0;
+
+-- Add comments for documentation
+COMMENT ON TABLE schema_drift_report IS 'Per-run schema drift reports for raw scraper payloads';
+COMMENT ON COLUMN schema_drift_report.fill_rates IS 'Percent of items with a non-empty value, per expected field';
+COMMENT ON COLUMN schema_drift_report.issue_count IS 'Compared with SCHEMA_DRIFT_FAIL_THRESHOLD to fail the task';
@@ -0,0 +1,112 @@
+-- Create Zillow Sold and Rental Listing Tables
+-- These tables store the comps scraped with the Zillow sold and rent search modes.
+-- zip-medians-by-bedrooms uses them for median sale prices and asking rents.
+
+-- Recently sold homes, one row per sale
+CREATE TABLE IF NOT EXISTS zillow_sold_listing (
+  id SERIAL PRIMARY KEY,
+  zillow_id VARCHAR NOT NULL,
+  zip5 VARCHAR(5),
+  address VARCHAR,
+  address_street VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  
+  -- Sale
+  sold_price DECIMAL(12,2) NOT NULL,  -- Recorded sale price
+  sold_date DATE NOT NULL,            -- hdpData.homeInfo.dateSold converted from epoch milliseconds
+  zestimate DECIMAL(12,2),            -- Zestimate at the time of the scrape
+  market_rent DECIMAL(8,2),           -- Rent Zestimate at the time of the scrape
+  
+  -- Property Details
+  bedrooms INTEGER,
+  bathrooms DECIMAL(3,1),
+  sqft INTEGER,
+  property_type VARCHAR,              -- SINGLE_FAMILY, CONDO, etc.
+  listing_status VARCHAR,             -- RECENTLY_SOLD, SOLD
+  
+  -- Location
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  -- Additional Info
+  zillow_url TEXT,
+  img_src TEXT,
+  status_text VARCHAR,
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  
+  UNIQUE (zillow_id, sold_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_zillow_sold_listing_zip5 ON zillow_sold_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_zillow_sold_listing_sold_date ON zillow_sold_listing(sold_date);
+CREATE INDEX IF NOT EXISTS idx_zillow_sold_listing_bedrooms ON zillow_sold_listing(zip5, bedrooms);
+
+-- Active rentals with their asking rent
+CREATE TABLE IF NOT EXISTS zillow_rental_listing (
+  id SERIAL PRIMARY KEY,
+  zillow_id VARCHAR UNIQUE NOT NULL,  -- zpid, or the lot ID for apartment buildings
+  zip5 VARCHAR(5),
+  address VARCHAR,
+  address_street VARCHAR,
+  city VARCHAR,
+  state VARCHAR(2),
+  building_name VARCHAR,
+  is_building BOOLEAN,
+  
+  -- Rent
+  rent DECIMAL(8,2) NOT NULL,         -- Asking monthly rent
+  rent_zestimate DECIMAL(8,2),        -- Zillow's Rent Zestimate for comparison
+  
+  -- Property Details
+  bedrooms INTEGER,
+  bathrooms DECIMAL(3,1),
+  sqft INTEGER,
+  property_type VARCHAR,
+  listing_status VARCHAR,             -- FOR_RENT
+  days_on_zillow INTEGER,
+  
+  -- Location
+  lat DECIMAL(10,8),
+  lon DECIMAL(11,8),
+  
+  -- Additional Info
+  zillow_url TEXT,
+  img_src TEXT,
+  status_text VARCHAR,
+  
+  -- Dates
+  first_seen DATE,                    -- First scrape that returned this rental
+  last_seen DATE,                     -- Most recent scrape that returned this rental
+  last_updated DATE,
+  
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_zillow_rental_listing_zip5 ON zillow_rental_listing(zip5);
+CREATE INDEX IF NOT EXISTS idx_zillow_rental_listing_last_seen ON zillow_rental_listing(last_seen);
+CREATE INDEX IF NOT EXISTS idx_zillow_rental_listing_bedrooms ON zillow_rental_listing(zip5, bedrooms);
+
+-- Reuse the updated_at trigger function from create_zillow_tables.sql
+DROP TRIGGER IF EXISTS trigger_update_zillow_sold_listing_updated_at ON zillow_sold_listing;
+CREATE TRIGGER trigger_update_zillow_sold_listing_updated_at
+  BEFORE UPDATE ON zillow_sold_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_zillow_listing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_update_zillow_rental_listing_updated_at ON zillow_rental_listing;
+CREATE TRIGGER trigger_update_zillow_rental_listing_updated_at
+  BEFORE UPDATE ON zillow_rental_listing
+  FOR EACH ROW
+  EXECUTE FUNCTION update_zillow_listing_updated_at();
+
+COMMENT ON TABLE zillow_sold_listing IS 'Recently sold homes from the Zillow sold search, used as sale comps';
+COMMENT ON COLUMN zillow_sold_listing.sold_price IS 'Recorded sale price in USD';
+COMMENT ON COLUMN zillow_sold_listing.sold_date IS 'Sale date (from dateSold epoch milliseconds)';
+COMMENT ON TABLE zillow_rental_listing IS 'Active rentals from the Zillow rent search, used as asking-rent comps';
+COMMENT ON COLUMN zillow_rental_listing.rent IS 'Asking monthly rent in USD';
+COMMENT ON COLUMN zillow_rental_listing.last_seen IS 'Date of the most recent scrape that returned this rental';
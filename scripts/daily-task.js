@@ -165,8 +165,8 @@ async function fetchDataForZipCode(zipCode) {
     
     console.log(`Fetching sales data for zip ${zipCode} from ${formattedStartDate} to ${formattedEndDate}`);
     
-    // Fetch data from ATTOM API for this specific zip code
-    const data = await attom.getSaleSnapshot(geoIdV4, formattedStartDate, formattedEndDate);
+    // Fetch every page of sales from ATTOM API for this specific zip code
+    const data = await attom.getAllSaleSnapshot(geoIdV4, formattedStartDate, formattedEndDate);
     
     // Store raw API response
     await models.apiData.storeRawApiData(data, 'attom', zipCode);
@@ -183,9 +183,13 @@ async function fetchDataForZipCode(zipCode) {
     console.log(`Properties: ${propertyResult.inserted} new, ${propertyResult.updated} updated, ${propertyResult.unchanged || 0} unchanged, ${propertyResult.skipped || 0} skipped, ${propertyResult.errors} errors`);
     console.log(`Sales: ${saleResult.inserted} new, ${saleResult.updated} updated, ${saleResult.unchanged || 0} unchanged, ${saleResult.skipped || 0} skipped, ${saleResult.errors} errors`);
     
+    console.log(`ATTOM: ${data.property.length} sales fetched across ${data.status.pages} page(s) in ${data.requestLog.length} request(s)`);
+    
     return {
       sales: saleResult,
-      properties: propertyResult
+      properties: propertyResult,
+      pages: data.status.pages,
+      requests: data.requestLog.length
     };
   } catch (error) {
     console.error(`Error processing zip code ${zipCode}:`, error.message);
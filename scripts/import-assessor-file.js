@@ -0,0 +1,196 @@
+/**
+ * Assessor Roll Import Script
+ * Imports a county assessor roll file (fixed-width or CSV) into assessor_parcel,
+ * then links the parcels to property and merged_listing rows by normalized
+ * address and coordinates, copying owner signals (owner name, owner-occupied,
+ * absentee, out-of-state owner, tax delinquent) onto the linked rows
+ *
+ * Each county needs a JSON layout describing its file; see config/assessor-layouts/
+ * for examples and utils/assessor-layout.js for the format
+ *
+ * Usage:
+ *   node scripts/import-assessor-file.js --layout=config/assessor-layouts/mercer-pa.json --file=roll.txt
+ *   node scripts/import-assessor-file.js --layout=<layout.json> --file=roll.csv --dry-run   # Validate only
+ *   node scripts/import-assessor-file.js --layout=<layout.json> --file=roll.csv --no-link   # Import without linking
+ *   node scripts/import-assessor-file.js --layout=<layout.json> --link-only                 # Re-link after merges
+ *   node scripts/import-assessor-file.js --layout=<layout.json> --link-only --zip=16146
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const models = require('../models');
+const { loadLayout, readAssessorFile, transformParcel } = require('../utils/assessor-layout');
+
+// Row errors printed to the console
+const MAX_PRINTED_ERRORS = 20;
+
+/**
+ * Import an assessor roll file
+ * @param {string} layoutFile - County layout JSON
+ * @param {string} file - Assessor roll file
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Validate without storing anything
+ * @param {boolean} options.link - Link the parcels after importing (default: true)
+ * @returns {Promise<Object>} Import summary
+ */
+async function importAssessorFile(layoutFile, file, options = {}) {
+  const { dryRun = false, link = true } = options;
+  
+  // STEP 1: Read the file with the county's layout
+  const layout = loadLayout(layoutFile);
+  console.log(`Importing ${layout.name || layout.county} assessor roll from ${file}${dryRun ? ' (dry run)' : ''}`);
+  
+  const rows = readAssessorFile(file, layout);
+  console.log(`Read ${rows.length} rows`);
+  
+  // STEP 2: Validate and transform the rows
+  // Keyed by parcel ID; a parcel listed twice keeps its last row, as the upsert would
+  const parcelsById = new Map();
+  const rowErrors = [];
+  
+  for (const { rowNumber, values } of rows) {
+    const { parcel, errors } = transformParcel(values, layout);
+    
+    if (parcel) {
+      parcelsById.set(parcel.parcel_id, parcel);
+    } else {
+      rowErrors.push(...errors.map(error => ({ row: rowNumber, ...error })));
+    }
+  }
+  
+  const parcels = [...parcelsById.values()];
+  const rejected = new Set(rowErrors.map(error => error.row)).size;
+  console.log(`${parcels.length} parcels, ${rejected} rows rejected`);
+  printRowErrors(rowErrors);
+  printSignalCounts(parcels);
+  
+  const summary = {
+    county: layout.county,
+    rowCount: rows.length,
+    parcelCount: parcels.length,
+    errorCount: rejected
+  };
+  
+  if (dryRun) {
+    return summary;
+  }
+  
+  // STEP 3: Store the parcels
+  const upsert = await models.assessorParcel.upsertParcels(parcels);
+  console.log(`Parcels: ${upsert.upserted} stored, ${upsert.errors} errors`);
+  
+  // STEP 4: Link them to property and merged_listing
+  const links = link ? await linkAndReport(parcels) : null;
+  
+  return { ...summary, parcels: upsert, links };
+}
+
+/**
+ * Re-link a county's stored parcels, e.g. after new listings were merged
+ * @param {string} layoutFile - County layout JSON
+ * @param {Array<string>} zipCodes - Zip codes to re-link (default: all)
+ * @returns {Promise<Object>} Per-table link results
+ */
+async function linkAssessorParcels(layoutFile, zipCodes = null) {
+  const layout = loadLayout(layoutFile);
+  const parcels = await models.assessorParcel.getParcelsByCounty(layout.county, zipCodes);
+  
+  console.log(`Loaded ${parcels.length} ${layout.name || layout.county} parcels${zipCodes ? ` in ${zipCodes.join(', ')}` : ''}`);
+  return linkAndReport(parcels);
+}
+
+/**
+ * Link parcels and print the results
+ * @param {Array<Object>} parcels - Parcels to link
+ * @returns {Promise<Object>} Per-table link results
+ */
+async function linkAndReport(parcels) {
+  const links = await models.assessorParcel.linkParcels(parcels);
+  
+  console.log('\n--- Parcel Links ---');
+  for (const [table, result] of Object.entries(links)) {
+    console.log(`${table}: ${result.linked} linked, ${result.unmatched} unmatched, ${result.errors} errors`);
+  }
+  
+  return links;
+}
+
+/**
+ * Print the first row errors
+ * @param {Array<Object>} errors - [{ row, field, value, message }]
+ */
+function printRowErrors(errors) {
+  if (errors.length === 0) return;
+  
+  console.log('\nRow errors:');
+  for (const error of errors.slice(0, MAX_PRINTED_ERRORS)) {
+    const value = error.value == null ? '' : ` "${error.value}"`;
+    console.log(`  Row ${error.row}: ${error.field}${value} ${error.message}`);
+  }
+  if (errors.length > MAX_PRINTED_ERRORS) {
+    console.log(`  ... and ${errors.length - MAX_PRINTED_ERRORS} more`);
+  }
+}
+
+/**
+ * Print how many parcels carry each owner signal
+ * @param {Array<Object>} parcels - Transformed parcels
+ */
+function printSignalCounts(parcels) {
+  const signals = ['owner_occupied', 'absentee_owner', 'out_of_state_owner', 'tax_delinquent'];
+  
+  console.log('\nOwner signals:');
+  for (const signal of signals) {
+    const known = parcels.filter(parcel => parcel[signal] != null);
+    const yes = known.filter(parcel => parcel[signal]).length;
+    console.log(`  ${signal}: ${known.length > 0 ? `${yes} of ${known.length}` : 'not in this roll'}`);
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  const run = async () => {
+    const layoutFile = getArg('layout');
+    const file = getArg('file');
+    
+    if (!layoutFile || (!file && !args.includes('--link-only'))) {
+      console.error('Usage: node scripts/import-assessor-file.js --layout=<layout.json> --file=<roll file> [--dry-run] [--no-link]');
+      console.error('       node scripts/import-assessor-file.js --layout=<layout.json> --link-only [--zip=<zip>]');
+      process.exit(1);
+    }
+    
+    if (args.includes('--link-only')) {
+      const zip = getArg('zip');
+      return linkAssessorParcels(layoutFile, zip ? zip.split(',') : null);
+    }
+    
+    const summary = await importAssessorFile(layoutFile, file, {
+      dryRun: args.includes('--dry-run'),
+      link: !args.includes('--no-link')
+    });
+    
+    if (summary.parcels && summary.parcels.errors > 0) {
+      process.exitCode = 1;
+    }
+  };
+  
+  run().catch(error => {
+    console.error('Error importing assessor file:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    importAssessorFile,
+    linkAssessorParcels
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Off-Market Lead Import Script
+ * Imports off-market deals from wholesaler spreadsheets (CSV or XLSX) into offmarket_lead
+ *
+ * Columns are matched to lead fields by common header names, or by a JSON
+ * mapping file. Rows that fail validation are skipped and written, with their
+ * errors, to a CSV next to the input that can be fixed and re-imported
+ *
+ * Usage:
+ *   node scripts/import-offmarket-leads.js --file=deals.xlsx
+ *   node scripts/import-offmarket-leads.js --file=deals.csv --source="Keystone Wholesale" --mapping=keystone.json
+ *   node scripts/import-offmarket-leads.js --file=deals.xlsx --sheet=Deals --dry-run    # Validate only
+ *   node scripts/import-offmarket-leads.js --file=deals.csv --errors=/tmp/deal-errors.csv
+ *   node scripts/import-offmarket-leads.js --history                                   # Recent imports
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const models = require('../models');
+const { getOffMarketConfig } = require('../utils/config');
+const { readSpreadsheet, writeCsv } = require('../utils/spreadsheet');
+const { loadColumnMapping, resolveColumnMapping, mapRow, transformLeads } = require('../utils/offmarket-leads');
+
+// Row errors printed to the console; the error file has all of them
+const MAX_PRINTED_ERRORS = 20;
+
+/**
+ * Import one lead spreadsheet
+ * @param {string} file - Path to a .csv or .xlsx file
+ * @param {Object} options - Import options
+ * @param {string} options.source - Wholesaler or list name (default: the file name)
+ * @param {string} options.mapping - Column mapping file (default: OFFMARKET_COLUMN_MAPPING_FILE)
+ * @param {string} options.sheet - XLSX sheet name or number (default: first sheet)
+ * @param {string} options.errorFile - Where to write rejected rows (default: <file>.errors.csv)
+ * @param {boolean} options.dryRun - Validate and write the error file without storing anything
+ * @returns {Promise<Object>} Import summary
+ */
+async function importOffMarketLeads(file, options = {}) {
+  const config = getOffMarketConfig();
+  const fileName = path.basename(file);
+  const {
+    source = path.basename(file, path.extname(file)),
+    mapping = config.columnMappingFile,
+    sheet = null,
+    errorFile = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.errors.csv`),
+    dryRun = false
+  } = options;
+  
+  console.log(`Importing off-market leads from ${file}${dryRun ? ' (dry run)' : ''}`);
+  
+  // STEP 1: Read the file and match its columns to lead fields
+  const fileSha256 = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  const spreadsheet = await readSpreadsheet(file, { sheet });
+  const columnMapping = resolveColumnMapping(spreadsheet.headers, mapping ? loadColumnMapping(mapping) : {});
+  
+  console.log(`Read ${spreadsheet.rows.length} rows`);
+  console.log('Columns:', Object.entries(columnMapping).map(([field, header]) => `${field} <- "${header}"`).join(', '));
+  
+  // STEP 2: Validate and transform the rows
+  const rows = spreadsheet.rows.map(({ rowNumber, values }) => ({
+    ...mapRow(values, columnMapping),
+    source_name: source,
+    source_file: fileName,
+    source_row: rowNumber
+  }));
+  const { leads, rowErrors } = transformLeads(rows);
+  const flatErrors = rowErrors.flatMap(({ row, errors }) =>
+    errors.map(error => ({ row: row.source_row, ...error }))
+  );
+  
+  console.log(`${leads.length} valid rows, ${rowErrors.length} rejected`);
+  
+  if (rowErrors.length > 0) {
+    printRowErrors(flatErrors);
+    writeErrorFile(errorFile, spreadsheet, rowErrors);
+    console.log(`Rejected rows written to ${errorFile}`);
+  }
+  
+  const summary = {
+    file: fileName,
+    rowCount: rows.length,
+    validCount: leads.length,
+    errorCount: rowErrors.length,
+    errorFile: rowErrors.length > 0 ? errorFile : null,
+    columnMapping
+  };
+  
+  if (dryRun) {
+    return summary;
+  }
+  
+  // STEP 3: Store the import report and archive the mapped rows for reprocessing
+  const previous = await models.offmarketImport.findLatestByHash(fileSha256);
+  if (previous) {
+    console.warn(`This file was already imported as ${previous.file_name} on ${previous.imported_at}; unchanged leads will be left alone`);
+  }
+  
+  const report = await models.offmarketImport.insert({
+    fileName,
+    fileSha256,
+    sheetName: sheet ? String(sheet) : null,
+    sourceName: source,
+    columnMapping,
+    rowCount: rows.length,
+    validCount: leads.length,
+    rowErrors: flatErrors,
+    errorFile: summary.errorFile
+  });
+  
+  await models.rawPayloadArchive.archiveRawItems('offmarket', rows, { runId: `offmarket-import-${report.id}` });
+  
+  // STEP 4: Insert or update the leads
+  const result = await models.offmarketLead.processAndUpsertFromOffMarket({ listings: leads }, null, { importId: report.id });
+  await models.offmarketImport.complete(report.id, result);
+  
+  console.log(`\n--- Import ${report.id} Summary ---`);
+  console.log(`Rows: ${rows.length} read, ${leads.length} valid, ${rowErrors.length} rejected`);
+  console.log(`Leads: ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.errors} errors`);
+  
+  if (!config.enabled) {
+    console.log('Set OFFMARKET_LEADS_ENABLED=true to include off-market leads in merges');
+  }
+  
+  return { ...summary, importId: report.id, leads: result };
+}
+
+/**
+ * Print the first row errors
+ * @param {Array<Object>} errors - [{ row, field, value, message }]
+ */
+function printRowErrors(errors) {
+  console.log('\nRow errors:');
+  for (const error of errors.slice(0, MAX_PRINTED_ERRORS)) {
+    const value = error.value == null ? '' : ` "${error.value}"`;
+    console.log(`  Row ${error.row}: ${error.field}${value} ${error.message}`);
+  }
+  if (errors.length > MAX_PRINTED_ERRORS) {
+    console.log(`  ... and ${errors.length - MAX_PRINTED_ERRORS} more`);
+  }
+}
+
+/**
+ * Write rejected rows, with their original columns and an error column, to CSV
+ * @param {string} file - Output path
+ * @param {Object} spreadsheet - Result of readSpreadsheet
+ * @param {Array<Object>} rowErrors - [{ row, errors }] from transformLeads
+ */
+function writeErrorFile(file, spreadsheet, rowErrors) {
+  const valuesByRow = new Map(spreadsheet.rows.map(({ rowNumber, values }) => [rowNumber, values]));
+  const headers = ['Row', ...spreadsheet.headers, 'Import Errors'];
+  
+  writeCsv(file, headers, rowErrors.map(({ row, errors }) => ({
+    ...valuesByRow.get(row.source_row),
+    'Row': row.source_row,
+    'Import Errors': errors.map(error => `${error.field} ${error.message}`).join('; ')
+  })));
+}
+
+/**
+ * Print recent import reports
+ */
+async function printImportHistory() {
+  const imports = await models.offmarketImport.getRecentImports();
+  
+  console.log('\n--- Recent Off-Market Imports ---');
+  for (const report of imports) {
+    console.log(`#${report.id} ${report.imported_at} ${report.file_name} (${report.source_name || 'unknown source'}) - ${report.status}`);
+    console.log(`  Rows: ${report.row_count} read, ${report.valid_count} valid, ${report.error_count} rejected`);
+    if (report.inserted != null) {
+      console.log(`  Leads: ${report.inserted} new, ${report.updated} updated, ${report.unchanged} unchanged`);
+    }
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  const run = async () => {
+    if (args.includes('--history')) {
+      return printImportHistory();
+    }
+    
+    const file = getArg('file');
+    if (!file) {
+      console.error('Usage: node scripts/import-offmarket-leads.js --file=<leads.csv|leads.xlsx> [--source=] [--mapping=] [--sheet=] [--errors=] [--dry-run]');
+      process.exit(1);
+    }
+    
+    const summary = await importOffMarketLeads(file, {
+      source: getArg('source') || undefined,
+      mapping: getArg('mapping') || undefined,
+      // Sheets are picked by number when the argument is one
+      sheet: getArg('sheet') ? (/^\d+$/.test(getArg('sheet')) ? Number(getArg('sheet')) : getArg('sheet')) : undefined,
+      errorFile: getArg('errors') || undefined,
+      dryRun: args.includes('--dry-run')
+    });
+    
+    if (summary.leads && summary.leads.errors > 0) {
+      process.exitCode = 1;
+    }
+  };
+  
+  run().catch(error => {
+    console.error('Error importing off-market leads:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    importOffMarketLeads
+  };
+}
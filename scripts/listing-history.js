@@ -0,0 +1,161 @@
+/**
+ * Listing History Script
+ * Prints a merged listing's history from merged_listing_history: a timeline of
+ * price changes, status changes and sources joining or leaving, or the listing
+ * as it was on a past date
+ *
+ * Usage:
+ *   node scripts/listing-history.js --id=812                          # Price, status and source timeline
+ *   node scripts/listing-history.js --address="123 Main St" --all-fields
+ *   node scripts/listing-history.js --id=812 --as-of=2026-03-01      # Listing as of the end of that day
+ *   node scripts/listing-history.js --backfill [--zip=16146] [--dry-run]
+ *
+ * Listings merged before the history existed have none until --backfill logs
+ * their current values as a baseline
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const mergedListing = require('../models/merged-listing');
+const mergedListingHistory = require('../models/merged-listing-history');
+
+/**
+ * Print a merged listing's timeline
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {Object} options - Options
+ * @param {boolean} options.allFields - Every tracked field, not just price, status and sources
+ * @returns {Promise<Array>} Timeline events
+ */
+async function showTimeline(theRealDealId, options = {}) {
+  const events = await mergedListingHistory.getTimeline(theRealDealId, { allFields: options.allFields });
+  
+  console.log(`History of merged listing ${theRealDealId}: ${events.length} events`);
+  for (const event of events) {
+    console.log(`  ${event.changed_at.split('T')[0]}  ${describeEvent(event)}`);
+  }
+  
+  return events;
+}
+
+/**
+ * Print a merged listing as it was at a point in time
+ * @param {number} theRealDealId - Merged listing ID
+ * @param {string} asOf - Date or time
+ * @returns {Promise<Object|null>} Listing fields as of then
+ */
+async function showListingAsOf(theRealDealId, asOf) {
+  const listing = await mergedListingHistory.getListingAsOf(theRealDealId, asOf);
+  
+  if (!listing) {
+    console.log(`Merged listing ${theRealDealId} has no history on or before ${asOf}`);
+    return null;
+  }
+  
+  console.log(`Merged listing ${theRealDealId} as of ${listing.as_of} (last changed ${listing.last_changed_at}):`);
+  Object.entries(listing)
+    .filter(([field]) => !['the_real_deal_id', 'as_of', 'last_changed_at'].includes(field))
+    .forEach(([field, value]) => {
+      console.log(`  ${field.padEnd(20)} ${formatValue(field, value)}`);
+    });
+  
+  return listing;
+}
+
+/**
+ * Write a baseline history for merged listings that have none
+ * @param {Object} options - Options
+ * @param {string} options.zipCode - Only listings in this zip code
+ * @param {boolean} options.dryRun - Only count them
+ * @returns {Promise<Object>} { checked, backfilled, errors }
+ */
+async function backfill(options = {}) {
+  const result = await mergedListing.backfillListingHistory(options.zipCode, { dryRun: options.dryRun });
+  
+  const verb = options.dryRun ? 'would get' : 'got';
+  console.log(`✅ Checked ${result.checked} merged listings; ${result.backfilled} ${verb} a baseline history`);
+  if (result.errors > 0) {
+    console.log(`⚠️  ${result.errors} listings failed`);
+  }
+  
+  return result;
+}
+
+/**
+ * Find a merged listing's ID by its address
+ * @param {string} address - Address as any source writes it
+ * @returns {Promise<number>} Merged listing ID
+ */
+async function findListingId(address) {
+  const listings = await mergedListing.getMergedListings({ address });
+  if (listings.length === 0) {
+    throw new Error(`No merged listing at "${address}"`);
+  }
+  
+  return listings[0].the_real_deal_id;
+}
+
+// Helper functions
+function describeEvent(event) {
+  const source = event.source ? ` (${event.source})` : '';
+  
+  switch (event.type) {
+    case 'created':
+      return `first merged from ${(event.new || []).join(', ')}`;
+    case 'source_joined':
+      return `${event.source} joined`;
+    case 'source_left':
+      return `${event.source} left`;
+    case 'price': {
+      if (event.old == null) return `price ${formatValue('price', event.new)}${source}`;
+      const change = event.new ? ` (${event.new > event.old ? '+' : ''}${((event.new - event.old) / event.old * 100).toFixed(1)}%)` : '';
+      return `price ${formatValue('price', event.old)} → ${formatValue('price', event.new)}${change}${source}`;
+    }
+    case 'status':
+      if (event.old == null) return `status ${formatValue('listing_status', event.new)}${source}`;
+      return `status ${formatValue('listing_status', event.old)} → ${formatValue('listing_status', event.new)}${source}`;
+    default:
+      return `${event.field} ${formatValue(event.field, event.old)} → ${formatValue(event.field, event.new)}${source}`;
+  }
+}
+
+function formatValue(field, value) {
+  if (value == null) return 'none';
+  if (Array.isArray(value)) return value.join(', ');
+  if (field.includes('price') || field === 'zestimate') return `$${Number(value).toLocaleString()}`;
+  return String(value);
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  let task;
+  if (args.includes('--backfill')) {
+    task = backfill({ zipCode: getArg('zip'), dryRun: args.includes('--dry-run') });
+  } else if (getArg('id') || getArg('address')) {
+    task = (getArg('id') ? Promise.resolve(parseInt(getArg('id'), 10)) : findListingId(getArg('address')))
+      .then(id => (getArg('as-of') ? showListingAsOf(id, getArg('as-of')) : showTimeline(id, { allFields: args.includes('--all-fields') })));
+  } else {
+    console.error('Give a listing with --id=<the_real_deal_id> or --address="<address>", or use --backfill');
+    process.exit(1);
+  }
+  
+  task.catch(error => {
+    console.error('Error reading listing history:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    showTimeline,
+    showListingAsOf,
+    backfill
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Listing Lifecycle Script
+ * Reports on the lifecycle transitions the for-sale scrapes record in
+ * listing_transition: listings that went pending quickly, listings back on
+ * the market, transition counts, or one listing's transitions
+ *
+ * Usage:
+ *   node scripts/listing-lifecycle.js                                  # Transition counts, last 30 days
+ *   node scripts/listing-lifecycle.js --quick-pending [--days=7]       # Pending within LIFECYCLE_QUICK_PENDING_DAYS of listing
+ *   node scripts/listing-lifecycle.js --back-on-market --since=2026-09-01 --zip=16146
+ *   node scripts/listing-lifecycle.js --listing=zillow:12345           # Every transition of one listing
+ *
+ * Transitions are recorded by the Zillow, Redfin and Realtor daily tasks
+ * (run scripts/create_listing_lifecycle_tables.sql first)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const listingLifecycle = require('../models/listing-lifecycle');
+const mergeOverride = require('../models/merge-override');
+const { getLifecycleConfig } = require('../utils/config');
+
+// Days the reports look back by default
+const DEFAULT_DAYS_BACK = 30;
+
+/**
+ * Print transition counts by type and source
+ * @param {Object} options - { since, zipCode }
+ * @returns {Promise<Object>} Summary
+ */
+async function showSummary(options = {}) {
+  const summary = await listingLifecycle.getTransitionSummary(options);
+  
+  console.log(`${summary.total} listing transitions since ${options.since}${options.zipCode ? ` in ${options.zipCode}` : ''}`);
+  const sources = Object.keys(summary.bySource);
+  console.log(`  ${'Transition'.padEnd(14)}${sources.map(source => source.padStart(10)).join('')}${'Total'.padStart(10)}`);
+  for (const type of listingLifecycle.TRANSITION_TYPES) {
+    const counts = sources.map(source => String(summary.bySource[source][type] || 0).padStart(10));
+    console.log(`  ${type.padEnd(14)}${counts.join('')}${String(summary.byType[type] || 0).padStart(10)}`);
+  }
+  
+  return summary;
+}
+
+/**
+ * Print listings that went pending soon after they were listed
+ * @param {Object} options - { days (default: LIFECYCLE_QUICK_PENDING_DAYS), since, zipCode }
+ * @returns {Promise<Array>} Pending transitions
+ */
+async function showQuickPendings(options = {}) {
+  const days = options.days != null ? options.days : getLifecycleConfig().quickPendingDays;
+  const transitions = await listingLifecycle.attachMergedListings(await listingLifecycle.getQuickPendings({ ...options, days }));
+  
+  console.log(`${transitions.length} listings went pending within ${days} days of listing, since ${options.since}`);
+  for (const transition of transitions) {
+    console.log(`  ${describeTransition(transition)}  after ${transition.days_on_market} days at ${formatPrice(transition.new_price)}`);
+  }
+  
+  return transitions;
+}
+
+/**
+ * Print listings that came back on the market
+ * @param {Object} options - { since, zipCode }
+ * @returns {Promise<Array>} Relisted transitions
+ */
+async function showBackOnMarket(options = {}) {
+  const transitions = await listingLifecycle.attachMergedListings(await listingLifecycle.getBackOnMarket(options));
+  
+  console.log(`${transitions.length} listings back on the market since ${options.since}`);
+  for (const transition of transitions) {
+    const offSince = transition.details && transition.details.off_market_since ? ` since ${transition.details.off_market_since}` : '';
+    console.log(`  ${describeTransition(transition)}  was ${transition.from_state}${offSince}, now ${formatPrice(transition.new_price)}`);
+  }
+  
+  return transitions;
+}
+
+/**
+ * Print every transition of one source listing, oldest first
+ * @param {string} key - Listing, "<source>:<id>"
+ * @returns {Promise<Array>} Transitions
+ */
+async function showListing(key) {
+  const { source, id } = mergeOverride.parseListingKey(key);
+  const transitions = (await listingLifecycle.getTransitions({ source, listingId: id })).reverse();
+  
+  console.log(`${transitions.length} transitions of ${key}`);
+  for (const transition of transitions) {
+    const change = transition.transition_type === 'price_change'
+      ? `${formatPrice(transition.old_price)} → ${formatPrice(transition.new_price)}`
+      : `${transition.from_state || 'new'} → ${transition.to_state}${transition.new_status ? ` (${transition.new_status})` : ''}`;
+    console.log(`  ${transition.transition_date}  ${transition.transition_type.padEnd(13)} ${change}`);
+  }
+  
+  return transitions;
+}
+
+// Helper functions
+function describeTransition(transition) {
+  const listing = `${transition.source}:${transition.listing_id}`;
+  const merged = transition.the_real_deal_id ? `  #${transition.the_real_deal_id} ${transition.address}` : '';
+  return `${transition.transition_date}  ${listing.padEnd(22)}${merged}`;
+}
+
+function formatPrice(price) {
+  return price != null ? `$${Number(price).toLocaleString()}` : 'no price';
+}
+
+function getDefaultSince() {
+  return new Date(Date.now() - DEFAULT_DAYS_BACK * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  const options = { since: getArg('since') || getDefaultSince(), zipCode: getArg('zip') };
+  
+  let task;
+  if (getArg('listing')) {
+    task = showListing(getArg('listing'));
+  } else if (args.includes('--quick-pending')) {
+    task = showQuickPendings({ ...options, days: getArg('days') != null ? parseInt(getArg('days'), 10) : null });
+  } else if (args.includes('--back-on-market')) {
+    task = showBackOnMarket(options);
+  } else {
+    task = showSummary(options);
+  }
+  
+  task.catch(error => {
+    console.error('Error reporting listing lifecycles:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    showSummary,
+    showQuickPendings,
+    showBackOnMarket,
+    showListing
+  };
+}
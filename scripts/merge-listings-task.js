@@ -13,12 +13,14 @@
  *   --conflicts          Show conflict analysis
  *   --init-config        Initialize configuration with defaults
  *   --dry-run           Show what would be processed without making changes
+ *   --renormalize-addresses  Rewrite stored addresses (and unit columns) after normalization changes
  *   --help              Show this help message
  */
 
 require('dotenv').config();
 
 const mergedListing = require('../models/merged-listing');
+const sourceAdapters = require('../models/source-adapters');
 const mergeConfig = require('../utils/merge-config');
 
 /**
@@ -32,6 +34,7 @@ function parseArgs() {
     showConflicts: false,
     initConfig: false,
     dryRun: false,
+    renormalize: false,
     help: false
   };
   
@@ -46,6 +49,8 @@ function parseArgs() {
       options.initConfig = true;
     } else if (arg === '--dry-run') {
       options.dryRun = true;
+    } else if (arg === '--renormalize-addresses') {
+      options.renormalize = true;
     } else if (arg === '--help') {
       options.help = true;
     }
@@ -70,6 +75,8 @@ Options:
   --conflicts          Show conflict analysis
   --init-config        Initialize configuration with defaults
   --dry-run           Show what would be processed without making changes
+  --renormalize-addresses  Rewrite stored addresses (and unit columns) after normalization changes
+                       (with --dry-run, only report)
   --help              Show this help message
 
 Examples:
@@ -88,6 +95,9 @@ Examples:
   # Initialize configuration
   node scripts/merge-listings-task.js --init-config
 
+  # Preview stored addresses the current normalization would change
+  node scripts/merge-listings-task.js --renormalize-addresses --dry-run
+
 Environment Variables:
   MERGE_COORDINATE_TOLERANCE_METERS    Distance tolerance for coordinate matching (default: 50)
   MERGE_ADDRESS_FUZZY_THRESHOLD        Fuzzy matching threshold (default: 0.8)
@@ -183,6 +193,16 @@ async function showConflictAnalysis(zipCode = null) {
       });
     }
     
+    const sortedWinners = Object.entries(summary.winning_sources)
+      .sort(([,a], [,b]) => b - a);
+    
+    if (sortedWinners.length > 0) {
+      console.log('\n🏆 Conflicts Won by Source:');
+      sortedWinners.forEach(([source, count]) => {
+        console.log(`  ${source}: ${count}`);
+      });
+    }
+  
   } catch (error) {
     console.error('❌ Error showing conflict analysis:', error.message);
     process.exit(1);
@@ -218,6 +238,32 @@ async function initializeConfiguration() {
   }
 }
 
+/**
+ * Rewrite stored merged listing addresses in the current normalized form
+ */
+async function renormalizeStoredAddresses(zipCode = null, dryRun = false) {
+  try {
+    console.log(`🏷️  Renormalizing merged listing addresses${zipCode ? ` for zip code ${zipCode}` : ''}${dryRun ? ' (dry run)' : ''}...\n`);
+    
+    const result = await mergedListing.renormalizeAddresses(zipCode, { dryRun });
+    
+    console.log(`Checked: ${result.checked.toLocaleString()}`);
+    console.log(`${dryRun ? 'Would change' : 'Changed'}: ${result.changed.toLocaleString()}`);
+    console.log(`Errors: ${result.errors.toLocaleString()}`);
+    
+    if (result.collisions.length > 0) {
+      console.log(`\n⚠️  ${result.collisions.length} addresses are now shared by several merged listings and were left alone:`);
+      result.collisions.forEach(collision => {
+        console.log(`  ${collision.address}: #${collision.ids.join(', #')}`);
+      });
+    }
+  
+  } catch (error) {
+    console.error('❌ Error renormalizing addresses:', error.message);
+    process.exit(1);
+  }
+}
+
 /**
  * Show what would be processed in dry run mode
  */
@@ -227,17 +273,20 @@ async function showDryRun(zipCode = null) {
     
     const sourceListings = await mergedListing.getAllSourceListings(zipCode);
     
+    const adapters = sourceAdapters.getSourceAdapters();
+    
     console.log('📊 Source Data Summary:');
-    console.log(`Zillow Listings: ${sourceListings.zillow.length.toLocaleString()}`);
-    console.log(`Redfin Listings: ${sourceListings.redfin.length.toLocaleString()}`);
-    console.log(`Realtor Listings: ${sourceListings.realtor.length.toLocaleString()}`);
-    console.log(`Total Source Listings: ${(sourceListings.zillow.length + sourceListings.redfin.length + sourceListings.realtor.length).toLocaleString()}`);
+    adapters.forEach(adapter => {
+      console.log(`${adapter.label} Listings: ${sourceListings[adapter.name].length.toLocaleString()}`);
+    });
+    const totalListings = adapters.reduce((sum, adapter) => sum + sourceListings[adapter.name].length, 0);
+    console.log(`Total Source Listings: ${totalListings.toLocaleString()}`);
     
     // Estimate unique addresses
     const allAddresses = new Set();
-    sourceListings.zillow.forEach(l => allAddresses.add(l.address?.toLowerCase().trim()));
-    sourceListings.redfin.forEach(l => allAddresses.add(l.address?.toLowerCase().trim()));
-    sourceListings.realtor.forEach(l => allAddresses.add(l.street?.toLowerCase().trim()));
+    adapters.forEach(adapter => {
+      sourceListings[adapter.name].forEach(l => allAddresses.add(l[adapter.addressColumn]?.toLowerCase().trim()));
+    });
     
     console.log(`Estimated Unique Addresses: ${allAddresses.size.toLocaleString()}`);
     
@@ -250,6 +299,7 @@ async function showDryRun(zipCode = null) {
     console.log(`Price Conflict Threshold: ${(config.price_conflict_threshold * 100).toFixed(1)}%`);
     console.log(`Min Confidence Score: ${config.min_confidence_score}`);
     console.log(`Conflict Detection: ${config.conflict_detection_enabled ? 'Enabled' : 'Disabled'}`);
+    console.log(`Resolution Strategies: ${Object.entries(config.field_resolution_strategies || {}).map(([field, strategy]) => `${field}=${strategy}`).join(', ')}`);
     
     console.log('\n✅ Dry run completed. Use without --dry-run to execute the merge.');
     
@@ -289,6 +339,11 @@ async function main() {
       return;
     }
     
+    if (options.renormalize) {
+      await renormalizeStoredAddresses(options.zipCode, options.dryRun);
+      return;
+    }
+    
     if (options.dryRun) {
       await showDryRun(options.zipCode);
       return;
@@ -308,8 +363,11 @@ async function main() {
     console.log(`   Exact Matches: ${results.exact_matches.toLocaleString()}`);
     console.log(`   Fuzzy Matches: ${results.fuzzy_matches.toLocaleString()}`);
     console.log(`   Coordinate Matches: ${results.coordinate_matches.toLocaleString()}`);
+    console.log(`   Manual Matches: ${results.manual_matches.toLocaleString()}`);
     console.log(`   No Matches: ${results.no_matches.toLocaleString()}`);
     console.log(`   Conflicts Detected: ${results.conflicts_detected.toLocaleString()}`);
+    console.log(`   Comparisons Scored: ${results.comparisons_scored.toLocaleString()}`);
+    console.log(`   Comparisons Skipped: ${results.comparisons_skipped.toLocaleString()}`);
     console.log(`   Errors: ${results.errors.toLocaleString()}`);
     console.log(`   Processing Time: ${results.processing_time_seconds} seconds`);
     
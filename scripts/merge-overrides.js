@@ -0,0 +1,140 @@
+/**
+ * Merge Overrides Script
+ * Adds, lists and removes the analyst overrides every merge run applies:
+ * listing pairs forced to merge or kept apart, and merged listing fields
+ * pinned to a value. Listings are written <source>:<id>
+ *
+ * Usage:
+ *   node scripts/merge-overrides.js --list                     # Active overrides
+ *   node scripts/merge-overrides.js --list --all --type=field_value
+ *   node scripts/merge-overrides.js --match=zillow:123,realtor:456 --author=dana --reason="Same house, relisted under a new address"
+ *   node scripts/merge-overrides.js --non-match=zillow:123,redfin:789 --author=dana --reason="Neighbouring lots" --expires=2027-01-01
+ *   node scripts/merge-overrides.js --listing=812 --field=price --value=150000 --author=dana --reason="Price cut confirmed with agent"
+ *   node scripts/merge-overrides.js --remove=17
+ *
+ * Overrides take effect on the next merge (npm run merge-listings)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const mergeOverride = require('../models/merge-override');
+
+/**
+ * Add an override from command line options
+ * @param {Object} options - Options
+ * @param {string} options.match - Listing pair to force together, "<source>:<id>,<source>:<id>"
+ * @param {string} options.nonMatch - Listing pair to force apart
+ * @param {number} options.listing - Merged listing whose field to pin
+ * @param {string} options.field - Field to pin
+ * @param {string} options.value - Pinned value
+ * @param {string} options.author - Who adds the override
+ * @param {string} options.reason - Why
+ * @param {string} options.expires - Expiry date (optional)
+ * @returns {Promise<Object>} Added override
+ */
+async function addOverride(options) {
+  const entry = { author: options.author, reason: options.reason, expiresAt: options.expires };
+  let override;
+  
+  if (options.match || options.nonMatch) {
+    const type = options.match ? 'force_match' : 'force_non_match';
+    const keys = (options.match || options.nonMatch).split(',').map(key => key.trim());
+    if (keys.length !== 2) {
+      throw new Error('Give two listings, e.g. --match=zillow:123,realtor:456');
+    }
+    
+    override = await mergeOverride.addMatchOverride(type, keys[0], keys[1], entry);
+  } else {
+    override = await mergeOverride.addFieldOverride(options.listing, options.field, options.value, entry);
+  }
+  
+  console.log(`✅ Added override #${override.id}: ${describeOverride(override)}`);
+  return override;
+}
+
+/**
+ * Print overrides
+ * @param {Object} options - Options
+ * @param {string} options.type - Only this override type
+ * @param {boolean} options.all - Include expired overrides
+ * @returns {Promise<Array>} Listed overrides
+ */
+async function listOverrides(options = {}) {
+  const overrides = await mergeOverride.listOverrides({ type: options.type, activeOnly: !options.all });
+  
+  console.log(`${overrides.length} ${options.all ? '' : 'active '}merge overrides${options.type ? ` of type ${options.type}` : ''}`);
+  for (const override of overrides) {
+    const expiry = override.expires_at ? `, expires ${override.expires_at.split('T')[0]}` : '';
+    console.log(`  #${String(override.id).padEnd(5)} ${describeOverride(override)}`);
+    console.log(`         ${override.author}, ${override.created_at.split('T')[0]}${expiry}: ${override.reason}`);
+  }
+  
+  return overrides;
+}
+
+/**
+ * Remove an override
+ * @param {number} id - Override ID
+ * @returns {Promise<Object>} Removed override
+ */
+async function removeOverride(id) {
+  const override = await mergeOverride.removeOverride(id);
+  console.log(`🗑️  Removed override #${override.id}: ${describeOverride(override)}`);
+  return override;
+}
+
+// Helper functions
+function describeOverride(override) {
+  const pair = `${mergeOverride.toListingKey(override.source_a, override.listing_id_a)} and ${mergeOverride.toListingKey(override.source_b, override.listing_id_b)}`;
+  
+  switch (override.override_type) {
+    case 'force_match':
+      return `merge ${pair}`;
+    case 'force_non_match':
+      return `never merge ${pair}`;
+    default:
+      return `merged listing ${override.the_real_deal_id} ${override.field_name} = ${JSON.stringify(override.field_value)}`;
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  let task;
+  if (getArg('remove')) {
+    task = removeOverride(parseInt(getArg('remove'), 10));
+  } else if (getArg('match') || getArg('non-match') || getArg('listing')) {
+    task = addOverride({
+      match: getArg('match'),
+      nonMatch: getArg('non-match'),
+      listing: getArg('listing') ? parseInt(getArg('listing'), 10) : null,
+      field: getArg('field'),
+      value: getArg('value'),
+      author: getArg('author'),
+      reason: getArg('reason'),
+      expires: getArg('expires')
+    });
+  } else {
+    task = listOverrides({ type: getArg('type'), all: args.includes('--all') });
+  }
+  
+  task.catch(error => {
+    console.error('Error managing merge overrides:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    addOverride,
+    listOverrides,
+    removeOverride
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Listing Photo Catalogue Task
+ * Records each source listing's photo URLs in listing_photo, optionally
+ * downloads and perceptual-hashes them through a local cache, and flags
+ * properties whose photos appear under more than one address
+ *
+ * Run it after the scrapers and before merging. With PHOTO_MATCHING_ENABLED=true
+ * the merge then uses the hashes as an extra match signal
+ *
+ * Usage:
+ *   node scripts/photo-catalogue-task.js                       # Catalogue photo URLs
+ *   node scripts/photo-catalogue-task.js --hash                # ...and hash pending photos
+ *   node scripts/photo-catalogue-task.js --zip=16146 --hash --limit=200
+ *   node scripts/photo-catalogue-task.js --relists             # Flag relisted properties
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const models = require('../models');
+const mergedListing = require('../models/merged-listing');
+const sourceAdapters = require('../models/source-adapters');
+const { getPhotoConfig } = require('../utils/config');
+const { getCachedPhoto } = require('../utils/photo-cache');
+const { computePhash } = require('../utils/perceptual-hash');
+
+/**
+ * Catalogue, hash and check listing photos
+ * @param {Object} options - Task options
+ * @param {string} options.zipCode - Only listings in this zip code
+ * @param {boolean} options.catalogue - Record photo URLs (default: true)
+ * @param {boolean} options.hash - Download and hash pending photos
+ * @param {number} options.limit - Maximum photos to hash (default: 500)
+ * @param {boolean} options.relists - Flag properties whose photos appear under several addresses
+ * @returns {Promise<Object>} Task results
+ */
+async function runPhotoCatalogueTask(options = {}) {
+  const { zipCode = null, catalogue = true, hash = false, limit = 500, relists = false } = options;
+  const results = {};
+  
+  console.log(`\n--- Listing Photo Catalogue${zipCode ? ` for zip code ${zipCode}` : ''} ---`);
+  
+  // STEP 1: Record the photo URLs of every source that has them
+  if (catalogue) {
+    const adapters = sourceAdapters.getSourceAdapters().filter(adapter => adapter.getPhotoUrls);
+    const sourceListings = await mergedListing.getAllSourceListings(zipCode);
+    results.catalogue = {};
+    
+    for (const adapter of adapters) {
+      const result = await models.listingPhoto.catalogueListings(adapter, sourceListings[adapter.name] || []);
+      console.log(`${adapter.label}: ${result.photos} photos from ${result.listings} listings${result.errors ? `, ${result.errors} errors` : ''}`);
+      results.catalogue[adapter.name] = result;
+    }
+  }
+  
+  // STEP 2: Download and hash pending photos
+  if (hash) {
+    results.hash = await hashPendingPhotos({ zipCode, limit });
+  }
+  
+  // STEP 3: Flag properties relisted under another address
+  if (relists) {
+    const photoIndex = await models.listingPhoto.getPhotoIndex(zipCode);
+    const groups = models.listingPhoto.findRelistedProperties(photoIndex);
+    
+    console.log(`\n${groups.length} properties have photos under more than one address`);
+    for (const group of groups) {
+      console.log(`  ${group.addresses.join(' | ')} (${group.listings.map(listing => `${listing.source} ${listing.id}`).join(', ')})`);
+    }
+    
+    results.relists = { groups: groups.length, ...(await models.listingPhoto.flagRelistedProperties(groups, { zipCode })) };
+    console.log(`Relist flags: ${results.relists.flagged} set, ${results.relists.cleared} stale cleared, ${results.relists.errors} errors`);
+  }
+  
+  return results;
+}
+
+/**
+ * Download and hash pending photos
+ * @param {Object} options - Hash options
+ * @param {string} options.zipCode - Only photos of listings in this zip code
+ * @param {number} options.limit - Maximum photos to hash
+ * @returns {Promise<Object>} { hashed, failed, downloaded }
+ */
+async function hashPendingPhotos(options) {
+  const config = getPhotoConfig();
+  const photos = await models.listingPhoto.getPendingPhotos(options);
+  const result = { hashed: 0, failed: 0, downloaded: 0 };
+  
+  console.log(`\nHashing ${photos.length} pending photos (cache: ${config.cacheDir})`);
+  
+  for (const photo of photos) {
+    try {
+      const { buffer, cached } = await getCachedPhoto(photo.url, {
+        cacheDir: config.cacheDir,
+        timeoutMs: config.downloadTimeoutMs
+      });
+      if (!cached) result.downloaded++;
+      
+      await models.listingPhoto.recordHash(photo.id, computePhash(buffer));
+      result.hashed++;
+    } catch (error) {
+      console.warn(`Could not hash ${photo.source} photo ${photo.url}: ${error.message}`);
+      await models.listingPhoto.recordHashFailure(photo.id, error.message);
+      result.failed++;
+    }
+  }
+  
+  console.log(`Photos: ${result.hashed} hashed, ${result.failed} failed, ${result.downloaded} downloaded`);
+  return result;
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  
+  const relists = args.includes('--relists');
+  
+  runPhotoCatalogueTask({
+    zipCode: getArg('zip'),
+    // --relists on its own only checks the hashes already stored
+    catalogue: !relists || args.includes('--hash'),
+    hash: args.includes('--hash'),
+    limit: getArg('limit') ? parseInt(getArg('limit'), 10) : undefined,
+    relists
+  })
+    .then(() => {
+      console.log('\nPhoto catalogue task completed');
+    })
+    .catch(error => {
+      console.error('Error in photo catalogue task:', error.message);
+      process.exit(1);
+    });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    runPhotoCatalogueTask
+  };
+}
@@ -1,20 +1,57 @@
 /**
  * Realtor daily task script that fetches property listings from Realtor.com
  * using the Apify Realtor scraper and stores the results in Supabase
+ *
+ * --mode=BUY,RENT,SOLD picks the searches to run (default: REALTOR_SEARCH_MODES or BUY).
+ * RENT and SOLD results go to the realtor_rental_listing and realtor_sold_listing tables.
+ * --max-items caps the results per search (default: REALTOR_MAX_ITEMS or 100).
+ * --lat, --lon and --radius (miles) search around a point instead of by zip code
  */
 
 // Load environment variables
 require('dotenv').config();
 
+// Apply --record / --replay before the API clients are created
+const { applyFixtureModeArgs } = require('../utils/apify-fixtures');
+if (require.main === module) {
+  applyFixtureModeArgs(process.argv.slice(2));
+}
+
 // Import modules
 const { db } = require('../index');
 const { realtor } = require('../api');
 const models = require('../models');
-const { getZipGeoIdMapping } = require('../utils/config');
+const { getZipGeoIdMapping, getSchemaDriftConfig, getNumberFromEnv } = require('../utils/config');
+const { exceedsFailThreshold } = require('../utils/schema-drift');
+const { ApifyRunError } = require('../api/apify');
 
 // Configuration for zip codes
 const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
 
+// Raw data source, upsert function and lifecycle source (for-sale searches only) for each search mode
+const SEARCH_MODES = {
+  BUY: { label: 'listings', source: 'realtor', process: models.realtorListing.processAndUpsertFromRealtor, lifecycleSource: 'realtor' },
+  RENT: { label: 'rental listings', source: 'realtor-rent', process: models.realtorRentalListing.processAndUpsertFromRealtor },
+  SOLD: { label: 'sold listings', source: 'realtor-sold', process: models.realtorSoldListing.processAndUpsertFromRealtor }
+};
+
+/**
+ * Parse a comma-separated list of search modes
+ * @param {string} value - e.g. "BUY,SOLD" (case-insensitive)
+ * @returns {Array<string>} Valid search modes (default: BUY)
+ */
+function parseSearchModes(value) {
+  const modes = (value || '').split(',').map(mode => mode.trim().toUpperCase()).filter(Boolean);
+  
+  for (const mode of modes) {
+    if (!SEARCH_MODES[mode]) {
+      throw new Error(`Unknown Realtor search mode "${mode}". Use ${Object.keys(SEARCH_MODES).join(', ')}`);
+    }
+  }
+  
+  return modes.length > 0 ? modes : ['BUY'];
+}
+
 /**
  * Test Supabase connection
  */
@@ -51,8 +88,17 @@ async function testSupabaseConnection() {
 /**
  * Main function to run the Realtor daily task for one or more zip codes
  * @param {string|string[]} zipCodes - Single zip code or array of zip codes to process
+ * @param {Object} options - Task options
+ * @param {Array<string>} options.modes - Search modes to run for every zip code
+ * @param {number} options.maxItems - Maximum results per search
+ * @returns {Promise<Object>} Results keyed by zip code, then search mode
  */
-async function runRealtorDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
+async function runRealtorDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES, options = {}) {
+  const {
+    modes = parseSearchModes(process.env.REALTOR_SEARCH_MODES),
+    maxItems = getNumberFromEnv('REALTOR_MAX_ITEMS', 100)
+  } = options;
+  
   try {
     // First test the Supabase connection
     await testSupabaseConnection();
@@ -68,6 +114,7 @@ async function runRealtorDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       : Object.keys(ZIP_GEOID_MAPPING);
     
     console.log(`Processing ${zipsToProcess.length} zip codes for Realtor listings: ${zipsToProcess.join(', ')}`);
+    console.log(`Search modes: ${modes.join(', ')} (up to ${maxItems} results per search)`);
     
     // STEP 1: Pre-process all zip codes to ensure they exist in the database
     console.log('\n--- Pre-processing all zip codes ---');
@@ -84,22 +131,58 @@ async function runRealtorDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
     const zipResult = await models.zip.processZipCodes(filteredZips);
     console.log(`Zip codes processed: ${zipResult.inserted} inserted, ${zipResult.existing} existing, ${zipResult.errors} errors`);
     
-    // STEP 2: Process each zip code for Realtor listings
+    // STEP 2: Process each zip code for Realtor listings, one search per mode
     const results = {};
-    for (const zipCode of Object.keys(filteredZips)) {
-      console.log(`\n--- Processing Realtor listings for zip code: ${zipCode} ---`);
-      results[zipCode] = await fetchRealtorDataForZipCode(zipCode);
+    const schemaDriftConfig = getSchemaDriftConfig();
+    const searches = Object.keys(filteredZips).flatMap(zipCode => modes.map(mode => ({ zipCode, mode })));
+    for (let i = 0; i < searches.length; i++) {
+      const { zipCode, mode } = searches[i];
+      console.log(`\n--- Processing Realtor ${SEARCH_MODES[mode].label} for zip code: ${zipCode} ---`);
+      results[zipCode] = results[zipCode] || {};
+      const result = await fetchRealtorDataForZipCode(zipCode, mode, { maxItems });
+      results[zipCode][mode] = result;
+      
+      // Heavy drift means the transforms are likely producing nulls, so fail the task
+      if (exceedsFailThreshold(result.schemaDrift, schemaDriftConfig.failThreshold)) {
+        console.error(`Schema drift for zip ${zipCode} (${mode}): ${result.schemaDrift.issueCount} issue(s), above SCHEMA_DRIFT_FAIL_THRESHOLD=${schemaDriftConfig.failThreshold}`);
+        process.exitCode = 1;
+      }
+      
+      // Fatal errors (e.g. an invalid Apify token) would fail every remaining search
+      if (result.fatal) {
+        const remaining = searches.slice(i + 1);
+        console.error(`Fatal ${result.errorCode} error. Skipping remaining searches: ${remaining.map(s => `${s.zipCode} (${s.mode})`).join(', ') || 'none'}`);
+        for (const skipped of remaining) {
+          results[skipped.zipCode] = results[skipped.zipCode] || {};
+          results[skipped.zipCode][skipped.mode] = {
+            error: `Skipped after fatal ${result.errorCode} error for zip ${zipCode} (${mode})`,
+            errorCode: result.errorCode,
+            skipped: true,
+            listings: { inserted: 0, updated: 0, errors: 0 },
+            totalProcessed: 0,
+            validListings: 0
+          };
+        }
+        process.exitCode = 1;
+        break;
+      }
     }
     
     // Log summary
     console.log('\n--- Realtor Processing Summary ---');
-    for (const [zipCode, result] of Object.entries(results)) {
-      if (result.error) {
-        console.log(`Zip ${zipCode}: ERROR - ${result.error}`);
-      } else {
-        console.log(`Zip ${zipCode}:`);
-        console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged`);
-        console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+    for (const [zipCode, modeResults] of Object.entries(results)) {
+      for (const [mode, result] of Object.entries(modeResults)) {
+        if (result.error) {
+          const errorDetails = result.errorCode ? ` [${result.errorCode}${result.retryable ? ', retryable' : ''}${result.attempts ? `, ${result.attempts} attempt(s)` : ''}]` : '';
+          console.log(`Zip ${zipCode} (${mode}): ERROR - ${result.error}${errorDetails}`);
+        } else {
+          console.log(`Zip ${zipCode} (${mode}):`);
+          console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged, ${result.listings.skipped || 0} skipped`);
+          console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+          if (result.schemaDrift) {
+            console.log(`  Schema drift: ${result.schemaDrift.issueCount} issue(s), ${result.schemaDrift.newFields.length} new field(s)`);
+          }
+        }
       }
     }
     
@@ -113,10 +196,14 @@ async function runRealtorDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
 /**
  * Fetch and process Realtor data for a specific zip code
  * @param {string} zipCode - The zip code to process
+ * @param {string} mode - Search mode: BUY (default), RENT or SOLD
+ * @param {Object} searchOptions - Extra actor options (e.g. maxItems)
  */
-async function fetchRealtorDataForZipCode(zipCode) {
+async function fetchRealtorDataForZipCode(zipCode, mode = 'BUY', searchOptions = {}) {
+  const { label, source, process: processListings, lifecycleSource } = SEARCH_MODES[mode];
+  
   try {
-    console.log(`Fetching Realtor listings for zip code ${zipCode}...`);
+    console.log(`Fetching Realtor ${label} for zip code ${zipCode}...`);
     
     // STEP 1: Ensure the zip code exists in the database
     const geoIdV4 = ZIP_GEOID_MAPPING[zipCode];
@@ -124,8 +211,8 @@ async function fetchRealtorDataForZipCode(zipCode) {
     await models.zip.ensureZipExists(zipCode, geoIdV4);
     
     // STEP 2: Search for Realtor listings
-    console.log(`\n--- Searching Realtor listings for zip code ${zipCode} ---`);
-    const searchResults = await realtor.searchListingsByZipCode(zipCode);
+    console.log(`\n--- Searching Realtor ${label} for zip code ${zipCode} ---`);
+    const searchResults = await realtor.searchListingsByZipCode(zipCode, { ...searchOptions, mode });
     
     // Store raw API response
     await models.apiData.storeRawApiData({
@@ -133,27 +220,143 @@ async function fetchRealtorDataForZipCode(zipCode) {
       totalItems: searchResults.totalItems,
       validListings: searchResults.validListings,
       listings: searchResults.listings
-    }, 'realtor', zipCode);
+    }, source, zipCode);
+    
+    // Check the raw items against the expected shape before they are transformed
+    const schemaDrift = await models.schemaDriftReport.checkAndStoreReport(source, searchResults.rawItems, realtor.getExpectedShape(mode), {
+      zipCode,
+      runId: searchResults.runId
+    });
+    
+    // Archive the untransformed items so they can be reprocessed later
+    await models.rawPayloadArchive.archiveRawItems(source, searchResults.rawItems, {
+      zipCode,
+      runId: searchResults.runId
+    });
     
     // STEP 3: Process and store/update listing data
-    console.log(`\n--- Processing Realtor listings for zip code ${zipCode} ---`);
-    const listingResult = await models.realtorListing.processAndUpsertFromRealtor(searchResults, zipCode);
+    console.log(`\n--- Processing Realtor ${label} for zip code ${zipCode} ---`);
+    const listingResult = await processListings(searchResults, zipCode);
     
     console.log(`\n--- Summary for zip code ${zipCode} ---`);
     console.log(`Listings: ${listingResult.inserted} new, ${listingResult.updated} updated, ${listingResult.unchanged || 0} unchanged, ${listingResult.skipped || 0} skipped, ${listingResult.errors} errors`);
     console.log(`Total processed: ${searchResults.totalItems}, Valid listings: ${searchResults.validListings}`);
     
+    // STEP 4: Track listing lifecycles (first and last seen, pending, delisted, sold, relisted)
+    let lifecycle = null;
+    if (lifecycleSource) {
+      try {
+        // A search cut off at maxItems didn't see the whole zip code, so listings
+        // it didn't return aren't counted as missing
+        const maxItems = searchOptions.maxItems || getNumberFromEnv('REALTOR_MAX_ITEMS', 100);
+        const capped = searchResults.rawItems.length >= maxItems;
+        if (capped) {
+          console.log(`Search hit its ${maxItems} item cap; only recording the listings it returned`);
+        }
+        lifecycle = await models.listingLifecycle.recordScrape(lifecycleSource, capped ? null : zipCode, searchResults.listings);
+      } catch (error) {
+        console.warn(`Error tracking listing lifecycles for zip code ${zipCode}:`, error.message);
+      }
+    }
+    
     return {
       listings: listingResult,
       totalProcessed: searchResults.totalItems,
       validListings: searchResults.validListings,
-      runId: searchResults.runId
+      runId: searchResults.runId,
+      schemaDrift,
+      lifecycle
     };
   } catch (error) {
-    console.error(`Error processing Realtor data for zip code ${zipCode}:`, error.message);
+    console.error(`Error processing Realtor ${label} for zip code ${zipCode}:`, error.message);
     // Don't exit the process, just return an error result
+    // Apify errors carry a code so the caller can tell transient failures from fatal ones
+    const apifyError = error instanceof ApifyRunError ? error : null;
     return {
       error: error.message,
+      errorCode: apifyError ? apifyError.code : null,
+      retryable: apifyError ? apifyError.retryable : false,
+      fatal: apifyError ? apifyError.fatal : false,
+      attempts: apifyError ? apifyError.attempts : 0,
+      runId: apifyError ? apifyError.runId : null,
+      listings: { inserted: 0, updated: 0, errors: 0 },
+      totalProcessed: 0,
+      validListings: 0
+    };
+  }
+}
+
+/**
+ * Fetch and process Realtor data within a radius of a point
+ * Listings keep their own postal code as zip5, so radius results land in the
+ * same tables as zip code searches
+ * @param {number} lat - Center latitude
+ * @param {number} lon - Center longitude
+ * @param {number} radiusMiles - Search radius in miles
+ * @param {string} mode - Search mode: BUY (default), RENT or SOLD
+ * @param {Object} searchOptions - Extra actor options (e.g. maxItems)
+ */
+async function fetchRealtorDataForRadius(lat, lon, radiusMiles, mode = 'BUY', searchOptions = {}) {
+  const { label, source, process: processListings, lifecycleSource } = SEARCH_MODES[mode];
+  const area = `${radiusMiles} miles of ${lat},${lon}`;
+  
+  try {
+    console.log(`\n--- Searching Realtor ${label} within ${area} ---`);
+    const searchResults = await realtor.searchListingsByRadius(lat, lon, radiusMiles, { ...searchOptions, mode });
+    
+    // Store raw API response, keyed by the search area instead of a zip code
+    await models.apiData.storeRawApiData({
+      runId: searchResults.runId,
+      totalItems: searchResults.totalItems,
+      validListings: searchResults.validListings,
+      center: searchResults.center,
+      radiusMiles: searchResults.radiusMiles,
+      listings: searchResults.listings
+    }, source, `radius:${lat},${lon},${radiusMiles}`);
+    
+    const schemaDrift = await models.schemaDriftReport.checkAndStoreReport(source, searchResults.rawItems, realtor.getExpectedShape(mode), {
+      zipCode: `radius:${lat},${lon},${radiusMiles}`,
+      runId: searchResults.runId
+    });
+    
+    await models.rawPayloadArchive.archiveRawItems(source, searchResults.rawItems, {
+      zipCode: `radius:${lat},${lon},${radiusMiles}`,
+      runId: searchResults.runId
+    });
+    
+    console.log(`\n--- Processing Realtor ${label} within ${area} ---`);
+    const listingResult = await processListings(searchResults, area);
+    
+    console.log(`Listings: ${listingResult.inserted} new, ${listingResult.updated} updated, ${listingResult.unchanged || 0} unchanged, ${listingResult.skipped || 0} skipped, ${listingResult.errors} errors`);
+    console.log(`Total processed: ${searchResults.totalItems}, In radius: ${searchResults.validListings}, Outside radius: ${searchResults.outsideRadius}${searchResults.truncated ? ' (capped at max items)' : ''}`);
+    
+    // Radius results don't cover whole zip codes, so only seen listings are tracked, not missing ones
+    let lifecycle = null;
+    if (lifecycleSource) {
+      try {
+        lifecycle = await models.listingLifecycle.recordScrape(lifecycleSource, null, searchResults.listings);
+      } catch (error) {
+        console.warn(`Error tracking listing lifecycles within ${area}:`, error.message);
+      }
+    }
+    
+    return {
+      listings: listingResult,
+      totalProcessed: searchResults.totalItems,
+      validListings: searchResults.validListings,
+      outsideRadius: searchResults.outsideRadius,
+      truncated: searchResults.truncated,
+      runId: searchResults.runId,
+      schemaDrift,
+      lifecycle
+    };
+  } catch (error) {
+    console.error(`Error processing Realtor ${label} within ${area}:`, error.message);
+    const apifyError = error instanceof ApifyRunError ? error : null;
+    return {
+      error: error.message,
+      errorCode: apifyError ? apifyError.code : null,
+      fatal: apifyError ? apifyError.fatal : false,
       listings: { inserted: 0, updated: 0, errors: 0 },
       totalProcessed: 0,
       validListings: 0
@@ -195,6 +398,11 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const zipCodesArg = args.find(arg => arg.startsWith('--zip='));
   const statsArg = args.find(arg => arg === '--stats');
+  const modeArg = args.find(arg => arg.startsWith('--mode='));
+  const maxItemsArg = args.find(arg => arg.startsWith('--max-items='));
+  const latArg = args.find(arg => arg.startsWith('--lat='));
+  const lonArg = args.find(arg => arg.startsWith('--lon='));
+  const radiusArg = args.find(arg => arg.startsWith('--radius='));
   const zipCodes = zipCodesArg ? zipCodesArg.replace('--zip=', '') : process.env.TARGET_ZIP_CODES;
   
   if (statsArg) {
@@ -218,17 +426,60 @@ if (require.main === module) {
         process.exit(1);
       });
   } else {
-    // Run the daily tasks
-    runRealtorDailyTasks(zipCodes).catch(error => {
-      console.error('Unhandled error:', error);
+    const options = {};
+    try {
+      options.modes = parseSearchModes(modeArg ? modeArg.replace('--mode=', '') : process.env.REALTOR_SEARCH_MODES);
+    } catch (error) {
+      console.error(error.message);
       process.exit(1);
-    });
+    }
+    if (maxItemsArg) {
+      options.maxItems = parseInt(maxItemsArg.replace('--max-items=', '')) || getNumberFromEnv('REALTOR_MAX_ITEMS', 100);
+    }
+    
+    if (latArg || lonArg || radiusArg) {
+      // Run a radius search for each mode
+      const lat = parseFloat((latArg || '').replace('--lat=', ''));
+      const lon = parseFloat((lonArg || '').replace('--lon=', ''));
+      const radiusMiles = parseFloat((radiusArg || '').replace('--radius=', ''));
+      if (isNaN(lat) || isNaN(lon) || isNaN(radiusMiles)) {
+        console.error('Radius searches need --lat, --lon and --radius (miles)');
+        process.exit(1);
+      }
+      
+      const searchOptions = { maxItems: options.maxItems };
+      
+      (async () => {
+        for (const mode of options.modes) {
+          const result = await fetchRealtorDataForRadius(lat, lon, radiusMiles, mode, searchOptions);
+          if (exceedsFailThreshold(result.schemaDrift, getSchemaDriftConfig().failThreshold)) {
+            console.error(`Schema drift (${mode}): ${result.schemaDrift.issueCount} issue(s), above SCHEMA_DRIFT_FAIL_THRESHOLD`);
+            process.exitCode = 1;
+          }
+          if (result.error) {
+            process.exitCode = 1;
+            if (result.fatal) break;
+          }
+        }
+      })().catch(error => {
+        console.error('Unhandled error:', error);
+        process.exit(1);
+      });
+    } else {
+      // Run the daily tasks
+      runRealtorDailyTasks(zipCodes, options).catch(error => {
+        console.error('Unhandled error:', error);
+        process.exit(1);
+      });
+    }
   }
 } else {
   // Script is being imported as a module
   module.exports = {
     runRealtorDailyTasks,
     fetchRealtorDataForZipCode,
+    fetchRealtorDataForRadius,
+    parseSearchModes,
     getRealtorStatsForZipCode
   };
 }
@@ -1,20 +1,56 @@
 /**
  * Redfin daily task script that fetches property listings from Redfin
  * using the Apify Redfin scraper and stores the results in Supabase
+ *
+ * --mode=sale,sold,rent picks the searches to run (default: REDFIN_SEARCH_MODES or sale).
+ * Sold searches cover the last --sold-days (default: REDFIN_SOLD_WITHIN_DAYS or 180)
+ * and go to the redfin_sold_listing comps table; rent searches go to redfin_rental_listing
  */
 
 // Load environment variables
 require('dotenv').config();
 
+// Apply --record / --replay before the API clients are created
+const { applyFixtureModeArgs } = require('../utils/apify-fixtures');
+if (require.main === module) {
+  applyFixtureModeArgs(process.argv.slice(2));
+}
+
 // Import modules
 const { db } = require('../index');
 const { redfin } = require('../api');
 const models = require('../models');
-const { getZipGeoIdMapping } = require('../utils/config');
+const { getZipGeoIdMapping, getSchemaDriftConfig, getNumberFromEnv } = require('../utils/config');
+const { exceedsFailThreshold } = require('../utils/schema-drift');
+const { ApifyRunError } = require('../api/apify');
 
 // Configuration for zip codes
 const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
 
+// Raw data source, upsert function and lifecycle source (for-sale searches only) for each search mode
+const SEARCH_MODES = {
+  sale: { label: 'listings', source: 'redfin', process: models.redfinListing.processAndUpsertFromRedfin, lifecycleSource: 'redfin' },
+  sold: { label: 'sold listings', source: 'redfin-sold', process: models.redfinSoldListing.processAndUpsertFromRedfin },
+  rent: { label: 'rental listings', source: 'redfin-rent', process: models.redfinRentalListing.processAndUpsertFromRedfin }
+};
+
+/**
+ * Parse a comma-separated list of search modes
+ * @param {string} value - e.g. "sale,sold,rent"
+ * @returns {Array<string>} Valid search modes (default: sale)
+ */
+function parseSearchModes(value) {
+  const modes = (value || '').split(',').map(mode => mode.trim()).filter(Boolean);
+  
+  for (const mode of modes) {
+    if (!SEARCH_MODES[mode]) {
+      throw new Error(`Unknown Redfin search mode "${mode}". Use ${Object.keys(SEARCH_MODES).join(', ')}`);
+    }
+  }
+  
+  return modes.length > 0 ? modes : ['sale'];
+}
+
 /**
  * Test Supabase connection
  */
@@ -51,8 +87,17 @@ async function testSupabaseConnection() {
 /**
  * Main function to run the Redfin daily task for one or more zip codes
  * @param {string|string[]} zipCodes - Single zip code or array of zip codes to process
+ * @param {Object} options - Task options
+ * @param {Array<string>} options.modes - Search modes to run for every zip code
+ * @param {number} options.soldWithinDays - Window for sold searches
+ * @returns {Promise<Object>} Results keyed by zip code, then search mode
  */
-async function runRedfinDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
+async function runRedfinDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES, options = {}) {
+  const {
+    modes = parseSearchModes(process.env.REDFIN_SEARCH_MODES),
+    soldWithinDays = getNumberFromEnv('REDFIN_SOLD_WITHIN_DAYS', 180)
+  } = options;
+  
   try {
     // First test the Supabase connection
     await testSupabaseConnection();
@@ -68,6 +113,7 @@ async function runRedfinDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       : Object.keys(ZIP_GEOID_MAPPING);
     
     console.log(`Processing ${zipsToProcess.length} zip codes for Redfin listings: ${zipsToProcess.join(', ')}`);
+    console.log(`Search modes: ${modes.join(', ')}${modes.includes('sold') ? ` (sold within ${soldWithinDays} days)` : ''}`);
     
     // STEP 1: Pre-process all zip codes to ensure they exist in the database
     console.log('\n--- Pre-processing all zip codes ---');
@@ -84,22 +130,59 @@ async function runRedfinDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
     const zipResult = await models.zip.processZipCodes(filteredZips);
     console.log(`Zip codes processed: ${zipResult.inserted} inserted, ${zipResult.existing} existing, ${zipResult.errors} errors`);
     
-    // STEP 2: Process each zip code for Redfin listings
+    // STEP 2: Process each zip code for Redfin listings, one search per mode
     const results = {};
-    for (const zipCode of Object.keys(filteredZips)) {
-      console.log(`\n--- Processing Redfin listings for zip code: ${zipCode} ---`);
-      results[zipCode] = await fetchRedfinDataForZipCode(zipCode);
+    const schemaDriftConfig = getSchemaDriftConfig();
+    const searches = Object.keys(filteredZips).flatMap(zipCode => modes.map(mode => ({ zipCode, mode })));
+    for (let i = 0; i < searches.length; i++) {
+      const { zipCode, mode } = searches[i];
+      console.log(`\n--- Processing Redfin ${SEARCH_MODES[mode].label} for zip code: ${zipCode} ---`);
+      results[zipCode] = results[zipCode] || {};
+      const filters = mode === 'sold' ? { soldWithinDays } : {};
+      const result = await fetchRedfinDataForZipCode(zipCode, mode, filters);
+      results[zipCode][mode] = result;
+      
+      // Heavy drift means the transforms are likely producing nulls, so fail the task
+      if (exceedsFailThreshold(result.schemaDrift, schemaDriftConfig.failThreshold)) {
+        console.error(`Schema drift for zip ${zipCode} (${mode}): ${result.schemaDrift.issueCount} issue(s), above SCHEMA_DRIFT_FAIL_THRESHOLD=${schemaDriftConfig.failThreshold}`);
+        process.exitCode = 1;
+      }
+      
+      // Fatal errors (e.g. an invalid Apify token) would fail every remaining search
+      if (result.fatal) {
+        const remaining = searches.slice(i + 1);
+        console.error(`Fatal ${result.errorCode} error. Skipping remaining searches: ${remaining.map(s => `${s.zipCode} (${s.mode})`).join(', ') || 'none'}`);
+        for (const skipped of remaining) {
+          results[skipped.zipCode] = results[skipped.zipCode] || {};
+          results[skipped.zipCode][skipped.mode] = {
+            error: `Skipped after fatal ${result.errorCode} error for zip ${zipCode} (${mode})`,
+            errorCode: result.errorCode,
+            skipped: true,
+            listings: { inserted: 0, updated: 0, errors: 0 },
+            totalProcessed: 0,
+            validListings: 0
+          };
+        }
+        process.exitCode = 1;
+        break;
+      }
     }
     
     // Log summary
     console.log('\n--- Redfin Processing Summary ---');
-    for (const [zipCode, result] of Object.entries(results)) {
-      if (result.error) {
-        console.log(`Zip ${zipCode}: ERROR - ${result.error}`);
-      } else {
-        console.log(`Zip ${zipCode}:`);
-        console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged`);
-        console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+    for (const [zipCode, modeResults] of Object.entries(results)) {
+      for (const [mode, result] of Object.entries(modeResults)) {
+        if (result.error) {
+          const errorDetails = result.errorCode ? ` [${result.errorCode}${result.retryable ? ', retryable' : ''}${result.attempts ? `, ${result.attempts} attempt(s)` : ''}]` : '';
+          console.log(`Zip ${zipCode} (${mode}): ERROR - ${result.error}${errorDetails}`);
+        } else {
+          console.log(`Zip ${zipCode} (${mode}):`);
+          console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged, ${result.listings.skipped || 0} skipped`);
+          console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+          if (result.schemaDrift) {
+            console.log(`  Schema drift: ${result.schemaDrift.issueCount} issue(s), ${result.schemaDrift.newFields.length} new field(s)`);
+          }
+        }
       }
     }
     
@@ -113,10 +196,14 @@ async function runRedfinDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
 /**
  * Fetch and process Redfin data for a specific zip code
  * @param {string} zipCode - The zip code to process
+ * @param {string} mode - Search mode: sale (default), sold or rent
+ * @param {Object} filters - URL filter segments for the search
  */
-async function fetchRedfinDataForZipCode(zipCode) {
+async function fetchRedfinDataForZipCode(zipCode, mode = 'sale', filters = {}) {
+  const { label, source, process: processListings, lifecycleSource } = SEARCH_MODES[mode];
+  
   try {
-    console.log(`Fetching Redfin listings for zip code ${zipCode}...`);
+    console.log(`Fetching Redfin ${label} for zip code ${zipCode}...`);
     
     // STEP 1: Ensure the zip code exists in the database
     const geoIdV4 = ZIP_GEOID_MAPPING[zipCode];
@@ -124,8 +211,8 @@ async function fetchRedfinDataForZipCode(zipCode) {
     await models.zip.ensureZipExists(zipCode, geoIdV4);
     
     // STEP 2: Search for Redfin listings
-    console.log(`\n--- Searching Redfin listings for zip code ${zipCode} ---`);
-    const searchResults = await redfin.searchListingsByZipCode(zipCode);
+    console.log(`\n--- Searching Redfin ${label} for zip code ${zipCode} ---`);
+    const searchResults = await redfin.searchListingsByZipCode(zipCode, { mode, filters });
     
     // Store raw API response
     await models.apiData.storeRawApiData({
@@ -133,27 +220,58 @@ async function fetchRedfinDataForZipCode(zipCode) {
       totalItems: searchResults.totalItems,
       validListings: searchResults.validListings,
       listings: searchResults.listings
-    }, 'redfin', zipCode);
+    }, source, zipCode);
+    
+    // Check the raw items against the expected shape before they are transformed
+    const schemaDrift = await models.schemaDriftReport.checkAndStoreReport(source, searchResults.rawItems, redfin.getExpectedShape(mode), {
+      zipCode,
+      runId: searchResults.runId
+    });
+    
+    // Archive the untransformed items so they can be reprocessed later
+    await models.rawPayloadArchive.archiveRawItems(source, searchResults.rawItems, {
+      zipCode,
+      runId: searchResults.runId
+    });
     
     // STEP 3: Process and store/update listing data
-    console.log(`\n--- Processing Redfin listings for zip code ${zipCode} ---`);
-    const listingResult = await models.redfinListing.processAndUpsertFromRedfin(searchResults, zipCode);
+    console.log(`\n--- Processing Redfin ${label} for zip code ${zipCode} ---`);
+    const listingResult = await processListings(searchResults, zipCode);
     
     console.log(`\n--- Summary for zip code ${zipCode} ---`);
     console.log(`Listings: ${listingResult.inserted} new, ${listingResult.updated} updated, ${listingResult.unchanged || 0} unchanged, ${listingResult.skipped || 0} skipped, ${listingResult.errors} errors`);
     console.log(`Total processed: ${searchResults.totalItems}, Valid listings: ${searchResults.validListings}`);
     
+    // STEP 4: Track listing lifecycles (first and last seen, pending, delisted, sold, relisted)
+    let lifecycle = null;
+    if (lifecycleSource) {
+      try {
+        lifecycle = await models.listingLifecycle.recordScrape(lifecycleSource, zipCode, searchResults.listings);
+      } catch (error) {
+        console.warn(`Error tracking listing lifecycles for zip code ${zipCode}:`, error.message);
+      }
+    }
+    
     return {
       listings: listingResult,
       totalProcessed: searchResults.totalItems,
       validListings: searchResults.validListings,
-      runId: searchResults.runId
+      runId: searchResults.runId,
+      schemaDrift,
+      lifecycle
     };
   } catch (error) {
-    console.error(`Error processing Redfin data for zip code ${zipCode}:`, error.message);
+    console.error(`Error processing Redfin ${label} for zip code ${zipCode}:`, error.message);
     // Don't exit the process, just return an error result
+    // Apify errors carry a code so the caller can tell transient failures from fatal ones
+    const apifyError = error instanceof ApifyRunError ? error : null;
     return {
       error: error.message,
+      errorCode: apifyError ? apifyError.code : null,
+      retryable: apifyError ? apifyError.retryable : false,
+      fatal: apifyError ? apifyError.fatal : false,
+      attempts: apifyError ? apifyError.attempts : 0,
+      runId: apifyError ? apifyError.runId : null,
       listings: { inserted: 0, updated: 0, errors: 0 },
       totalProcessed: 0,
       validListings: 0
@@ -192,6 +310,8 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const zipCodesArg = args.find(arg => arg.startsWith('--zip='));
   const statsArg = args.find(arg => arg === '--stats');
+  const modeArg = args.find(arg => arg.startsWith('--mode='));
+  const soldDaysArg = args.find(arg => arg.startsWith('--sold-days='));
   const zipCodes = zipCodesArg ? zipCodesArg.replace('--zip=', '') : process.env.TARGET_ZIP_CODES;
   
   if (statsArg) {
@@ -216,7 +336,18 @@ if (require.main === module) {
       });
   } else {
     // Run the daily tasks
-    runRedfinDailyTasks(zipCodes).catch(error => {
+    const options = {};
+    try {
+      options.modes = parseSearchModes(modeArg ? modeArg.replace('--mode=', '') : process.env.REDFIN_SEARCH_MODES);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    if (soldDaysArg) {
+      options.soldWithinDays = parseInt(soldDaysArg.replace('--sold-days=', '')) || 180;
+    }
+    
+    runRedfinDailyTasks(zipCodes, options).catch(error => {
       console.error('Unhandled error:', error);
       process.exit(1);
     });
@@ -226,6 +357,7 @@ if (require.main === module) {
   module.exports = {
     runRedfinDailyTasks,
     fetchRedfinDataForZipCode,
+    parseSearchModes,
     getRedfinStatsForZipCode
   };
 }
@@ -11,7 +11,7 @@ require('dotenv').config();
 const supabaseUtils = require('../utils/supabase');
 const { rentCast } = require('../api');
 const models = require('../models');
-const { getZipGeoIdMapping } = require('../utils/config');
+const { getZipGeoIdMapping, getRentCastConfig, orderZipCodesByPriority } = require('../utils/config');
 
 // Configuration for zip codes
 const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
@@ -41,6 +41,8 @@ async function testSupabaseConnection() {
 
 /**
  * Main function to run the RentCast daily task for one or more zip codes
+ * Zip codes are processed in RENTCAST_ZIP_PRIORITY order so the request budget
+ * goes to the most important zips first; zips left when it runs out are skipped
  * @param {string|string[]} zipCodes - Single zip code or array of zip codes to process
  */
 async function runRentCastDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
@@ -63,18 +65,34 @@ async function runRentCastDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       return {};
     }
 
-    console.log(`Processing ${zipsToProcess.length} zip codes: ${zipsToProcess.join(', ')}`);
+    const orderedZips = orderZipCodesByPriority(zipsToProcess, getRentCastConfig().zipPriority);
+    console.log(`Processing ${orderedZips.length} zip codes in priority order: ${orderedZips.join(', ')}`);
+    
+    // One client so every request in the run is counted against the persisted quota ledger
+    const quota = await rentCast.RentCastQuota.fromConfig({ ledger: models.rentcastRequestLedger }).load();
+    const client = new rentCast.RentCastApiClient(undefined, { quota });
     
     // Process each zip code
     const results = {};
-    for (const zipCode of zipsToProcess) {
+    for (const zipCode of orderedZips) {
+      if (quota.isExhausted()) {
+        console.log(`\nRentCast request budget exhausted, skipping zip code ${zipCode}`);
+        results[zipCode] = { ...createEmptyResults(), skipped: true };
+        continue;
+      }
+      
       console.log(`\n--- Processing zip code: ${zipCode} ---`);
-      results[zipCode] = await fetchRentCastDataForZipCode(zipCode);
+      results[zipCode] = await fetchRentCastDataForZipCode(zipCode, client);
     }
     
     // Log summary
     console.log('\n--- Processing Summary ---');
     for (const [zipCode, result] of Object.entries(results)) {
+      if (result.skipped) {
+        console.log(`Zip ${zipCode}: skipped (RentCast request budget exhausted)`);
+        continue;
+      }
+      
       console.log(`Zip ${zipCode}:`);
       console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged`);
       
@@ -93,6 +111,8 @@ async function runRentCastDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       }
     }
     
+    quota.logSummary();
+    
     return results;
   } catch (error) {
     console.error('Error in RentCast daily tasks:', error);
@@ -100,27 +120,64 @@ async function runRentCastDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
   }
 }
 
+/**
+ * Create a zeroed result object for a zip code
+ * @returns {Object} Results per data type
+ */
+function createEmptyResults() {
+  return {
+    listings: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
+    agents: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
+    offices: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
+    builders: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
+    history: { inserted: 0, updated: 0, unchanged: 0, errors: 0 }
+  };
+}
+
+/**
+ * Print this month's RentCast requests by day and endpoint from the quota ledger
+ */
+async function showQuotaUsage() {
+  const config = getRentCastConfig();
+  const { startDate, endDate } = rentCast.getMonthRange(new Date());
+  const rows = await models.rentcastRequestLedger.findByDateRange(startDate, endDate);
+  
+  console.log(`\n--- RentCast Requests ${startDate} to ${endDate} ---`);
+  
+  const byEndpoint = {};
+  let total = 0;
+  for (const row of rows) {
+    console.log(`${row.request_date}  ${row.endpoint}: ${row.request_count}`);
+    byEndpoint[row.endpoint] = (byEndpoint[row.endpoint] || 0) + row.request_count;
+    total += row.request_count;
+  }
+  
+  console.log('\nBy endpoint:');
+  for (const [endpoint, count] of Object.entries(byEndpoint)) {
+    console.log(`  ${endpoint}: ${count}`);
+  }
+  console.log(`Total: ${total}${config.monthlyBudget !== null ? ` of ${config.monthlyBudget} (${Math.max(0, config.monthlyBudget - total)} remaining)` : ''}`);
+}
+
 /**
  * Fetch and process RentCast data for a specific zip code
  * @param {string} zipCode - The zip code to process
+ * @param {RentCastApiClient} client - Client whose quota the requests count against
  */
-async function fetchRentCastDataForZipCode(zipCode) {
+async function fetchRentCastDataForZipCode(zipCode, client = new rentCast.RentCastApiClient()) {
   try {
     console.log(`Fetching RentCast data for zip code ${zipCode}...`);
     
     // STEP 1: Get listings from RentCast API for this zip code
     console.log(`\n--- Getting RentCast listings for zip code ${zipCode} ---`);
-    const rentcastListings = await rentCast.getAllListingsInZipCode(zipCode);
+    const rentcastListings = await rentCast.getAllListingsInZipCode(zipCode, { client });
     console.log(`Found ${rentcastListings.length} RentCast listings for zip code ${zipCode}`);
     
+    // Archive the raw listings so they can be reprocessed later
+    await models.rawPayloadArchive.archiveRawItems('rentcast', rentcastListings, { zipCode });
+    
     // Initialize results
-    const results = {
-      listings: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
-      agents: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
-      offices: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
-      builders: { inserted: 0, updated: 0, unchanged: 0, errors: 0 },
-      history: { inserted: 0, updated: 0, unchanged: 0, errors: 0 }
-    };
+    const results = createEmptyResults();
     
     // STEP 2: Process each listing
     console.log(`\n--- Processing listings for zip code ${zipCode} ---`);
@@ -311,15 +368,24 @@ if (require.main === module) {
   const zipCodesArg = args.find(arg => arg.startsWith('--zip='));
   const zipCodes = zipCodesArg ? zipCodesArg.replace('--zip=', '') : process.env.TARGET_ZIP_CODES;
   
-  // Run the RentCast daily tasks
-  runRentCastDailyTasks(zipCodes).catch(error => {
-    console.error('Unhandled error:', error);
-    process.exit(1);
-  });
+  if (args.includes('--quota')) {
+    showQuotaUsage().catch(error => {
+      console.error('Unhandled error:', error);
+      process.exit(1);
+    });
+  } else {
+    // Run the RentCast daily tasks
+    runRentCastDailyTasks(zipCodes).catch(error => {
+      console.error('Unhandled error:', error);
+      process.exit(1);
+    });
+  }
 } else {
   // Script is being imported as a module
   module.exports = {
     runRentCastDailyTasks,
-    fetchRentCastDataForZipCode
+    fetchRentCastDataForZipCode,
+    processRentCastListing,
+    showQuotaUsage
   };
 }
@@ -0,0 +1,222 @@
+/**
+ * RentCast Rent Task Script
+ * Ingests long-term rental listings per zip code and requests a RentCast rent
+ * estimate (avm/rent/long-term) for merged listings so investment metrics can
+ * use a property-specific rent instead of the zip/bedroom median
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const { rentCast } = require('../api');
+const models = require('../models');
+const { getZipGeoIdMapping, getRentCastConfig, orderZipCodesByPriority } = require('../utils/config');
+
+// Configuration for zip codes
+const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
+
+// Merged listing property types mapped to the values RentCast accepts
+const RENTCAST_PROPERTY_TYPES = {
+  single_family: 'Single Family',
+  singlefamily: 'Single Family',
+  single_family_residential: 'Single Family',
+  condo: 'Condo',
+  condominium: 'Condo',
+  townhouse: 'Townhouse',
+  townhome: 'Townhouse',
+  manufactured: 'Manufactured',
+  mobile: 'Manufactured',
+  multi_family: 'Multi-Family',
+  multifamily: 'Multi-Family',
+  apartment: 'Apartment'
+};
+
+/**
+ * Main function to run the RentCast rent task
+ * @param {Object} options - Task options
+ * @param {string|string[]} options.zipCodes - Zip codes to process
+ * @param {number} options.limit - Maximum number of rent estimates to request (the RentCast request budget may stop it sooner)
+ * @param {number} options.staleDays - Re-estimate listings whose latest estimate is older than this many days
+ * @param {boolean} options.skipRentals - Skip rental listing ingestion
+ * @param {boolean} options.skipEstimates - Skip rent estimates
+ * @returns {Promise<Object>} Task summary
+ */
+async function runRentCastRentTask({
+  zipCodes = process.env.TARGET_ZIP_CODES,
+  limit = 50,
+  staleDays = 30,
+  skipRentals = false,
+  skipEstimates = false
+} = {}) {
+  const targetZipCodes = Array.isArray(zipCodes)
+    ? zipCodes
+    : (zipCodes || '').split(',').map(zip => zip.trim()).filter(Boolean);
+  
+  const zipsToProcess = orderZipCodesByPriority(
+    targetZipCodes.length > 0 ? targetZipCodes : Object.keys(ZIP_GEOID_MAPPING),
+    getRentCastConfig().zipPriority
+  );
+  
+  const summary = {
+    rentals: { inserted: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0 },
+    estimates: { inserted: 0, updated: 0, unchanged: 0, skipped: 0, errors: 0 },
+    requested: 0,
+    budgetExhausted: false
+  };
+  
+  if (zipsToProcess.length === 0) {
+    console.warn('No zip codes specified or found in mapping. Exiting script.');
+    return summary;
+  }
+  
+  console.log(`Processing ${zipsToProcess.length} zip codes in priority order: ${zipsToProcess.join(', ')}`);
+  
+  // One client so every request in the run is counted against the persisted quota ledger
+  const quota = await rentCast.RentCastQuota.fromConfig({ ledger: models.rentcastRequestLedger }).load();
+  const client = new rentCast.RentCastApiClient(undefined, { quota });
+  
+  // STEP 1: Rental listings, which RentCast also uses as comparables
+  if (!skipRentals) {
+    for (const zipCode of zipsToProcess) {
+      console.log(`\n--- Getting RentCast rental listings for zip code ${zipCode} ---`);
+      try {
+        const rentals = await rentCast.getAllRentalListingsInZipCode(zipCode, { client });
+        await models.rawPayloadArchive.archiveRawItems('rentcast-rental', rentals, { zipCode });
+        
+        for (const rental of rentals) {
+          const result = await models.rentcastRentalListing.processAndUpsertFromRentCast(rental);
+          addResult(summary.rentals, result);
+        }
+      } catch (error) {
+        console.error(`Error processing rental listings for zip code ${zipCode}:`, error.message);
+        summary.rentals.errors++;
+      }
+    }
+  }
+  
+  // STEP 2: Rent estimates for merged listings without a recent estimate
+  if (!skipEstimates) {
+    for (const zipCode of zipsToProcess) {
+      const remaining = Math.min(limit - summary.requested, quota.getRemaining());
+      if (remaining <= 0) {
+        console.log(quota.isExhausted()
+          ? 'RentCast request budget exhausted, skipping remaining rent estimates'
+          : `Rent estimate limit of ${limit} reached, skipping remaining zip codes`);
+        break;
+      }
+      
+      console.log(`\n--- Getting RentCast rent estimates for zip code ${zipCode} ---`);
+      
+      const listings = await models.rentcastRentEstimate.findListingsNeedingEstimate({
+        zipCode,
+        staleDays,
+        limit: remaining
+      });
+      console.log(`Found ${listings.length} merged listings needing a rent estimate`);
+      
+      for (const listing of listings) {
+        if (quota.isExhausted()) {
+          break;
+        }
+        
+        summary.requested++;
+        
+        try {
+          const estimate = await rentCast.getRentEstimate(buildRentEstimateProperty(listing), { client });
+          const result = await models.rentcastRentEstimate.processAndUpsertFromRentCast(listing, estimate);
+          addResult(summary.estimates, result);
+          
+          if (estimate?.rent) {
+            console.log(`Listing ${listing.the_real_deal_id} (${listing.address}): $${estimate.rent}/month ($${estimate.rentRangeLow} - $${estimate.rentRangeHigh}), ${(estimate.comparables || []).length} comparables`);
+          }
+        } catch (error) {
+          console.error(`Error getting rent estimate for listing ${listing.the_real_deal_id}:`, error.message);
+          summary.estimates.errors++;
+        }
+        
+        // Add a small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+  
+  console.log('\n--- RentCast Rent Task Summary ---');
+  console.log(`Rental listings: ${summary.rentals.inserted} new, ${summary.rentals.updated} updated, ${summary.rentals.unchanged} unchanged, ${summary.rentals.skipped} skipped, ${summary.rentals.errors} errors`);
+  console.log(`Rent estimates: ${summary.requested} requested, ${summary.estimates.inserted} new, ${summary.estimates.updated} updated, ${summary.estimates.unchanged} unchanged, ${summary.estimates.skipped} skipped, ${summary.estimates.errors} errors`);
+  
+  summary.budgetExhausted = quota.isExhausted();
+  quota.logSummary();
+  
+  return summary;
+}
+
+/**
+ * Build the avm/rent/long-term request attributes for a merged listing
+ * @param {Object} listing - Merged listing
+ * @returns {Object} Property attributes for rentCast.getRentEstimate
+ */
+function buildRentEstimateProperty(listing) {
+  const addressParts = [listing.address, listing.city, [listing.state, listing.zip5].filter(Boolean).join(' ')]
+    .filter(Boolean);
+  
+  return {
+    address: addressParts.join(', '),
+    latitude: listing.lat,
+    longitude: listing.lon,
+    propertyType: mapPropertyType(listing.property_type),
+    bedrooms: listing.bedrooms,
+    bathrooms: listing.bathrooms,
+    squareFootage: listing.sqft
+  };
+}
+
+/**
+ * Map a merged listing property type to a RentCast property type
+ * @param {string} propertyType - Merged listing property type (e.g. SINGLE_FAMILY, Condo)
+ * @returns {string|null} RentCast property type or null if unknown
+ */
+function mapPropertyType(propertyType) {
+  if (!propertyType) return null;
+  
+  const key = String(propertyType).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return RENTCAST_PROPERTY_TYPES[key] || null;
+}
+
+function addResult(totals, result) {
+  for (const key of Object.keys(totals)) {
+    totals[key] += result[key] || 0;
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : null;
+  };
+  
+  const options = {
+    zipCodes: getArg('zip') || process.env.TARGET_ZIP_CODES,
+    limit: parseInt(getArg('limit')) || 50,
+    staleDays: getArg('stale-days') !== null ? parseInt(getArg('stale-days')) : 30,
+    skipRentals: args.includes('--skip-rentals'),
+    skipEstimates: args.includes('--skip-estimates')
+  };
+  
+  runRentCastRentTask(options)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Unhandled error:', error);
+      process.exit(1);
+    });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    runRentCastRentTask,
+    buildRentEstimateProperty,
+    mapPropertyType
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Reprocess Raw Payloads Script
+ * Re-runs the current transforms and upserts over archived raw items, so newly
+ * mapped columns can be backfilled without paying for new scrapes
+ *
+ * Only the newest archive of each source and zip code is replayed, and only when
+ * no later archive exists, so current rows are never rolled back to older prices
+ * or statuses
+ *
+ * Usage:
+ *   node scripts/reprocess-raw-payloads.js --from=2026-09-01 --to=2026-09-30
+ *   node scripts/reprocess-raw-payloads.js --from=2026-09-01 --source=zillow,zillow-sold --zip=16146
+ *   node scripts/reprocess-raw-payloads.js --from=2026-09-01 --dry-run
+ *   node scripts/reprocess-raw-payloads.js --prune
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const { zillow, redfin, realtor } = require('../api');
+const models = require('../models');
+const { getSourceAdapters } = require('../models/source-adapters');
+const { getRawArchiveConfig } = require('../utils/config');
+
+/**
+ * Upsert raw RentCast sale listings the same way the daily task does
+ * Required lazily so the daily task's module setup only runs for RentCast archives
+ * @param {Array<Object>} items - Raw RentCast listings
+ * @returns {Promise<Object>} Listing results
+ */
+async function reprocessRentCastListings(items) {
+  const { processRentCastListing } = require('./rentcast-daily-task');
+  const result = { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0 };
+  
+  for (const item of items) {
+    const itemResult = await processRentCastListing(item);
+    addResult(result, itemResult.listings);
+  }
+  
+  return result;
+}
+
+/**
+ * Upsert raw RentCast rental listings one by one
+ * @param {Array<Object>} items - Raw RentCast rental listings
+ * @returns {Promise<Object>} Listing results
+ */
+async function reprocessRentCastRentals(items) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0 };
+  
+  for (const item of items) {
+    addResult(result, await models.rentcastRentalListing.processAndUpsertFromRentCast(item));
+  }
+  
+  return result;
+}
+
+/**
+ * Build a reprocessor for a Realtor search mode
+ * @param {string} mode - BUY, RENT or SOLD
+ * @param {Object} model - Model with processAndUpsertFromRealtor
+ * @returns {Function} Reprocessor
+ */
+function realtorReprocessor(mode, model) {
+  return (items, zipCode) => {
+    const searchResults = realtor.listings.processSearchResults({ items, itemCount: items.length }, zipCode, mode);
+    return model.processAndUpsertFromRealtor(searchResults, zipCode);
+  };
+}
+
+/**
+ * Build a reprocessor from a listing source adapter
+ * @param {Object} adapter - Source adapter
+ * @returns {Function} Reprocessor
+ */
+function adapterReprocessor(adapter) {
+  return (items, zipCode) => adapter.upsert({ listings: adapter.transform(items, zipCode) }, zipCode);
+}
+
+// Transform and upsert for each archived source, matching the daily tasks;
+// the for-sale listing sources come from their adapters
+const REPROCESSORS = {
+  ...Object.fromEntries(getSourceAdapters().map(adapter => [adapter.rawSource, adapterReprocessor(adapter)])),
+  'zillow-sold': (items, zipCode) => models.zillowSoldListing.processAndUpsertFromZillow({ listings: zillow.transformListings(items, zipCode, 'sold') }, zipCode),
+  'zillow-rent': (items, zipCode) => models.zillowRentalListing.processAndUpsertFromZillow({ listings: zillow.transformListings(items, zipCode, 'rent') }, zipCode),
+  'redfin-sold': (items, zipCode) => models.redfinSoldListing.processAndUpsertFromRedfin({ listings: redfin.transformListings(items, zipCode, 'sold') }, zipCode),
+  'redfin-rent': (items, zipCode) => models.redfinRentalListing.processAndUpsertFromRedfin({ listings: redfin.transformListings(items, zipCode, 'rent') }, zipCode),
+  'realtor-rent': realtorReprocessor('RENT', models.realtorRentalListing),
+  'realtor-sold': realtorReprocessor('SOLD', models.realtorSoldListing),
+  rentcast: items => reprocessRentCastListings(items),
+  'rentcast-rental': items => reprocessRentCastRentals(items)
+};
+
+/**
+ * Reprocess the newest archived payload of each source and zip code fetched between two dates
+ * @param {Object} options - Reprocess options
+ * @param {string} options.from - First fetch day in YYYY-MM-DD format
+ * @param {string} options.to - Last fetch day in YYYY-MM-DD format (default: today)
+ * @param {Array<string>} options.sources - Only these sources (default: all)
+ * @param {Array<string>} options.zipCodes - Only these zip codes (default: all)
+ * @param {boolean} options.dryRun - List the archives without reprocessing them
+ * @returns {Promise<Object>} Totals across all archives
+ */
+async function reprocessRawPayloads({
+  from,
+  to = new Date().toISOString().split('T')[0],
+  sources = [],
+  zipCodes = [],
+  dryRun = false
+} = {}) {
+  if (!from) {
+    throw new Error('A start date is required (--from=YYYY-MM-DD)');
+  }
+  
+  const unknownSources = sources.filter(source => !REPROCESSORS[source]);
+  if (unknownSources.length > 0) {
+    throw new Error(`Unknown source(s) ${unknownSources.join(', ')}. Use ${Object.keys(REPROCESSORS).join(', ')}`);
+  }
+  
+  const found = await models.rawPayloadArchive.findByDateRange(from, to, { sources, zipCodes });
+  console.log(`Found ${found.length} archived runs fetched ${from} to ${to}${sources.length ? ` for ${sources.join(', ')}` : ''}`);
+  
+  // Older runs would overwrite the listings with what they were back then
+  const archives = await getLatestArchives(found, to, { sources, zipCodes });
+  console.log(`Reprocessing the newest run of ${archives.length} source and zip code pairs`);
+  
+  const totals = { archives: 0, items: 0, inserted: 0, updated: 0, unchanged: 0, errors: 0, skipped: 0, failedArchives: 0 };
+  
+  for (const archive of archives) {
+    const label = `${archive.source} ${archive.zip_code || ''} (${archive.fetched_at}, ${archive.item_count} items)`;
+    
+    if (dryRun) {
+      console.log(`Would reprocess ${label}`);
+      continue;
+    }
+    
+    const reprocess = REPROCESSORS[archive.source];
+    if (!reprocess) {
+      console.warn(`No reprocessor for source ${archive.source}, skipping archive ${archive.id}`);
+      continue;
+    }
+    
+    try {
+      console.log(`\n--- Reprocessing ${label} ---`);
+      const items = await models.rawPayloadArchive.getRawItems(archive.id);
+      
+      // Radius searches have no zip code; listings fall back to their own postal code
+      const zipCode = archive.zip_code && !archive.zip_code.startsWith('radius:') ? archive.zip_code : null;
+      const result = await reprocess(items, zipCode);
+      
+      console.log(`Listings: ${result.inserted} new, ${result.updated} updated, ${result.unchanged || 0} unchanged, ${result.skipped || 0} skipped, ${result.errors} errors`);
+      addResult(totals, result);
+      totals.archives++;
+      totals.items += items.length;
+    } catch (error) {
+      console.error(`Error reprocessing archive ${archive.id}:`, error.message);
+      totals.failedArchives++;
+    }
+  }
+  
+  if (!dryRun) {
+    console.log('\n--- Reprocess Summary ---');
+    console.log(`Archives: ${totals.archives} reprocessed, ${totals.failedArchives} failed (${totals.items} items)`);
+    console.log(`Listings: ${totals.inserted} new, ${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.skipped} skipped, ${totals.errors} errors`);
+  }
+  
+  return totals;
+}
+
+/**
+ * Delete archives older than RAW_ARCHIVE_RETENTION_DAYS
+ * @returns {Promise<number>} Number of archives deleted
+ */
+async function pruneRawPayloads() {
+  const { retentionDays } = getRawArchiveConfig();
+  const deleted = await models.rawPayloadArchive.pruneExpired(retentionDays);
+  console.log(`Deleted ${deleted} raw payload archives older than ${retentionDays} days`);
+  return deleted;
+}
+
+/**
+ * Keep the newest archive of each source and zip code, dropping pairs that
+ * have a later archive after the date range
+ * @param {Array<Object>} archives - Archive metadata, oldest first
+ * @param {string} to - Last fetch day of the range in YYYY-MM-DD format
+ * @param {Object} filters - { sources, zipCodes } passed to findByDateRange
+ * @returns {Promise<Array<Object>>} Archives to reprocess, oldest first
+ */
+async function getLatestArchives(archives, to, filters) {
+  const latest = new Map();
+  for (const archive of archives) {
+    latest.set(getArchiveKey(archive), archive);
+  }
+  
+  const today = new Date().toISOString().split('T')[0];
+  if (to >= today || latest.size === 0) {
+    return [...latest.values()];
+  }
+  
+  const dayAfter = new Date(Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const later = await models.rawPayloadArchive.findByDateRange(dayAfter, today, filters);
+  const newer = new Map(later.map(archive => [getArchiveKey(archive), archive]));
+  
+  return [...latest.values()].filter(archive => {
+    const newerArchive = newer.get(getArchiveKey(archive));
+    if (newerArchive) {
+      console.warn(`Skipping ${archive.source} ${archive.zip_code || ''}: a newer run was fetched ${newerArchive.fetched_at} (extend --to to reprocess it)`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Key an archive by its source and zip code
+ * @param {Object} archive - Archive metadata
+ * @returns {string} Key
+ */
+function getArchiveKey(archive) {
+  return `${archive.source}|${archive.zip_code || ''}`;
+}
+
+/**
+ * Add one upsert result to running totals
+ * @param {Object} totals - Running totals
+ * @param {Object} result - Upsert result
+ */
+function addResult(totals, result = {}) {
+  for (const key of ['inserted', 'updated', 'unchanged', 'errors', 'skipped']) {
+    totals[key] += result[key] || 0;
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : null;
+  };
+  const getList = name => (getArg(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+  
+  const task = args.includes('--prune')
+    ? pruneRawPayloads()
+    : reprocessRawPayloads({
+      from: getArg('from'),
+      to: getArg('to') || undefined,
+      sources: getList('source'),
+      zipCodes: getList('zip'),
+      dryRun: args.includes('--dry-run')
+    }).then(totals => {
+      if (totals.failedArchives > 0) process.exitCode = 1;
+    });
+  
+  task.catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    REPROCESSORS,
+    reprocessRawPayloads,
+    pruneRawPayloads
+  };
+}
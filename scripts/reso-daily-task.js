@@ -0,0 +1,177 @@
+/**
+ * RESO Daily Task Script
+ * Syncs MLS listings from the RESO Web API feed and stores them in the database
+ * Each zip code only asks for records modified at or after its latest stored
+ * ModificationTimestamp, so daily runs stay small
+ *
+ * Usage:
+ *   node scripts/reso-daily-task.js
+ *   node scripts/reso-daily-task.js --zip=16146,16148
+ *   node scripts/reso-daily-task.js --full    # Ignore stored timestamps and resync everything
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import modules
+const { reso } = require('../api');
+const models = require('../models');
+const { getZipGeoIdMapping, getResoConfig, getSchemaDriftConfig } = require('../utils/config');
+const { exceedsFailThreshold } = require('../utils/schema-drift');
+
+// Configuration for zip codes
+const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
+
+/**
+ * Main function to run the RESO sync for one or more zip codes
+ * @param {string|string[]} zipCodes - Single zip code or array of zip codes to process
+ * @param {Object} options - Sync options
+ * @param {boolean} options.full - Ignore stored timestamps and fetch every record
+ * @returns {Promise<Object>} Results per zip code
+ */
+async function runResoDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES, options = {}) {
+  const { full = false } = options;
+  
+  try {
+    if (!getResoConfig().baseUrl) {
+      console.log('RESO feed is not configured (RESO_BASE_URL). Skipping.');
+      return {};
+    }
+    
+    // Parse zip codes from input
+    const targetZipCodes = Array.isArray(zipCodes)
+      ? zipCodes
+      : (zipCodes || '').split(',').map(zip => zip.trim()).filter(Boolean);
+    
+    // If no zip codes specified and we have a mapping, use all configured zip codes
+    const zipsToProcess = targetZipCodes.length > 0
+      ? targetZipCodes
+      : Object.keys(ZIP_GEOID_MAPPING);
+    
+    if (zipsToProcess.length === 0) {
+      console.warn('No zip codes specified or found in mapping. Exiting script.');
+      return {};
+    }
+    
+    console.log(`Syncing RESO listings for ${zipsToProcess.length} zip codes: ${zipsToProcess.join(', ')}${full ? ' (full resync)' : ''}`);
+    
+    // One client so the access token is reused across zip codes
+    const client = new reso.ResoApiClient();
+    const schemaDriftConfig = getSchemaDriftConfig();
+    
+    const results = {};
+    for (const zipCode of zipsToProcess) {
+      console.log(`\n--- Processing zip code: ${zipCode} ---`);
+      const result = await fetchResoDataForZipCode(zipCode, { client, full });
+      results[zipCode] = result;
+      
+      if (result.error) {
+        process.exitCode = 1;
+      }
+      
+      // Heavy drift means the transform is likely producing nulls, so fail the task
+      if (exceedsFailThreshold(result.schemaDrift, schemaDriftConfig.failThreshold)) {
+        console.error(`Schema drift for zip ${zipCode}: ${result.schemaDrift.issueCount} issue(s), above SCHEMA_DRIFT_FAIL_THRESHOLD=${schemaDriftConfig.failThreshold}`);
+        process.exitCode = 1;
+      }
+    }
+    
+    // Log summary
+    console.log('\n--- RESO Processing Summary ---');
+    for (const [zipCode, result] of Object.entries(results)) {
+      if (result.error) {
+        console.log(`Zip ${zipCode}: ERROR - ${result.error}`);
+        continue;
+      }
+      
+      console.log(`Zip ${zipCode}: ${result.modifiedSince ? `modified since ${result.modifiedSince}` : 'full sync'}`);
+      console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged, ${result.listings.skipped || 0} skipped`);
+      console.log(`  Records fetched: ${result.totalProcessed}${result.truncated ? ' (stopped at RESO_MAX_PAGES; the next run continues from here)' : ''}`);
+      if (result.schemaDrift) {
+        console.log(`  Schema drift: ${result.schemaDrift.issueCount} issue(s), ${result.schemaDrift.newFields.length} new field(s)`);
+      }
+    }
+    
+    return results;
+  } catch (error) {
+    console.error('Error in RESO daily tasks:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Fetch and process RESO records for a specific zip code
+ * @param {string} zipCode - The zip code to process
+ * @param {Object} options - Sync options
+ * @param {ResoApiClient} options.client - Client to use (default: a new client)
+ * @param {boolean} options.full - Ignore the stored timestamp and fetch every record
+ * @returns {Promise<Object>} Results for the zip code
+ */
+async function fetchResoDataForZipCode(zipCode, options = {}) {
+  const { client = new reso.ResoApiClient(), full = false } = options;
+  
+  try {
+    // STEP 1: Find where the last sync for this zip code stopped
+    const modifiedSince = full ? null : await models.resoListing.getLatestModificationTimestamp(zipCode);
+    
+    // STEP 2: Fetch the records modified since then
+    console.log(`\n--- Searching RESO listings for zip code ${zipCode} ---`);
+    const searchResults = await reso.searchListingsByZipCode(zipCode, { client, modifiedSince });
+    
+    // Store raw API response
+    await models.apiData.storeRawApiData({
+      totalItems: searchResults.totalItems,
+      listings: searchResults.listings
+    }, 'reso', zipCode);
+    
+    // Check the raw records against the expected shape before they are transformed
+    const schemaDrift = await models.schemaDriftReport.checkAndStoreReport('reso', searchResults.rawItems, reso.getExpectedShape(), {
+      zipCode
+    });
+    
+    // Archive the untransformed records so they can be reprocessed later
+    await models.rawPayloadArchive.archiveRawItems('reso', searchResults.rawItems, { zipCode });
+    
+    // STEP 3: Process and store/update listing data
+    console.log(`\n--- Processing RESO listings for zip code ${zipCode} ---`);
+    const listingResult = await models.resoListing.processAndUpsertFromReso(searchResults, zipCode);
+    
+    console.log(`\n--- Summary for zip code ${zipCode} ---`);
+    console.log(`Listings: ${listingResult.inserted} new, ${listingResult.updated} updated, ${listingResult.unchanged || 0} unchanged, ${listingResult.skipped || 0} skipped, ${listingResult.errors} errors`);
+    
+    return {
+      listings: listingResult,
+      totalProcessed: searchResults.totalItems,
+      truncated: searchResults.truncated,
+      modifiedSince,
+      schemaDrift
+    };
+  } catch (error) {
+    console.error(`Error processing RESO listings for zip code ${zipCode}:`, error.message);
+    // Don't exit the process, just return an error result
+    return {
+      error: error.message,
+      listings: { inserted: 0, updated: 0, errors: 0 },
+      totalProcessed: 0
+    };
+  }
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const zipCodesArg = args.find(arg => arg.startsWith('--zip='));
+  const zipCodes = zipCodesArg ? zipCodesArg.replace('--zip=', '') : process.env.TARGET_ZIP_CODES;
+  
+  runResoDailyTasks(zipCodes, { full: args.includes('--full') }).catch(error => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    runResoDailyTasks,
+    fetchResoDataForZipCode
+  };
+}
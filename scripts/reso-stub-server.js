@@ -0,0 +1,323 @@
+/**
+ * RESO Stub Server Script
+ * Serves a local OAuth token endpoint and an OData Property resource from a JSON
+ * file, so the RESO client and daily task can be exercised without MLS access
+ *
+ * Supports client-credentials tokens, $filter (eq, ne, gt, ge, lt, le, and, or,
+ * not and parentheses), $select, $orderby, $top, $skip and, with --next-links,
+ * @odata.nextLink paging
+ *
+ * Usage:
+ *   node scripts/reso-stub-server.js
+ *   node scripts/reso-stub-server.js --port=8089 --data=fixtures/reso/property.json --next-links
+ *
+ * Then point the client at it:
+ *   RESO_BASE_URL=http://localhost:8089/odata RESO_TOKEN_URL=http://localhost:8089/token \
+ *   RESO_CLIENT_ID=stub RESO_CLIENT_SECRET=stub node scripts/reso-daily-task.js --zip=16146
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'fixtures', 'reso', 'property.json');
+const DEFAULT_PORT = 8089;
+const MAX_PAGE_SIZE = 100;
+const TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Split a $filter expression into tokens
+ * @param {string} filter - $filter expression
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeFilter(filter) {
+  const tokens = [];
+  const pattern = /\s*('(?:[^']|'')*'|\(|\)|[^\s()]+)/g;
+  let match;
+  
+  while ((match = pattern.exec(filter)) !== null) {
+    if (match[1]) tokens.push(match[1]);
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse a $filter literal
+ * @param {string} token - Literal token
+ * @returns {any} String, number, boolean, null or Date
+ */
+function parseLiteral(token) {
+  if (token.startsWith("'")) return token.slice(1, -1).replace(/''/g, "'");
+  if (token === 'null') return null;
+  if (token === 'true' || token === 'false') return token === 'true';
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(token)) return new Date(token);
+  
+  const number = Number(token);
+  if (Number.isNaN(number)) {
+    throw new Error(`Unsupported literal ${token}`);
+  }
+  return number;
+}
+
+/**
+ * Compare a record value with a literal
+ * @param {any} value - Record value
+ * @param {string} operator - eq, ne, gt, ge, lt or le
+ * @param {any} literal - Parsed literal
+ * @returns {boolean} Comparison result
+ */
+function compare(value, operator, literal) {
+  let left = value;
+  let right = literal;
+  
+  if (literal instanceof Date) {
+    left = value == null ? NaN : Date.parse(value);
+    right = literal.getTime();
+  }
+  
+  switch (operator) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'gt': return left != null && left > right;
+    case 'ge': return left != null && left >= right;
+    case 'lt': return left != null && left < right;
+    case 'le': return left != null && left <= right;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+/**
+ * Compile a $filter expression into a predicate
+ * @param {string} filter - $filter expression
+ * @returns {Function} record -> boolean
+ */
+function compileFilter(filter) {
+  if (!filter) return () => true;
+  
+  const tokens = tokenizeFilter(filter);
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === 'or') {
+      next();
+      const right = parseAnd();
+      const current = left;
+      left = record => current(record) || right(record);
+    }
+    return left;
+  };
+  
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (peek() === 'and') {
+      next();
+      const right = parseUnary();
+      const current = left;
+      left = record => current(record) && right(record);
+    }
+    return left;
+  };
+  
+  const parseUnary = () => {
+    if (peek() === 'not') {
+      next();
+      const operand = parseUnary();
+      return record => !operand(record);
+    }
+    
+    if (peek() === '(') {
+      next();
+      const inner = parseOr();
+      if (next() !== ')') throw new Error('Missing closing parenthesis');
+      return inner;
+    }
+    
+    const field = next();
+    const operator = next();
+    const literalToken = next();
+    if (!field || !operator || literalToken === undefined) {
+      throw new Error('Incomplete comparison');
+    }
+    
+    const literal = parseLiteral(literalToken);
+    return record => compare(record[field], operator, literal);
+  };
+  
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token ${tokens[position]}`);
+  }
+  return predicate;
+}
+
+/**
+ * Sort records by an $orderby expression
+ * @param {Array<Object>} records - Records
+ * @param {string} orderBy - e.g. "ModificationTimestamp asc, ListingKey desc"
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortRecords(records, orderBy) {
+  if (!orderBy) return records.slice();
+  
+  const keys = orderBy.split(',').map(part => {
+    const [field, direction = 'asc'] = part.trim().split(/\s+/);
+    return { field, descending: direction.toLowerCase() === 'desc' };
+  });
+  
+  return records.slice().sort((a, b) => {
+    for (const { field, descending } of keys) {
+      if (a[field] === b[field]) continue;
+      if (a[field] == null) return 1;
+      if (b[field] == null) return -1;
+      const order = a[field] < b[field] ? -1 : 1;
+      return descending ? -order : order;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Create the stub server
+ * @param {Object} options - Server options
+ * @param {Array<Object>} options.records - Property records to serve
+ * @param {string} options.clientId - Accepted client ID (default: any)
+ * @param {string} options.clientSecret - Accepted client secret (default: any)
+ * @param {boolean} options.nextLinks - Cap pages at 100 records and page with @odata.nextLink
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createStubServer({ records = [], clientId = null, clientSecret = null, nextLinks = false } = {}) {
+  const tokens = new Map();
+  
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  
+  const handleToken = (req, res, body) => {
+    const form = new URLSearchParams(body);
+    
+    if (form.get('grant_type') !== 'client_credentials') {
+      return send(res, 400, { error: 'unsupported_grant_type' });
+    }
+    
+    const idMatches = clientId ? form.get('client_id') === clientId : !!form.get('client_id');
+    const secretMatches = clientSecret ? form.get('client_secret') === clientSecret : !!form.get('client_secret');
+    if (!idMatches || !secretMatches) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+    
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    send(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+  };
+  
+  const handleProperty = (req, res, url) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token) || tokens.get(token) < Date.now()) {
+      return send(res, 401, { error: { code: 'Unauthorized', message: 'Missing or expired access token' } });
+    }
+    
+    const params = url.searchParams;
+    let predicate;
+    try {
+      predicate = compileFilter(params.get('$filter'));
+    } catch (error) {
+      return send(res, 400, { error: { code: 'BadRequest', message: `Invalid $filter: ${error.message}` } });
+    }
+    
+    const matching = sortRecords(records.filter(predicate), params.get('$orderby'));
+    // Like real servers, cap the page size when paging with next links
+    const requestedTop = parseInt(params.get('$top') || MAX_PAGE_SIZE, 10);
+    const top = nextLinks ? Math.min(requestedTop, MAX_PAGE_SIZE) : requestedTop;
+    const skip = parseInt(params.get('$skip') || '0', 10);
+    const select = params.get('$select') ? params.get('$select').split(',').map(field => field.trim()) : null;
+    
+    const value = matching.slice(skip, skip + top).map(record => {
+      if (!select) return record;
+      return select.reduce((projected, field) => {
+        if (record[field] !== undefined) projected[field] = record[field];
+        return projected;
+      }, {});
+    });
+    
+    const body = { '@odata.context': `${url.origin}/odata/$metadata#Property`, value };
+    
+    if (nextLinks && skip + top < matching.length) {
+      const nextUrl = new URL(url.href);
+      nextUrl.searchParams.set('$skip', String(skip + top));
+      nextUrl.searchParams.set('$top', String(top));
+      body['@odata.nextLink'] = nextUrl.href;
+    }
+    
+    send(res, 200, body);
+  };
+  
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      console.log(`${req.method} ${url.pathname}${url.search}`);
+      
+      if (req.method === 'POST' && url.pathname === '/token') {
+        return handleToken(req, res, body);
+      }
+      
+      if (req.method === 'GET' && url.pathname === '/odata/Property') {
+        return handleProperty(req, res, url);
+      }
+      
+      send(res, 404, { error: { code: 'NotFound', message: `No resource at ${url.pathname}` } });
+    });
+  });
+}
+
+/**
+ * Load Property records from a JSON file (an array, or an OData body with "value")
+ * @param {string} file - JSON file path
+ * @returns {Array<Object>} Records
+ */
+function loadRecords(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : data.value || [];
+}
+
+// Execute the script if run directly
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : null;
+  };
+  
+  const port = parseInt(getArg('port') || DEFAULT_PORT, 10);
+  const dataFile = getArg('data') || DEFAULT_DATA_FILE;
+  const records = loadRecords(dataFile);
+  
+  const server = createStubServer({
+    records,
+    clientId: process.env.RESO_STUB_CLIENT_ID || null,
+    clientSecret: process.env.RESO_STUB_CLIENT_SECRET || null,
+    nextLinks: args.includes('--next-links')
+  });
+  
+  server.listen(port, () => {
+    console.log(`RESO stub server serving ${records.length} Property records from ${dataFile}`);
+    console.log(`RESO_BASE_URL=http://localhost:${port}/odata`);
+    console.log(`RESO_TOKEN_URL=http://localhost:${port}/token`);
+  });
+} else {
+  // Script is being imported as a module
+  module.exports = {
+    createStubServer,
+    compileFilter,
+    loadRecords
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Test Script for Candidate Blocking
+ * Checks that scoring only the candidates getPlausibleCandidates picks gives
+ * the same matches as scoring every candidate, on listings that match by exact
+ * and fuzzy address, by coordinates alone, by unit, and by PO box or rural
+ * route, and with a fuzzy threshold low enough to turn address blocking off
+ *
+ * Usage:
+ *   node scripts/test-candidate-index.js
+ */
+
+const assert = require('assert');
+const addressMatcher = require('../models/address-matcher');
+const candidateIndex = require('../models/candidate-index');
+const sourceAdapters = require('../models/source-adapters');
+const { DEFAULT_CONFIG } = require('../utils/merge-config');
+
+const adapter = sourceAdapters.getSourceAdapter('zillow');
+
+// Around one block in Sharon, PA; 0.0001 degrees of latitude is about 11m
+const BASE_LAT = 41.2330;
+const BASE_LON = -80.4934;
+
+const listings = [
+  { zillow_id: 'z1', address: '12 maple dr', lat: BASE_LAT, lon: BASE_LON },
+  { zillow_id: 'z2', address: '14 maple dr', lat: BASE_LAT + 0.0002, lon: BASE_LON },
+  { zillow_id: 'z3', address: '120 maple dr', lat: BASE_LAT + 0.0030, lon: BASE_LON },
+  { zillow_id: 'z4', address: '305 oak avenue', lat: BASE_LAT + 0.0200, lon: BASE_LON },
+  { zillow_id: 'z5', address: null, lat: BASE_LAT + 0.0100, lon: BASE_LON + 0.0100 },
+  { zillow_id: 'z6', address: '40 state st apt 2', lat: BASE_LAT + 0.0050, lon: BASE_LON },
+  { zillow_id: 'z7', address: '40 state st apt 3', lat: BASE_LAT + 0.0050, lon: BASE_LON },
+  { zillow_id: 'z8', address: 'po box 55', lat: null, lon: null },
+  { zillow_id: 'z9', address: 'po box 56', lat: null, lon: null },
+  { zillow_id: 'z10', address: 'rr 2 box 14', lat: BASE_LAT - 0.0200, lon: BASE_LON },
+  { zillow_id: 'z11', address: 'rural route 3 box 14', lat: BASE_LAT - 0.0300, lon: BASE_LON },
+  { zillow_id: 'z12', address: '7 elm ct', lat: BASE_LAT - 0.0040, lon: BASE_LON + 0.0040 },
+  { zillow_id: 'z13', address: '9 elm ct', lat: BASE_LAT - 0.0040, lon: BASE_LON + 0.0041 },
+  { zillow_id: 'z14', address: '88 ridge rd', lat: 'not a number', lon: BASE_LON }
+];
+
+const targets = [
+  // Exact address
+  { address: '12 Maple Dr', lat: BASE_LAT + 0.00001, lon: BASE_LON },
+  // Exact address, coordinates far off
+  { address: '305 Oak Ave', lat: BASE_LAT + 0.0500, lon: BASE_LON },
+  // Fuzzy address
+  { address: '12 mapel drive', lat: null, lon: null },
+  { address: '7 elm court', lat: BASE_LAT - 0.0040, lon: BASE_LON + 0.0040 },
+  // Coordinates only
+  { address: null, lat: BASE_LAT + 0.0001, lon: BASE_LON + 0.00005 },
+  { address: null, lat: BASE_LAT + 0.01002, lon: BASE_LON + 0.0100 },
+  { address: '999 nowhere ln', lat: BASE_LAT - 0.00402, lon: BASE_LON + 0.00405 },
+  // Units
+  { address: '40 State St #2', lat: BASE_LAT + 0.0050, lon: BASE_LON },
+  { address: '40 state st unit 4', lat: BASE_LAT + 0.0050, lon: BASE_LON },
+  { address: '40 state st', lat: null, lon: null },
+  // PO boxes and rural routes
+  { address: 'P.O. Box 55', lat: null, lon: null },
+  { address: 'rural route 2 box 14', lat: null, lon: null },
+  { address: 'RR 3 Box 14', lat: BASE_LAT - 0.0300, lon: BASE_LON },
+  // Nothing nearby
+  { address: '1 distant way', lat: BASE_LAT + 1, lon: BASE_LON + 1 },
+  { address: '88 ridge road', lat: null, lon: null }
+];
+
+const configs = {
+  default: DEFAULT_CONFIG,
+  'wide coordinate tolerance': { ...DEFAULT_CONFIG, coordinate_tolerance_meters: 500, max_coordinate_distance: 800 },
+  'fuzzy matching off': { ...DEFAULT_CONFIG, enable_fuzzy_matching: false },
+  // At or below 0.7 addresses with different house numbers can match, so there's no blocking key
+  'low fuzzy threshold': { ...DEFAULT_CONFIG, address_fuzzy_threshold: 0.5, min_confidence_score: 0.5 }
+};
+
+async function runTest() {
+  let test = 0;
+  
+  for (const [name, config] of Object.entries(configs)) {
+    const index = candidateIndex.buildCandidateIndex(adapter, listings, config);
+    let skipped = 0;
+    
+    for (const target of targets) {
+      const plausible = candidateIndex.getPlausibleCandidates(index, target);
+      skipped += index.candidates.length - plausible.length;
+      
+      assert.deepStrictEqual(
+        summarize(addressMatcher.findMatches(target, plausible, config)),
+        summarize(addressMatcher.findMatches(target, index.candidates, config)),
+        `${name}: blocked matches for ${target.address || `(${target.lat}, ${target.lon})`} equal the full scan`
+      );
+    }
+    
+    if (name === 'low fuzzy threshold') {
+      const addressed = listings.filter(listing => listing.address).length;
+      assert.ok(
+        candidateIndex.getPlausibleCandidates(index, { address: '12 maple dr', lat: null, lon: null }).length >= addressed,
+        `${name}: every candidate with an address is plausible`
+      );
+    } else {
+      assert.ok(skipped > 0, `${name}: blocking skips some candidates`);
+    }
+    
+    console.log(`✅ Test ${++test}: ${name} matches the full scan (${skipped} comparisons skipped)`);
+  }
+  
+  // The fixtures do exercise each kind of match
+  const config = configs.default;
+  const index = candidateIndex.buildCandidateIndex(adapter, listings, config);
+  const methods = new Set(targets.flatMap(target =>
+    addressMatcher.findMatches(target, candidateIndex.getPlausibleCandidates(index, target), config).map(match => match.matching_method)
+  ));
+  ['address_exact', 'address_exact_suspicious', 'address_fuzzy', 'coordinates_exact'].forEach(method => {
+    assert.ok(methods.has(method), `fixtures produce a ${method} match`);
+  });
+  console.log(`✅ Test ${++test}: fixtures cover ${Array.from(methods).sort().join(', ')}`);
+}
+
+// Helper functions
+function summarize(matches) {
+  return matches.map(match => ({
+    id: match.candidate.zillow_id,
+    method: match.matching_method,
+    confidence: match.confidence
+  }));
+}
+
+runTest().then(() => {
+  console.log('\nAll candidate index tests passed');
+  process.exit(0);
+}).catch(error => {
+  console.error('Test failed:', error.message);
+  process.exit(1);
+});
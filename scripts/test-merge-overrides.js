@@ -0,0 +1,95 @@
+/**
+ * Test Script for Merge Field Overrides
+ * Runs upsertMergedListing against a stubbed Supabase client and checks that
+ * field overrides reach merged_listing, including on fields the merge doesn't
+ * otherwise monitor (city, state, zip5, lat, lon)
+ *
+ * Usage:
+ *   node scripts/test-merge-overrides.js
+ */
+
+const assert = require('assert');
+const { db } = require('../index');
+const mergedListing = require('../models/merged-listing');
+
+const existingRow = {
+  the_real_deal_id: 7,
+  address: '12 maple dr',
+  city: 'Sharon',
+  state: 'PA',
+  zip5: '16146',
+  price: 150000,
+  listing_status: 'FOR_SALE',
+  source_count: 1,
+  data_sources: [{ source: 'zillow', id: 'z1' }],
+  manual_overrides: null
+};
+
+const cityOverride = {
+  city: { value: 'Hermitage', merged_value: 'Sharon', override_id: 3, author: 'analyst', reason: 'Mailing city', expires_at: null }
+};
+
+async function runTest() {
+  const table = [{ ...existingRow }];
+  const updates = [];
+  db.getSupabaseClient = () => createStubClient(table, updates);
+  
+  // Test 1: An active city override is written although nothing monitored changed
+  await mergedListing.upsertMergedListing({ ...existingRow, city: 'Hermitage', manual_overrides: cityOverride });
+  assert.strictEqual(updates[0].city, 'Hermitage', 'overridden city is written');
+  assert.deepStrictEqual(updates[0].manual_overrides, cityOverride, 'manual_overrides is written');
+  assert.deepStrictEqual(Object.keys(updates[0].changed_fields).sort(), ['city', 'manual_overrides']);
+  assert.strictEqual(updates[0].changed_fields.city.source, 'manual_override');
+  console.log('✅ Test 1: active override written');
+  
+  // Test 2: The same override again is no change (jsonb key order doesn't count)
+  table[0].manual_overrides = { city: Object.fromEntries(Object.entries(cityOverride.city).reverse()) };
+  await mergedListing.upsertMergedListing({ ...existingRow, city: 'Hermitage', manual_overrides: cityOverride });
+  assert.strictEqual(updates[1].changed_fields, undefined, 'unchanged override is no change');
+  console.log('✅ Test 2: unchanged override not logged as a change');
+  
+  // Test 3: An expired override gives the field back to the sources
+  await mergedListing.upsertMergedListing({ ...existingRow, manual_overrides: {} });
+  assert.strictEqual(updates[2].city, 'Sharon', 'merged city is restored');
+  assert.deepStrictEqual(updates[2].manual_overrides, {}, 'manual_overrides is cleared');
+  console.log('✅ Test 3: expired override cleared');
+}
+
+// Helper functions
+function createStubClient(table, updates) {
+  return {
+    from(tableName) {
+      const query = { filters: {} };
+      const builder = {
+        select: () => builder,
+        eq: (column, value) => { query.filters[column] = value; return builder; },
+        update: values => { query.update = values; return builder; },
+        insert: rows => { query.insert = rows; return builder; },
+        single: () => builder,
+        maybeSingle: () => builder,
+        then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+      };
+      
+      function run() {
+        if (tableName !== 'merged_listing' || query.insert) return { data: null, error: null };
+        
+        const row = table.find(candidate => Object.entries(query.filters).every(([column, value]) => candidate[column] === value)) || null;
+        if (query.update) {
+          updates.push(query.update);
+          Object.assign(row, query.update);
+        }
+        return { data: row, error: null };
+      }
+      
+      return builder;
+    }
+  };
+}
+
+runTest().then(() => {
+  console.log('\nAll merge override tests passed');
+  process.exit(0);
+}).catch(error => {
+  console.error('Test failed:', error.message);
+  process.exit(1);
+});
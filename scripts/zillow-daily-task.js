@@ -1,20 +1,55 @@
 /**
  * Zillow daily task script that fetches property listings from Zillow
  * using the Apify Zillow scraper and stores the results in Supabase
+ *
+ * --mode=sale,sold,rent picks the searches to run (default: ZILLOW_SEARCH_MODES or sale):
+ * for-sale listings, recently sold homes and active rentals each go to their own table
  */
 
 // Load environment variables
 require('dotenv').config();
 
+// Apply --record / --replay before the API clients are created
+const { applyFixtureModeArgs } = require('../utils/apify-fixtures');
+if (require.main === module) {
+  applyFixtureModeArgs(process.argv.slice(2));
+}
+
 // Import modules
 const { db } = require('../index');
 const { zillow } = require('../api');
 const models = require('../models');
-const { getZipGeoIdMapping } = require('../utils/config');
+const { getZipGeoIdMapping, getSchemaDriftConfig } = require('../utils/config');
+const { exceedsFailThreshold } = require('../utils/schema-drift');
+const { ApifyRunError } = require('../api/apify');
 
 // Configuration for zip codes
 const ZIP_GEOID_MAPPING = getZipGeoIdMapping();
 
+// Raw data source, model and lifecycle source (for-sale searches only) for each search mode
+const SEARCH_MODES = {
+  sale: { label: 'listings', source: 'zillow', model: models.zillowListing, lifecycleSource: 'zillow' },
+  sold: { label: 'sold listings', source: 'zillow-sold', model: models.zillowSoldListing },
+  rent: { label: 'rental listings', source: 'zillow-rent', model: models.zillowRentalListing }
+};
+
+/**
+ * Parse a comma-separated list of search modes
+ * @param {string} value - e.g. "sale,sold,rent"
+ * @returns {Array<string>} Valid search modes (default: sale)
+ */
+function parseSearchModes(value) {
+  const modes = (value || '').split(',').map(mode => mode.trim()).filter(Boolean);
+  
+  for (const mode of modes) {
+    if (!SEARCH_MODES[mode]) {
+      throw new Error(`Unknown Zillow search mode "${mode}". Use ${Object.keys(SEARCH_MODES).join(', ')}`);
+    }
+  }
+  
+  return modes.length > 0 ? modes : ['sale'];
+}
+
 /**
  * Test Supabase connection
  */
@@ -51,8 +86,10 @@ async function testSupabaseConnection() {
 /**
  * Main function to run the Zillow daily task for one or more zip codes
  * @param {string|string[]} zipCodes - Single zip code or array of zip codes to process
+ * @param {Array<string>} modes - Search modes to run for every zip code
+ * @returns {Promise<Object>} Results keyed by zip code, then search mode
  */
-async function runZillowDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
+async function runZillowDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES, modes = parseSearchModes(process.env.ZILLOW_SEARCH_MODES)) {
   try {
     // First test the Supabase connection
     await testSupabaseConnection();
@@ -68,6 +105,7 @@ async function runZillowDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       : Object.keys(ZIP_GEOID_MAPPING);
     
     console.log(`Processing ${zipsToProcess.length} zip codes for Zillow listings: ${zipsToProcess.join(', ')}`);
+    console.log(`Search modes: ${modes.join(', ')}`);
     
     // STEP 1: Pre-process all zip codes to ensure they exist in the database
     console.log('\n--- Pre-processing all zip codes ---');
@@ -80,26 +118,67 @@ async function runZillowDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
       filteredZips[zipCode] = ZIP_GEOID_MAPPING[zipCode];
     }
     
+    const missingRegions = zillow.getMissingZipRegions(Object.keys(filteredZips));
+    if (missingRegions.length > 0) {
+      console.warn(`Warning: No zip region or Census centroid for ${missingRegions.join(', ')}. Their searches fall back to Zillow resolving the zip, without map bounds; add them to api/zillow/zip-regions.json or ZILLOW_ZIP_REGIONS_FILE.`);
+    }
+    
     // Process all zip codes at once
     const zipResult = await models.zip.processZipCodes(filteredZips);
     console.log(`Zip codes processed: ${zipResult.inserted} inserted, ${zipResult.existing} existing, ${zipResult.errors} errors`);
     
-    // STEP 2: Process each zip code for Zillow listings
+    // STEP 2: Process each zip code for Zillow listings, one search per mode
     const results = {};
-    for (const zipCode of Object.keys(filteredZips)) {
-      console.log(`\n--- Processing Zillow listings for zip code: ${zipCode} ---`);
-      results[zipCode] = await fetchZillowDataForZipCode(zipCode);
+    const schemaDriftConfig = getSchemaDriftConfig();
+    const searches = Object.keys(filteredZips).flatMap(zipCode => modes.map(mode => ({ zipCode, mode })));
+    for (let i = 0; i < searches.length; i++) {
+      const { zipCode, mode } = searches[i];
+      console.log(`\n--- Processing Zillow ${SEARCH_MODES[mode].label} for zip code: ${zipCode} ---`);
+      results[zipCode] = results[zipCode] || {};
+      const result = await fetchZillowDataForZipCode(zipCode, mode);
+      results[zipCode][mode] = result;
+      
+      // Heavy drift means the transforms are likely producing nulls, so fail the task
+      if (exceedsFailThreshold(result.schemaDrift, schemaDriftConfig.failThreshold)) {
+        console.error(`Schema drift for zip ${zipCode} (${mode}): ${result.schemaDrift.issueCount} issue(s), above SCHEMA_DRIFT_FAIL_THRESHOLD=${schemaDriftConfig.failThreshold}`);
+        process.exitCode = 1;
+      }
+      
+      // Fatal errors (e.g. an invalid Apify token) would fail every remaining search
+      if (result.fatal) {
+        const remaining = searches.slice(i + 1);
+        console.error(`Fatal ${result.errorCode} error. Skipping remaining searches: ${remaining.map(s => `${s.zipCode} (${s.mode})`).join(', ') || 'none'}`);
+        for (const skipped of remaining) {
+          results[skipped.zipCode] = results[skipped.zipCode] || {};
+          results[skipped.zipCode][skipped.mode] = {
+            error: `Skipped after fatal ${result.errorCode} error for zip ${zipCode} (${mode})`,
+            errorCode: result.errorCode,
+            skipped: true,
+            listings: { inserted: 0, updated: 0, errors: 0 },
+            totalProcessed: 0,
+            validListings: 0
+          };
+        }
+        process.exitCode = 1;
+        break;
+      }
     }
     
     // Log summary
     console.log('\n--- Zillow Processing Summary ---');
-    for (const [zipCode, result] of Object.entries(results)) {
-      if (result.error) {
-        console.log(`Zip ${zipCode}: ERROR - ${result.error}`);
-      } else {
-        console.log(`Zip ${zipCode}:`);
-        console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged`);
-        console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+    for (const [zipCode, modeResults] of Object.entries(results)) {
+      for (const [mode, result] of Object.entries(modeResults)) {
+        if (result.error) {
+          const errorDetails = result.errorCode ? ` [${result.errorCode}${result.retryable ? ', retryable' : ''}${result.attempts ? `, ${result.attempts} attempt(s)` : ''}]` : '';
+          console.log(`Zip ${zipCode} (${mode}): ERROR - ${result.error}${errorDetails}`);
+        } else {
+          console.log(`Zip ${zipCode} (${mode}):`);
+          console.log(`  Listings: ${result.listings.inserted} new, ${result.listings.updated} updated, ${result.listings.unchanged || 0} unchanged, ${result.listings.skipped || 0} skipped`);
+          console.log(`  Total processed: ${result.totalProcessed}, Valid: ${result.validListings}`);
+          if (result.schemaDrift) {
+            console.log(`  Schema drift: ${result.schemaDrift.issueCount} issue(s), ${result.schemaDrift.newFields.length} new field(s)`);
+          }
+        }
       }
     }
     
@@ -113,10 +192,13 @@ async function runZillowDailyTasks(zipCodes = process.env.TARGET_ZIP_CODES) {
 /**
  * Fetch and process Zillow data for a specific zip code
  * @param {string} zipCode - The zip code to process
+ * @param {string} mode - Search mode: sale (default), sold or rent
  */
-async function fetchZillowDataForZipCode(zipCode) {
+async function fetchZillowDataForZipCode(zipCode, mode = 'sale') {
+  const { label, source, model, lifecycleSource } = SEARCH_MODES[mode];
+  
   try {
-    console.log(`Fetching Zillow listings for zip code ${zipCode}...`);
+    console.log(`Fetching Zillow ${label} for zip code ${zipCode}...`);
     
     // STEP 1: Ensure the zip code exists in the database
     const geoIdV4 = ZIP_GEOID_MAPPING[zipCode];
@@ -124,8 +206,8 @@ async function fetchZillowDataForZipCode(zipCode) {
     await models.zip.ensureZipExists(zipCode, geoIdV4);
     
     // STEP 2: Search for Zillow listings
-    console.log(`\n--- Searching Zillow listings for zip code ${zipCode} ---`);
-    const searchResults = await zillow.searchListingsByZipCode(zipCode);
+    console.log(`\n--- Searching Zillow ${label} for zip code ${zipCode} ---`);
+    const searchResults = await zillow.searchListingsByZipCode(zipCode, { mode });
     
     // Store raw API response
     await models.apiData.storeRawApiData({
@@ -133,27 +215,58 @@ async function fetchZillowDataForZipCode(zipCode) {
       totalItems: searchResults.totalItems,
       validListings: searchResults.validListings,
       listings: searchResults.listings
-    }, 'zillow', zipCode);
+    }, source, zipCode);
+    
+    // Check the raw items against the expected shape before they are transformed
+    const schemaDrift = await models.schemaDriftReport.checkAndStoreReport(source, searchResults.rawItems, zillow.getExpectedShape(mode), {
+      zipCode,
+      runId: searchResults.runId
+    });
+    
+    // Archive the untransformed items so they can be reprocessed later
+    await models.rawPayloadArchive.archiveRawItems(source, searchResults.rawItems, {
+      zipCode,
+      runId: searchResults.runId
+    });
     
     // STEP 3: Process and store/update listing data
-    console.log(`\n--- Processing Zillow listings for zip code ${zipCode} ---`);
-    const listingResult = await models.zillowListing.processAndUpsertFromZillow(searchResults, zipCode);
+    console.log(`\n--- Processing Zillow ${label} for zip code ${zipCode} ---`);
+    const listingResult = await model.processAndUpsertFromZillow(searchResults, zipCode);
     
     console.log(`\n--- Summary for zip code ${zipCode} ---`);
     console.log(`Listings: ${listingResult.inserted} new, ${listingResult.updated} updated, ${listingResult.unchanged || 0} unchanged, ${listingResult.skipped || 0} skipped, ${listingResult.errors} errors`);
     console.log(`Total processed: ${searchResults.totalItems}, Valid listings: ${searchResults.validListings}`);
     
+    // STEP 4: Track listing lifecycles (first and last seen, pending, delisted, sold, relisted)
+    let lifecycle = null;
+    if (lifecycleSource) {
+      try {
+        lifecycle = await models.listingLifecycle.recordScrape(lifecycleSource, zipCode, searchResults.listings);
+      } catch (error) {
+        console.warn(`Error tracking listing lifecycles for zip code ${zipCode}:`, error.message);
+      }
+    }
+    
     return {
       listings: listingResult,
       totalProcessed: searchResults.totalItems,
       validListings: searchResults.validListings,
-      runId: searchResults.runId
+      runId: searchResults.runId,
+      schemaDrift,
+      lifecycle
     };
   } catch (error) {
-    console.error(`Error processing Zillow data for zip code ${zipCode}:`, error.message);
+    console.error(`Error processing Zillow ${label} for zip code ${zipCode}:`, error.message);
     // Don't exit the process, just return an error result
+    // Apify errors carry a code so the caller can tell transient failures from fatal ones
+    const apifyError = error instanceof ApifyRunError ? error : null;
     return {
       error: error.message,
+      errorCode: apifyError ? apifyError.code : null,
+      retryable: apifyError ? apifyError.retryable : false,
+      fatal: apifyError ? apifyError.fatal : false,
+      attempts: apifyError ? apifyError.attempts : 0,
+      runId: apifyError ? apifyError.runId : null,
       listings: { inserted: 0, updated: 0, errors: 0 },
       totalProcessed: 0,
       validListings: 0
@@ -192,6 +305,7 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   const zipCodesArg = args.find(arg => arg.startsWith('--zip='));
   const statsArg = args.find(arg => arg === '--stats');
+  const modeArg = args.find(arg => arg.startsWith('--mode='));
   const zipCodes = zipCodesArg ? zipCodesArg.replace('--zip=', '') : process.env.TARGET_ZIP_CODES;
   
   if (statsArg) {
@@ -216,7 +330,15 @@ if (require.main === module) {
       });
   } else {
     // Run the daily tasks
-    runZillowDailyTasks(zipCodes).catch(error => {
+    let modes;
+    try {
+      modes = parseSearchModes(modeArg ? modeArg.replace('--mode=', '') : process.env.ZILLOW_SEARCH_MODES);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    
+    runZillowDailyTasks(zipCodes, modes).catch(error => {
       console.error('Unhandled error:', error);
       process.exit(1);
     });
@@ -226,6 +348,7 @@ if (require.main === module) {
   module.exports = {
     runZillowDailyTasks,
     fetchZillowDataForZipCode,
+    parseSearchModes,
     getZillowStatsForZipCode
   };
 }
@@ -0,0 +1,241 @@
+/**
+ * Apify Fixture Utilities
+ * Records Apify actor runs to local fixture files and replays them offline
+ *
+ * Modes (APIFY_FIXTURE_MODE):
+ *   live   - Always call Apify (default)
+ *   record - Call Apify and save the run input, metadata and dataset items
+ *   replay - Serve previously recorded fixtures instead of calling Apify
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ApifyRunError, ERROR_CODES } = require('../api/apify/errors');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'apify');
+const VALID_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Get the active fixture mode
+ * @returns {string} One of live, record or replay
+ */
+function getFixtureMode() {
+  const mode = (process.env.APIFY_FIXTURE_MODE || 'live').toLowerCase();
+  
+  if (!VALID_MODES.includes(mode)) {
+    console.warn(`Invalid APIFY_FIXTURE_MODE "${mode}". Using live mode.`);
+    return 'live';
+  }
+  
+  return mode;
+}
+
+/**
+ * Get the directory where fixtures are stored
+ * @returns {string} Fixture directory path
+ */
+function getFixtureDir() {
+  return process.env.APIFY_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Build a stable hash for an actor input so different searches get different fixtures
+ * @param {Object} input - Actor input
+ * @returns {string} Short hash of the input
+ */
+function hashInput(input) {
+  const serialized = JSON.stringify(sortKeys(input));
+  return crypto.createHash('sha1').update(serialized).digest('hex').substring(0, 12);
+}
+
+/**
+ * Recursively sort object keys so equivalent inputs serialize identically
+ * @param {any} value - Value to sort
+ * @returns {any} Value with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  
+  return value;
+}
+
+/**
+ * Get the fixture file path for a source, key and input
+ * @param {string} source - Source name (zillow, redfin, realtor)
+ * @param {string} key - Fixture key, usually the zip code
+ * @param {Object} input - Actor input
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(source, key, input) {
+  const safeKey = String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(getFixtureDir(), source, `${safeKey}_${hashInput(input)}.json`);
+}
+
+/**
+ * Save an actor run to a fixture file
+ * @param {string} source - Source name
+ * @param {string} key - Fixture key
+ * @param {Object} input - Actor input
+ * @param {Object} run - Actor run metadata
+ * @param {Array} items - Dataset items
+ * @returns {string} Path of the written fixture
+ */
+function saveFixture(source, key, input, run, items) {
+  const fixturePath = getFixturePath(source, key, input);
+  
+  const fixture = {
+    source,
+    key,
+    recordedAt: new Date().toISOString(),
+    input,
+    run: {
+      id: run.id,
+      actId: run.actId,
+      status: run.status,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      defaultDatasetId: run.defaultDatasetId,
+      stats: run.stats
+    },
+    items
+  };
+  
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+  
+  console.log(`Recorded ${items.length} ${source} items to fixture: ${fixturePath}`);
+  return fixturePath;
+}
+
+/**
+ * Load a recorded fixture
+ * @param {string} source - Source name
+ * @param {string} key - Fixture key
+ * @param {Object} input - Actor input
+ * @returns {Object} Fixture contents
+ */
+function loadFixture(source, key, input) {
+  const fixturePath = getFixturePath(source, key, input);
+  
+  if (!fs.existsSync(fixturePath)) {
+    const available = listFixtures(source).map(file => path.basename(file));
+    throw new ApifyRunError(
+      `No ${source} fixture found for ${key} at ${fixturePath}. ` +
+      `Record one with APIFY_FIXTURE_MODE=record. Available fixtures: ${available.length > 0 ? available.join(', ') : 'none'}`,
+      { code: ERROR_CODES.FIXTURE_MISSING, source, key }
+    );
+  }
+  
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  console.log(`Replaying ${fixture.items.length} ${source} items from fixture: ${fixturePath} (recorded ${fixture.recordedAt})`);
+  
+  return fixture;
+}
+
+/**
+ * List fixture files recorded for a source
+ * @param {string} source - Source name
+ * @returns {Array<string>} Fixture file paths
+ */
+function listFixtures(source) {
+  const sourceDir = path.join(getFixtureDir(), source);
+  
+  if (!fs.existsSync(sourceDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(sourceDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(sourceDir, file));
+}
+
+/**
+ * Run an Apify actor honouring the fixture mode
+ * Returns the same shape as the clients' searchByZipCode results
+ * @param {Object} options - Run options
+ * @param {Object} options.client - ApifyClient instance (not used in replay mode)
+ * @param {string} options.actorId - Actor ID to call
+ * @param {string} options.source - Source name used for the fixture directory
+ * @param {string} options.key - Fixture key, usually the zip code
+ * @param {Object} options.input - Actor input
+ * @param {Object} options.callOptions - Run options passed to actor.call (timeout, memory)
+ * @returns {Promise<Object>} Run result with runId, status, itemCount and items
+ */
+async function runActorWithFixtures({ client, actorId, source, key, input, callOptions = {} }) {
+  const mode = getFixtureMode();
+  const label = source.charAt(0).toUpperCase() + source.slice(1);
+  
+  if (mode === 'replay') {
+    const fixture = loadFixture(source, key, input);
+    
+    return {
+      runId: fixture.run.id,
+      status: fixture.run.status,
+      itemCount: fixture.items.length,
+      items: fixture.items,
+      replayed: true
+    };
+  }
+  
+  // Start the actor run
+  const run = await client.actor(actorId).call(input, callOptions);
+  
+  console.log(`${label} scraper run completed with status: ${run.status}`);
+  console.log(`Run ID: ${run.id}`);
+  
+  if (run.status !== 'SUCCEEDED') {
+    throw ApifyRunError.fromRun(run, { source, key, actorId });
+  }
+  
+  // Get the results from the default dataset
+  const { items } = await client.dataset(run.defaultDatasetId).listItems();
+  
+  if (mode === 'record') {
+    saveFixture(source, key, input, run, items);
+  }
+  
+  return {
+    runId: run.id,
+    status: run.status,
+    itemCount: items.length,
+    items: items
+  };
+}
+
+/**
+ * Apply --record / --replay command line flags to the fixture mode
+ * @param {Array<string>} args - Command line arguments
+ */
+function applyFixtureModeArgs(args) {
+  if (args.includes('--record')) {
+    process.env.APIFY_FIXTURE_MODE = 'record';
+  } else if (args.includes('--replay')) {
+    process.env.APIFY_FIXTURE_MODE = 'replay';
+  }
+  
+  const mode = getFixtureMode();
+  if (mode !== 'live') {
+    console.log(`Apify fixture mode: ${mode} (directory: ${getFixtureDir()})`);
+  }
+}
+
+module.exports = {
+  getFixtureMode,
+  getFixtureDir,
+  getFixturePath,
+  saveFixture,
+  loadFixture,
+  listFixtures,
+  runActorWithFixtures,
+  applyFixtureModeArgs
+};
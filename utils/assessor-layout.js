@@ -0,0 +1,352 @@
+/**
+ * Assessor Layout Utility
+ * Reads county assessor roll files (fixed-width or delimited) using a JSON
+ * layout per county, and turns their rows into assessor_parcel records with
+ * owner signals (owner-occupied, absentee, tax delinquent)
+ *
+ * A layout looks like:
+ *   {
+ *     "county": "mercer-pa",                 // Stored on every parcel; parcel IDs are unique per county
+ *     "state": "PA",                         // Situs state, for out-of-state owners
+ *     "format": "fixed-width",               // or "csv"
+ *     "skipLines": 1,                        // Fixed-width header lines to skip
+ *     "delimiter": ",",                      // CSV delimiter (default: ",")
+ *     "headerRow": true,                     // CSV: fields name headers; false to use 1-based column numbers
+ *     "dateFormat": "YYYYMMDD",              // YYYYMMDD, MMDDYYYY, MM/DD/YYYY or YYYY-MM-DD (default)
+ *     "valueScale": 1,                       // Multiplier for money fields (e.g. 0.01 for cents)
+ *     "flagValues": { "homestead": ["Y"], "tax_delinquent": ["Y", "D"] },
+ *     "fields": {
+ *       "parcel_id": { "start": 1, "length": 16 },   // Fixed-width: 1-based start and length
+ *       "owner_name": "OWNER1"                      // CSV: header name (or column number)
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const addressMatcher = require('../models/address-matcher');
+const { parseCsv } = require('./spreadsheet');
+
+// Assessor fields a layout can map, by type
+const FIELD_TYPES = {
+  parcel_id: 'text',
+  situs_address: 'text',
+  situs_unit: 'text',
+  situs_city: 'text',
+  situs_zip: 'zip',
+  owner_name: 'text',
+  owner_name_2: 'text',
+  mailing_address: 'text',
+  mailing_city: 'text',
+  mailing_state: 'text',
+  mailing_zip: 'zip',
+  land_use: 'text',
+  land_use_description: 'text',
+  year_built: 'integer',
+  building_sqft: 'integer',
+  lot_size_sqft: 'integer',
+  lot_acres: 'number',
+  assessed_land_value: 'money',
+  assessed_improvement_value: 'money',
+  assessed_total_value: 'money',
+  market_total_value: 'money',
+  tax_year: 'integer',
+  last_deed_date: 'date',
+  last_deed_price: 'money',
+  delinquent_amount: 'money',
+  homestead: 'flag',
+  tax_delinquent: 'flag',
+  lat: 'number',
+  lon: 'number'
+};
+
+// Flag values that count as yes when a layout doesn't list its own
+const DEFAULT_FLAG_VALUES = ['Y', 'YES', 'T', 'TRUE', '1', 'X'];
+
+// Square feet per acre
+const SQFT_PER_ACRE = 43560;
+
+/**
+ * Load and check a layout file
+ * @param {string} file - JSON layout file
+ * @returns {Object} Layout with defaults applied
+ */
+function loadLayout(file) {
+  let layout;
+  try {
+    layout = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load assessor layout ${file}: ${error.message}`);
+  }
+  
+  if (!layout.county) {
+    throw new Error(`Assessor layout ${file} needs a "county"`);
+  }
+  
+  if (!['fixed-width', 'csv'].includes(layout.format)) {
+    throw new Error(`Assessor layout ${file} has format "${layout.format}". Use "fixed-width" or "csv"`);
+  }
+  
+  const fields = layout.fields || {};
+  const unknown = Object.keys(fields).filter(field => !FIELD_TYPES[field]);
+  if (unknown.length > 0) {
+    throw new Error(`Assessor layout ${file} has unknown field(s) ${unknown.join(', ')}. Use ${Object.keys(FIELD_TYPES).join(', ')}`);
+  }
+  
+  if (!fields.parcel_id) {
+    throw new Error(`Assessor layout ${file} must map parcel_id`);
+  }
+  
+  if (layout.format === 'fixed-width') {
+    const bad = Object.entries(fields).filter(([, spec]) => !(spec.start >= 1 && spec.length >= 1));
+    if (bad.length > 0) {
+      throw new Error(`Fixed-width fields need a 1-based start and a length: ${bad.map(([field]) => field).join(', ')}`);
+    }
+  }
+  
+  return {
+    skipLines: 0,
+    delimiter: ',',
+    headerRow: true,
+    dateFormat: 'YYYY-MM-DD',
+    valueScale: 1,
+    flagValues: {},
+    ...layout,
+    fields
+  };
+}
+
+/**
+ * Read an assessor file into rows of raw field values
+ * @param {string} file - Assessor roll file
+ * @param {Object} layout - Layout from loadLayout
+ * @returns {Array<Object>} [{ rowNumber, values }] with values keyed by assessor field
+ */
+function readAssessorFile(file, layout) {
+  const text = fs.readFileSync(file, 'latin1');
+  const rows = [];
+  
+  if (layout.format === 'fixed-width') {
+    const lines = text.split(/\r?\n/);
+    for (let i = layout.skipLines; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      
+      const values = {};
+      for (const [field, { start, length }] of Object.entries(layout.fields)) {
+        values[field] = lines[i].substr(start - 1, length).trim();
+      }
+      rows.push({ rowNumber: i + 1, values });
+    }
+    return rows;
+  }
+  
+  const table = parseCsv(text, layout.delimiter);
+  const headers = layout.headerRow ? (table[0] || []).map(header => header.trim()) : [];
+  const columns = {};
+  
+  for (const [field, column] of Object.entries(layout.fields)) {
+    const index = typeof column === 'number' ? column - 1 : headers.indexOf(column);
+    if (index < 0) {
+      throw new Error(`Column "${column}" for ${field} is not in the file. Headers: ${headers.join(', ')}`);
+    }
+    columns[field] = index;
+  }
+  
+  for (let i = layout.headerRow ? 1 : 0; i < table.length; i++) {
+    if (table[i].every(cell => !cell.trim())) continue;
+    
+    const values = {};
+    for (const [field, index] of Object.entries(columns)) {
+      values[field] = (table[i][index] || '').trim();
+    }
+    rows.push({ rowNumber: i + 1, values });
+  }
+  
+  return rows;
+}
+
+/**
+ * Parse a date in the layout's format
+ * @param {string} value - Date text
+ * @param {string} format - Layout date format
+ * @returns {string|null|undefined} YYYY-MM-DD, null if empty, undefined if invalid
+ */
+function parseDate(value, format) {
+  if (!value || /^0+$/.test(value.replace(/\D/g, ''))) return null;
+  
+  const digits = value.replace(/\D/g, '');
+  let year;
+  let month;
+  let day;
+  
+  if (format === 'YYYYMMDD' && digits.length === 8) {
+    [year, month, day] = [digits.slice(0, 4), digits.slice(4, 6), digits.slice(6, 8)];
+  } else if (format === 'MMDDYYYY' && digits.length === 8) {
+    [month, day, year] = [digits.slice(0, 2), digits.slice(2, 4), digits.slice(4, 8)];
+  } else if (format === 'MM/DD/YYYY') {
+    const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) [, month, day, year] = match;
+  } else {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) [, year, month, day] = match;
+  }
+  
+  const date = new Date(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T00:00:00Z`);
+  if (!year || Number.isNaN(date.getTime()) || date.getUTCDate() !== Number(day)) return undefined;
+  
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a field value by type
+ * @param {string} value - Raw value
+ * @param {string} type - Entry from FIELD_TYPES
+ * @param {Object} layout - Layout from loadLayout
+ * @param {string} field - Assessor field name
+ * @returns {Object} { value } or { error }
+ */
+function parseField(value, type, layout, field) {
+  if (value == null || value === '') return { value: null };
+  
+  switch (type) {
+    case 'integer':
+    case 'number':
+    case 'money': {
+      const number = Number(value.replace(/[$,\s]/g, ''));
+      if (Number.isNaN(number)) return { error: 'is not a number' };
+      if (type === 'integer') return { value: Math.round(number) };
+      if (type === 'money') return { value: Math.round(number * layout.valueScale * 100) / 100 };
+      return { value: number };
+    }
+    case 'date': {
+      const date = parseDate(value, layout.dateFormat);
+      return date === undefined ? { error: `is not a ${layout.dateFormat} date` } : { value: date };
+    }
+    case 'flag': {
+      const yes = (layout.flagValues[field] || DEFAULT_FLAG_VALUES).map(flag => String(flag).toUpperCase());
+      return { value: yes.includes(value.toUpperCase()) };
+    }
+    case 'zip': {
+      const match = value.match(/^(\d{5})(?:-?\d{4})?$/);
+      return match ? { value: match[1] } : { error: 'is not a zip code' };
+    }
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Transform a row's raw values into an assessor_parcel record
+ * @param {Object} values - Raw values keyed by assessor field
+ * @param {Object} layout - Layout from loadLayout
+ * @returns {Object} { parcel, errors } - parcel is null when the row has errors
+ */
+function transformParcel(values, layout) {
+  const errors = [];
+  const parsed = {};
+  
+  for (const field of Object.keys(layout.fields)) {
+    const result = parseField(values[field], FIELD_TYPES[field], layout, field);
+    if (result.error) {
+      errors.push({ field, value: values[field], message: result.error });
+    } else {
+      parsed[field] = result.value;
+    }
+  }
+  
+  if (!parsed.parcel_id && !errors.some(error => error.field === 'parcel_id')) {
+    errors.push({ field: 'parcel_id', value: null, message: 'is required' });
+  }
+  
+  if (errors.length > 0) {
+    return { parcel: null, errors };
+  }
+  
+  return {
+    parcel: {
+      county: layout.county,
+      parcel_id: parsed.parcel_id,
+      address: parsed.situs_address ? addressMatcher.normalizeAddress(parsed.situs_address) : null,
+      situs_address: parsed.situs_address || null,
+      unit_number: parsed.situs_unit || null,
+      city: parsed.situs_city || null,
+      state: layout.state || null,
+      zip5: parsed.situs_zip || null,
+      lat: parsed.lat ?? null,
+      lon: parsed.lon ?? null,
+      owner_name: [parsed.owner_name, parsed.owner_name_2].filter(Boolean).join(' & ') || null,
+      mailing_address: parsed.mailing_address || null,
+      mailing_city: parsed.mailing_city || null,
+      mailing_state: parsed.mailing_state ? parsed.mailing_state.toUpperCase() : null,
+      mailing_zip: parsed.mailing_zip || null,
+      land_use: parsed.land_use || null,
+      land_use_description: parsed.land_use_description || null,
+      year_built: parsed.year_built || null,
+      building_sqft: parsed.building_sqft || null,
+      lot_size_sqft: parsed.lot_size_sqft || (parsed.lot_acres ? Math.round(parsed.lot_acres * SQFT_PER_ACRE) : null),
+      assessed_land_value: parsed.assessed_land_value ?? null,
+      assessed_improvement_value: parsed.assessed_improvement_value ?? null,
+      assessed_total_value: parsed.assessed_total_value ?? sumValues(parsed.assessed_land_value, parsed.assessed_improvement_value),
+      market_total_value: parsed.market_total_value ?? null,
+      tax_year: parsed.tax_year || null,
+      last_deed_date: parsed.last_deed_date || null,
+      last_deed_price: parsed.last_deed_price || null,
+      delinquent_amount: parsed.delinquent_amount ?? null,
+      ...getOwnerSignals(parsed, layout),
+      last_updated: new Date().toISOString().split('T')[0]
+    },
+    errors
+  };
+}
+
+/**
+ * Derive owner signals from a parsed row
+ * Absentee means the tax bill is mailed somewhere other than the property.
+ * Owner-occupied uses the homestead flag when the county has one, and
+ * otherwise assumes the owner lives where the bill is mailed
+ * @param {Object} parsed - Parsed field values
+ * @param {Object} layout - Layout from loadLayout
+ * @returns {Object} { homestead, owner_occupied, absentee_owner, out_of_state_owner, tax_delinquent }
+ */
+function getOwnerSignals(parsed, layout) {
+  let mailingDiffers = null;
+  if (parsed.mailing_address && parsed.situs_address) {
+    // Units are compared too, so a condo's bill mailed to "88 Croton Ave Apt 2B" matches situs "88 Croton Ave", unit 2B
+    const mailing = addressMatcher.normalizeAddress(parsed.mailing_address);
+    const situs = addressMatcher.normalizeAddress(parsed.situs_address);
+    const sameStreet = mailing === situs ||
+      (parsed.situs_unit && mailing === addressMatcher.normalizeAddress(`${parsed.situs_address} unit ${parsed.situs_unit}`));
+    const sameZip = !parsed.mailing_zip || !parsed.situs_zip || parsed.mailing_zip === parsed.situs_zip;
+    mailingDiffers = !(sameStreet && sameZip);
+  }
+  
+  const homestead = layout.fields.homestead ? parsed.homestead === true : null;
+  
+  let taxDelinquent = null;
+  if (layout.fields.tax_delinquent) {
+    taxDelinquent = parsed.tax_delinquent === true;
+  } else if (layout.fields.delinquent_amount) {
+    taxDelinquent = (parsed.delinquent_amount || 0) > 0;
+  }
+  
+  return {
+    homestead,
+    owner_occupied: homestead !== null ? homestead : mailingDiffers === null ? null : !mailingDiffers,
+    absentee_owner: mailingDiffers,
+    out_of_state_owner: parsed.mailing_state && layout.state
+      ? parsed.mailing_state.toUpperCase() !== layout.state.toUpperCase()
+      : null,
+    tax_delinquent: taxDelinquent
+  };
+}
+
+// Helper functions
+function sumValues(a, b) {
+  return a == null && b == null ? null : (a || 0) + (b || 0);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  loadLayout,
+  readAssessorFile,
+  transformParcel
+};
@@ -2,6 +2,11 @@
  * Configuration utilities
  */
 
+const path = require('path');
+
+// Phrase dictionary shipped with the repo, found from any working directory
+const DEFAULT_DISTRESS_PHRASES_FILE = path.join(__dirname, '..', 'config', 'distress-phrases.json');
+
 // Configuration for zip codes and their geoIdV4 values
 const DEFAULT_ZIP_GEOID_MAPPING = {
   '16146': '9910140a4987c800f1399e10ccabb2d0',
@@ -26,6 +31,187 @@ function getZipGeoIdMapping() {
   return DEFAULT_ZIP_GEOID_MAPPING;
 }
 
+/**
+ * Parse a numeric environment variable
+ * @param {string} name - Environment variable name
+ * @param {number|null} defaultValue - Value to use when unset or invalid
+ * @returns {number|null} Parsed value
+ */
+function getNumberFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  
+  const parsed = Number(value);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    console.warn(`Invalid ${name} environment variable "${value}". Using default.`);
+    return defaultValue;
+  }
+  
+  return parsed;
+}
+
+/**
+ * Get the run settings shared by the Apify scraper clients
+ * Timeout and memory default to the actor's own settings when unset
+ * @returns {Object} Apify run configuration
+ */
+function getApifyRunConfig() {
+  return {
+    maxRetries: getNumberFromEnv('APIFY_MAX_RETRIES', 2),
+    retryBaseDelayMs: getNumberFromEnv('APIFY_RETRY_BASE_DELAY_MS', 10000),
+    retryMaxDelayMs: getNumberFromEnv('APIFY_RETRY_MAX_DELAY_MS', 120000),
+    timeoutSecs: getNumberFromEnv('APIFY_RUN_TIMEOUT_SECS', null),
+    memoryMbytes: getNumberFromEnv('APIFY_RUN_MEMORY_MBYTES', null)
+  };
+}
+
+/**
+ * Get the RentCast request budgets and fetch limits
+ * A null budget or limit means no limit
+ * @returns {Object} RentCast configuration
+ */
+function getRentCastConfig() {
+  return {
+    monthlyBudget: getNumberFromEnv('RENTCAST_MONTHLY_REQUEST_BUDGET', 1000),
+    runBudget: getNumberFromEnv('RENTCAST_RUN_REQUEST_BUDGET', null),
+    batchSize: getNumberFromEnv('RENTCAST_BATCH_SIZE', 50),
+    // 50 listings per zip code unless raised; 0 lifts the cap
+    maxListingsPerZip: getNumberFromEnv('RENTCAST_MAX_LISTINGS_PER_ZIP', 50) || null,
+    zipPriority: (process.env.RENTCAST_ZIP_PRIORITY || '').split(',').map(zip => zip.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Get schema drift check settings from environment variables
+ * @returns {Object} Schema drift configuration
+ */
+function getSchemaDriftConfig() {
+  return {
+    enabled: process.env.SCHEMA_DRIFT_CHECK !== 'false',
+    fillRateDropThreshold: getNumberFromEnv('SCHEMA_DRIFT_FILL_DROP_PCT', 25),
+    failThreshold: getNumberFromEnv('SCHEMA_DRIFT_FAIL_THRESHOLD', null)
+  };
+}
+
+/**
+ * Get raw payload archive settings from environment variables
+ * @returns {Object} Raw payload archive configuration
+ */
+function getRawArchiveConfig() {
+  return {
+    enabled: process.env.RAW_ARCHIVE_ENABLED !== 'false',
+    retentionDays: getNumberFromEnv('RAW_ARCHIVE_RETENTION_DAYS', 90)
+  };
+}
+
+/**
+ * Get RESO Web API (MLS feed) settings from environment variables
+ * @returns {Object} RESO configuration
+ */
+function getResoConfig() {
+  return {
+    baseUrl: process.env.RESO_BASE_URL || null,
+    tokenUrl: process.env.RESO_TOKEN_URL || null,
+    clientId: process.env.RESO_CLIENT_ID || null,
+    clientSecret: process.env.RESO_CLIENT_SECRET || null,
+    scope: process.env.RESO_SCOPE || null,
+    resource: process.env.RESO_RESOURCE || 'Property',
+    pageSize: getNumberFromEnv('RESO_PAGE_SIZE', 200),
+    maxPages: getNumberFromEnv('RESO_MAX_PAGES', 50),
+    statuses: (process.env.RESO_STANDARD_STATUSES || 'Active,ActiveUnderContract,Pending').split(',').map(status => status.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Get off-market lead import settings from environment variables
+ * @returns {Object} Off-market lead configuration
+ */
+function getOffMarketConfig() {
+  return {
+    // Merge leads with the listing sources (needs scripts/create_offmarket_tables.sql)
+    enabled: process.env.OFFMARKET_LEADS_ENABLED === 'true',
+    columnMappingFile: process.env.OFFMARKET_COLUMN_MAPPING_FILE || null
+  };
+}
+
+/**
+ * Get listing photo catalogue settings from environment variables
+ * @returns {Object} Photo configuration
+ */
+function getPhotoConfig() {
+  return {
+    // Use photo hashes as a merge match signal (needs scripts/create_listing_photo_tables.sql)
+    matchingEnabled: process.env.PHOTO_MATCHING_ENABLED === 'true',
+    cacheDir: process.env.PHOTO_CACHE_DIR || './cache/photos',
+    maxPhotosPerListing: getNumberFromEnv('PHOTO_MAX_PER_LISTING', 5),
+    // Hashes this many bits apart or fewer count as the same photo
+    maxHashDistance: getNumberFromEnv('PHOTO_MAX_HASH_DISTANCE', 8),
+    // Hashes on more listings than this are treated as placeholders or agent branding
+    maxListingsPerHash: getNumberFromEnv('PHOTO_MAX_LISTINGS_PER_HASH', 3),
+    // A photo-only merge match needs this many shared photos...
+    minSharedPhotos: getNumberFromEnv('PHOTO_MATCH_MIN_SHARED', 2),
+    // ...and both listings' coordinates within this distance
+    maxMatchDistanceMeters: getNumberFromEnv('PHOTO_MATCH_MAX_DISTANCE_METERS', 500),
+    downloadTimeoutMs: getNumberFromEnv('PHOTO_DOWNLOAD_TIMEOUT_MS', 15000)
+  };
+}
+
+/**
+ * Get distress signal settings from environment variables
+ * @returns {Object} Distress signal configuration
+ */
+function getDistressConfig() {
+  return {
+    phrasesFile: process.env.DISTRESS_PHRASES_FILE || DEFAULT_DISTRESS_PHRASES_FILE
+  };
+}
+
+/**
+ * Get listing lifecycle settings from environment variables
+ * @returns {Object} Lifecycle configuration
+ */
+function getLifecycleConfig() {
+  return {
+    // Days a listing can be missing from its zip code's scrapes before it counts as delisted
+    delistAfterDays: getNumberFromEnv('LIFECYCLE_DELIST_AFTER_DAYS', 3),
+    // Listings that go pending within this many days of listing count as quick pendings
+    quickPendingDays: getNumberFromEnv('LIFECYCLE_QUICK_PENDING_DAYS', 14)
+  };
+}
+
+/**
+ * Order zip codes so the ones in the priority list come first, in priority order
+ * Zip codes not in the list keep their original order after the prioritized ones
+ * @param {string[]} zipCodes - Zip codes to order
+ * @param {string[]} priority - Zip codes in priority order
+ * @returns {string[]} Ordered zip codes
+ */
+function orderZipCodesByPriority(zipCodes, priority = []) {
+  const rank = zip => {
+    const index = priority.indexOf(zip);
+    return index === -1 ? priority.length : index;
+  };
+  
+  return zipCodes
+    .map((zip, index) => ({ zip, index }))
+    .sort((a, b) => rank(a.zip) - rank(b.zip) || a.index - b.index)
+    .map(({ zip }) => zip);
+}
+
 module.exports = {
-  getZipGeoIdMapping
+  getZipGeoIdMapping,
+  getNumberFromEnv,
+  getApifyRunConfig,
+  getRentCastConfig,
+  getSchemaDriftConfig,
+  getRawArchiveConfig,
+  getResoConfig,
+  getOffMarketConfig,
+  getPhotoConfig,
+  getDistressConfig,
+  getLifecycleConfig,
+  orderZipCodesByPriority
 };
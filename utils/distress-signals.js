@@ -0,0 +1,159 @@
+/**
+ * Distress Signal Utility
+ * Finds distress phrases ("cash only", "as-is", "fire damage", ...) in listing
+ * remarks and scores them. Phrases, categories and weights come from a JSON
+ * dictionary (config/distress-phrases.json by default), so they can be tuned
+ * without code changes:
+ *
+ *   {
+ *     "maxScore": 100,                         // Scores are capped here
+ *     "negations": ["no", "not"],              // Words that cancel a phrase right after them
+ *     "categories": {
+ *       "as_is": { "weight": 20, "description": "...", "phrases": ["as-is", "sold as is"] }
+ *     }
+ *   }
+ *
+ * Matching ignores case, punctuation and hyphens, and only matches whole words
+ */
+
+const fs = require('fs');
+const { getDistressConfig } = require('./config');
+
+// Words before a phrase checked for a negation ("no fire damage", "not a short sale")
+const NEGATION_WINDOW = 2;
+
+// Token standing in for sentence-ending punctuation
+const SENTENCE_BREAK = '|';
+
+// Dictionaries already loaded, by file
+const dictionaries = new Map();
+
+/**
+ * Load and check a phrase dictionary
+ * @param {string} file - Dictionary JSON file (default: DISTRESS_PHRASES_FILE)
+ * @returns {Object} Dictionary with phrases normalized for matching
+ */
+function loadPhraseDictionary(file = getDistressConfig().phrasesFile) {
+  if (dictionaries.has(file)) return dictionaries.get(file);
+  
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load distress phrase dictionary ${file}: ${error.message}`);
+  }
+  
+  const categories = Object.entries(raw.categories || {});
+  if (categories.length === 0) {
+    throw new Error(`Distress phrase dictionary ${file} has no categories`);
+  }
+  
+  const phrases = [];
+  for (const [category, definition] of categories) {
+    if (!(definition.weight >= 0) || !Array.isArray(definition.phrases)) {
+      throw new Error(`Distress category ${category} in ${file} needs a weight and a phrases list`);
+    }
+    
+    for (const phrase of definition.phrases) {
+      const tokens = tokenize(phrase);
+      if (tokens.length > 0) phrases.push({ phrase, category, tokens });
+    }
+  }
+  
+  const dictionary = {
+    file,
+    maxScore: raw.maxScore || 100,
+    negations: new Set((raw.negations || []).map(word => word.toLowerCase())),
+    categories: Object.fromEntries(categories.map(([category, definition]) => [category, {
+      weight: definition.weight,
+      description: definition.description || ''
+    }])),
+    phrases
+  };
+  
+  dictionaries.set(file, dictionary);
+  return dictionary;
+}
+
+/**
+ * Find distress phrases in a text
+ * @param {string} text - Listing remarks
+ * @param {Object} dictionary - From loadPhraseDictionary
+ * @returns {Array<Object>} [{ category, phrase }] in the order found
+ */
+function findPhrases(text, dictionary) {
+  const words = tokenize(text);
+  const found = [];
+  
+  for (const { phrase, category, tokens } of dictionary.phrases) {
+    for (let i = 0; i + tokens.length <= words.length; i++) {
+      if (!tokens.every((token, offset) => words[i + offset] === token)) continue;
+      
+      const before = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+      const sentenceStart = before.lastIndexOf(SENTENCE_BREAK);
+      if (before.slice(sentenceStart + 1).some(word => dictionary.negations.has(word))) continue;
+      
+      found.push({ category, phrase, start: i, end: i + tokens.length });
+      break;
+    }
+  }
+  
+  // A phrase inside a longer one ("as is" in "sold as is") only counts once, as the longer one
+  const kept = [];
+  found
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(match => {
+      if (!kept.some(other => match.start < other.end && other.start < match.end)) kept.push(match);
+    });
+  
+  return kept.map(({ category, phrase }) => ({ category, phrase }));
+}
+
+/**
+ * Analyse a listing's remarks from one or more sources
+ * Each category counts once, at its dictionary weight, however many
+ * phrases or sources mention it
+ * @param {Object} texts - Remarks keyed by where they came from (e.g. overview column)
+ * @param {Object} dictionary - From loadPhraseDictionary (default: the configured dictionary)
+ * @returns {Object} { score, tags, signals: [{ category, phrase, source }] }
+ */
+function analyzeRemarks(texts, dictionary = loadPhraseDictionary()) {
+  const signals = [];
+  
+  for (const [source, text] of Object.entries(texts)) {
+    if (!text || typeof text !== 'string') continue;
+    
+    for (const match of findPhrases(text, dictionary)) {
+      if (!signals.some(signal => signal.category === match.category && signal.phrase === match.phrase)) {
+        signals.push({ ...match, source });
+      }
+    }
+  }
+  
+  const tags = [...new Set(signals.map(signal => signal.category))];
+  const total = tags.reduce((sum, category) => sum + dictionary.categories[category].weight, 0);
+  
+  return {
+    score: Math.min(dictionary.maxScore, total),
+    tags,
+    signals
+  };
+}
+
+// Helper functions
+function tokenize(text) {
+  // Sentence breaks become a token, so phrases and negations don't reach across them
+  return String(text)
+    .toLowerCase()
+    .replace(/[.!?;:,]+/g, ` ${SENTENCE_BREAK} `)
+    .replace(/[^a-z0-9|]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+module.exports = {
+  loadPhraseDictionary,
+  findPhrases,
+  analyzeRemarks
+};
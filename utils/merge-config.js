@@ -5,6 +5,16 @@
 
 const { db } = require('../index');
 
+/**
+ * How several sources' values of a numeric field are resolved:
+ *   source_precedence - Value of the most trusted source (adapter trustWeights)
+ *   most_recent       - Value of the most recently updated source listing
+ *   median            - Middle value (the lower one of an even count)
+ *   mode              - Most common value, ties going to the more trusted source
+ *   average           - Trust-weighted average
+ */
+const RESOLUTION_STRATEGIES = ['source_precedence', 'most_recent', 'median', 'mode', 'average'];
+
 /**
  * Default configuration values
  */
@@ -20,6 +30,14 @@ const DEFAULT_CONFIG = {
     source_count: 0.3,
     confidence: 0.4,
     conflicts: 0.3
+  },
+  // Canonical field -> resolution strategy; 'default' applies to unlisted fields
+  field_resolution_strategies: {
+    default: 'average',
+    price: 'most_recent',
+    bedrooms: 'mode',
+    bathrooms: 'mode',
+    year_built: 'mode'
   }
 };
 
@@ -132,6 +150,19 @@ async function setConfig(key, value, description = null) {
   }
 }
 
+/**
+ * Get the resolution strategy of a field
+ * @param {Object} config - Configuration
+ * @param {string} fieldName - Canonical field name
+ * @returns {string} One of RESOLUTION_STRATEGIES
+ */
+function getResolutionStrategy(config, fieldName) {
+  const strategies = config.field_resolution_strategies || {};
+  const strategy = strategies[fieldName] || strategies.default;
+  
+  return RESOLUTION_STRATEGIES.includes(strategy) ? strategy : 'average';
+}
+
 /**
  * Parse configuration value based on data type
  * @param {string} value - Raw configuration value
@@ -210,6 +241,15 @@ function validateConfig(config) {
     }
   }
   
+  // Validate resolution strategies
+  if (config.field_resolution_strategies) {
+    for (const [field, strategy] of Object.entries(config.field_resolution_strategies)) {
+      if (!RESOLUTION_STRATEGIES.includes(strategy)) {
+        errors.push(`field_resolution_strategies.${field} must be one of ${RESOLUTION_STRATEGIES.join(', ')}`);
+      }
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -297,7 +337,8 @@ function getConfigDescription(key) {
     min_confidence_score: 'Minimum confidence score for accepting matches',
     max_coordinate_distance: 'Maximum coordinate distance in meters to consider for matching',
     conflict_detection_enabled: 'Enable conflict detection and logging',
-    quality_score_weights: 'Weights for quality score calculation'
+    quality_score_weights: 'Weights for quality score calculation',
+    field_resolution_strategies: 'How conflicting numeric values are resolved, per field (source_precedence, most_recent, median, mode, average)'
   };
   
   return descriptions[key] || 'Configuration setting';
@@ -310,5 +351,7 @@ module.exports = {
   getConfigWithOverrides,
   initializeConfig,
   validateConfig,
-  DEFAULT_CONFIG
+  getResolutionStrategy,
+  DEFAULT_CONFIG,
+  RESOLUTION_STRATEGIES
 };
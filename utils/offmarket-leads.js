@@ -0,0 +1,342 @@
+/**
+ * Off-Market Lead Utility
+ * Maps wholesaler spreadsheet columns onto lead fields, and validates and
+ * transforms rows into offmarket_lead records
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const addressMatcher = require('../models/address-matcher');
+
+// Lead field -> spreadsheet headers recognised without a mapping file.
+// Headers are compared ignoring case, spaces and punctuation
+const DEFAULT_COLUMN_ALIASES = {
+  address: ['address', 'street', 'street address', 'property address', 'address 1'],
+  unit: ['unit', 'apt', 'unit number'],
+  city: ['city', 'town'],
+  state: ['state', 'province'],
+  zip5: ['zip', 'zip code', 'zipcode', 'zip5', 'postal code'],
+  price: ['price', 'asking price', 'asking', 'list price', 'purchase price', 'contract price'],
+  arv: ['arv', 'after repair value'],
+  repair_estimate: ['repairs', 'repair estimate', 'repair cost', 'rehab', 'rehab estimate'],
+  bedrooms: ['beds', 'bedrooms', 'bd', 'br'],
+  bathrooms: ['baths', 'bathrooms', 'ba'],
+  sqft: ['sqft', 'sq ft', 'square feet', 'living area'],
+  lot_size: ['lot size', 'lot sqft', 'lot'],
+  year_built: ['year built', 'built'],
+  property_type: ['property type', 'type'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+  contact_name: ['contact', 'contact name', 'wholesaler'],
+  contact_phone: ['phone', 'contact phone'],
+  contact_email: ['email', 'contact email'],
+  notes: ['notes', 'comments', 'description', 'remarks']
+};
+
+// Fields that must resolve to a column in every file
+const REQUIRED_FIELDS = ['address'];
+
+// Numeric fields and the values they accept
+const NUMBER_RULES = {
+  price: { min: 1, max: 100000000, money: true },
+  arv: { min: 1, max: 100000000, money: true },
+  repair_estimate: { min: 0, max: 100000000, money: true },
+  bedrooms: { min: 0, max: 50, integer: true },
+  bathrooms: { min: 0, max: 50 },
+  sqft: { min: 100, max: 100000, integer: true },
+  lot_size: { min: 0, max: 100000000, integer: true },
+  year_built: { min: 1700, max: new Date().getFullYear() + 1, integer: true },
+  lat: { min: -90, max: 90 },
+  lon: { min: -180, max: 180 }
+};
+
+// Text fields copied as-is
+const TEXT_FIELDS = ['unit', 'city', 'property_type', 'contact_name', 'contact_phone', 'notes'];
+
+/**
+ * Reduce a header to letters and digits for matching
+ * @param {string} header - Spreadsheet header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Load a column mapping file
+ * The file maps lead fields to a header or list of headers, e.g.
+ * { "price": "Asking $", "arv": ["ARV", "After Repair"] }
+ * @param {string} file - JSON mapping file
+ * @returns {Object} Lead field -> list of headers
+ */
+function loadColumnMapping(file) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load column mapping ${file}: ${error.message}`);
+  }
+  
+  const unknown = Object.keys(mapping).filter(field => !DEFAULT_COLUMN_ALIASES[field]);
+  if (unknown.length > 0) {
+    throw new Error(`Column mapping ${file} has unknown field(s) ${unknown.join(', ')}. Use ${Object.keys(DEFAULT_COLUMN_ALIASES).join(', ')}`);
+  }
+  
+  return Object.fromEntries(Object.entries(mapping).map(([field, headers]) => [field, [].concat(headers)]));
+}
+
+/**
+ * Resolve which spreadsheet column feeds each lead field
+ * Mapped headers take precedence over the default aliases. A mapped header
+ * that isn't in the file, or a required field with no column, is an error
+ * @param {Array<string>} headers - Spreadsheet headers
+ * @param {Object} mapping - Lead field -> list of headers (from loadColumnMapping)
+ * @returns {Object} Lead field -> spreadsheet header
+ */
+function resolveColumnMapping(headers, mapping = {}) {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const resolved = {};
+  
+  for (const [field, aliases] of Object.entries(DEFAULT_COLUMN_ALIASES)) {
+    if (mapping[field]) {
+      const header = mapping[field].map(name => byNormalized.get(normalizeHeader(name))).find(Boolean);
+      if (!header) {
+        throw new Error(`Mapped column ${mapping[field].map(name => `"${name}"`).join(' or ')} for ${field} is not in the file. Headers: ${headers.join(', ')}`);
+      }
+      resolved[field] = header;
+      continue;
+    }
+    
+    const header = aliases.map(alias => byNormalized.get(normalizeHeader(alias))).find(Boolean);
+    if (header) resolved[field] = header;
+  }
+  
+  const missing = REQUIRED_FIELDS.filter(field => !resolved[field]);
+  if (missing.length > 0) {
+    throw new Error(`No column found for ${missing.join(', ')}. Headers: ${headers.join(', ')}. Add them to a column mapping file`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Rename a spreadsheet row's values to lead fields
+ * @param {Object} values - Row values keyed by header
+ * @param {Object} columnMapping - Lead field -> header (from resolveColumnMapping)
+ * @returns {Object} Row values keyed by lead field
+ */
+function mapRow(values, columnMapping) {
+  const mapped = {};
+  for (const [field, header] of Object.entries(columnMapping)) {
+    const value = values[header];
+    mapped[field] = value instanceof Date ? value.toISOString().split('T')[0] : value ?? null;
+  }
+  return mapped;
+}
+
+/**
+ * Parse a numeric cell
+ * Accepts numbers, and strings with $, commas and (for money) a k or m suffix
+ * @param {any} value - Cell value
+ * @param {Object} rule - Entry from NUMBER_RULES
+ * @returns {Object} { value } or { error }
+ */
+function parseNumberCell(value, rule) {
+  if (value == null || String(value).trim() === '') return { value: null };
+  
+  let number = value;
+  if (typeof value !== 'number') {
+    const text = String(value).trim().toLowerCase().replace(/[$,\s]/g, '');
+    const match = text.match(/^(-?\d*\.?\d+)(k|m)?$/);
+    
+    if (!match || (match[2] && !rule.money)) {
+      return { error: 'is not a number' };
+    }
+    
+    number = parseFloat(match[1]) * (match[2] === 'k' ? 1000 : match[2] === 'm' ? 1000000 : 1);
+  }
+  
+  if (!Number.isFinite(number)) return { error: 'is not a number' };
+  if (rule.integer && !Number.isInteger(number)) return { error: 'must be a whole number' };
+  if (number < rule.min || number > rule.max) return { error: `must be between ${rule.min} and ${rule.max}` };
+  
+  return { value: number };
+}
+
+/**
+ * Split a one-cell address like "12 Main St, Sharon, PA 16146" into parts
+ * @param {string} address - Address cell
+ * @returns {Object} { street, city, state, zip5 } (missing parts are null)
+ */
+function splitFullAddress(address) {
+  const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+  const result = { street: parts[0] || null, city: null, state: null, zip5: null };
+  
+  const last = parts.length > 1 ? parts[parts.length - 1] : '';
+  const stateZip = last.match(/^([A-Za-z]{2})?\s*(\d{5})?(?:-\d{4})?$/);
+  if (stateZip && (stateZip[1] || stateZip[2])) {
+    result.state = stateZip[1] ? stateZip[1].toUpperCase() : null;
+    result.zip5 = stateZip[2] || null;
+    if (parts.length > 2) result.city = parts[parts.length - 2];
+  } else if (parts.length > 1) {
+    result.city = parts[1];
+  }
+  
+  return result;
+}
+
+/**
+ * Normalize a zip code cell to five digits
+ * Spreadsheets often store zips as numbers and drop the leading zero
+ * @param {any} value - Zip cell
+ * @returns {string|null} Five-digit zip, or null if the value isn't one
+ */
+function normalizeZip(value) {
+  if (value == null || String(value).trim() === '') return null;
+  
+  const text = String(value).trim();
+  if (/^\d{3,4}$/.test(text)) return text.padStart(5, '0');
+  
+  const match = text.match(/^(\d{5})(?:-?\d{4})?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the stable lead ID for an address, so re-imports update the same lead
+ * @param {string} normalizedAddress - Address from addressMatcher.normalizeAddress
+ * @param {string|null} unit - Unit number
+ * @param {string} zip5 - Zip code
+ * @returns {string} Lead ID
+ */
+function buildLeadId(normalizedAddress, unit, zip5) {
+  const key = [normalizedAddress, unit ? String(unit).toLowerCase() : '', zip5].join('|');
+  return `om-${crypto.createHash('sha1').update(key).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Validate and transform one mapped row into an offmarket_lead record
+ * @param {Object} row - Row keyed by lead field, plus source_name, source_file and source_row
+ * @returns {Object} { lead, errors } - lead is null when the row has errors
+ */
+function transformLead(row) {
+  const errors = [];
+  const addError = (field, value, message) => errors.push({ field, value: value ?? null, message });
+  
+  const rawAddress = row.address == null ? '' : String(row.address).trim();
+  if (!rawAddress) {
+    addError('address', row.address, 'is required');
+  }
+  
+  // Fill city, state and zip from a one-cell address when their columns are empty
+  const fullAddress = rawAddress.includes(',') ? splitFullAddress(rawAddress) : { street: rawAddress };
+  const street = fullAddress.street || rawAddress;
+  
+  const zipValue = row.zip5 != null && String(row.zip5).trim() !== '' ? row.zip5 : fullAddress.zip5;
+  const zip5 = normalizeZip(zipValue);
+  if (!zip5) {
+    addError('zip5', zipValue, zipValue == null ? 'is required (zip column or in the address)' : 'is not a 5-digit zip code');
+  }
+  
+  const stateValue = row.state != null && String(row.state).trim() !== '' ? String(row.state).trim() : fullAddress.state;
+  if (stateValue && !/^[A-Za-z]{2}$/.test(stateValue)) {
+    addError('state', stateValue, 'must be a 2-letter state code');
+  }
+  
+  const email = row.contact_email == null ? '' : String(row.contact_email).trim();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    addError('contact_email', email, 'is not an email address');
+  }
+  
+  const numbers = {};
+  for (const [field, rule] of Object.entries(NUMBER_RULES)) {
+    const parsed = parseNumberCell(row[field], rule);
+    if (parsed.error) {
+      addError(field, row[field], parsed.error);
+    } else {
+      numbers[field] = parsed.value;
+    }
+  }
+  
+  if (errors.length > 0) {
+    return { lead: null, errors };
+  }
+  
+  const text = {};
+  for (const field of TEXT_FIELDS) {
+    text[field] = row[field] == null || String(row[field]).trim() === '' ? null : String(row[field]).trim();
+  }
+  
+  const normalizedAddress = addressMatcher.normalizeAddress(street);
+  
+  return {
+    lead: {
+      offmarket_id: buildLeadId(normalizedAddress, text.unit, zip5),
+      address: normalizedAddress,
+      original_address: rawAddress,
+      unit_number: text.unit,
+      city: text.city || fullAddress.city || null,
+      state: stateValue ? stateValue.toUpperCase() : null,
+      zip5,
+      price: numbers.price,
+      arv: numbers.arv,
+      repair_estimate: numbers.repair_estimate,
+      bedrooms: numbers.bedrooms,
+      bathrooms: numbers.bathrooms,
+      sqft: numbers.sqft,
+      lot_size: numbers.lot_size,
+      year_built: numbers.year_built,
+      property_type: text.property_type,
+      lat: numbers.lat,
+      lon: numbers.lon,
+      listing_status: 'Off Market',
+      contact_name: text.contact_name,
+      contact_phone: text.contact_phone,
+      contact_email: email || null,
+      notes: text.notes,
+      source_name: row.source_name || null,
+      source_file: row.source_file || null,
+      source_row: row.source_row || null,
+      last_updated: new Date().toISOString().split('T')[0]
+    },
+    errors
+  };
+}
+
+/**
+ * Validate and transform mapped rows
+ * A row that repeats an earlier row's address is rejected as a duplicate
+ * @param {Array<Object>} rows - Rows keyed by lead field (see transformLead)
+ * @returns {Object} { leads, rowErrors: [{ row, errors }] }
+ */
+function transformLeads(rows) {
+  const leads = [];
+  const rowErrors = [];
+  const seen = new Map();
+  
+  for (const row of rows) {
+    const { lead, errors } = transformLead(row);
+    
+    if (lead && seen.has(lead.offmarket_id)) {
+      errors.push({ field: 'address', value: row.address, message: `duplicates row ${seen.get(lead.offmarket_id)}` });
+    }
+    
+    if (errors.length > 0) {
+      rowErrors.push({ row, errors });
+      continue;
+    }
+    
+    seen.set(lead.offmarket_id, row.source_row);
+    leads.push(lead);
+  }
+  
+  return { leads, rowErrors };
+}
+
+module.exports = {
+  DEFAULT_COLUMN_ALIASES,
+  loadColumnMapping,
+  resolveColumnMapping,
+  mapRow,
+  transformLead,
+  transformLeads
+};
@@ -0,0 +1,155 @@
+/**
+ * Perceptual Hash Utility
+ * Computes 64-bit DCT perceptual hashes (pHash) of JPEG and PNG photos.
+ * Resized, recompressed or slightly re-cropped copies of a photo hash within
+ * a few bits of each other, so two listings showing the same photos can be
+ * told apart from two listings that merely share an address
+ */
+
+// Side of the grayscale image the DCT runs on
+const SAMPLE_SIZE = 32;
+
+// Side of the low-frequency DCT block kept for the hash
+const HASH_SIZE = 8;
+
+// Largest AC coefficient below which an image counts as blank
+const MIN_DETAIL = SAMPLE_SIZE * 2;
+
+// Hashes with fewer set (or unset) bits than this come from blank or near-uniform images
+const MIN_INFORMATIVE_BITS = 6;
+
+/**
+ * Decode a JPEG or PNG image into RGBA pixels
+ * Decoders are required lazily so modules that only compare hashes don't need them
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Object} { width, height, data } with 4 bytes per pixel
+ */
+function decodeImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const jpeg = require('jpeg-js');
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  }
+  
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    const { PNG } = require('pngjs');
+    return PNG.sync.read(buffer);
+  }
+  
+  throw new Error('Unsupported image format. Only JPEG and PNG photos can be hashed');
+}
+
+/**
+ * Shrink an image to a SAMPLE_SIZE square of grayscale values by averaging
+ * the pixels that fall in each cell
+ * @param {Object} image - { width, height, data } RGBA image
+ * @returns {Float64Array} SAMPLE_SIZE * SAMPLE_SIZE luminance values
+ */
+function toGrayscaleSample(image) {
+  const { width, height, data } = image;
+  const sums = new Float64Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  const counts = new Uint32Array(SAMPLE_SIZE * SAMPLE_SIZE);
+  
+  for (let y = 0; y < height; y++) {
+    const cellY = Math.min(SAMPLE_SIZE - 1, Math.floor(y * SAMPLE_SIZE / height));
+    for (let x = 0; x < width; x++) {
+      const cellX = Math.min(SAMPLE_SIZE - 1, Math.floor(x * SAMPLE_SIZE / width));
+      const offset = (y * width + x) * 4;
+      const cell = cellY * SAMPLE_SIZE + cellX;
+      
+      sums[cell] += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      counts[cell]++;
+    }
+  }
+  
+  return sums.map((sum, cell) => (counts[cell] ? sum / counts[cell] : 0));
+}
+
+/**
+ * Low-frequency corner of the 2D DCT-II of a SAMPLE_SIZE square
+ * @param {Float64Array} pixels - SAMPLE_SIZE * SAMPLE_SIZE values
+ * @returns {Array<number>} HASH_SIZE * HASH_SIZE coefficients, row by row
+ */
+function lowFrequencyDct(pixels) {
+  const n = SAMPLE_SIZE;
+  const cosines = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    cosines.push(Array.from({ length: n }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n))));
+  }
+  
+  // Rows first, then columns, keeping only the frequencies the hash uses
+  const rows = [];
+  for (let y = 0; y < n; y++) {
+    rows.push(cosines.map(cos => cos.reduce((sum, c, x) => sum + c * pixels[y * n + x], 0)));
+  }
+  
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      coefficients.push(cosines[v].reduce((sum, c, y) => sum + c * rows[y][u], 0));
+    }
+  }
+  
+  return coefficients;
+}
+
+/**
+ * Compute the perceptual hash of an image
+ * Each bit says whether a low-frequency DCT coefficient is above the median;
+ * the DC term (overall brightness) is left out of the median
+ * @param {Buffer} buffer - JPEG or PNG file contents
+ * @returns {string} 16 hex digits
+ */
+function computePhash(buffer) {
+  const coefficients = lowFrequencyDct(toGrayscaleSample(decodeImage(buffer)));
+  
+  // A near-uniform image has only compression noise above the median; hash it as blank
+  if (Math.max(...coefficients.slice(1).map(Math.abs)) < MIN_DETAIL) {
+    return '0'.repeat(HASH_SIZE * HASH_SIZE / 4);
+  }
+  
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[(sorted.length >> 1) - 1] + sorted[sorted.length >> 1]) / 2;
+  
+  let hash = 0n;
+  for (const coefficient of coefficients) {
+    hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+  }
+  
+  return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+}
+
+/**
+ * Count the bits two hashes differ in
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance
+ */
+function hammingDistance(a, b) {
+  return countBits(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+}
+
+/**
+ * Check whether a hash is too uniform to identify a photo
+ * Blank and single-color images hash to all zeros, and nearly uniform ones to few set bits
+ * @param {string} hash - Hex hash
+ * @returns {boolean} True if the hash shouldn't be used for matching
+ */
+function isUninformativeHash(hash) {
+  const bits = countBits(BigInt(`0x${hash}`));
+  return bits < MIN_INFORMATIVE_BITS || bits > HASH_SIZE * HASH_SIZE - MIN_INFORMATIVE_BITS;
+}
+
+// Helper functions
+function countBits(value) {
+  let count = 0;
+  for (let rest = value; rest > 0n; rest >>= 1n) {
+    count += Number(rest & 1n);
+  }
+  return count;
+}
+
+module.exports = {
+  computePhash,
+  hammingDistance,
+  isUninformativeHash
+};
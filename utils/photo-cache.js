@@ -0,0 +1,58 @@
+/**
+ * Photo Cache Utility
+ * Downloads listing photos into a local cache directory, one file per URL,
+ * so re-hashing or re-checking a photo doesn't fetch it again
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Get the cache file for a photo URL
+ * @param {string} url - Photo URL
+ * @param {string} cacheDir - Cache directory
+ * @returns {string} Cache file path
+ */
+function getCachePath(url, cacheDir) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex');
+  // Two-character subdirectories keep directory listings short
+  return path.join(cacheDir, hash.slice(0, 2), hash);
+}
+
+/**
+ * Get a photo's contents, downloading it into the cache if it isn't there yet
+ * @param {string} url - Photo URL
+ * @param {Object} options - Cache options
+ * @param {string} options.cacheDir - Cache directory
+ * @param {number} options.timeoutMs - Download timeout (default: 15000)
+ * @returns {Promise<Object>} { buffer, cached } where cached says whether the file was already there
+ */
+async function getCachedPhoto(url, options) {
+  const { cacheDir, timeoutMs = 15000 } = options;
+  const file = getCachePath(url, cacheDir);
+  
+  if (fs.existsSync(file)) {
+    return { buffer: fs.readFileSync(file), cached: true };
+  }
+  
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: timeoutMs,
+    maxContentLength: 20 * 1024 * 1024
+  });
+  const buffer = Buffer.from(response.data);
+  
+  // Written to a temporary file first so an interrupted run doesn't leave a partial photo
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, buffer);
+  fs.renameSync(`${file}.tmp`, file);
+  
+  return { buffer, cached: false };
+}
+
+module.exports = {
+  getCachePath,
+  getCachedPhoto
+};
@@ -0,0 +1,253 @@
+/**
+ * Schema drift detection for raw scraper payloads
+ * Profiles the fields of a run's raw items and compares them with the expected
+ * shape of the source and with the previous run's fill rates
+ */
+
+/**
+ * Get the type name of a raw value
+ * @param {any} value - Raw value
+ * @returns {string} null, array, object, string, number or boolean
+ */
+function getValueType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check whether a raw value counts as filled
+ * @param {any} value - Raw value
+ * @returns {boolean} False for null, undefined, empty strings and empty arrays
+ */
+function isFilled(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Flatten an item into dotted field paths
+ * Objects are descended into; arrays are kept whole
+ * @param {Object} item - Raw item
+ * @param {string} prefix - Path of the parent object
+ * @param {Object} fields - Accumulator of path -> value
+ * @returns {Object} Map of field path -> value
+ */
+function flattenItem(item, prefix = '', fields = {}) {
+  for (const [key, value] of Object.entries(item || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    fields[path] = value;
+    
+    if (getValueType(value) === 'object') {
+      flattenItem(value, path, fields);
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Profile the fields of a run's raw items
+ * @param {Array<Object>} items - Raw items from the scraper
+ * @returns {Object} Map of field path -> { present, filled, fillRate, types }
+ */
+function profileItems(items = []) {
+  const profile = {};
+  
+  for (const item of items) {
+    for (const [path, value] of Object.entries(flattenItem(item))) {
+      const field = profile[path] || (profile[path] = { present: 0, filled: 0, types: {} });
+      field.present++;
+      
+      if (isFilled(value)) {
+        field.filled++;
+        const type = getValueType(value);
+        field.types[type] = (field.types[type] || 0) + 1;
+      }
+    }
+  }
+  
+  for (const field of Object.values(profile)) {
+    field.fillRate = items.length > 0 ? Math.round((field.filled / items.length) * 1000) / 10 : 0;
+  }
+  
+  return profile;
+}
+
+/**
+ * Parse an expected type ("number", "number|string") into a list of types
+ * @param {string} type - Expected type
+ * @returns {Array<string>} Accepted types
+ */
+function parseExpectedType(type) {
+  return String(type).split('|').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a path sits directly under a known object (or at the top level)
+ * Only these unknown paths are reported as new, so the nested contents of
+ * unknown objects don't flood the report
+ * @param {string} path - Field path
+ * @param {Object} shape - Expected shape
+ * @returns {boolean} True if the parent is the root or a known object
+ */
+function hasKnownParent(path, shape) {
+  const lastDot = path.lastIndexOf('.');
+  if (lastDot === -1) return true;
+  
+  const parent = path.slice(0, lastDot);
+  return Object.keys(shape).some(expected => expected === parent || expected.startsWith(`${parent}.`));
+}
+
+/**
+ * Compare a field profile with an expected shape
+ * @param {Object} profile - Result of profileItems
+ * @param {Object} shape - Map of field path -> { type, optional }
+ * @returns {Object} { missingFields, newFields, typeChanges }
+ */
+function compareToExpectedShape(profile, shape) {
+  const missingFields = [];
+  const typeChanges = [];
+  
+  for (const [path, expected] of Object.entries(shape)) {
+    const field = profile[path];
+    
+    if (!field) {
+      if (!expected.optional) {
+        missingFields.push(path);
+      }
+      continue;
+    }
+    
+    const expectedTypes = parseExpectedType(expected.type);
+    const actualTypes = Object.keys(field.types);
+    const unexpectedTypes = actualTypes.filter(type => !expectedTypes.includes(type));
+    
+    if (unexpectedTypes.length > 0) {
+      typeChanges.push({ field: path, expected: expected.type, actual: actualTypes.join('|') });
+    }
+  }
+  
+  const newFields = Object.keys(profile)
+    .filter(path => !shape[path] && hasKnownParent(path, shape))
+    .filter(path => !Object.keys(shape).some(expected => expected.startsWith(`${path}.`)))
+    .sort();
+  
+  return { missingFields, newFields, typeChanges };
+}
+
+/**
+ * Compare fill rates with the previous run's
+ * @param {Object} fillRates - Map of field path -> fill rate percentage
+ * @param {Object} previousFillRates - Previous run's fill rates
+ * @param {number} dropThreshold - Percentage points a field may drop before it is reported
+ * @returns {Array<Object>} Fields whose fill rate dropped { field, previous, current, drop }
+ */
+function compareFillRates(fillRates, previousFillRates, dropThreshold) {
+  const drops = [];
+  
+  for (const [path, previous] of Object.entries(previousFillRates || {})) {
+    const current = fillRates[path] || 0;
+    const drop = Math.round((previous - current) * 10) / 10;
+    
+    if (drop >= dropThreshold) {
+      drops.push({ field: path, previous, current, drop });
+    }
+  }
+  
+  return drops.sort((a, b) => b.drop - a.drop);
+}
+
+/**
+ * Build a schema drift report for a run
+ * Only fields in the expected shape get fill rates, so reports stay small and
+ * the previous run's rates can be compared field by field
+ * @param {Array<Object>} items - Raw items from the scraper
+ * @param {Object} shape - Expected shape of the source
+ * @param {Object} options - Report options
+ * @param {Object} options.previousFillRates - Fill rates from the previous run (if any)
+ * @param {number} options.fillRateDropThreshold - Percentage points before a drop is reported
+ * @returns {Object} Drift report
+ */
+function buildDriftReport(items, shape, options = {}) {
+  const { previousFillRates = null, fillRateDropThreshold = 25 } = options;
+  
+  const profile = profileItems(items);
+  const { missingFields, newFields, typeChanges } = compareToExpectedShape(profile, shape);
+  
+  const fillRates = {};
+  for (const path of Object.keys(shape)) {
+    fillRates[path] = profile[path] ? profile[path].fillRate : 0;
+  }
+  
+  // Without items there is nothing to compare, so an empty run is not reported as drift
+  const fillRateDrops = items.length > 0 && previousFillRates
+    ? compareFillRates(fillRates, previousFillRates, fillRateDropThreshold)
+    : [];
+  
+  const issueCount = items.length > 0
+    ? missingFields.length + typeChanges.length + fillRateDrops.length
+    : 0;
+  
+  return {
+    itemCount: items.length,
+    fieldCount: Object.keys(profile).length,
+    missingFields: items.length > 0 ? missingFields : [],
+    newFields,
+    typeChanges,
+    fillRates,
+    fillRateDrops,
+    issueCount
+  };
+}
+
+/**
+ * Check whether a report should fail the task
+ * @param {Object|null} report - Drift report (null when the check was skipped)
+ * @param {number|null} failThreshold - Issues allowed before failing (null never fails)
+ * @returns {boolean} True if the report has more issues than allowed
+ */
+function exceedsFailThreshold(report, failThreshold) {
+  if (!report || failThreshold === null || failThreshold === undefined) return false;
+  return report.issueCount > failThreshold;
+}
+
+/**
+ * Log a drift report summary
+ * @param {string} source - Raw data source (e.g. zillow-sold)
+ * @param {Object} report - Drift report
+ */
+function logDriftReport(source, report) {
+  if (report.issueCount === 0 && report.newFields.length === 0) {
+    console.log(`Schema check for ${source}: no drift across ${report.itemCount} items`);
+    return;
+  }
+  
+  console.warn(`Schema check for ${source}: ${report.issueCount} issue(s) across ${report.itemCount} items`);
+  if (report.missingFields.length > 0) {
+    console.warn(`  Missing fields: ${report.missingFields.join(', ')}`);
+  }
+  for (const change of report.typeChanges) {
+    console.warn(`  Type changed: ${change.field} (expected ${change.expected}, got ${change.actual})`);
+  }
+  for (const drop of report.fillRateDrops) {
+    console.warn(`  Fill rate dropped: ${drop.field} ${drop.previous}% -> ${drop.current}%`);
+  }
+  if (report.newFields.length > 0) {
+    console.log(`  New fields: ${report.newFields.join(', ')}`);
+  }
+}
+
+module.exports = {
+  getValueType,
+  isFilled,
+  flattenItem,
+  profileItems,
+  compareToExpectedShape,
+  compareFillRates,
+  buildDriftReport,
+  exceedsFailThreshold,
+  logDriftReport
+};
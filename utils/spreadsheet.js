@@ -0,0 +1,137 @@
+/**
+ * Spreadsheet Utility
+ * Reads CSV and XLSX files into rows keyed by header, and writes rows back to CSV
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parse CSV text into an array of rows
+ * Handles quoted fields with embedded commas, quotes and newlines, CRLF line
+ * endings and a leading byte order mark
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  // Last row without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Read a CSV or XLSX file
+ * The first non-empty row is the header row. Blank rows are dropped, and each
+ * row keeps its line (CSV) or row (XLSX) number for error reports
+ * @param {string} file - Path to a .csv or .xlsx file
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - XLSX sheet name or 1-based number (default: first sheet)
+ * @returns {Promise<Object>} { headers, rows: [{ rowNumber, values }] }
+ */
+async function readSpreadsheet(file, options = {}) {
+  const extension = path.extname(file).toLowerCase();
+  let table;
+  
+  if (extension === '.csv' || extension === '.txt') {
+    table = parseCsv(fs.readFileSync(file, 'utf8'));
+  } else if (extension === '.xlsx') {
+    // Required lazily so CSV imports don't need the XLSX reader
+    const { readSheet } = require('read-excel-file/node');
+    table = options.sheet ? await readSheet(file, options.sheet) : await readSheet(file);
+  } else {
+    throw new Error(`Unsupported spreadsheet type "${extension}". Use .csv or .xlsx`);
+  }
+  
+  const isBlank = cells => cells.every(cell => cell == null || String(cell).trim() === '');
+  const headerIndex = table.findIndex(cells => !isBlank(cells));
+  if (headerIndex === -1) {
+    return { headers: [], rows: [] };
+  }
+  
+  const headers = table[headerIndex].map(header => (header == null ? '' : String(header).trim()));
+  const rows = [];
+  
+  for (let i = headerIndex + 1; i < table.length; i++) {
+    if (isBlank(table[i])) continue;
+    
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = table[i][column] ?? null;
+    });
+    
+    rows.push({ rowNumber: i + 1, values });
+  }
+  
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Quote a value for CSV output when it needs it
+ * @param {any} value - Cell value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows to a CSV file
+ * @param {string} file - Output path
+ * @param {Array<string>} headers - Column headers, in order
+ * @param {Array<Object>} rows - Rows keyed by header
+ */
+function writeCsv(file, headers, rows) {
+  const lines = [headers.map(toCsvField).join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(header => toCsvField(row[header])).join(','));
+  }
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+}
+
+module.exports = {
+  parseCsv,
+  readSpreadsheet,
+  writeCsv
+};
@@ -0,0 +1,296 @@
+/**
+ * USPS Publication 28 Tables
+ * Street suffixes (Appendix C1), secondary unit designators (Appendix C2) and
+ * directionals, each keyed by the standard abbreviation with the spellings
+ * that map to it. Everything is lowercase
+ */
+
+// Appendix C1: standard suffix abbreviation -> primary name and common abbreviations
+const STREET_SUFFIXES = {
+  aly: ['alley', 'allee', 'ally'],
+  anx: ['anex', 'annex', 'annx'],
+  arc: ['arcade'],
+  ave: ['avenue', 'av', 'aven', 'avenu', 'avn', 'avnue'],
+  byu: ['bayou', 'bayoo'],
+  bch: ['beach'],
+  bnd: ['bend'],
+  blf: ['bluff', 'bluf'],
+  blfs: ['bluffs'],
+  btm: ['bottom', 'bot', 'bottm'],
+  blvd: ['boulevard', 'boul', 'boulv'],
+  br: ['branch', 'brnch'],
+  brg: ['bridge', 'brdge'],
+  brk: ['brook'],
+  brks: ['brooks'],
+  bg: ['burg'],
+  bgs: ['burgs'],
+  byp: ['bypass', 'bypa', 'bypas', 'byps'],
+  cp: ['camp', 'cmp'],
+  cyn: ['canyon', 'canyn', 'cnyn'],
+  cpe: ['cape'],
+  cswy: ['causeway', 'causwa'],
+  ctr: ['center', 'cen', 'cent', 'centr', 'centre', 'cnter', 'cntr'],
+  ctrs: ['centers'],
+  cir: ['circle', 'circ', 'circl', 'crcl', 'crcle'],
+  cirs: ['circles'],
+  clf: ['cliff'],
+  clfs: ['cliffs'],
+  clb: ['club'],
+  cmn: ['common'],
+  cmns: ['commons'],
+  cor: ['corner'],
+  cors: ['corners'],
+  crse: ['course'],
+  ct: ['court'],
+  cts: ['courts'],
+  cv: ['cove'],
+  cvs: ['coves'],
+  crk: ['creek'],
+  cres: ['crescent', 'crsent', 'crsnt'],
+  crst: ['crest'],
+  xing: ['crossing', 'crssng'],
+  xrd: ['crossroad'],
+  xrds: ['crossroads'],
+  curv: ['curve'],
+  dl: ['dale'],
+  dm: ['dam'],
+  dv: ['divide', 'div', 'dvd'],
+  dr: ['drive', 'driv', 'drv'],
+  drs: ['drives'],
+  est: ['estate'],
+  ests: ['estates'],
+  expy: ['expressway', 'exp', 'expr', 'express', 'expw'],
+  ext: ['extension', 'extn', 'extnsn'],
+  exts: ['extensions'],
+  fall: [],
+  fls: ['falls'],
+  fry: ['ferry', 'frry'],
+  fld: ['field'],
+  flds: ['fields'],
+  flt: ['flat'],
+  flts: ['flats'],
+  frd: ['ford'],
+  frds: ['fords'],
+  frst: ['forest', 'forests'],
+  frg: ['forge', 'forg'],
+  frgs: ['forges'],
+  frk: ['fork'],
+  frks: ['forks'],
+  ft: ['fort', 'frt'],
+  fwy: ['freeway', 'freewy', 'frway', 'frwy'],
+  gdn: ['garden', 'gardn', 'grden', 'grdn'],
+  gdns: ['gardens', 'grdns'],
+  gtwy: ['gateway', 'gatewy', 'gatway', 'gtway'],
+  gln: ['glen'],
+  glns: ['glens'],
+  grn: ['green'],
+  grns: ['greens'],
+  grv: ['grove', 'grov'],
+  grvs: ['groves'],
+  hbr: ['harbor', 'harb', 'harbr', 'hrbor'],
+  hbrs: ['harbors'],
+  hvn: ['haven'],
+  hts: ['heights', 'ht'],
+  hwy: ['highway', 'highwy', 'hiway', 'hiwy', 'hway'],
+  hl: ['hill'],
+  hls: ['hills'],
+  holw: ['hollow', 'hllw', 'hollows', 'holws'],
+  inlt: ['inlet'],
+  is: ['island', 'islnd'],
+  iss: ['islands', 'islnds'],
+  isle: ['isles'],
+  jct: ['junction', 'jction', 'jctn', 'junctn', 'juncton'],
+  jcts: ['junctions', 'jctns'],
+  ky: ['key'],
+  kys: ['keys'],
+  knl: ['knoll', 'knol'],
+  knls: ['knolls'],
+  lk: ['lake'],
+  lks: ['lakes'],
+  land: [],
+  lndg: ['landing', 'lndng'],
+  ln: ['lane'],
+  lgt: ['light'],
+  lgts: ['lights'],
+  lf: ['loaf'],
+  lck: ['lock'],
+  lcks: ['locks'],
+  ldg: ['lodge', 'ldge', 'lodg'],
+  loop: ['loops'],
+  mall: [],
+  mnr: ['manor'],
+  mnrs: ['manors'],
+  mdw: ['meadow'],
+  mdws: ['meadows', 'medows'],
+  mews: [],
+  ml: ['mill'],
+  mls: ['mills'],
+  msn: ['mission', 'missn', 'mssn'],
+  mtwy: ['motorway'],
+  mt: ['mount', 'mnt'],
+  mtn: ['mountain', 'mntain', 'mntn', 'mountin', 'mtin'],
+  mtns: ['mountains', 'mntns'],
+  nck: ['neck'],
+  orch: ['orchard', 'orchrd'],
+  oval: ['ovl'],
+  opas: ['overpass'],
+  park: ['prk', 'parks'],
+  pkwy: ['parkway', 'parkwy', 'pkway', 'pky', 'parkways', 'pkwys'],
+  pass: [],
+  psge: ['passage'],
+  path: ['paths'],
+  pike: ['pikes'],
+  pne: ['pine'],
+  pnes: ['pines'],
+  pl: ['place'],
+  pln: ['plain'],
+  plns: ['plains'],
+  plz: ['plaza', 'plza'],
+  pt: ['point'],
+  pts: ['points'],
+  prt: ['port'],
+  prts: ['ports'],
+  pr: ['prairie', 'prr'],
+  radl: ['radial', 'rad', 'radiel'],
+  ramp: [],
+  rnch: ['ranch', 'ranches', 'rnchs'],
+  rpd: ['rapid'],
+  rpds: ['rapids'],
+  rst: ['rest'],
+  rdg: ['ridge', 'rdge'],
+  rdgs: ['ridges'],
+  riv: ['river', 'rvr', 'rivr'],
+  rd: ['road'],
+  rds: ['roads'],
+  rte: ['route'],
+  row: [],
+  rue: [],
+  run: [],
+  shl: ['shoal'],
+  shls: ['shoals'],
+  shr: ['shore', 'shoar'],
+  shrs: ['shores', 'shoars'],
+  skwy: ['skyway'],
+  spg: ['spring', 'spng', 'sprng'],
+  spgs: ['springs', 'spngs', 'sprngs'],
+  spur: ['spurs'],
+  sq: ['square', 'sqr', 'sqre', 'squ'],
+  sqs: ['squares', 'sqrs'],
+  sta: ['station', 'statn', 'stn'],
+  stra: ['stravenue', 'strav', 'straven', 'stravn', 'strvn', 'strvnue'],
+  strm: ['stream', 'streme'],
+  st: ['street', 'strt', 'str'],
+  sts: ['streets'],
+  smt: ['summit', 'sumit', 'sumitt'],
+  ter: ['terrace', 'terr'],
+  trwy: ['throughway'],
+  trce: ['trace', 'traces'],
+  trak: ['track', 'tracks', 'trk', 'trks'],
+  trfy: ['trafficway'],
+  trl: ['trail', 'trails', 'trls'],
+  trlr: ['trailer', 'trlrs'],
+  tunl: ['tunnel', 'tunel', 'tunls', 'tunnels', 'tunnl'],
+  tpke: ['turnpike', 'trnpk', 'turnpk'],
+  upas: ['underpass'],
+  un: ['union'],
+  uns: ['unions'],
+  vly: ['valley', 'vally', 'vlly'],
+  vlys: ['valleys'],
+  via: ['viaduct', 'vdct', 'viadct'],
+  vw: ['view'],
+  vws: ['views'],
+  vlg: ['village', 'vill', 'villag', 'villg', 'villiage'],
+  vlgs: ['villages'],
+  vl: ['ville'],
+  vis: ['vista', 'vist', 'vst', 'vsta'],
+  walk: ['walks'],
+  wall: [],
+  way: ['wy'],
+  ways: [],
+  wl: ['well'],
+  wls: ['wells']
+};
+
+// Appendix C2: standard unit designator -> spellings
+const SECONDARY_UNITS = {
+  apt: ['apartment'],
+  bsmt: ['basement'],
+  bldg: ['building'],
+  dept: ['department'],
+  fl: ['floor'],
+  frnt: ['front'],
+  hngr: ['hangar'],
+  key: [],
+  lbby: ['lobby'],
+  lot: [],
+  lowr: ['lower'],
+  ofc: ['office'],
+  ph: ['penthouse'],
+  pier: [],
+  rear: [],
+  rm: ['room'],
+  side: [],
+  slip: [],
+  spc: ['space'],
+  stop: [],
+  ste: ['suite'],
+  trlr: ['trailer'],
+  unit: [],
+  uppr: ['upper'],
+  '#': []
+};
+
+// Designators that don't take a unit number
+const UNNUMBERED_UNITS = ['bsmt', 'frnt', 'lbby', 'lowr', 'ofc', 'ph', 'rear', 'side', 'uppr'];
+
+// Designators that are also ordinary street words ("Front St", "Key Dr"), only
+// read as units after the street suffix
+const AMBIGUOUS_UNITS = ['frnt', 'key', 'lbby', 'lot', 'lowr', 'pier', 'rear', 'side', 'slip', 'spc', 'stop', 'trlr', 'uppr'];
+
+const DIRECTIONALS = {
+  n: ['north'],
+  s: ['south'],
+  e: ['east'],
+  w: ['west'],
+  ne: ['northeast'],
+  nw: ['northwest'],
+  se: ['southeast'],
+  sw: ['southwest']
+};
+
+// Spelled-out ordinal street names ("First", "Twenty-Third")
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30,
+  fortieth: 40, fiftieth: 50, sixtieth: 60, seventieth: 70, eightieth: 80, ninetieth: 90
+};
+
+const TENS_WORDS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+/**
+ * Build a lookup from every spelling to its standard abbreviation
+ * @param {Object} table - Standard abbreviation -> spellings
+ * @returns {Map} Spelling -> standard abbreviation
+ */
+function toLookup(table) {
+  const lookup = new Map();
+  for (const [standard, spellings] of Object.entries(table)) {
+    lookup.set(standard, standard);
+    spellings.forEach(spelling => lookup.set(spelling, standard));
+  }
+  return lookup;
+}
+
+module.exports = {
+  STREET_SUFFIXES,
+  SECONDARY_UNITS,
+  UNNUMBERED_UNITS,
+  AMBIGUOUS_UNITS,
+  DIRECTIONALS,
+  ORDINAL_WORDS,
+  TENS_WORDS,
+  toLookup
+};
@@ -0,0 +1,85 @@
+/**
+ * Zip Centroid Utility
+ * Looks up the internal point and land area of every US zip code (Census ZCTA)
+ * from config/zip-centroids.json, built by scripts/build-zip-centroids.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ZIP_CENTROIDS_FILE = path.join(__dirname, '..', 'config', 'zip-centroids.json');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+let centroidsCache = null;
+
+/**
+ * Load the zip centroid dataset
+ * @returns {Object} { source, zips } where zips maps zip code to [lat, lon, landSqMi]
+ */
+function loadZipCentroids() {
+  if (!centroidsCache) {
+    centroidsCache = JSON.parse(fs.readFileSync(ZIP_CENTROIDS_FILE, 'utf8'));
+  }
+  return centroidsCache;
+}
+
+/**
+ * Get the centroid of a zip code
+ * @param {string} zipCode - Zip code
+ * @returns {Object|null} { lat, lon, landSqMi } (landSqMi is null when the dataset has no areas), or null if unknown
+ */
+function getZipCentroid(zipCode) {
+  const entry = loadZipCentroids().zips[zipCode];
+  if (!entry) {
+    return null;
+  }
+  
+  const [lat, lon, landSqMi = null] = entry;
+  return { lat, lon, landSqMi };
+}
+
+/**
+ * Find the zip code whose centroid is nearest to a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object|null} { zipCode, distanceMiles }, or null if the dataset is empty
+ */
+function findNearestZip(lat, lon) {
+  let nearest = null;
+  
+  for (const [zipCode, [zipLat, zipLon]] of Object.entries(loadZipCentroids().zips)) {
+    const distanceMiles = getDistanceMiles(lat, lon, zipLat, zipLon);
+    if (!nearest || distanceMiles < nearest.distanceMiles) {
+      nearest = { zipCode, distanceMiles };
+    }
+  }
+  
+  return nearest;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in miles
+ */
+function getDistanceMiles(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  ZIP_CENTROIDS_FILE,
+  loadZipCentroids,
+  getZipCentroid,
+  findNearestZip,
+  getDistanceMiles
+};